@@ -10,9 +10,12 @@ const APP_URL = window.location.hostname === 'localhost'
 // Production URL - ALWAYS use this for Line messages (even when testing locally)
 const PRODUCTION_URL = 'https://lapstuen.github.io/badminton-signup/';
 
-// Current session ID - FIXED to "current" (does not auto-change daily)
-// Admin must manually start "New Session" to create a new session
-let currentSessionId = 'current';
+// Legacy single-session document - fallback when no other session is open
+const DEFAULT_SESSION_ID = 'current';
+
+// Selected session ID - several sessions can be open at the same time
+// Remembered per device so players return to the session they picked
+let currentSessionId = localStorage.getItem('selectedSessionId') || DEFAULT_SESSION_ID;
 
 // Lock session N hours before start time (prevents last-minute registrations/cancellations)
 const LOCK_HOURS_BEFORE_SESSION = 2; // Easy to adjust (2, 3, 4, etc.)
@@ -33,79 +36,32 @@ let state = {
     maintenanceMode: false, // Maintenance mode (blocks all user actions)
     shuttlecocksUsed: 0, // Number of shuttlecocks used in session (for cost tracking)
     closed: false, // Session archived/closed status
+    locked: undefined, // Server-managed lock flag (set by publishAndLockSessions, undefined for old sessions)
+    lockAt: null, // Scheduled lock time (Date) - written by admin or server
+    publishAt: null, // Scheduled auto-publish time (Date) - written by admin
+    priorityUntil: null, // End of the regulars-only window (Date) - written by the server on publish
+    priorityUserIds: [], // Regular players who may register during the window
+    registrationMode: 'fcfs', // 'fcfs' = first come first served, 'lottery' = entries + draw (enterLottery)
+    lotteryDrawAt: null, // Draw time of a lottery session (Date), null = at the lock time
+    lotteryDrawnAt: null, // Set by the server when the lottery has been drawn (Date)
+    lotteryEntries: [], // Lottery entries of the session ({ userId, name })
+    openSessions: [], // All sessions that are not closed yet (session list)
+    checkInUsed: false, // Check-in was opened for this session (checkInStartedAt)
+    rotation: null, // Doubles rounds generated by staff (rotation.js)
+    matches: [], // Recorded game results of the session (recordMatchResult)
+    showRatings: false, // Club shows skill ratings to players (config/ratings)
+    ratings: {}, // Skill ratings by userId (ratings/{userId}), only loaded when shown
     isAdmin: false,
     authorizedUsers: [],
-    loggedInUser: null, // Now includes: { name, balance, userId, role }
+    loggedInUser: null, // Now includes: { name, balance, userId, role, capabilities }
     transactions: []
 };
 
 // Firestore references
-const currentSessionRef = () => sessionsRef.doc(currentSessionId);
-const playersRef = () => currentSessionRef().collection('players');
-
-
-// ============================================
-// UTILITIES - Position Recalculation
-// ============================================
-// Reorder players after deletions
-// ============================================
-
-// ============================================
-// POSITION RECALCULATION HELPER
-// ============================================
-
-/**
- * Recalculate all player positions to be sequential (1, 2, 3, ...)
- * Call this after any player deletion to ensure waiting list players move up correctly
- * Uses batch write for efficiency and atomicity
- */
-async function recalculatePlayerPositions() {
-    try {
-        // Get fresh player list from Firestore
-        const playersSnapshot = await playersRef().get();
-        const players = [];
-        playersSnapshot.forEach(doc => {
-            players.push({ id: doc.id, ...doc.data() });
-        });
-
-        if (players.length === 0) {
-            console.log('📍 No players to recalculate positions for');
-            return;
-        }
-
-        // Sort by current position
-        players.sort((a, b) => a.position - b.position);
-
-        // Check if any positions need updating
-        let needsUpdate = false;
-        players.forEach((player, index) => {
-            if (player.position !== index + 1) {
-                needsUpdate = true;
-            }
-        });
-
-        if (!needsUpdate) {
-            console.log('📍 Positions already sequential, no update needed');
-            return;
-        }
-
-        // Update each player's position to be sequential (1, 2, 3, ...)
-        const batch = db.batch();
-        players.forEach((player, index) => {
-            const newPosition = index + 1;
-            if (player.position !== newPosition) {
-                const playerRef = playersRef().doc(player.id);
-                batch.update(playerRef, { position: newPosition });
-                console.log(`📍 Position update: ${player.name} from ${player.position} to ${newPosition}`);
-            }
-        });
-
-        await batch.commit();
-        console.log(`✅ Positions recalculated: ${players.length} players now sequential`);
-    } catch (error) {
-        console.error('❌ Error recalculating positions:', error);
-    }
-}
+const currentSessionRef = (sessionId = currentSessionId) => sessionsRef.doc(sessionId);
+const playersRef = (sessionId = currentSessionId) => currentSessionRef(sessionId).collection('players');
+const matchesRef = (sessionId = currentSessionId) => currentSessionRef(sessionId).collection('matches');
+const lotteryEntriesRef = (sessionId = currentSessionId) => currentSessionRef(sessionId).collection('lotteryEntries');
 
 
 // ============================================
@@ -120,9 +76,14 @@ async function recalculatePlayerPositions() {
 
 /**
  * Calculate when the session should be locked (N hours before session start)
+ * Uses the scheduled lockAt from the session document when set
  * @returns {Date|null} Lock time as Date object, or null if unable to parse
  */
 function calculateSessionLockTime() {
+    if (state.lockAt) {
+        return state.lockAt;
+    }
+
     try {
         // Parse sessionDate (format: "DD/MM/YYYY")
         const [day, month, year] = state.sessionDate.split('/');
@@ -191,6 +152,15 @@ function isSessionLocked() {
         return false;
     }
 
+    // Server-managed lock flag wins - same state on every device regardless of its clock
+    if (typeof state.locked === 'boolean') {
+        if (state.locked) {
+            console.log('🔒 Session is LOCKED (server flag)');
+        }
+        return state.locked;
+    }
+
+    // Legacy sessions without the server flag: fall back to the client clock
     const lockTime = calculateSessionLockTime();
     if (!lockTime) {
         // Unable to parse time - default to NOT locked (safe fallback)
@@ -208,6 +178,178 @@ function isSessionLocked() {
     return isLocked;
 }
 
+// ============================================
+// PRIORITY WINDOW (regular players first)
+// ============================================
+// The server sets priorityUntil / priorityUserIds on publish (config/priorityWindow);
+// until then only the weekday's regular players can register
+// ============================================
+
+// Refreshes the countdown while the window is open
+let priorityCountdownTimer = null;
+
+/**
+ * Is the session in its priority window (only regular players can register)?
+ * @returns {boolean}
+ */
+function isPriorityWindowOpen() {
+    return Boolean(state.published && !state.closed && state.priorityUntil &&
+        state.priorityUntil > new Date() && !isSessionLocked());
+}
+
+/**
+ * Time left as "5h 12m" / "12m"
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+function formatCountdown(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+/**
+ * Show the priority window with a countdown until it opens to everyone
+ */
+function renderPriorityBanner() {
+    const banner = document.getElementById('priorityBanner');
+    if (!banner) return;
+
+    if (!isPriorityWindowOpen()) {
+        banner.style.display = 'none';
+        if (priorityCountdownTimer) {
+            // Window just ended - buttons and banners change
+            clearInterval(priorityCountdownTimer);
+            priorityCountdownTimer = null;
+            updateUI();
+        }
+        return;
+    }
+
+    const left = formatCountdown(state.priorityUntil - new Date());
+    const until = state.priorityUntil.toLocaleString('en-GB', {
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    const hasPriority = state.loggedInUser && state.priorityUserIds.includes(state.loggedInUser.userId);
+
+    document.getElementById('priorityInfo').innerHTML = hasPriority
+        ? `You have priority - register within <strong>${left}</strong> (until ${until})<br>` +
+          `คุณลงทะเบียนก่อนได้ภายใน ${left}`
+        : `Regular players register first. Opens to everyone in <strong>${left}</strong> (${until})<br>` +
+          `ผู้เล่นประจำลงทะเบียนก่อน เปิดให้ทุกคนใน ${left}`;
+    banner.style.display = 'block';
+
+    if (!priorityCountdownTimer) {
+        priorityCountdownTimer = setInterval(renderPriorityBanner, 30000);
+    }
+}
+
+// ============================================
+// LOTTERY REGISTRATION
+// ============================================
+// Sessions with registrationMode 'lottery' take entries (enterLottery) until the
+// draw; the server then allocates the spots at random and puts everyone else on
+// the waiting list in draw order (lotteryDraws/{sessionId} keeps the seed)
+// ============================================
+
+// Refreshes the draw countdown while entries are open
+let lotteryCountdownTimer = null;
+
+/**
+ * Draw time: lotteryDrawAt, otherwise the lock time
+ * @returns {Date|null}
+ */
+function getLotteryDrawTime() {
+    return state.lotteryDrawAt || state.lockAt || calculateSessionLockTime();
+}
+
+/**
+ * Does the session take lottery entries right now?
+ * @returns {boolean}
+ */
+function isLotteryOpen() {
+    return Boolean(state.published && !state.closed && state.registrationMode === 'lottery' &&
+        !state.lotteryDrawnAt && !isSessionLocked());
+}
+
+/**
+ * Is the logged-in user in the draw?
+ * @returns {boolean}
+ */
+function hasLotteryEntry() {
+    return Boolean(state.loggedInUser && state.lotteryEntries.some(e => e.userId === state.loggedInUser.userId));
+}
+
+/**
+ * Enter the lottery, or withdraw when already entered
+ */
+async function toggleLotteryEntry() {
+    const withdraw = hasLotteryEntry();
+    if (withdraw && !confirm('Withdraw from the lottery? / ถอนตัวจากการจับฉลาก?')) {
+        return;
+    }
+
+    try {
+        const enterLottery = functions.httpsCallable('enterLottery');
+        await enterLottery({
+            sessionId: currentSessionId,
+            userId: state.loggedInUser.userId,
+            withdraw
+        });
+
+        const drawTime = getLotteryDrawTime();
+        const drawText = drawTime
+            ? drawTime.toLocaleString('en-GB', { weekday: 'short', hour: '2-digit', minute: '2-digit' })
+            : '';
+        alert(withdraw
+            ? '✅ You left the lottery / ถอนตัวแล้ว'
+            : `🎲 You're in the draw! / ลงชื่อจับฉลากแล้ว!\n\n` +
+              `Draw: ${drawText}\nWinners pay ${state.paymentAmount} THB, the others go on the waiting list.\n\n` +
+              `จับฉลาก: ${drawText}`);
+    } catch (error) {
+        console.error('❌ Lottery entry rejected:', error);
+        alert(getRegistrationErrorMessage(error));
+    }
+}
+
+/**
+ * Show the lottery with the number of entries and a countdown to the draw
+ */
+function renderLotteryBanner() {
+    const banner = document.getElementById('lotteryBanner');
+    if (!banner) return;
+
+    if (!isLotteryOpen()) {
+        banner.style.display = 'none';
+        if (lotteryCountdownTimer) {
+            clearInterval(lotteryCountdownTimer);
+            lotteryCountdownTimer = null;
+        }
+        return;
+    }
+
+    const drawTime = getLotteryDrawTime();
+    const spots = Math.max(0, state.maxPlayers - state.players.length);
+    const entries = state.lotteryEntries.length;
+    const when = drawTime && drawTime > new Date()
+        ? `Draw in <strong>${formatCountdown(drawTime - new Date())}</strong> ` +
+          `(${drawTime.toLocaleString('en-GB', { weekday: 'short', hour: '2-digit', minute: '2-digit' })})`
+        : 'Drawing now...';
+
+    document.getElementById('lotteryInfo').innerHTML =
+        `${entries} ${entries === 1 ? 'entry' : 'entries'} for ${spots} spot(s) - ${when}<br>` +
+        (hasLotteryEntry()
+            ? '✅ You are in the draw / คุณลงชื่อจับฉลากแล้ว'
+            : 'Enter before the draw - it doesn\'t matter when / ลงชื่อก่อนจับฉลาก ไม่ต้องรีบ');
+    banner.style.display = 'block';
+
+    if (!lotteryCountdownTimer) {
+        lotteryCountdownTimer = setInterval(renderLotteryBanner, 30000);
+    }
+}
+
 
 // ============================================
 // UTILITIES - Private Mode Detection
@@ -336,17 +478,28 @@ async function refreshBalance() {
 
 async function initializeApp() {
     try {
+        // Opened from the venue QR code? Remember it until the player is logged in
+        captureCheckInLink();
+
+        // Pick the selected session among the open ones
+        await loadOpenSessions();
+        currentSessionId = resolveSelectedSessionId();
+
         // Load session data
-        await loadSessionData();
+        await loadSessionData(currentSessionId);
 
         // Load authorized users
         await loadAuthorizedUsers();
 
         // Set up realtime listeners
-        setupRealtimeListeners();
+        setupRealtimeListeners(currentSessionId);
+        setupOpenSessionsListener();
 
         // Check if user is logged in
         await checkLoggedInUser();
+        if (!state.loggedInUser && sessionStorage.getItem(CHECK_IN_STORAGE_KEY)) {
+            alert('Log in to check in / เข้าสู่ระบบเพื่อเช็คอิน');
+        }
 
         // Setup event listeners
         setupEventListeners();
@@ -366,9 +519,9 @@ async function initializeApp() {
 // ============================================
 
 // Load session data from Firestore
-async function loadSessionData() {
+async function loadSessionData(sessionId = currentSessionId) {
     try {
-        const doc = await currentSessionRef().get();
+        const doc = await currentSessionRef(sessionId).get();
 
         if (doc.exists) {
             const data = doc.data();
@@ -381,6 +534,7 @@ async function loadSessionData() {
             state.maintenanceMode = data.maintenanceMode !== undefined ? data.maintenanceMode : false; // Default false
             state.shuttlecocksUsed = data.shuttlecocksUsed !== undefined ? data.shuttlecocksUsed : 0; // Default 0 for old sessions
             state.closed = data.closed !== undefined ? data.closed : false; // Default false - session not archived
+            applySessionSchedule(data);
             console.log('📥 Session data loaded from Firestore:', {
                 day: state.sessionDay,
                 time: state.sessionTime,
@@ -390,19 +544,9 @@ async function loadSessionData() {
                 closed: state.closed
             });
         } else {
-            // Create new session
-            await currentSessionRef().set({
-                date: state.sessionDate,
-                day: state.sessionDay,
-                time: state.sessionTime,
-                maxPlayers: state.maxPlayers,
-                paymentAmount: state.paymentAmount,
-                published: true,
-                maintenanceMode: false,
-                shuttlecocksUsed: 0,
-                createdAt: firebase.firestore.FieldValue.serverTimestamp()
-            });
-            console.log('📝 New session created');
+            // Sessions are created by admins/templates (players cannot create them - firestore.rules)
+            applySessionSchedule({});
+            console.warn(`⚠️ Session ${sessionId} not found`);
         }
 
         // CRITICAL: Mark session as loaded to allow saving
@@ -413,6 +557,21 @@ async function loadSessionData() {
     }
 }
 
+/**
+ * Copy scheduled publish/lock fields from a session document into state
+ * @param {Object} data - Session document data
+ */
+function applySessionSchedule(data) {
+    state.locked = typeof data.locked === 'boolean' ? data.locked : undefined;
+    state.lockAt = data.lockAt ? data.lockAt.toDate() : null;
+    state.publishAt = data.publishAt ? data.publishAt.toDate() : null;
+    state.priorityUntil = data.priorityUntil ? data.priorityUntil.toDate() : null;
+    state.priorityUserIds = data.priorityUserIds || [];
+    state.registrationMode = data.registrationMode || 'fcfs';
+    state.lotteryDrawAt = data.lotteryDrawAt ? data.lotteryDrawAt.toDate() : null;
+    state.lotteryDrawnAt = data.lotteryDrawnAt ? data.lotteryDrawnAt.toDate() : null;
+}
+
 // Save session data to Firestore
 async function saveSessionData() {
     // CRITICAL SAFETY CHECK: Prevent saving before Firebase data is loaded
@@ -439,11 +598,7 @@ async function saveSessionData() {
             shuttlecocksUsed: state.shuttlecocksUsed
         };
 
-        // Include closed status if defined in state
-        if (typeof state.closed !== 'undefined') {
-            updateData.closed = state.closed;
-        }
-
+        // closed is never saved from here - closeSession archives and closes on the server
         await currentSessionRef().update(updateData);
         console.log('💾 Session data saved:', {
             day: state.sessionDay,
@@ -474,82 +629,6 @@ async function loadAuthorizedUsers() {
     }
 }
 
-// Create transaction record
-
-// ============================================
-// WALLET - Transactions & Balance
-// ============================================
-// Create transactions, update balances
-// ============================================
-
-async function createTransaction(userId, userName, amount, description) {
-    // Skip transaction logging if amount is 0
-    if (amount === 0) {
-        console.log(`⏭️ Skipped transaction (0 THB): ${userName} - ${description}`);
-        return;
-    }
-
-    try {
-        await transactionsRef.add({
-            userId: userId,
-            userName: userName,
-            amount: amount, // Positive for deposits, negative for withdrawals
-            description: description,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-            sessionId: currentSessionId,
-            sessionDate: state.sessionDate
-        });
-        console.log(`💰 Transaction created: ${userName} ${amount > 0 ? '+' : ''}${amount} THB (${description})`);
-    } catch (error) {
-        console.error('Error creating transaction:', error);
-    }
-}
-
-// Update user balance
-async function updateUserBalance(userId, userName, amountChange, description, silent = false) {
-    try {
-        const userDoc = await usersRef.doc(userId).get();
-        if (!userDoc.exists) {
-            console.error('User not found');
-            return false;
-        }
-
-        const currentBalance = userDoc.data().balance || 0;
-        const newBalance = currentBalance + amountChange;
-
-        // Only check MINIMUM_BALANCE when WITHDRAWING money (negative amountChange)
-        // Allow negative balance after payment - just need MINIMUM_BALANCE before payment
-        if (currentBalance < MINIMUM_BALANCE && amountChange < 0) {
-            // User doesn't have minimum balance required to make payment
-            if (!silent) {
-                alert(`Insufficient balance / ยอดเงินไม่เพียงพอ\n\nCurrent: ${currentBalance} THB\nNeeded: ${MINIMUM_BALANCE} THB`);
-            }
-            console.log(`⚠️ Insufficient balance for ${userName}: ${currentBalance} THB (need ${MINIMUM_BALANCE} THB minimum)`);
-            return false;
-        }
-
-        // Update balance in Firestore
-        await usersRef.doc(userId).update({
-            balance: newBalance
-        });
-
-        // Create transaction record
-        await createTransaction(userId, userName, amountChange, description);
-
-        // Update local state if this is the logged in user
-        if (state.loggedInUser && state.loggedInUser.userId === userId) {
-            state.loggedInUser.balance = newBalance;
-            updateUI();
-        }
-
-        console.log(`✅ Balance updated: ${userName} = ${newBalance} THB`);
-        return true;
-    } catch (error) {
-        console.error('Error updating balance:', error);
-        return false;
-    }
-}
-
 // ============================================
 // REALTIME LISTENERS
 // ============================================
@@ -561,9 +640,13 @@ async function updateUserBalance(userId, userName, amountChange, description, si
 // onSnapshot listeners for session/players/users
 // ============================================
 
-function setupRealtimeListeners() {
+function setupRealtimeListeners(sessionId = currentSessionId) {
+    // Stop listening to the previously selected session
+    sessionListenerUnsubscribers.forEach(unsubscribe => unsubscribe());
+    sessionListenerUnsubscribers = [];
+
     // Listen to SESSION changes (day, time, maxPlayers, etc.)
-    currentSessionRef().onSnapshot((doc) => {
+    sessionListenerUnsubscribers.push(currentSessionRef(sessionId).onSnapshot((doc) => {
         if (doc.exists) {
             const data = doc.data();
             const oldDay = state.sessionDay;
@@ -575,6 +658,9 @@ function setupRealtimeListeners() {
             state.paymentAmount = data.paymentAmount !== undefined ? data.paymentAmount : 150;
             state.published = data.published !== undefined ? data.published : true;
             state.maintenanceMode = data.maintenanceMode !== undefined ? data.maintenanceMode : false;
+            state.checkInUsed = Boolean(data.checkInStartedAt);
+            state.rotation = data.rotation || null;
+            applySessionSchedule(data);
 
             // Log if session day changed (to detect unauthorized changes)
             if (oldDay && oldDay !== state.sessionDay) {
@@ -586,10 +672,10 @@ function setupRealtimeListeners() {
         }
     }, (error) => {
         console.error('Error listening to session:', error);
-    });
+    }));
 
     // Listen to players changes
-    playersRef().onSnapshot((snapshot) => {
+    sessionListenerUnsubscribers.push(playersRef(sessionId).onSnapshot((snapshot) => {
         state.players = [];
         snapshot.forEach(doc => {
             state.players.push({
@@ -605,10 +691,34 @@ function setupRealtimeListeners() {
         updateUI();
     }, (error) => {
         console.error('Error listening to players:', error);
-    });
+    }));
+
+    // Listen to recorded results (scores in the rounds, results list)
+    sessionListenerUnsubscribers.push(matchesRef(sessionId).onSnapshot((snapshot) => {
+        const recordedAt = (match) => match.recordedAt ? match.recordedAt.toMillis() : Date.now();
+        state.matches = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => recordedAt(a) - recordedAt(b));
+
+        console.log(`🏆 Results updated: ${state.matches.length} games`);
+        updateUI();
+    }, (error) => {
+        console.error('Error listening to results:', error);
+    }));
+
+    // Listen to lottery entries (entry count, "you're in the draw")
+    sessionListenerUnsubscribers.push(lotteryEntriesRef(sessionId).onSnapshot((snapshot) => {
+        state.lotteryEntries = snapshot.docs.map(doc => doc.data());
+        updateUI();
+    }, (error) => {
+        console.error('Error listening to lottery entries:', error);
+    }));
 
-    // Listen to authorized users changes
-    usersRef.onSnapshot((snapshot) => {
+    // Listen to authorized users changes (not session-specific - only once)
+    if (usersListenerUnsubscribe) {
+        return;
+    }
+    usersListenerUnsubscribe = usersRef.onSnapshot((snapshot) => {
         state.authorizedUsers = [];
         snapshot.forEach(doc => {
             state.authorizedUsers.push({
@@ -626,6 +736,152 @@ function setupRealtimeListeners() {
     });
 }
 
+// ============================================
+// SESSIONS - Open Session List
+// ============================================
+// Several sessions can be open at once (e.g. Mon/Wed/Fri)
+// ============================================
+
+// Active Firestore listeners for the selected session (replaced on switch)
+let sessionListenerUnsubscribers = [];
+let usersListenerUnsubscribe = null;
+let openSessionsListenerUnsubscribe = null;
+
+/**
+ * Parse a session date for sorting
+ * @param {string} dateStr - Session date ("DD/MM/YYYY")
+ * @returns {number} Milliseconds since epoch, or 0 if unable to parse
+ */
+function parseSessionDate(dateStr) {
+    const [day, month, year] = (dateStr || '').split('/');
+    if (!day || !month || !year) {
+        return 0;
+    }
+    return new Date(parseInt(year), parseInt(month) - 1, parseInt(day)).getTime();
+}
+
+/**
+ * Store open sessions from a Firestore snapshot, sorted by date and start time
+ * @param {firebase.firestore.QuerySnapshot} snapshot - Sessions where closed == false
+ */
+function setOpenSessions(snapshot) {
+    state.openSessions = [];
+    snapshot.forEach(doc => {
+        state.openSessions.push({
+            id: doc.id,
+            ...doc.data()
+        });
+    });
+    state.openSessions.sort((a, b) =>
+        (parseSessionDate(a.date) - parseSessionDate(b.date)) ||
+        (a.time || '').localeCompare(b.time || '')
+    );
+}
+
+/**
+ * Sessions shown in the session list
+ * Drafts are only listed for admins (and when already selected)
+ * @returns {Array} Open sessions visible to the current user
+ */
+function getListedSessions() {
+    return state.openSessions.filter(session =>
+        session.published !== false || state.isAdmin || session.id === currentSessionId
+    );
+}
+
+// Load open sessions once (used at startup to pick the selected session)
+async function loadOpenSessions() {
+    try {
+        const snapshot = await sessionsRef.where('closed', '==', false).get();
+        setOpenSessions(snapshot);
+        console.log(`📥 Loaded ${state.openSessions.length} open sessions`);
+    } catch (error) {
+        console.error('Error loading open sessions:', error);
+    }
+}
+
+/**
+ * Keep the remembered session if it is still open, otherwise fall back to the
+ * earliest published open session (or the legacy "current" document)
+ * @returns {string} Session ID to select
+ */
+function resolveSelectedSessionId() {
+    if (state.openSessions.find(s => s.id === currentSessionId)) {
+        return currentSessionId;
+    }
+    const firstPublished = state.openSessions.find(s => s.published !== false);
+    if (firstPublished) {
+        return firstPublished.id;
+    }
+    return state.openSessions.length > 0 ? state.openSessions[0].id : DEFAULT_SESSION_ID;
+}
+
+// Listen to the list of open sessions (new sessions appear, closed ones disappear)
+function setupOpenSessionsListener() {
+    if (openSessionsListenerUnsubscribe) {
+        return; // Already listening
+    }
+
+    openSessionsListenerUnsubscribe = sessionsRef.where('closed', '==', false).onSnapshot((snapshot) => {
+        setOpenSessions(snapshot);
+        console.log(`📋 Open sessions updated: ${state.openSessions.length} sessions`);
+        renderSessionList();
+    }, (error) => {
+        console.error('Error listening to open sessions:', error);
+    });
+}
+
+/**
+ * Render the session picker (hidden when there is nothing to choose between)
+ */
+function renderSessionList() {
+    const container = document.getElementById('sessionList');
+    if (!container) return;
+
+    const sessions = getListedSessions();
+    const onlySelected = sessions.length === 1 && sessions[0].id === currentSessionId;
+    if (sessions.length === 0 || onlySelected) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    container.style.display = 'flex';
+    container.innerHTML = sessions.map(session => {
+        const dayParts = (session.day || '').split(' / ');
+        const dayLabel = dayParts.length === 2 ? dayParts[1] : (session.day || '');
+        const activeClass = session.id === currentSessionId ? ' active' : '';
+        const draftLabel = session.published === false ? ' 📝' : '';
+        return `<button class="session-tab${activeClass}" onclick="selectSession('${session.id}')">
+            <strong>${dayLabel}${draftLabel}</strong><br>
+            <span>${session.date || ''} ${(session.time || '').split(' - ')[0]}</span>
+        </button>`;
+    }).join('');
+}
+
+/**
+ * Switch the app to another open session
+ * @param {string} sessionId - Firestore document ID in sessions/
+ */
+async function selectSession(sessionId) {
+    if (!sessionId || sessionId === currentSessionId) {
+        return;
+    }
+
+    console.log(`🔀 Switching session: ${currentSessionId} → ${sessionId}`);
+    currentSessionId = sessionId;
+    localStorage.setItem('selectedSessionId', sessionId);
+
+    // Block saving until the new session is loaded (prevents writing old state into it)
+    state.isSessionLoaded = false;
+    state.players = [];
+
+    await loadSessionData(sessionId);
+    setupRealtimeListeners(sessionId);
+    renderSessionList();
+    updateUI();
+}
+
 // ============================================
 // EVENT LISTENERS
 // ============================================
@@ -646,9 +902,13 @@ function setupEventListeners() {
     loginNameInput.addEventListener('blur', checkLoginMethod);
 }
 
+// Name whose last sign-in attempt needed a new one-time code
+let passwordResetNeededFor = null;
+
 /**
  * Check if user should see Login button or Reset Password button
- * Based on password length in database (UUID = long, 123 = short)
+ * Based on the last signIn error (details.reason 'password-reset-needed' = one-time code
+ * already used on another device) - the user list is only readable after sign-in
  */
 
 // ============================================
@@ -657,31 +917,13 @@ function setupEventListeners() {
 // Check login method, show/hide password field
 // ============================================
 
-async function checkLoginMethod() {
+function checkLoginMethod() {
     const name = document.getElementById('loginName').value.trim();
 
-    if (!name) {
-        // No name entered - show normal login
-        showNormalLogin();
-        return;
-    }
-
-    // Find user in authorized users (EXACT match only, no partial matches)
-    // E.g., "Gei" will NOT match "Geir"
-    const user = state.authorizedUsers.find(u => u.name === name);
-
-    if (!user) {
-        // User not found - show normal login
-        showNormalLogin();
-        return;
-    }
-
-    // Check password length
-    if (user.password.length >= 20) {
-        // UUID password - show reset button
+    // Same name as the sign-in that said the code is used up - offer the reset request
+    if (name && name === passwordResetNeededFor) {
         showResetPassword();
     } else {
-        // Short password (123 etc.) - show normal login
         showNormalLogin();
     }
 }
@@ -730,6 +972,69 @@ async function handleLoginClick() {
 // Register user for session, deduct wallet
 // ============================================
 
+/**
+ * Register the logged-in user (or a guest paid by them) via the registerPlayer Cloud Function
+ * Duplicate check, capacity, position and wallet debit happen in ONE server transaction
+ * @param {string|null} guestName - New guest's name, or null to register the user
+ * @param {string|null} guestProfileId - Previous guest (guestProfiles document) instead of a new name
+ * @returns {Promise<Object|null>} { playerId, name, position, isWaitingList, balance, amountPaid } or null (alert shown)
+ */
+async function registerPlayerOnServer(guestName = null, guestProfileId = null) {
+    try {
+        const registerPlayer = functions.httpsCallable('registerPlayer');
+        const response = await registerPlayer({
+            sessionId: currentSessionId,
+            userId: state.loggedInUser.userId,
+            guestName: guestName,
+            guestProfileId: guestProfileId
+        });
+        return response.data;
+    } catch (error) {
+        console.error('❌ Registration rejected:', error);
+        alert(getRegistrationErrorMessage(error));
+        return null;
+    }
+}
+
+/**
+ * Translate a registerPlayer error (details.reason) to a bilingual message
+ * @param {Error} error - Error from the callable
+ * @returns {string} Message for alert()
+ */
+function getRegistrationErrorMessage(error) {
+    const details = error.details || {};
+    switch (details.reason) {
+        case 'already-registered':
+            return 'This name is already registered / ชื่อนี้ลงทะเบียนแล้ว';
+        case 'guest-limit-host':
+            return `You can bring at most ${details.limit} guest(s) per session\nนำแขกได้สูงสุด ${details.limit} คนต่อเซสชัน`;
+        case 'guest-limit-session':
+            return `This session is full for guests (max ${details.limit})\nเซสชันนี้รับแขกครบแล้ว (สูงสุด ${details.limit} คน)`;
+        case 'insufficient-balance':
+            return `Insufficient balance / ยอดเงินไม่เพียงพอ\n\nCurrent: ${details.balance} THB\nNeeded: ${MINIMUM_BALANCE} THB\n\nยอดเงินปัจจุบัน: ${details.balance} บาท\nต้องการ: ${MINIMUM_BALANCE} บาท`;
+        case 'locked':
+            return '🔒 Registration is closed / ปิดรับลงทะเบียนแล้ว';
+        case 'priority-window': {
+            const opens = new Date(details.until).toLocaleString('en-GB', { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+            return `⭐ Regular players register first\nOpens to everyone: ${opens}\n\nผู้เล่นประจำลงทะเบียนก่อน\nเปิดให้ทุกคน: ${opens}`;
+        }
+        case 'lottery':
+            return '🎲 This session is drawn by lottery - enter the draw instead\nเซสชันนี้ใช้การจับฉลาก กรุณาลงชื่อจับฉลาก';
+        case 'lottery-closed':
+            return '🎲 The lottery is closed / ปิดรับลงชื่อจับฉลากแล้ว';
+        case 'not-published':
+            return 'Session is not open for registration yet\nยังไม่เปิดรับลงทะเบียน';
+        case 'closed':
+            return 'Session is closed / เซสชันปิดแล้ว';
+        case 'maintenance':
+            return 'System is under maintenance. Please wait.\nระบบกำลังปรับปรุง กรุณารอสักครู่';
+        case 'auth':
+            return 'Login expired. Please log in again.\nกรุณาเข้าสู่ระบบอีกครั้ง';
+        default:
+            return 'Error registering. Please try again.\n\nเกิดข้อผิดพลาด กรุณาลองใหม่อีกครั้ง';
+    }
+}
+
 async function handleSignup(e) {
     e.preventDefault();
 
@@ -759,113 +1064,52 @@ async function handleSignup(e) {
         return;
     }
 
-    // Use logged-in user's name if available, otherwise get from form
-    let name;
-    if (state.loggedInUser) {
-        name = state.loggedInUser.name;
-    } else {
-        name = document.getElementById('playerName').value.trim();
-        if (!name) {
-            alert('Please enter your name / กรุณากรอกชื่อ');
-            return;
-        }
+    // Registration is verified on the server - user must be logged in
+    if (!state.loggedInUser) {
+        alert('Please log in first / กรุณาเข้าสู่ระบบก่อน');
+        return;
     }
 
-    // Check if user is authorized
-    const authorizedUser = state.authorizedUsers.find(u => u.name === name);
-    if (!authorizedUser) {
-        alert('You are not authorized. Contact admin. / คุณไม่มีสิทธิ์ ติดต่อผู้ดูแล');
+    // Lottery sessions: the same button enters / leaves the draw
+    if (isLotteryOpen()) {
+        await toggleLotteryEntry();
         return;
     }
 
-    // Get FRESH player data from Firestore (not from state which might be stale)
-    const playersSnapshot = await playersRef().get();
-    const currentPlayerCount = playersSnapshot.size;
-    const currentPlayers = [];
-    playersSnapshot.forEach(doc => {
-        currentPlayers.push({ id: doc.id, ...doc.data() });
-    });
+    const name = state.loggedInUser.name;
 
-    // Check if already registered (by name)
-    if (currentPlayers.find(p => p.name === name)) {
+    // Quick local checks for instant feedback (the server checks again in its transaction)
+    if (state.players.find(p => p.name === name)) {
         alert('This name is already registered / ชื่อนี้ลงทะเบียนแล้ว');
         return;
     }
 
-    // Check balance and deduct payment IMMEDIATELY (for all players, including waiting list)
-    const currentBalance = authorizedUser.balance || 0;
+    const currentBalance = state.loggedInUser.balance || 0;
     if (currentBalance < MINIMUM_BALANCE) {
         alert(`Insufficient balance / ยอดเงินไม่เพียงพอ\n\nCurrent: ${currentBalance} THB\nNeeded: ${MINIMUM_BALANCE} THB\n\nยอดเงินปัจจุบัน: ${currentBalance} บาท\nต้องการ: ${MINIMUM_BALANCE} บาท`);
         return;
     }
 
-    try {
-        // Deduct payment BEFORE adding to Firestore
-        const isWaitingList = currentPlayerCount >= state.maxPlayers;
-        const paymentSuccess = await updateUserBalance(
-            authorizedUser.id,
-            name,
-            -state.paymentAmount, // Negative = deduct
-            isWaitingList
-                ? `Payment for joining waiting list ${state.sessionDate}`
-                : `Payment for session ${state.sessionDate}`
-        );
-
-        if (!paymentSuccess) {
-            // updateUserBalance already showed error message
-            return;
-        }
-
-        // Add player to Firestore
-        const playerData = {
-            name,
-            userId: authorizedUser.id,
-            paid: true,  // Already paid at registration
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-            position: currentPlayerCount + 1
-        };
-
-        await playersRef().add(playerData);
-
-        // Save name for future visits
-        localStorage.setItem('userName', name);
-
-        // Auto-login (user is already verified as authorized)
-        state.loggedInUser = {
-            name: authorizedUser.name,
-            balance: authorizedUser.balance || 0,
-            userId: authorizedUser.id
-        };
-
-        // Refresh balance from server after deduction
-        const userDoc = await usersRef.doc(authorizedUser.id).get();
-        if (userDoc.exists) {
-            state.loggedInUser.balance = userDoc.data().balance || 0;
-        }
+    // Server: duplicate check + position + wallet debit + player in one transaction
+    const result = await registerPlayerOnServer();
+    if (!result) {
+        return; // registerPlayerOnServer already showed the error
+    }
 
-        localStorage.setItem('loggedInUser', JSON.stringify(state.loggedInUser));
+    // Save name for future visits
+    localStorage.setItem('userName', name);
 
-        // Show success message
-        const player = { name, position: playerData.position };
-        showSuccessMessage(player);
+    // Update balance from the server result
+    state.loggedInUser.balance = result.balance;
 
-        // Reset form
-        document.getElementById('signupForm').reset();
+    // Show success message
+    showSuccessMessage({ name, position: result.position });
 
-        console.log('✅ Player registered:', name);
-    } catch (error) {
-        console.error('Error registering player:', error);
-
-        // IMPORTANT: Refund payment since Firestore add failed
-        await updateUserBalance(
-            authorizedUser.id,
-            name,
-            state.paymentAmount, // Positive = refund
-            `Refund for failed registration ${state.sessionDate}`
-        );
+    // Reset form
+    document.getElementById('signupForm').reset();
+    updateUI();
 
-        alert('Error registering. Payment refunded. Please try again.\n\nเกิดข้อผิดพลาด คืนเงินแล้ว กรุณาลองใหม่อีกครั้ง');
-    }
+    console.log('✅ Player registered:', name);
 }
 
 // ============================================
@@ -876,7 +1120,8 @@ async function handleSignup(e) {
  * Register a guest player (friend/family member)
  * - Guest takes one player slot
  * - Payment deducted from host's wallet
- * - Guest name format: "HostName friend: GuestName"
+ * - Stored as guestName + guestOf/guestOfName (host), optionally from a reusable guest profile
+ * - Limits and guest price come from config/guests (checked by registerPlayer)
  * - Displayed as: "GuestName 👤 (HostName)"
  * - If host cancels, all their guests are also cancelled
  */
@@ -917,96 +1162,438 @@ async function handleGuestRegistration() {
         return;
     }
 
-    const hostName = state.loggedInUser.name;
     const hostUserId = state.loggedInUser.userId;
 
-    // Prompt for guest name
-    const guestName = prompt('Enter guest name / ใส่ชื่อแขก:');
-    if (!guestName || !guestName.trim()) {
+    // Previous guest (profile) or a new name
+    const guest = await promptForGuest(hostUserId);
+    if (!guest) {
         return; // User cancelled or empty name
     }
 
-    const trimmedGuestName = guestName.trim();
-    const fullGuestName = `${hostName} friend: ${trimmedGuestName}`;
-
-    // Get FRESH player data from Firestore (not from state which might be stale)
-    const playersSnapshot = await playersRef().get();
-    const currentPlayerCount = playersSnapshot.size;
-    const currentPlayers = [];
-    playersSnapshot.forEach(doc => {
-        currentPlayers.push({ id: doc.id, ...doc.data() });
-    });
-
-    // Check if guest name already exists
-    if (currentPlayers.find(p => p.name === fullGuestName)) {
+    // Check if guest already registered (server checks again in its transaction)
+    if (state.players.some(p => p.guestOf === hostUserId &&
+        getGuestDisplayName(p).toLowerCase() === guest.name.toLowerCase())) {
         alert('This guest is already registered / แขกคนนี้ลงทะเบียนแล้ว');
         return;
     }
 
     // Check if there's space available
-    if (currentPlayerCount >= state.maxPlayers) {
+    if (state.players.length >= state.maxPlayers) {
         // Ask if user wants to join waiting list
         if (!confirm(`Session is full (${state.maxPlayers}/${state.maxPlayers})\n\nJoin waiting list? / เซสชันเต็มแล้ว เข้าสู่รายการรอ?`)) {
             return;
         }
     }
 
-    // Check balance from host and deduct payment IMMEDIATELY
+    // Check balance from host
     const currentBalance = state.loggedInUser.balance || 0;
     if (currentBalance < MINIMUM_BALANCE) {
         alert(`Insufficient balance / ยอดเงินไม่เพียงพอ\n\nCurrent: ${currentBalance} THB\nNeeded: ${MINIMUM_BALANCE} THB\n\nยอดเงินปัจจุบัน: ${currentBalance} บาท\nต้องการ: ${MINIMUM_BALANCE} บาท`);
         return;
     }
 
+    // Server: duplicate check + position + host wallet debit + guest in one transaction
+    const result = await registerPlayerOnServer(guest.guestName, guest.guestProfileId);
+    if (!result) {
+        return; // registerPlayerOnServer already showed the error
+    }
+
+    state.loggedInUser.balance = result.balance;
+    updateUI();
+
+    alert(`✅ Guest registered: ${guest.name}\n\nแขกลงทะเบียนแล้ว: ${guest.name}\n\nPosition: ${result.position}\n${result.isWaitingList ? 'Waiting list' : 'Active player'}\nPaid: ${result.amountPaid} THB`);
+
+    console.log('✅ Guest registered:', guest.name);
+}
+
+/**
+ * Ask for the guest: one of the host's previous guests (guest profile) by number, or a new name
+ * @param {string} hostUserId - Logged-in user's ID
+ * @returns {Promise<{name: string, guestName: string|null, guestProfileId: string|null}|null>} null when cancelled
+ */
+async function promptForGuest(hostUserId) {
+    let profiles = [];
     try {
-        // Deduct payment from host BEFORE adding guest to Firestore
-        const isWaitingList = currentPlayerCount >= state.maxPlayers;
-        const paymentSuccess = await updateUserBalance(
-            hostUserId,
-            hostName,
-            -state.paymentAmount, // Negative = deduct
-            isWaitingList
-                ? `Payment for guest (${trimmedGuestName}) on waiting list ${state.sessionDate}`
-                : `Payment for guest (${trimmedGuestName}) ${state.sessionDate}`
-        );
+        const snapshot = await guestProfilesRef.where('hostUserId', '==', hostUserId).get();
+        profiles = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => (b.timesPlayed || 0) - (a.timesPlayed || 0))
+            .slice(0, 9);
+    } catch (error) {
+        console.error('Error loading guest profiles:', error);
+    }
 
-        if (!paymentSuccess) {
-            // updateUserBalance already showed error message
-            return;
+    let message = 'Enter guest name / ใส่ชื่อแขก:';
+    if (profiles.length > 0) {
+        message = 'Previous guests / แขกที่เคยมา:\n\n' +
+            profiles.map((profile, index) => `${index + 1}. ${profile.name}`).join('\n') +
+            '\n\nEnter a number or a new guest name\nใส่หมายเลขหรือชื่อแขกใหม่:';
+    }
+
+    const answer = (prompt(message) || '').trim();
+    if (!answer) {
+        return null;
+    }
+
+    const profile = /^\d$/.test(answer) ? profiles[parseInt(answer) - 1] : null;
+    if (profile) {
+        return { name: profile.name, guestName: null, guestProfileId: profile.id };
+    }
+    return { name: answer, guestName: answer, guestProfileId: null };
+}
+
+/**
+ * Guest name from the structured guest fields (name holds "Host friend: Guest" for older versions)
+ * @param {Object} player - Player document data
+ * @returns {string}
+ */
+function getGuestDisplayName(player) {
+    return player.guestName || player.name;
+}
+
+// ============================================
+// MATCH ROTATION (doubles rounds, rotation.js)
+// ============================================
+// Staff generate the rounds from the checked-in players (admin app → Close → Rounds);
+// they are stored on the session document (rotation) and shown to everyone
+// ============================================
+
+/**
+ * Show the session's rounds - games with the logged-in player are highlighted
+ */
+function renderRotation() {
+    const section = document.getElementById('rotationSection');
+    if (!section) return;
+
+    const rotation = state.rotation;
+    if (!rotation || !rotation.rounds || rotation.rounds.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+
+    const ownIds = state.loggedInUser
+        ? state.players.filter(p => p.userId === state.loggedInUser.userId && !p.isGuest).map(p => p.id)
+        : [];
+    const name = (id) => rotation.names[id] || '?';
+    const container = document.getElementById('rotationRounds');
+    container.innerHTML = '';
+
+    rotation.rounds.forEach(round => {
+        const block = document.createElement('div');
+        block.style.marginBottom = '10px';
+
+        const time = MatchRotation.getRoundTime(rotation.startTime, rotation.minutesPerGame, round.round);
+        const title = document.createElement('div');
+        title.style.fontWeight = 'bold';
+        title.textContent = `Round ${round.round}${time ? ` (${time})` : ''}`;
+        block.appendChild(title);
+
+        round.matches.forEach(match => {
+            const line = document.createElement('div');
+            line.textContent = `Court ${match.court}: ${match.teamA.map(name).join(' & ')} vs ${match.teamB.map(name).join(' & ')}`;
+            if (match.teamA.concat(match.teamB).some(id => ownIds.includes(id))) {
+                line.style.fontWeight = 'bold';
+                line.style.color = '#059669';
+            }
+
+            const result = findRotationResult(round.round, match.court);
+            if (result) {
+                line.textContent += ` - ${result.scoreA}-${result.scoreB}`;
+            } else if (canRecordMatch(match.teamA.concat(match.teamB))) {
+                const scoreBtn = document.createElement('button');
+                scoreBtn.textContent = '✏️ Score';
+                scoreBtn.style.cssText = 'margin-left: 6px; padding: 2px 8px; border: 1px solid #0d9488; border-radius: 6px; background: white; color: #0d9488; cursor: pointer; font-size: 12px;';
+                scoreBtn.onclick = () => recordMatchScore(round.round, match.court);
+                line.appendChild(scoreBtn);
+            }
+            block.appendChild(line);
+        });
+
+        if (round.sittingOut.length > 0) {
+            const line = document.createElement('div');
+            line.style.color = '#6b7280';
+            line.textContent = `Sitting out / พัก: ${round.sittingOut.map(name).join(', ')}`;
+            block.appendChild(line);
         }
+        container.appendChild(block);
+    });
 
-        // Add guest to Firestore
-        const guestData = {
-            name: fullGuestName,
-            userId: hostUserId,
-            paid: true,  // Already paid at registration
-            isGuest: true, // Flag to identify guests
-            guestOf: hostUserId, // Link to host user
-            guestOfName: hostName, // Host's name for easy reference
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-            position: currentPlayerCount + 1
-        };
+    section.style.display = 'block';
+}
+
+/**
+ * Copy the rounds as text (for Line)
+ */
+async function shareRotation() {
+    if (!state.rotation) return;
+
+    const text = MatchRotation.formatText(state.rotation, `${state.sessionDay} ${state.sessionDate} ${state.sessionTime}`);
+    try {
+        await navigator.clipboard.writeText(text);
+        alert('✅ Rounds copied!\n\nคัดลอกตารางแข่งแล้ว!\n\nYou can now paste this in Line.');
+    } catch (error) {
+        console.error('❌ Error copying rounds:', error);
+        alert(text);
+    }
+}
+
+// ============================================
+// MATCH RESULTS & LEADERBOARD
+// ============================================
+// Players record the result of their own games (staff: any game) through
+// recordMatchResult; results live in sessions/{id}/matches and move to the
+// archive when the session closes. The leaderboard counts a whole season
+// ============================================
+
+/**
+ * Can the logged-in player record a game with these players?
+ * @param {string[]} playerIds - Player document IDs in the game
+ * @returns {boolean}
+ */
+function canRecordMatch(playerIds) {
+    if (!state.loggedInUser) return false;
+    return hasCapability('players.manage') ||
+        state.players.some(p => playerIds.includes(p.id) && p.userId === state.loggedInUser.userId);
+}
+
+/**
+ * Result recorded for a game of the rounds
+ * @param {number} round - Round number
+ * @param {number} court - Court number
+ * @returns {Object|undefined}
+ */
+function findRotationResult(round, court) {
+    return state.matches.find(m => m.round === round && m.court === court);
+}
+
+/**
+ * Show the session's recorded results
+ */
+function renderResults() {
+    const section = document.getElementById('resultsSection');
+    if (!section) return;
+
+    const activePlayers = state.players.slice(0, state.maxPlayers);
+    if (!state.loggedInUser || (state.matches.length === 0 && activePlayers.length < 4)) {
+        section.style.display = 'none';
+        return;
+    }
+
+    const list = document.getElementById('resultsList');
+    list.innerHTML = '';
+    if (state.matches.length === 0) {
+        list.innerHTML = '<p style="color: #6b7280;">No results yet / ยังไม่มีผลการแข่ง</p>';
+    }
+
+    state.matches.forEach(match => {
+        const line = document.createElement('div');
+        line.style.display = 'flex';
+        line.style.justifyContent = 'space-between';
+        line.style.alignItems = 'center';
+        line.style.padding = '4px 0';
+
+        const team = (players) => players.map(p => p.name).join(' & ');
+        const text = document.createElement('span');
+        text.textContent = `${match.round ? `R${match.round} ` : ''}${team(match.teamA)} ${match.scoreA}-${match.scoreB} ${team(match.teamB)}`;
+        if (match.userIds && match.userIds.includes(state.loggedInUser.userId)) {
+            text.style.fontWeight = 'bold';
+        }
+        line.appendChild(text);
+
+        if (match.recordedBy === state.loggedInUser.userId || hasCapability('players.manage')) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete result / ลบผลการแข่ง';
+            deleteBtn.style.cssText = 'background: none; border: none; cursor: pointer;';
+            deleteBtn.onclick = () => deleteMatchScore(match.id);
+            line.appendChild(deleteBtn);
+        }
+        list.appendChild(line);
+    });
+
+    section.style.display = 'block';
+}
+
+/**
+ * Ask for the four players of a game (games outside the rounds)
+ * @returns {{teamA: string[], teamB: string[]}|null}
+ */
+function promptForMatchTeams() {
+    const activePlayers = state.players.slice(0, state.maxPlayers);
+    const numbered = activePlayers.map((p, i) => `${i + 1}. ${getGuestDisplayName(p)}`).join('\n');
+
+    const pick = (label) => {
+        const input = prompt(`${label}: two numbers (e.g. 1 4)\n${label}: ใส่หมายเลข 2 คน\n\n${numbered}`);
+        if (input === null) return null;
+        const numbers = input.split(/[\s,&]+/).filter(Boolean).map(n => parseInt(n, 10));
+        if (numbers.length !== 2 || numbers.some(n => !(n >= 1 && n <= activePlayers.length))) {
+            alert('❌ Please enter two numbers from the list\n\nกรุณาใส่หมายเลข 2 คนจากรายชื่อ');
+            return null;
+        }
+        return numbers.map(n => activePlayers[n - 1].id);
+    };
+
+    const teamA = pick('Team A');
+    if (!teamA) return null;
+    const teamB = pick('Team B');
+    if (!teamB) return null;
+    return { teamA, teamB };
+}
+
+/**
+ * Record the score of a game - from the rounds (round + court) or any four players
+ * @param {number} [round] - Round number in the rounds
+ * @param {number} [court] - Court number in the round
+ */
+async function recordMatchScore(round, court) {
+    if (!state.loggedInUser) {
+        alert('Please log in first / กรุณาเข้าสู่ระบบก่อน');
+        return;
+    }
+
+    let teams;
+    const name = (id) => {
+        const player = state.players.find(p => p.id === id);
+        return player ? getGuestDisplayName(player) : ((state.rotation && state.rotation.names[id]) || '?');
+    };
+    if (round && court) {
+        const roundData = state.rotation && state.rotation.rounds.find(r => r.round === round);
+        const match = roundData && roundData.matches.find(m => m.court === court);
+        if (!match) return;
+        teams = { teamA: match.teamA, teamB: match.teamB };
+    } else {
+        teams = promptForMatchTeams();
+        if (!teams) return;
+    }
+
+    if (!canRecordMatch(teams.teamA.concat(teams.teamB))) {
+        alert('❌ Only players in the game can record its result\n\nเฉพาะผู้เล่นในเกมเท่านั้นที่บันทึกผลได้');
+        return;
+    }
+
+    const input = prompt(
+        `🏸 ${teams.teamA.map(name).join(' & ')} vs ${teams.teamB.map(name).join(' & ')}\n\n` +
+        `Score (e.g. 21-15) / คะแนน:`
+    );
+    if (input === null) return;
 
-        await playersRef().add(guestData);
+    const score = /^\s*(\d{1,2})\s*[-:]\s*(\d{1,2})\s*$/.exec(input);
+    if (!score || score[1] === score[2]) {
+        alert('❌ Please enter a score like 21-15 (no draws)\n\nกรุณาใส่คะแนน เช่น 21-15');
+        return;
+    }
 
-        alert(`✅ Guest registered: ${trimmedGuestName}\n\nแขกลงทะเบียนแล้ว: ${trimmedGuestName}\n\nPosition: ${guestData.position}\n${guestData.position <= state.maxPlayers ? 'Active player' : 'Waiting list'}`);
+    try {
+        const recordMatchResult = functions.httpsCallable('recordMatchResult');
+        await recordMatchResult({
+            sessionId: currentSessionId,
+            userId: state.loggedInUser.userId,
+            teamA: teams.teamA,
+            teamB: teams.teamB,
+            scoreA: parseInt(score[1], 10),
+            scoreB: parseInt(score[2], 10),
+            round: round || null,
+            court: court || null
+        });
+        console.log(`🏆 Result recorded: ${input}`);
+    } catch (error) {
+        console.error('❌ Error recording result:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
 
-        console.log('✅ Guest registered:', fullGuestName);
+/**
+ * Delete a wrongly entered result (rating changes are reversed)
+ * @param {string} matchId - Result document ID
+ */
+async function deleteMatchScore(matchId) {
+    if (!confirm('Delete this result?\n\nลบผลการแข่งนี้?')) return;
+
+    try {
+        const deleteMatchResult = functions.httpsCallable('deleteMatchResult');
+        await deleteMatchResult({ sessionId: currentSessionId, userId: state.loggedInUser.userId, matchId });
     } catch (error) {
-        console.error('Error registering guest:', error);
-
-        // IMPORTANT: Refund payment since Firestore add failed
-        await updateUserBalance(
-            hostUserId,
-            hostName,
-            state.paymentAmount, // Positive = refund
-            `Refund for failed guest registration (${trimmedGuestName})`
-        );
+        console.error('❌ Error deleting result:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Season leaderboard: wins, win rate, games and best partner per player
+ * @param {string} [season] - Season name (default: current season)
+ */
+async function showLeaderboard(season) {
+    const modal = document.getElementById('leaderboardModal');
+    const content = document.getElementById('leaderboardContent');
+    modal.style.display = 'flex';
+    content.innerHTML = '<p style="text-align: center; color: #666;">Loading... / กำลังโหลด...</p>';
+
+    try {
+        const getLeaderboard = functions.httpsCallable('getLeaderboard');
+        const { data } = await getLeaderboard({ season: season || null });
+
+        content.innerHTML = '';
+        const title = document.createElement('p');
+        title.style.fontWeight = 'bold';
+        title.textContent = `Season / ฤดูกาล ${data.season} - ${data.games} games`;
+        content.appendChild(title);
+
+        if (data.players.length === 0) {
+            const empty = document.createElement('p');
+            empty.style.color = '#6b7280';
+            empty.textContent = 'No results yet / ยังไม่มีผลการแข่ง';
+            content.appendChild(empty);
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 14px;';
+        const header = table.insertRow();
+        ['#', 'Player', 'W', 'GP', 'Win %', 'Best partner'].forEach(label => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            cell.style.cssText = 'text-align: left; padding: 4px; border-bottom: 1px solid #e5e7eb;';
+            header.appendChild(cell);
+        });
+
+        data.players.forEach((player, i) => {
+            const row = table.insertRow();
+            if (state.loggedInUser && player.userId === state.loggedInUser.userId) {
+                row.style.fontWeight = 'bold';
+                row.style.color = '#059669';
+            }
+            const partner = player.bestPartner ? `${player.bestPartner.name} (${player.bestPartner.wins}/${player.bestPartner.games})` : '-';
+            [i + 1, player.name, player.wins, player.games, `${player.winRate}%`, partner].forEach(value => {
+                const cell = row.insertCell();
+                cell.textContent = value;
+                cell.style.padding = '4px';
+            });
+        });
+        content.appendChild(table);
+    } catch (error) {
+        console.error('❌ Error loading leaderboard:', error);
+        content.innerHTML = '';
+        const message = document.createElement('p');
+        message.style.color = '#dc2626';
+        message.textContent = `❌ ${error.message}`;
+        content.appendChild(message);
+    }
+}
 
-        alert('Error registering guest. Payment refunded. Please try again.\n\nเกิดข้อผิดพลาด คืนเงินแล้ว กรุณาลองใหม่อีกครั้ง');
+/**
+ * Leaderboard of an earlier season
+ */
+function showOtherSeason() {
+    const season = prompt('Season (e.g. 2025) / ฤดูกาล:');
+    if (season && season.trim()) {
+        showLeaderboard(season.trim());
     }
 }
 
+function closeLeaderboard() {
+    document.getElementById('leaderboardModal').style.display = 'none';
+}
+
 // ============================================
 // LINE NOTIFICATION
 // ============================================
@@ -1240,7 +1827,7 @@ async function testSessionAnnouncement() {
 // ============================================
 // REGISTRATION - Cancellation
 // ============================================
-// Cancel registration, refund wallet
+// Cancel registration, refund by the cancellation policy (server-side)
 // ============================================
 
 async function cancelRegistration() {
@@ -1250,26 +1837,6 @@ async function cancelRegistration() {
         return;
     }
 
-    // NEW: Check if session is locked
-    if (isSessionLocked()) {
-        const lockTime = calculateSessionLockTime();
-        const lockTimeStr = lockTime ? lockTime.toLocaleString('en-GB', {
-            hour: '2-digit',
-            minute: '2-digit'
-        }) : 'N/A';
-
-        alert(
-            `🔒 Cancellation is not allowed / ไม่สามารถยกเลิกได้\n\n` +
-            `The session is locked ${LOCK_HOURS_BEFORE_SESSION} hours before start time.\n` +
-            `เซสชันถูกล็อค ${LOCK_HOURS_BEFORE_SESSION} ชั่วโมงก่อนเวลาเริ่ม\n\n` +
-            `Session time / เวลาเล่น: ${state.sessionTime}\n` +
-            `Locked since / ล็อคตั้งแต่: ${lockTimeStr}\n\n` +
-            `Your registration is now final.\n` +
-            `การลงทะเบียนของคุณเป็นสิ้นสุดแล้ว`
-        );
-        return;
-    }
-
     // Check if user is logged in
     if (!state.loggedInUser) {
         alert('Please log in first / กรุณาเข้าสู่ระบบก่อน');
@@ -1279,568 +1846,1078 @@ async function cancelRegistration() {
     const userName = state.loggedInUser.name;
     const userId = state.loggedInUser.userId;
 
-    // Find the player (may be null if host only registered guests)
-    const currentPlayer = state.players.find(p => p.name === userName);
+    // Own registration + guests (guests carry the host's userId)
+    const ownSpots = state.players.filter(p => p.userId === userId);
+    if (ownSpots.length === 0) {
+        alert('You are not registered / คุณไม่ได้ลงทะเบียน');
+        return;
+    }
 
-    // Check if user has registered guests
-    const userGuests = state.players.filter(p => p.guestOf === userId);
+    const playerId = chooseSpotToCancel(ownSpots);
+    if (playerId === undefined) {
+        return; // Cancelled
+    }
 
-    // If user is not registered AND has no guests, nothing to cancel
-    if (!currentPlayer && userGuests.length === 0) {
-        alert('You are not registered / คุณไม่ได้ลงทะเบียน');
+    const cancelOnServer = functions.httpsCallable('cancelRegistration');
+
+    // Ask the server which refund rule applies before confirming
+    let preview;
+    try {
+        const response = await cancelOnServer({ sessionId: currentSessionId, userId: userId, playerId, preview: true });
+        preview = response.data;
+    } catch (error) {
+        console.error('Error checking cancellation refund:', error);
+        alert('Error cancelling. Please try again.');
         return;
     }
 
-    // Calculate refund based on what will be cancelled
-    const selfRefund = currentPlayer ? state.paymentAmount : 0;
-    const guestRefund = userGuests.length * state.paymentAmount;
-    const totalRefund = selfRefund + guestRefund;
+    if (!confirm(buildCancellationMessage(preview))) {
+        return;
+    }
 
-    // Build confirmation message based on what will be cancelled
-    let confirmMessage = '';
+    try {
+        // Player removal + refunds in one server transaction
+        const response = await cancelOnServer({ sessionId: currentSessionId, userId: userId, playerId });
+        const result = response.data;
+        state.loggedInUser.balance = result.balance;
+
+        // Positions are recalculated server-side (onPlayerDeleted trigger) and the
+        // player moving up from the waiting list is notified by onPlayerPromoted.
+        // The Line notification is sent by the same trigger
+
+        // Own registration cancelled (not only guests) - show the registration form again
+        if (result.spots.some(spot => !spot.isGuest)) {
+            localStorage.removeItem('userName');
+            document.getElementById('successMessage').style.display = 'none';
+            document.getElementById('registrationForm').style.display = 'block';
+        }
+        updateUI();
 
-    if (currentPlayer && userGuests.length > 0) {
-        // Both self and guests
-        confirmMessage = `Cancel your registration and ${userGuests.length} guest(s)?\n`;
-        confirmMessage += `ยกเลิกการลงทะเบียนของคุณและแขก ${userGuests.length} คน?\n\n`;
-        confirmMessage += `You: ${userName}\n`;
-        confirmMessage += `Guests:\n`;
-        userGuests.forEach(g => {
-            const guestNameOnly = g.name.split(' friend: ')[1] || g.name.split(' venn: ')[1] || g.name.split(' + ')[1];
-            confirmMessage += `  - ${guestNameOnly}\n`;
-        });
-        confirmMessage += `\nTotal refund: ${totalRefund} THB\n`;
-        confirmMessage += `รวมเงินคืน: ${totalRefund} บาท`;
-    } else if (currentPlayer) {
-        // Only self (no guests)
-        confirmMessage = `Cancel your registration? / ยกเลิกการลงทะเบียน?\n\n`;
-        confirmMessage += `This will remove you from the player list.\n`;
-        confirmMessage += `Refund: ${state.paymentAmount} THB`;
+        console.log(`✅ Registration cancelled for: ${userName} (${result.spots.length} spot(s), refund ${result.totalRefund} THB)`);
+    } catch (error) {
+        console.error('Error cancelling registration:', error);
+        alert('Error cancelling. Please try again.');
+    }
+}
+
+/**
+ * Ask which spot to cancel when the user registered guests too
+ * @param {Object[]} ownSpots - Own registration and guests (state.players)
+ * @returns {string|null|undefined} Player document ID, null = all spots, undefined = cancelled
+ */
+function chooseSpotToCancel(ownSpots) {
+    if (ownSpots.length === 1) {
+        return ownSpots[0].id;
+    }
+
+    const choice = prompt(
+        'Cancel which spot? / ยกเลิกที่ไหน?\n\n' +
+        ownSpots.map((p, i) => `${i + 1} = ${p.isGuest ? getGuestDisplayName(p) : 'You / คุณ'}`).join('\n') +
+        `\n${ownSpots.length + 1} = All / ทั้งหมด`,
+        String(ownSpots.length + 1)
+    );
+    if (choice === null) {
+        return undefined;
+    }
+
+    const index = parseInt(choice, 10) - 1;
+    if (index === ownSpots.length) {
+        return null;
+    }
+    if (!(index >= 0 && index < ownSpots.length)) {
+        alert(`Enter a number from 1 to ${ownSpots.length + 1}`);
+        return undefined;
+    }
+    return ownSpots[index].id;
+}
+
+/**
+ * Confirmation text for cancelRegistration - every spot with the refund rule that applies
+ * @param {Object} preview - cancelRegistration preview result { spots, totalRefund }
+ * @returns {string} Message for confirm()
+ */
+function buildCancellationMessage(preview) {
+    const guestCount = preview.spots.filter(spot => spot.isGuest).length;
+    let message;
+
+    if (guestCount === 0) {
+        message = `Cancel your registration? / ยกเลิกการลงทะเบียน?\n\n`;
+    } else if (guestCount < preview.spots.length) {
+        message = `Cancel your registration and ${guestCount} guest(s)?\n`;
+        message += `ยกเลิกการลงทะเบียนของคุณและแขก ${guestCount} คน?\n\n`;
     } else {
-        // Only guests (user not registered themselves)
-        confirmMessage = `Cancel your ${userGuests.length} guest registration(s)?\n`;
-        confirmMessage += `ยกเลิกการลงทะเบียนแขก ${userGuests.length} คน?\n\n`;
-        confirmMessage += `Guests:\n`;
-        userGuests.forEach(g => {
-            const guestNameOnly = g.name.split(' friend: ')[1] || g.name.split(' venn: ')[1] || g.name.split(' + ')[1];
-            confirmMessage += `  - ${guestNameOnly}\n`;
+        message = `Cancel your ${guestCount} guest registration(s)?\n`;
+        message += `ยกเลิกการลงทะเบียนแขก ${guestCount} คน?\n\n`;
+    }
+
+    preview.spots.forEach(spot => {
+        const name = spot.isGuest ? (spot.guestName || spot.name) : 'You';
+        message += `${name}: ${spot.amount} THB - ${spot.label}\n`;
+    });
+
+    message += `\nTotal refund: ${preview.totalRefund} THB\n`;
+    message += `รวมเงินคืน: ${preview.totalRefund} บาท`;
+    return message;
+}
+
+/**
+ * Own registrations/guests that moved up from the waiting list and still need confirming
+ * @returns {Object[]} Players with pendingConfirmation
+ */
+function getPendingPromotions() {
+    if (!state.loggedInUser) return [];
+    return state.players.filter(p => p.pendingConfirmation && p.userId === state.loggedInUser.userId);
+}
+
+async function confirmPromotedSpot() {
+    const pending = getPendingPromotions();
+    if (pending.length === 0) return;
+
+    try {
+        const confirmPromotion = functions.httpsCallable('confirmPromotion');
+        for (const player of pending) {
+            await confirmPromotion({ sessionId: currentSessionId, playerId: player.id });
+        }
+        alert('✅ Spot confirmed - see you on court!\nยืนยันแล้ว แล้วพบกันที่สนาม!');
+    } catch (error) {
+        console.error('Error confirming spot:', error);
+        alert('Could not confirm: ' + error.message);
+    }
+}
+
+// ============================================
+// VENUE CHECK-IN
+// ============================================
+// The QR code at the venue opens the app with ?session=<id>&checkin=<code>
+// (shown on the admin check-in screen). The check-in itself is done by the
+// checkIn Cloud Function
+// ============================================
+
+const CHECK_IN_STORAGE_KEY = 'pendingCheckIn';
+
+/**
+ * Keep the check-in code from the URL (the player may still have to log in)
+ * and remove it from the address bar so a reload does not check in again
+ */
+function captureCheckInLink() {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('checkin');
+    const sessionId = params.get('session');
+    if (!code || !sessionId) return;
+
+    sessionStorage.setItem(CHECK_IN_STORAGE_KEY, JSON.stringify({ code, sessionId }));
+    currentSessionId = sessionId;
+    localStorage.setItem('selectedSessionId', sessionId);
+    window.history.replaceState(null, '', window.location.pathname);
+}
+
+/**
+ * Check in with the code captured from the QR code once the player is logged in
+ */
+async function processPendingCheckIn() {
+    const pending = sessionStorage.getItem(CHECK_IN_STORAGE_KEY);
+    if (!pending || !state.loggedInUser) return;
+
+    const { code, sessionId } = JSON.parse(pending);
+    try {
+        const checkIn = functions.httpsCallable('checkIn');
+        const response = await checkIn({ sessionId, userId: state.loggedInUser.userId, code });
+        sessionStorage.removeItem(CHECK_IN_STORAGE_KEY);
+
+        alert(response.data.alreadyCheckedIn
+            ? '📍 You are already checked in / เช็คอินแล้ว'
+            : `📍 Checked in - have a good game!\nเช็คอินเรียบร้อย ขอให้สนุก!\n\n${response.data.checkedIn.join('\n')}`);
+    } catch (error) {
+        console.error('Error checking in:', error);
+        if (error.code === 'functions/unavailable') {
+            return; // Offline - try again on the next login/reload
+        }
+        sessionStorage.removeItem(CHECK_IN_STORAGE_KEY);
+
+        switch (error.code) {
+            case 'functions/permission-denied':
+                alert('❌ This check-in code is not valid / รหัสเช็คอินไม่ถูกต้อง');
+                break;
+            case 'functions/failed-precondition':
+                alert('❌ Check-in is not open for this session\nยังไม่เปิดเช็คอินสำหรับเซสชันนี้');
+                break;
+            case 'functions/not-found':
+                alert('❌ You are not on the player list / คุณไม่อยู่ในรายชื่อผู้เล่น');
+                break;
+            default:
+                alert('Could not check in: ' + error.message);
+        }
+    }
+}
+
+// ============================================
+// SPOT TRANSFER
+// ============================================
+// Can't make it? Offer the spot to a member or the waiting list (also after
+// the lock). offerSpot / acceptSpotTransfer (Cloud Functions) move the spot
+// and the payment in one transaction
+// ============================================
+
+/**
+ * Own registrations/guests on the player list that can be given away
+ * @returns {Object[]} Players
+ */
+function getTransferableSpots() {
+    if (!state.loggedInUser) return [];
+    return state.players.filter(p => p.userId === state.loggedInUser.userId &&
+        p.position <= state.maxPlayers && !p.pendingConfirmation);
+}
+
+/**
+ * Spots other players offer to the logged-in user (by name, or to the waiting list they are on)
+ * @returns {Object[]} Players with transferOffer
+ */
+function getSpotOffersForMe() {
+    if (!state.loggedInUser) return [];
+    const userId = state.loggedInUser.userId;
+    const onWaitingList = state.players.some(p => p.userId === userId && !p.guestOf && p.position > state.maxPlayers);
+
+    return state.players.filter(p => p.transferOffer && p.userId !== userId &&
+        (p.transferOffer.toUserId ? p.transferOffer.toUserId === userId : onWaitingList));
+}
+
+async function offerMySpot() {
+    const spots = getTransferableSpots();
+    if (spots.length === 0) return;
+
+    const userId = state.loggedInUser.userId;
+    const offerSpot = functions.httpsCallable('offerSpot');
+
+    // Withdraw an open offer first
+    const offered = spots.find(p => p.transferOffer);
+    if (offered) {
+        const to = offered.transferOffer.toName || 'the waiting list / รายชื่อสำรอง';
+        if (!confirm(`Withdraw the offer of ${offered.name}'s spot to ${to}?\nยกเลิกการโอนที่?`)) return;
+        try {
+            await offerSpot({ sessionId: currentSessionId, userId, playerId: offered.id, withdraw: true });
+            alert('✅ Offer withdrawn / ยกเลิกการโอนแล้ว');
+        } catch (error) {
+            console.error('Error withdrawing spot offer:', error);
+            alert('Could not withdraw the offer: ' + error.message);
+        }
+        return;
+    }
+
+    let spot = spots[0];
+    if (spots.length > 1) {
+        const input = prompt(
+            'Which spot? / ที่ไหน?\n\n' +
+            spots.map((p, index) => `${index + 1}. ${p.name}`).join('\n'),
+            '1'
+        );
+        if (input === null) return;
+        spot = spots[parseInt(input, 10) - 1];
+        if (!spot) {
+            alert('Invalid number');
+            return;
+        }
+    }
+
+    const name = prompt(
+        `Transfer ${spot.name}'s spot / โอนที่\n\n` +
+        'Name of the member who takes it over,\n' +
+        'or leave empty to offer it to the waiting list.\n' +
+        'ชื่อสมาชิกที่จะรับที่ หรือเว้นว่างเพื่อให้รายชื่อสำรอง\n\n' +
+        `${spot.paid ? `You get ${state.paymentAmount} THB back when someone accepts.` : ''}`
+    );
+    if (name === null) return;
+
+    let toUser = null;
+    if (name.trim()) {
+        toUser = state.authorizedUsers.find(u => u.name.toLowerCase() === name.trim().toLowerCase());
+        if (!toUser) {
+            alert(`Member not found: ${name}\nไม่พบสมาชิก`);
+            return;
+        }
+    }
+
+    try {
+        await offerSpot({ sessionId: currentSessionId, userId, playerId: spot.id, toUserId: toUser ? toUser.id : null });
+        alert(`✅ Spot offered to ${toUser ? toUser.name : 'the waiting list'}\n` +
+            'You keep the spot until someone accepts.\nคุณยังมีที่จนกว่าจะมีคนรับ');
+    } catch (error) {
+        console.error('Error offering spot:', error);
+        alert('Could not offer the spot: ' + error.message);
+    }
+}
+
+async function acceptSpotOffer() {
+    const offer = getSpotOffersForMe()[0];
+    if (!offer) return;
+
+    const price = offer.paid ? state.paymentAmount : 0;
+    if (!confirm(
+        `Take over ${offer.transferOffer.fromName}'s spot?\nรับที่ของ ${offer.transferOffer.fromName}?\n\n` +
+        `${state.sessionDay} ${state.sessionDate} ${state.sessionTime}\n` +
+        (price > 0 ? `Price: ${price} THB (from your wallet)` : 'No payment') +
+        (offer.transferOffer.toUserId ? '' : '\n\nYour waiting list entry is replaced by this spot.')
+    )) return;
+
+    try {
+        const acceptSpotTransfer = functions.httpsCallable('acceptSpotTransfer');
+        const response = await acceptSpotTransfer({
+            sessionId: currentSessionId,
+            userId: state.loggedInUser.userId,
+            playerId: offer.id
         });
-        confirmMessage += `\nTotal refund: ${guestRefund} THB\n`;
-        confirmMessage += `รวมเงินคืน: ${guestRefund} บาท`;
+        state.loggedInUser.balance = response.data.balance;
+        updateUI();
+        alert(`✅ You're in! Position ${response.data.position}/${state.maxPlayers}\nได้ที่แล้ว!`);
+    } catch (error) {
+        console.error('Error accepting spot:', error);
+        alert(error.details && error.details.reason
+            ? getRegistrationErrorMessage(error)
+            : 'Could not take the spot: ' + error.message);
     }
+}
 
-    if (!confirm(confirmMessage)) {
+// ============================================
+// LOGGED IN USER CHECK
+// ============================================
+
+
+// ============================================
+// AUTHENTICATION - Auto Login
+// ============================================
+// Restore login from the Firebase Auth session
+// ============================================
+
+async function checkLoggedInUser() {
+    // Devices still on the old localStorage login are moved to Firebase Auth once
+    const legacyData = localStorage.getItem('loggedInUser');
+    if (legacyData) {
+        localStorage.removeItem('loggedInUser');
+        await migrateLegacyLogin(JSON.parse(legacyData));
+    }
+
+    const authUser = await getAuthUser();
+    if (!authUser) {
+        state.loggedInUser = null;
         return;
     }
 
     try {
-        // Check if there are waiting list players (position > maxPlayers)
-        const waitingListPlayers = state.players.filter(p => p.position > state.maxPlayers);
-        const hasWaitingList = waitingListPlayers.length > 0;
-
-        // Sort waiting list by position to get first person
-        const nextPlayer = hasWaitingList ?
-            waitingListPlayers.sort((a, b) => a.position - b.position)[0] : null;
-
-        // Cancel self registration (if registered)
-        if (currentPlayer) {
-            // Refund the payment amount for main player
-            await updateUserBalance(
-                userId,
-                userName,
-                state.paymentAmount,
-                `Refund for cancelled registration ${state.sessionDate}`
-            );
-
-            // Delete player from Firestore
-            await playersRef().doc(currentPlayer.id).delete();
-            console.log(`✅ Registration cancelled for: ${userName}`);
+        const userDoc = await usersRef.doc(authUser.uid).get();
+        if (!userDoc.exists) {
+            // User deleted
+            console.log('⚠️ User deleted, logging out');
+            await auth.signOut();
+            state.loggedInUser = null;
+            return;
         }
 
-        // Cancel and refund all guests
-        if (userGuests.length > 0) {
-            for (const guest of userGuests) {
-                const guestNameOnly = guest.name.split(' friend: ')[1] || guest.name.split(' venn: ')[1] || guest.name.split(' + ')[1];
-
-                // Refund guest payment
-                await updateUserBalance(
-                    userId,
-                    userName,
-                    state.paymentAmount,
-                    `Refund for cancelled guest: ${guestNameOnly}`
-                );
+        // Role and capabilities come from the server (same model the Cloud Functions enforce)
+        const getMyPermissions = functions.httpsCallable('getMyPermissions');
+        const permissions = await getMyPermissions();
+
+        const userData = userDoc.data();
+        state.loggedInUser = {
+            name: userData.name,
+            balance: userData.balance || 0,
+            userId: authUser.uid,
+            role: permissions.data.role, // user, moderator, or admin
+            capabilities: permissions.data.capabilities
+        };
+        state.isAdmin = hasCapability('session.manage');
+        // Ratings are only readable signed in (firestore.rules)
+        await loadRatingSettings();
+        console.log('✅ Auto-login successful for', state.loggedInUser.name);
+        checkTopUpRequestUpdates();
+        refreshPushToken();
+        processPendingCheckIn();
+    } catch (error) {
+        console.error('Error validating session:', error);
+    }
+}
 
-                // Delete guest from Firestore
-                await playersRef().doc(guest.id).delete();
+/**
+ * Check a capability of the logged-in user (from getMyPermissions - also enforced server-side)
+ * @param {string} capability - e.g. 'session.publish', 'wallet.adjust', 'users.manage'
+ * @returns {boolean}
+ */
+function hasCapability(capability) {
+    return !!(state.loggedInUser && (state.loggedInUser.capabilities || []).includes(capability));
+}
 
-                console.log(`✅ Guest cancelled: ${guest.name}`);
-            }
+/**
+ * Current Firebase Auth user - waits for Auth to restore a persisted session on page load
+ * @returns {Promise<firebase.User|null>}
+ */
+function getAuthUser() {
+    if (auth.currentUser) {
+        return Promise.resolve(auth.currentUser);
+    }
+    return new Promise(resolve => {
+        const unsubscribe = auth.onAuthStateChanged(user => {
+            unsubscribe();
+            resolve(user);
+        });
+    });
+}
+
+/**
+ * Sign in with the token the old auto-login kept in localStorage (one time)
+ * @param {Object} legacy - Old loggedInUser object { name, userId, authToken }
+ */
+async function migrateLegacyLogin(legacy) {
+    if (!legacy.userId || !legacy.authToken || auth.currentUser) {
+        return;
+    }
+
+    try {
+        const signIn = functions.httpsCallable('signIn');
+        const response = await signIn({ userId: legacy.userId, legacyToken: legacy.authToken });
+        await auth.signInWithCustomToken(response.data.token);
+        console.log('✅ Old auto-login moved to Firebase Auth for', legacy.name);
+    } catch (error) {
+        console.log('⚠️ Old auto-login could not be moved - please log in again:', error.message);
+    }
+}
+
+// ============================================
+// USER LOGOUT
+// ============================================
+
+
+// ============================================
+// AUTHENTICATION - Logout
+// ============================================
+// Clear localStorage and reload
+// ============================================
+
+async function logoutUser() {
+    // Confirm logout
+    if (!confirm('Logout? / ออกจากระบบ?')) {
+        return;
+    }
+
+    // This device should not get the next player's pushes
+    await removePushToken();
+
+    state.loggedInUser = null;
+    auth.signOut();
+    updateUI();
+}
+
+// ============================================
+// PASSWORD RESET (Admin)
+// ============================================
+
+/**
+ * Ask the admins for a new one-time code (requestPasswordReset Cloud Function)
+ * Only for users whose code was already used on another device - an admin sets
+ * the new code and gives it to the player, the app never sees it
+ */
+
+// ============================================
+// AUTHENTICATION - Password Reset
+// ============================================
+// Request a new one-time code from the admins
+// ============================================
+
+async function resetPassword() {
+    const name = document.getElementById('loginName').value.trim();
+
+    if (!name) {
+        alert('Please enter your name first / กรุณาใส่ชื่อก่อน');
+        return;
+    }
+
+    // Confirm request
+    if (!confirm(`Ask an admin for a new one-time code?\nขอรหัสใหม่จากแอดมิน?\n\nUser: ${name}`)) {
+        return;
+    }
+
+    try {
+        // Request, audit log and admin notification happen server-side
+        const requestPasswordReset = functions.httpsCallable('requestPasswordReset');
+        await requestPasswordReset({ name: name });
+
+        console.log('✅ Password reset requested for:', name);
+        alert(`✅ Request sent! An admin will give you a new one-time code.\n\n✅ ส่งคำขอแล้ว! แอดมินจะให้รหัสใหม่กับคุณ`);
+    } catch (error) {
+        const details = error.details || {};
+        if (details.reason === 'not-found') {
+            alert('User not found / ไม่พบผู้ใช้');
+        } else if (details.reason === 'already-simple') {
+            passwordResetNeededFor = null;
+            showNormalLogin();
+            alert('Your password is already simple. Please login normally.\nรหัสผ่านของคุณเป็นรหัสง่ายแล้ว กรุณาเข้าสู่ระบบตามปกติ');
+        } else {
+            console.error('Error requesting password reset:', error);
+            alert('Error sending the request. Please contact admin.');
         }
+    }
+}
+
+// ============================================
+// USER LOGIN
+// ============================================
+
+
+// ============================================
+// AUTHENTICATION - Login Handler
+// ============================================
+// Main login function with validation
+// ============================================
+
+async function handleLogin(e, nameParam = null, passwordParam = null) {
+    e.preventDefault();
+
+    const name = nameParam || document.getElementById('loginName').value.trim();
+    const password = passwordParam || document.getElementById('loginPassword').value;
 
-        // Note: Waiting list player already paid at registration, no need to charge again
-        if (nextPlayer) {
-            console.log(`✅ Player moving up from waiting list: ${nextPlayer.name} (already paid at registration)`);
+    console.log('🔍 Login attempt:', { name, passwordLength: password.length });
+
+    try {
+        // Password is checked by the signIn Cloud Function - the app only gets an Auth token
+        const signIn = functions.httpsCallable('signIn');
+        const response = await signIn({ name: name, password: password });
+        await auth.signInWithCustomToken(response.data.token);
+
+        const { role, capabilities } = response.data;
+        console.log('✅ User signed in:', { name, role });
+
+        // Show maintenance warning for non-admin users
+        if (state.maintenanceMode && capabilities.length === 0) {
+            alert('System is under maintenance. You can login but cannot register or cancel.\nระบบกำลังปรับปรุง คุณสามารถเข้าสู่ระบบได้ แต่ไม่สามารถลงทะเบียนหรือยกเลิกได้');
         }
 
-        // Recalculate positions so waiting list players move up correctly
-        await recalculatePlayerPositions();
+        // Auth session persists across reloads - no credentials in localStorage
+        await checkLoggedInUser();
+
+        console.log('🔄 Calling updateUI()...');
+        updateUI();
+        console.log('✅ Login complete!');
+        // No alert - just go straight to the app
+    } catch (error) {
+        console.log('❌ Login failed:', error.message);
+        const details = error.details || {};
+        if (details.reason === 'password-reset-needed') {
+            passwordResetNeededFor = name;
+            showResetPassword();
+            alert('Your one-time code was already used. Ask an admin for a new one.\nรหัสของคุณถูกใช้ไปแล้ว กรุณาขอรหัสใหม่จากแอดมิน');
+        } else if (details.reason === 'too-many-attempts') {
+            alert(`Too many failed attempts. Try again in ${details.minutes} minutes.\nใส่รหัสผิดหลายครั้งเกินไป ลองใหม่ใน ${details.minutes} นาที`);
+        } else {
+            alert('Invalid name or password / ชื่อหรือรหัสผ่านไม่ถูกต้อง');
+        }
+    }
+}
+
+// ============================================
+// SUCCESS MESSAGE
+// ============================================
+
+
+// ============================================
+// UI - Success Message
+// ============================================
+// Show player card after registration
+// ============================================
+
+function showSuccessMessage(player) {
+    document.getElementById('registrationForm').style.display = 'none';
+    document.getElementById('successMessage').style.display = 'block';
+}
+
+// ============================================
+// PROMPTPAY TOP-UP
+// ============================================
+// Dynamic PromptPay QR with the chosen amount and a reference tied to the player
+// Club PromptPay ID lives in config/payment (set by admin)
+// ============================================
+
+const TOPUP_AMOUNTS = [500, 1000];
+
+let clubPromptPayId = null;
+let selectedTopUpAmount = null;
+
+/**
+ * Skill ratings are hidden from players unless the club shows them (config/ratings),
+ * firestore.rules only lets players read ratings/{userId} then
+ */
+async function loadRatingSettings() {
+    try {
+        const configDoc = await db.collection('config').doc('ratings').get();
+        state.showRatings = configDoc.exists && configDoc.data().showToPlayers === true;
+        if (state.showRatings) {
+            const snapshot = await ratingsRef.get();
+            state.ratings = {};
+            snapshot.forEach(doc => {
+                state.ratings[doc.id] = doc.data();
+            });
+        }
+    } catch (error) {
+        console.error('Error loading rating settings:', error);
+    }
+}
+
+/**
+ * " ⭐1520" after a player's name when ratings are shown and the player has one
+ * @param {Object} player - Player document data
+ * @returns {string}
+ */
+function getRatingLabel(player) {
+    if (!state.showRatings || player.isGuest) return '';
+    const rating = state.ratings[player.userId];
+    return rating && typeof rating.rating === 'number' ? ` ⭐${rating.rating}` : '';
+}
+
+/**
+ * Load the club's PromptPay ID from config/payment
+ * @returns {Promise<string|null>}
+ */
+async function loadPromptPayId() {
+    if (clubPromptPayId) return clubPromptPayId;
+
+    try {
+        const configDoc = await db.collection('config').doc('payment').get();
+        clubPromptPayId = configDoc.exists ? (configDoc.data().promptPayId || null) : null;
+    } catch (error) {
+        console.error('Error loading PromptPay ID:', error);
+    }
+    return clubPromptPayId;
+}
+
+/**
+ * Reference for the logged-in player's transfer ("W" + start of user ID)
+ * @returns {string}
+ */
+function getTopUpReference() {
+    return PromptPay.formatReference(`W${state.loggedInUser.userId.substring(0, 10)}`);
+}
+
+async function showPromptPayTopUp() {
+    if (!state.loggedInUser || !state.loggedInUser.userId) {
+        alert('Please log in first / กรุณาเข้าสู่ระบบก่อน');
+        return;
+    }
+
+    const promptPayId = await loadPromptPayId();
+    if (!promptPayId) {
+        alert('PromptPay is not set up yet. Please pay cash to admin.\nยังไม่ได้ตั้งค่า PromptPay กรุณาจ่ายเงินสดให้แอดมิน');
+        return;
+    }
+
+    document.getElementById('promptPayAmounts').innerHTML = TOPUP_AMOUNTS.map(amount => `
+        <button onclick="generatePaymentQR(${amount})" class="btn" style="flex: 1; padding: 12px; background: #10b981; color: white; border: none; border-radius: 8px; font-weight: bold;">
+            ${amount.toLocaleString()} THB
+        </button>
+    `).join('');
+    document.getElementById('promptPayModal').style.display = 'flex';
+
+    generatePaymentQR(TOPUP_AMOUNTS[0]);
+}
 
-        // NOTE: Line notification is now sent automatically by Firestore trigger (onPlayerDeleted)
-        // No need to call sendLineCancellationNotification() from frontend anymore
-        // This ensures notification is sent even if user's phone/browser has issues
+/**
+ * Render the PromptPay QR for an amount in #promptPayQR
+ * @param {number} amount - THB
+ */
+function generatePaymentQR(amount) {
+    const qrContainer = document.getElementById('promptPayQR');
+    const reference = getTopUpReference();
 
-        // Clear localStorage
-        localStorage.removeItem('userName');
+    try {
+        const payload = PromptPay.buildPayload({
+            promptPayId: clubPromptPayId,
+            amount: amount,
+            reference: reference
+        });
 
-        // Hide success message and show registration form again
-        document.getElementById('successMessage').style.display = 'none';
-        document.getElementById('registrationForm').style.display = 'block';
+        const qr = qrcode(0, 'M');
+        qr.addData(payload);
+        qr.make();
+        qrContainer.innerHTML = qr.createImgTag(5, 8);
+        selectedTopUpAmount = amount;
 
-        console.log('✅ Registration cancelled for:', userName);
-        if (userGuests.length > 0) {
-            console.log(`✅ ${userGuests.length} guest(s) also cancelled`);
-        }
+        document.getElementById('promptPayInfo').innerHTML = `
+            <strong>${amount.toLocaleString()} THB</strong><br>
+            <span class="thai-text">อ้างอิง</span> <span class="eng-text">Ref</span>: <strong>${reference}</strong>
+        `;
+        console.log(`📱 PromptPay QR: ${amount} THB, ref ${reference}`);
     } catch (error) {
-        console.error('Error cancelling registration:', error);
-        alert('Error cancelling. Please try again.');
+        console.error('Error generating PromptPay QR:', error);
+        qrContainer.innerHTML = '';
+        alert('Could not create QR code / ไม่สามารถสร้าง QR ได้');
     }
 }
 
-// ============================================
-// PAYMENT MARKING (Self-Service Wallet Payment)
-// ============================================
-
-/**
- * Allow users to pay for their registration from their wallet
- * This is for players who were added by admin (paid: false)
- * and need to pay themselves instead of waiting for publish
- */
+function closePromptPayModal() {
+    document.getElementById('promptPayModal').style.display = 'none';
+}
 
 // ============================================
-// PAYMENT - Mark as Paid
+// TOP-UP REQUESTS
 // ============================================
-// Self-service payment (DISABLED)
+// Player uploads the payment slip, admin approves in the Top-ups queue
 // ============================================
 
-async function markAsPaid() {
-    // DISABLED: All payments are now processed at publish time
-    alert('⚠️ Payment function disabled.\n\nAll payments will be processed when admin publishes the session.\n\nฟังก์ชันชำระเงินถูกปิดใช้งาน\n\nการชำระเงินจะดำเนินการเมื่อผู้ดูแลเผยแพร่เซสชัน');
-    return;
-
-    // OLD CODE BELOW (disabled)
-    // Check if user is logged in
-    if (!state.loggedInUser) {
-        alert('Please log in first / กรุณาเข้าสู่ระบบก่อน');
-        return;
-    }
+const MAX_SLIP_SIZE = 5 * 1024 * 1024; // Same limit as storage.rules
 
-    const userName = state.loggedInUser.name;
-    const userId = state.loggedInUser.userId;
-    const currentBalance = state.loggedInUser.balance || 0;
+/**
+ * Upload the slip to Storage and send a top-up request for the amount shown in the QR
+ */
+async function submitTopUpRequest() {
+    const fileInput = document.getElementById('topUpSlip');
+    const file = fileInput.files[0];
 
-    // Find the player
-    const currentPlayer = state.players.find(p => p.name === userName);
-    if (!currentPlayer) {
-        alert('You must be registered first / คุณต้องลงทะเบียนก่อน');
+    if (!selectedTopUpAmount) {
+        alert('Please choose an amount first / กรุณาเลือกจำนวนเงินก่อน');
         return;
     }
-
-    // Check if already paid
-    if (currentPlayer.paid) {
-        alert('Already paid / ชำระแล้ว');
+    if (!file || !file.type.startsWith('image/')) {
+        alert('Please choose the slip image / กรุณาเลือกรูปสลิป');
         return;
     }
-
-    // Check if sufficient balance (must have minimum balance)
-    if (currentBalance < MINIMUM_BALANCE) {
-        alert(`Insufficient balance / ยอดเงินไม่เพียงพอ\n\nBalance: ${currentBalance} THB\nNeeded: ${MINIMUM_BALANCE} THB\n\nยอดเงิน: ${currentBalance} บาท\nต้องการ: ${MINIMUM_BALANCE} บาท\n\nPlease contact admin to top up your wallet.`);
+    if (file.size > MAX_SLIP_SIZE) {
+        alert('Image is too large (max 5 MB) / รูปใหญ่เกินไป (สูงสุด 5 MB)');
         return;
     }
 
-    // Confirm payment
-    if (!confirm(`Pay ${state.paymentAmount} THB from your wallet?\nชำระ ${state.paymentAmount} บาทจากกระเป๋าเงิน?\n\nCurrent balance: ${currentBalance} THB\nNew balance: ${currentBalance - state.paymentAmount} THB`)) {
-        return;
-    }
+    const submitBtn = document.getElementById('topUpSubmitBtn');
+    submitBtn.disabled = true;
 
     try {
-        // Deduct from wallet
-        const newBalance = currentBalance - state.paymentAmount;
-        await usersRef.doc(userId).update({
-            balance: newBalance
-        });
+        const userId = state.loggedInUser.userId;
+        const slipPath = `topupSlips/${userId}/${Date.now()}_${file.name.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
 
-        // Mark player as paid
-        await playersRef().doc(currentPlayer.id).update({
-            paid: true,
-            paidAt: firebase.firestore.FieldValue.serverTimestamp()
-        });
+        const uploadResult = await storage.ref(slipPath).put(file, { contentType: file.type });
+        const slipUrl = await uploadResult.ref.getDownloadURL();
 
-        // Add transaction record
-        await transactionsRef.add({
+        const createTopUpRequest = functions.httpsCallable('createTopUpRequest');
+        await createTopUpRequest({
             userId: userId,
-            userName: userName,
-            type: 'payment',
-            amount: -state.paymentAmount,
-            balance: newBalance,
-            reason: `Self-payment for ${state.sessionDay} ${state.sessionDate}`,
-            sessionId: currentSessionId,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp()
+            amount: selectedTopUpAmount,
+            reference: getTopUpReference(),
+            slipPath: slipPath,
+            slipUrl: slipUrl
         });
 
-        // Update local state
-        state.loggedInUser.balance = newBalance;
-        localStorage.setItem('loggedInUser', JSON.stringify(state.loggedInUser));
-
-        alert(`✅ Payment successful!\n\nยอดเงินใหม่: ${newBalance} THB`);
-
-        // Refresh UI
-        await checkLoggedInUser();
-        updateUI();
-
-        console.log('✅ Self-payment completed for:', userName);
+        fileInput.value = '';
+        closePromptPayModal();
+        alert(
+            `✅ Slip sent! / ส่งสลิปแล้ว!\n\n` +
+            `${selectedTopUpAmount} THB will be added when admin approves.\n` +
+            `จะเติมเงิน ${selectedTopUpAmount} บาท เมื่อแอดมินอนุมัติ`
+        );
     } catch (error) {
-        console.error('Error processing payment:', error);
-        alert('Error processing payment. Please try again.');
+        console.error('Error submitting top-up request:', error);
+        alert('Could not send slip. Please try again.\nส่งสลิปไม่สำเร็จ กรุณาลองใหม่');
+    } finally {
+        submitBtn.disabled = false;
     }
 }
 
-// ============================================
-// LOGGED IN USER CHECK
-// ============================================
+/**
+ * Show approved/rejected top-up requests the player hasn't seen yet
+ * (push notifications are only sent to players who enabled them)
+ */
+async function checkTopUpRequestUpdates() {
+    if (!state.loggedInUser || !state.loggedInUser.userId) return;
 
+    try {
+        const snapshot = await topupRequestsRef
+            .where('userId', '==', state.loggedInUser.userId)
+            .where('playerNotified', '==', false)
+            .get();
 
-// ============================================
-// AUTHENTICATION - Auto Login
-// ============================================
-// Restore login from localStorage
-// ============================================
+        for (const doc of snapshot.docs) {
+            const topup = doc.data();
+            if (topup.status === 'pending') continue;
 
-async function checkLoggedInUser() {
-    const loggedInData = localStorage.getItem('loggedInUser');
-    if (loggedInData) {
-        state.loggedInUser = JSON.parse(loggedInData);
-
-        // If userId or role is missing (old localStorage format), refresh from database
-        if (!state.loggedInUser.userId || !state.loggedInUser.role) {
-            console.log('⚠️ Outdated user data in localStorage, refreshing from database:', state.loggedInUser.name);
-            const user = state.authorizedUsers.find(u => u.name === state.loggedInUser.name);
-            if (user) {
-                // Update with fresh data from database
-                state.loggedInUser.userId = user.id;
-                state.loggedInUser.balance = user.balance || 0;
-                state.loggedInUser.role = user.role || 'user';
-                state.loggedInUser.authToken = user.password; // Keep authToken for validation
-                localStorage.setItem('loggedInUser', JSON.stringify(state.loggedInUser));
-                console.log('✅ User data refreshed from database:', state.loggedInUser);
+            if (topup.status === 'approved') {
+                alert(`✅ Top-up approved / เติมเงินสำเร็จ\n\n+${topup.amount} THB`);
             } else {
-                console.error('❌ User not found, clearing localStorage');
-                localStorage.removeItem('loggedInUser');
-                state.loggedInUser = null;
-                return;
-            }
-        }
-
-        // Validate authToken (UUID password) against database
-        if (state.loggedInUser && state.loggedInUser.userId && state.loggedInUser.authToken) {
-            try {
-                const userDoc = await usersRef.doc(state.loggedInUser.userId).get();
-                if (userDoc.exists) {
-                    const userData = userDoc.data();
-
-                    // Check if stored authToken matches current password in database
-                    if (userData.password === state.loggedInUser.authToken) {
-                        // Valid session - update balance and role
-                        state.loggedInUser.balance = userData.balance || 0;
-                        state.loggedInUser.role = userData.role || 'user';
-                        localStorage.setItem('loggedInUser', JSON.stringify(state.loggedInUser));
-                        console.log('✅ Auto-login successful for', state.loggedInUser.name);
-                    } else {
-                        // Password changed (admin reset) - force re-login
-                        console.log('⚠️ Password changed, logging out', state.loggedInUser.name);
-                        localStorage.removeItem('loggedInUser');
-                        state.loggedInUser = null;
-                    }
-                } else {
-                    // User deleted
-                    console.log('⚠️ User deleted, logging out');
-                    localStorage.removeItem('loggedInUser');
-                    state.loggedInUser = null;
-                }
-            } catch (error) {
-                console.error('Error validating session:', error);
+                alert(
+                    `❌ Top-up rejected / การเติมเงินถูกปฏิเสธ\n\n` +
+                    `${topup.amount} THB${topup.rejectReason ? `\n${topup.rejectReason}` : ''}\n\n` +
+                    `Please contact admin / กรุณาติดต่อแอดมิน`
+                );
             }
-        } else if (state.loggedInUser && state.loggedInUser.userId) {
-            // Old format without authToken - FORCE RE-LOGIN to upgrade to UUID system
-            console.log('⚠️ Old session format detected - forcing re-login to upgrade to UUID system');
-            localStorage.removeItem('loggedInUser');
-            state.loggedInUser = null;
-            alert('Security upgrade: Please log in again to activate secure auto-login.\n\nอัปเกรดความปลอดภัย: กรุณาเข้าสู่ระบบอีกครั้งเพื่อเปิดใช้งานการเข้าสู่ระบบอัตโนมัติที่ปลอดภัย');
+            await topupRequestsRef.doc(doc.id).update({ playerNotified: true });
         }
+    } catch (error) {
+        console.error('Error checking top-up requests:', error);
     }
 }
 
 // ============================================
-// USER LOGOUT
-// ============================================
-
-
-// ============================================
-// AUTHENTICATION - Logout
-// ============================================
-// Clear localStorage and reload
-// ============================================
-
-function logoutUser() {
-    // Confirm logout
-    if (!confirm('Logout? / ออกจากระบบ?')) {
-        return;
-    }
-
-    state.loggedInUser = null;
-    localStorage.removeItem('loggedInUser');
-    updateUI();
-}
-
-// ============================================
-// PASSWORD RESET (Self-Service)
-// ============================================
-
-/**
- * Reset password to default (123) for users with UUID passwords
- * Logs reset in Firestore and sends Line notification
- */
-
-// ============================================
-// AUTHENTICATION - Password Reset
-// ============================================
-// Reset password to 123
-// ============================================
-
-async function resetPassword() {
-    const name = document.getElementById('loginName').value.trim();
+// NOTIFICATION SETTINGS
+// ============================================
+// Player chooses channels per event - stored server-side (notificationPreferences)
+// ============================================
+
+// Labels for notifications.EVENTS / CHANNELS in functions/notifications.js
+const NOTIFICATION_EVENT_LABELS = {
+    'registration': 'New registrations / มีคนลงทะเบียน',
+    'cancellation': 'Cancellations / มีคนยกเลิก',
+    'slot-available': 'Spot available / มีที่ว่าง',
+    'low-balance': 'Low balance / ยอดเงินต่ำ',
+    'session-published': 'New session / เซสชันใหม่',
+    'priority-window': 'Regulars first / ผู้เล่นประจำลงก่อน',
+    'lottery-result': 'Lottery result / ผลจับฉลาก',
+    'session-reminder': 'Session reminder / เตือนก่อนเล่น',
+    'waitlist-promoted': 'Off the waiting list / ได้ที่จากรายชื่อสำรอง',
+    'topup-reviewed': 'Top-up result / ผลการเติมเงิน',
+    'wallet-topped-up': 'Balance topped up / เติมเงินแล้ว',
+    'no-show': 'Missed session warning / แจ้งเตือนไม่มาเล่น',
+    'spot-offered': 'Spot offered to me / มีคนโอนที่ให้',
+    'spot-transferred': 'My spot taken over / มีคนรับที่ของฉัน',
+    'password-reset': 'Password reset requests / คำขอรีเซ็ตรหัสผ่าน',
+    'test': 'Test notifications / ทดสอบการแจ้งเตือน'
+};
 
-    if (!name) {
-        alert('Please enter your name first / กรุณาใส่ชื่อก่อน');
-        return;
-    }
+const NOTIFICATION_CHANNEL_LABELS = {
+    push: '📱 Push',
+    email: '📧 Email',
+    telegram: '✈️ Telegram',
+    line: '💬 Line'
+};
 
-    // Find user (EXACT match only - "Gei" will NOT match "Geir")
-    const user = state.authorizedUsers.find(u => u.name === name);
+// Events only staff / admins receive (hidden for everyone else)
+const STAFF_NOTIFICATION_EVENTS = ['registration', 'cancellation'];
+const ADMIN_NOTIFICATION_EVENTS = ['password-reset', 'test'];
 
-    if (!user) {
-        alert('User not found / ไม่พบผู้ใช้');
-        return;
-    }
+let notificationSettings = null; // { events, channels } from getNotificationPreferences
 
-    // Check if user has UUID password (long password)
-    if (user.password.length < 20) {
-        alert('Your password is already simple. Please login normally.\nรหัสผ่านของคุณเป็นรหัสง่ายแล้ว กรุณาเข้าสู่ระบบตามปกติ');
-        return;
-    }
+async function showNotificationSettings() {
+    if (!state.loggedInUser) return;
 
-    // Confirm reset
-    if (!confirm(`Reset password to default?\nรีเซ็ตรหัสผ่านเป็นค่าเริ่มต้น?\n\nUser: ${name}\n\nYou can login with default password after reset.\nคุณสามารถเข้าสู่ระบบด้วยรหัสเริ่มต้นหลังจากรีเซ็ต`)) {
-        return;
-    }
+    const body = document.getElementById('notificationSettingsBody');
+    body.innerHTML = '<p>Loading... / กำลังโหลด...</p>';
+    document.getElementById('notificationModal').style.display = 'block';
 
     try {
-        const defaultPassword = '123'; // Hardcoded default password
-
-        // Update password in database
-        await usersRef.doc(user.id).update({
-            password: defaultPassword
-        });
-
-        // Log password reset
-        await passwordResetsRef.add({
-            userId: user.id,
-            userName: name,
-            oldPassword: user.password.substring(0, 10) + '...', // Store partial for audit
-            newPassword: defaultPassword,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-            ipAddress: 'N/A' // Could add IP detection if needed
+        const getNotificationPreferences = functions.httpsCallable('getNotificationPreferences');
+        const response = await getNotificationPreferences();
+        const { preferences, events, channels } = response.data;
+
+        const visibleEvents = events.filter(event =>
+            (!STAFF_NOTIFICATION_EVENTS.includes(event) || hasCapability('players.manage')) &&
+            (!ADMIN_NOTIFICATION_EVENTS.includes(event) || hasCapability('users.manage')));
+        notificationSettings = { events: visibleEvents, channels };
+
+        let html = '<table style="width: 100%; border-collapse: collapse; font-size: 14px;"><tr><th></th>';
+        channels.forEach(channel => {
+            html += `<th style="padding: 4px;">${NOTIFICATION_CHANNEL_LABELS[channel]}</th>`;
         });
+        html += '</tr>';
 
-        // Send Line notification
-        // DISABLED: Line notifications stopped working reliably (quota issues)
-        /*
-        try {
-            const sendPasswordResetNotification = functions.httpsCallable('sendPasswordResetNotification');
-            await sendPasswordResetNotification({
-                userName: name,
-                timestamp: new Date().toLocaleString('en-GB', {
-                    timeZone: 'Asia/Bangkok',
-                    day: '2-digit',
-                    month: '2-digit',
-                    year: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                })
+        visibleEvents.forEach(event => {
+            html += `<tr><td style="padding: 6px 4px; text-align: left;">${NOTIFICATION_EVENT_LABELS[event] || event}</td>`;
+            channels.forEach(channel => {
+                const checked = (preferences.events[event] || []).includes(channel) ? 'checked' : '';
+                html += `<td style="text-align: center;"><input type="checkbox" id="notif-${event}-${channel}" ${checked}></td>`;
             });
-            console.log('✅ Line notification sent for password reset');
-        } catch (error) {
-            console.error('❌ Line notification failed:', error);
-            // Don't block reset if Line fails
-        }
-        */
-        console.log('📤 Line notifications disabled (password reset)');
+            html += '</tr>';
+        });
+        html += '</table>';
+
+        html += `
+            <label style="display: block; margin-top: 15px; text-align: left;">📧 Email
+                <input type="email" id="notifEmail" value="${preferences.email}" placeholder="name@example.com" style="width: 100%;">
+            </label>
+            <label style="display: block; margin-top: 10px; text-align: left;">✈️ Telegram chat ID
+                <input type="text" id="notifTelegramChatId" value="${preferences.telegramChatId}" style="width: 100%;">
+            </label>
+            ${isPushEnabledOnDevice()
+                ? '<p style="margin-top: 10px; color: #10b981; font-size: 13px;">✅ Push enabled on this device / เปิดการแจ้งเตือนบนอุปกรณ์นี้แล้ว</p>'
+                : `<button type="button" onclick="enablePushNotifications()" style="margin-top: 15px; background: #3b82f6; color: white; width: 100%; padding: 10px; border-radius: 8px; border: none; font-size: 14px; cursor: pointer;">
+                    📱 Enable push on this device / เปิดการแจ้งเตือนบนอุปกรณ์นี้
+                </button>`}`;
+        body.innerHTML = html;
+    } catch (error) {
+        console.error('Error loading notification settings:', error);
+        body.innerHTML = '<p>Could not load settings / ไม่สามารถโหลดการตั้งค่า</p>';
+    }
+}
 
-        // Reload authorized users to get updated password
-        await loadAuthorizedUsers();
+async function saveNotificationSettings() {
+    if (!notificationSettings) return;
 
-        // Auto-login with new password
-        console.log('🔐 Auto-logging in with new password...');
-        try {
-            await handleLogin({ preventDefault: () => {} }, name, defaultPassword);
-            console.log('✅ Password reset and auto-login completed for:', name);
+    const events = {};
+    notificationSettings.events.forEach(event => {
+        events[event] = notificationSettings.channels.filter(channel =>
+            document.getElementById(`notif-${event}-${channel}`).checked);
+    });
 
-            alert(`✅ Password reset successful! You are now logged in.\n\nIMPORTANT: If you have issues, restart your browser and open the link again.\n\n✅ รีเซ็ตรหัสผ่านสำเร็จ! คุณเข้าสู่ระบบแล้ว\n\nสำคัญ: หากมีปัญหา ให้รีสตาร์ทเบราว์เซอร์และเปิดลิงก์ใหม่`);
-        } catch (error) {
-            console.error('Auto-login failed:', error);
-            // If auto-login fails, show manual login message
-            alert(`✅ Password reset successful!\n\nPlease restart your browser and open the link again.\n\n✅ รีเซ็ตรหัสผ่านสำเร็จ!\n\nกรุณารีสตาร์ทเบราว์เซอร์และเปิดลิงก์ใหม่`);
-        }
+    try {
+        const saveNotificationPreferences = functions.httpsCallable('saveNotificationPreferences');
+        await saveNotificationPreferences({
+            events: events,
+            email: document.getElementById('notifEmail').value.trim(),
+            telegramChatId: document.getElementById('notifTelegramChatId').value.trim()
+        });
+        alert('✅ Saved / บันทึกแล้ว');
+        closeNotificationSettings();
     } catch (error) {
-        console.error('Error resetting password:', error);
-        alert('Error resetting password. Please try again or contact admin.');
+        console.error('Error saving notification settings:', error);
+        alert('Error saving settings: ' + error.message);
     }
 }
 
-// ============================================
-// USER LOGIN
-// ============================================
-
+function closeNotificationSettings() {
+    document.getElementById('notificationModal').style.display = 'none';
+}
 
 // ============================================
-// AUTHENTICATION - Login Handler
+// PUSH NOTIFICATIONS (FCM)
 // ============================================
-// Main login function with validation
+// Any logged-in player can enable push - one token per device
+// in authorizedUsers.fcmTokens (this device's token in localStorage 'pushToken')
 // ============================================
 
-async function handleLogin(e, nameParam = null, passwordParam = null) {
-    e.preventDefault();
-
-    const name = nameParam || document.getElementById('loginName').value.trim();
-    const password = passwordParam || document.getElementById('loginPassword').value;
-
-    console.log('🔍 Login attempt:', { name, passwordLength: password.length });
+// Web Push certificate (Firebase Console > Project Settings > Cloud Messaging)
+const FCM_VAPID_KEY = 'BF5cc-ESVvkSkx0S8dbvTK9cD5fdLZDB6AKt_jqZPmmhQR5veZNfPZ8XKeVgcDR4C95pZ6gQx__KfCJVk-gUkho';
 
-    // Check if user is authorized
-    const authorizedUser = state.authorizedUsers.find(u => u.name === name && u.password === password);
+// Devices per player - same limit as firestore.rules, the oldest device is dropped
+const MAX_PUSH_DEVICES = 10;
 
-    if (authorizedUser) {
-        console.log('✅ User found:', { name, role: authorizedUser.role, passwordLength: password.length });
+let messaging = null;
 
-        // Show maintenance warning for non-admin users
-        if (state.maintenanceMode && authorizedUser.role !== 'admin' && authorizedUser.role !== 'moderator') {
-            alert('System is under maintenance. You can login but cannot register or cancel.\nระบบกำลังปรับปรุง คุณสามารถเข้าสู่ระบบได้ แต่ไม่สามารถลงทะเบียนหรือยกเลิกได้');
-        }
+/**
+ * Register the messaging service worker and set up Firebase Messaging (once)
+ * @returns {Promise<ServiceWorkerRegistration|null>} null when the browser can't receive pushes
+ */
+async function getPushRegistration() {
+    if (!('serviceWorker' in navigator) || !('Notification' in window) || !firebase.messaging) {
+        return null;
+    }
 
-        let permanentPassword = authorizedUser.password;
+    const swPath = window.location.hostname === 'localhost'
+        ? '/firebase-messaging-sw.js'
+        : '/badminton-signup/firebase-messaging-sw.js';
+    const registration = await navigator.serviceWorker.register(swPath);
+    await navigator.serviceWorker.ready;
 
-        // If password is short (< 5 chars), it's a temporary code - generate UUID
-        if (password.length < 5) {
-            console.log('🔐 Short password detected - generating UUID for', name);
+    if (!messaging) {
+        messaging = firebase.messaging();
 
-            // Generate UUID (using crypto.randomUUID or fallback)
-            permanentPassword = self.crypto?.randomUUID?.() ||
-                'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-                    const r = Math.random() * 16 | 0;
-                    const v = c == 'x' ? r : (r & 0x3 | 0x8);
-                    return v.toString(16);
-                });
+        // App is open - the service worker only shows background pushes
+        messaging.onMessage((payload) => {
+            console.log('📬 Push received:', payload);
+            registration.showNotification(payload.notification?.title || 'Badminton', {
+                body: payload.notification?.body || '',
+                icon: 'icon-192.png',
+                tag: payload.data?.type || 'badminton-notification',
+                data: payload.data
+            });
+        });
+    }
 
-            console.log('🔑 Generated UUID, attempting to save to Firestore...');
+    return registration;
+}
 
-            // Update user's password in database to UUID
-            try {
-                await usersRef.doc(authorizedUser.id).update({
-                    password: permanentPassword
-                });
-                console.log('✅ UUID password saved for', name);
-            } catch (error) {
-                console.error('❌ Error saving UUID password:', error);
-                alert('Error setting up secure password. Please try again.\n\nError: ' + error.message);
-                return;
-            }
-        } else {
-            console.log('✅ Using existing long password (>= 5 chars)');
-        }
+function isPushEnabledOnDevice() {
+    return 'Notification' in window
+        && Notification.permission === 'granted'
+        && !!localStorage.getItem('pushToken');
+}
 
-        console.log('💾 Saving to localStorage and state...');
+/**
+ * Add this device's token to the logged-in player
+ * @param {string} token - FCM registration token
+ */
+async function savePushToken(token) {
+    const userRef = usersRef.doc(state.loggedInUser.userId);
+    const userDoc = await userRef.get();
+    const otherTokens = (userDoc.data().fcmTokens || []).filter(t => t !== token);
+
+    await userRef.update({
+        fcmTokens: [...otherTokens.slice(-(MAX_PUSH_DEVICES - 1)), token],
+        fcmTokenUpdatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    localStorage.setItem('pushToken', token);
+    console.log('📱 Push token saved for', state.loggedInUser.name);
+}
 
-        // Save login info with permanent password (UUID or existing long password)
-        state.loggedInUser = {
-            name: authorizedUser.name,
-            balance: authorizedUser.balance || 0,
-            userId: authorizedUser.id,
-            authToken: permanentPassword, // Store UUID for auto-login
-            role: authorizedUser.role || 'user' // user, moderator, or admin
-        };
-        localStorage.setItem('loggedInUser', JSON.stringify(state.loggedInUser));
+/**
+ * Stop pushes to this device (logout) - needs the player to still be signed in
+ */
+async function removePushToken() {
+    const token = localStorage.getItem('pushToken');
+    if (!token || !state.loggedInUser) return;
 
-        console.log('🔄 Calling updateUI()...');
-        updateUI();
-        console.log('✅ Login complete!');
-        // No alert - just go straight to the app
-    } else {
-        console.log('❌ User not found or wrong password');
-        alert('Invalid name or password / ชื่อหรือรหัสผ่านไม่ถูกต้อง');
+    try {
+        await usersRef.doc(state.loggedInUser.userId).update({
+            fcmTokens: firebase.firestore.FieldValue.arrayRemove(token)
+        });
+    } catch (error) {
+        console.error('Error removing push token:', error);
     }
+    localStorage.removeItem('pushToken');
 }
 
-// ============================================
-// SUCCESS MESSAGE
-// ============================================
+async function enablePushNotifications() {
+    if (!state.loggedInUser) {
+        alert('Please login first / กรุณาเข้าสู่ระบบก่อน');
+        return;
+    }
+
+    try {
+        const registration = await getPushRegistration();
+        if (!registration) {
+            alert('Push notifications are not supported in this browser.\n' +
+                'iPhone: add the app to the Home Screen first.\n\n' +
+                'เบราว์เซอร์นี้ไม่รองรับการแจ้งเตือน (iPhone: เพิ่มแอปไปที่หน้าจอหลักก่อน)');
+            return;
+        }
 
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            alert('Notifications are blocked - allow them in the browser settings.\n\nกรุณาอนุญาตการแจ้งเตือนในการตั้งค่าเบราว์เซอร์');
+            return;
+        }
 
-// ============================================
-// UI - Success Message
-// ============================================
-// Show player card after registration
-// ============================================
+        const token = await messaging.getToken({
+            vapidKey: FCM_VAPID_KEY,
+            serviceWorkerRegistration: registration
+        });
+        if (!token) {
+            alert('Could not enable push. Please refresh the page and try again.\n\nไม่สามารถเปิดการแจ้งเตือนได้ กรุณารีเฟรชหน้า');
+            return;
+        }
 
-function showSuccessMessage(player) {
-    document.getElementById('registrationForm').style.display = 'none';
-    document.getElementById('successMessage').style.display = 'block';
+        await savePushToken(token);
+        alert('✅ Push enabled on this device / เปิดการแจ้งเตือนแล้ว');
 
-    // DISABLED: Payment is now handled via wallet system, no need for "I have paid" button
-    // generatePaymentQR();
+        if (document.getElementById('notificationModal').style.display === 'block') {
+            showNotificationSettings();
+        }
+    } catch (error) {
+        console.error('Error enabling push notifications:', error);
+        alert('Error enabling push notifications: ' + error.message);
+    }
 }
 
-// DISABLED: Payment QR code - now using wallet system instead
-/*
-function generatePaymentQR() {
-    const qrContainer = document.getElementById('qrCode');
+/**
+ * Keep this device's token current after login (FCM tokens rotate) - never asks for permission
+ */
+async function refreshPushToken() {
+    if (!state.loggedInUser || !isPushEnabledOnDevice()) return;
 
-    // Check if current user has already paid
-    if (!state.loggedInUser) return;
+    try {
+        const registration = await getPushRegistration();
+        if (!registration) return;
 
-    const userName = state.loggedInUser.name;
-    const currentPlayer = state.players.find(p => p.name === userName);
-    const hasPaid = currentPlayer && currentPlayer.paid;
-
-    if (hasPaid) {
-        // Already paid - show green button with "จ่ายแล้ว ✓"
-        qrContainer.innerHTML = `
-            <div style="text-align: center;">
-                <button style="padding: 12px 24px; background: #10b981; color: white; border: none; border-radius: 8px; font-size: 16px; cursor: not-allowed; font-weight: bold;" disabled>
-                    <span class="thai-text">จ่ายแล้ว ✓</span><br><span class="eng-text" style="color: rgba(255,255,255,0.8);">Paid</span>
-                </button>
-            </div>
-        `;
-    } else {
-        // Not paid yet - show gray button with "I have paid"
-        qrContainer.innerHTML = `
-            <div style="text-align: center;">
-                <button onclick="markAsPaid()" id="paymentButton" style="padding: 12px 24px; background: #6b7280; color: white; border: none; border-radius: 8px; font-size: 16px; cursor: pointer; font-weight: bold;">
-                    I have paid<br>ฉันจ่ายแล้ว
-                </button>
-            </div>
-        `;
+        const token = await messaging.getToken({
+            vapidKey: FCM_VAPID_KEY,
+            serviceWorkerRegistration: registration
+        });
+        if (token && token !== localStorage.getItem('pushToken')) {
+            await removePushToken();
+            await savePushToken(token);
+        }
+    } catch (error) {
+        console.log('📱 Push token refresh failed:', error.message);
     }
 }
-*/
 
 // Get current player from localStorage
 
@@ -1903,8 +2980,7 @@ function updateUI() {
         // Check if session is published
         if (!state.published) {
             // Session unpublished - show draft message for non-admin users
-            const userRole = state.loggedInUser.role || 'user';
-            if (userRole === 'user') {
+            if (!hasCapability('session.publish')) {
                 registrationFormEl.style.display = 'block';
                 cancelBtnEl.style.display = 'none';
                 document.getElementById('successMessage').style.display = 'none';
@@ -1941,16 +3017,13 @@ function updateUI() {
                 cancelBtnEl.style.display = 'block';
                 showSuccessMessage(alreadyRegistered);
 
-                // NEW: Disable cancel button if session is locked
+                // Cancelling stays possible after the lock - the refund follows the cancellation policy
+                cancelBtnEl.disabled = false;
+                cancelBtnEl.style.background = '#ef4444';
+                cancelBtnEl.style.cursor = 'pointer';
                 if (isSessionLocked()) {
-                    cancelBtnEl.disabled = true;
-                    cancelBtnEl.style.background = '#9ca3af';
-                    cancelBtnEl.style.cursor = 'not-allowed';
-                    cancelBtnEl.innerHTML = `<span class="thai-text">ไม่สามารถยกเลิกได้</span><br><span class="eng-text">Cancellation Locked</span>`;
+                    cancelBtnEl.innerHTML = `<span class="thai-text">ยกเลิก (ไม่คืนเงิน)</span><br><span class="eng-text">Cancel (no refund)</span>`;
                 } else {
-                    cancelBtnEl.disabled = false;
-                    cancelBtnEl.style.background = '#ef4444';
-                    cancelBtnEl.style.cursor = 'pointer';
                     cancelBtnEl.innerHTML = `<span class="thai-text">ยกเลิก</span><br><span class="eng-text">Cancel Registration</span>`;
                 }
 
@@ -1998,6 +3071,13 @@ function updateUI() {
                         signupButton.style.background = '#9ca3af';
                         signupButton.style.cursor = 'not-allowed';
                         signupButton.innerHTML = `<span class="thai-text">ปิดรับลงทะเบียนแล้ว</span><br><span class="eng-text">Registration Closed</span>`;
+                    } else if (isLotteryOpen()) {
+                        // Lottery - enter or leave the draw
+                        const entered = hasLotteryEntry();
+                        signupButton.style.background = entered ? '#6b7280' : '#8b5cf6';
+                        signupButton.innerHTML = entered
+                            ? `<span class="thai-text">ถอนตัวจากการจับฉลาก</span><br><span class="eng-text">Withdraw from lottery</span>`
+                            : `<span class="thai-text">ลงชื่อจับฉลาก ${state.loggedInUser.name}</span><br><span class="eng-text">Enter lottery as ${state.loggedInUser.name}</span>`;
                     } else {
                         // Normal flow - show join button
                         signupButton.innerHTML = `<span class="thai-text">ลงทะเบียน ${state.loggedInUser.name}</span><br><span class="eng-text">Join as ${state.loggedInUser.name}</span>`;
@@ -2055,13 +3135,14 @@ function updateUI() {
     // Show/hide draft banner for admin/moderator
     const draftBanner = document.getElementById('draftBanner');
     if (draftBanner && state.loggedInUser) {
-        const userRole = state.loggedInUser.role || 'user';
-        const isAdminOrModerator = (userRole === 'admin' || userRole === 'moderator');
-        draftBanner.style.display = (!state.published && isAdminOrModerator) ? 'block' : 'none';
+        draftBanner.style.display = (!state.published && hasCapability('session.publish')) ? 'block' : 'none';
     } else if (draftBanner) {
         draftBanner.style.display = 'none';
     }
 
+    renderPriorityBanner();
+    renderLotteryBanner();
+
     // NEW: Show/hide locked banner
     const lockedBanner = document.getElementById('lockedBanner');
     if (lockedBanner) {
@@ -2086,6 +3167,53 @@ function updateUI() {
         }
     }
 
+    // Moved up from the waiting list and the club wants a confirmation
+    const promotionBanner = document.getElementById('promotionBanner');
+    if (promotionBanner) {
+        const pending = getPendingPromotions();
+        if (pending.length > 0 && !state.closed) {
+            const deadline = pending[0].confirmBy.toDate().toLocaleString('en-GB', {
+                hour: '2-digit',
+                minute: '2-digit',
+                day: '2-digit',
+                month: '2-digit'
+            });
+            document.getElementById('promotionInfo').innerHTML =
+                `${pending.map(p => p.name).join(', ')} moved up from the waiting list.<br>` +
+                `Confirm by ${deadline} or the spot goes to the next player (refunded).<br>` +
+                `ยืนยันภายใน ${deadline} มิฉะนั้นที่จะถูกส่งต่อให้คนถัดไป (คืนเงิน)`;
+            promotionBanner.style.display = 'block';
+        } else {
+            promotionBanner.style.display = 'none';
+        }
+    }
+
+    // Give away an own spot / take a spot someone offers
+    const transferSpotBtn = document.getElementById('transferSpotBtn');
+    if (transferSpotBtn) {
+        const spots = getTransferableSpots();
+        transferSpotBtn.style.display = spots.length > 0 && !state.closed ? 'block' : 'none';
+        transferSpotBtn.innerHTML = spots.some(p => p.transferOffer)
+            ? `<span class="thai-text">ยกเลิกการโอนที่</span><br><span class="eng-text">Withdraw Spot Offer</span>`
+            : `<span class="thai-text">โอนที่ให้คนอื่น</span><br><span class="eng-text">Transfer My Spot</span>`;
+    }
+
+    const spotOfferBanner = document.getElementById('spotOfferBanner');
+    if (spotOfferBanner) {
+        const offers = getSpotOffersForMe();
+        if (offers.length > 0 && !state.closed) {
+            const offer = offers[0];
+            document.getElementById('spotOfferInfo').innerHTML =
+                `${offer.transferOffer.fromName} can't make it and offers their spot` +
+                `${offer.transferOffer.toUserId ? ' to you' : ' to the waiting list'}` +
+                `${offer.paid ? ` (${state.paymentAmount} THB)` : ''}.<br>` +
+                `${offer.transferOffer.fromName} เสนอที่ให้คุณ`;
+            spotOfferBanner.style.display = 'block';
+        } else {
+            spotOfferBanner.style.display = 'none';
+        }
+    }
+
     // Update maintenance mode button text in admin panel
     const maintenanceModeBtn = document.getElementById('maintenanceModeBtn');
     if (maintenanceModeBtn) {
@@ -2176,10 +3304,7 @@ function updateUI() {
     }
 
     // Hide player list for regular users when session is not published
-    const userRole = state.loggedInUser.role || 'user';
-    const isAdminOrModerator = (userRole === 'admin' || userRole === 'moderator');
-
-    if (!state.published && !isAdminOrModerator) {
+    if (!state.published && !hasCapability('session.publish')) {
         if (playersListContainer) {
             playersListContainer.style.display = 'none';
         }
@@ -2200,33 +3325,13 @@ function updateUI() {
 
         // Add guest icon if this is a guest player
         if (player.isGuest) {
-            // Extract guest name and host name from "HostName friend: GuestName" format
-            let guestDisplayName = player.name;
-            let hostDisplayName = player.guestOfName;
-
-            const parts = player.name.split(' friend: ');
-            if (parts.length === 2) {
-                guestDisplayName = parts[1]; // GuestName
-                hostDisplayName = parts[0];   // HostName
-            } else {
-                // Fallback for old formats
-                const oldParts = player.name.split(' venn: ');
-                if (oldParts.length === 2) {
-                    guestDisplayName = oldParts[1];
-                    hostDisplayName = oldParts[0];
-                } else {
-                    const legacyParts = player.name.split(' + ');
-                    if (legacyParts.length === 2) {
-                        guestDisplayName = legacyParts[1];
-                        hostDisplayName = legacyParts[0];
-                    }
-                }
-            }
+            const guestDisplayName = getGuestDisplayName(player);
+            const hostDisplayName = player.guestOfName;
 
             playerInfo.textContent = `${index + 1}. ${guestDisplayName} 👤 (${hostDisplayName})`;
             playerInfo.title = `Guest of ${hostDisplayName} / แขกของ ${hostDisplayName}`;
         } else {
-            playerInfo.textContent = `${index + 1}. ${player.name}`;
+            playerInfo.textContent = `${index + 1}. ${player.name}${getRatingLabel(player)}`;
         }
 
         const statusDiv = document.createElement('div');
@@ -2240,6 +3345,27 @@ function updateUI() {
         }
         // REMOVED: "Pay Now" button - all payments processed at publish time
 
+        if (player.pendingConfirmation) {
+            const pendingBadge = document.createElement('span');
+            pendingBadge.textContent = '⏳';
+            pendingBadge.title = 'Waiting for confirmation / รอการยืนยัน';
+            statusDiv.appendChild(pendingBadge);
+        }
+
+        if (player.attended) {
+            const attendedBadge = document.createElement('span');
+            attendedBadge.textContent = '📍';
+            attendedBadge.title = 'Checked in / เช็คอินแล้ว';
+            statusDiv.appendChild(attendedBadge);
+        }
+
+        if (player.transferOffer) {
+            const offerBadge = document.createElement('span');
+            offerBadge.textContent = '🔁';
+            offerBadge.title = 'Spot offered / เสนอโอนที่';
+            statusDiv.appendChild(offerBadge);
+        }
+
         if (player.clickedPaymentLink) {
             const clickBadge = document.createElement('span');
             clickBadge.className = 'clicked-badge';
@@ -2258,11 +3384,13 @@ function updateUI() {
         }
     });
 
-    // Show/hide admin button based on user role
+    renderRotation();
+    renderResults();
+
+    // Show/hide admin button - anyone with at least one capability has an admin panel
     const adminBtn = document.querySelector('.admin-btn');
     if (adminBtn && state.loggedInUser) {
-        const userRole = state.loggedInUser.role || 'user';
-        adminBtn.style.display = (userRole === 'moderator' || userRole === 'admin') ? 'block' : 'none';
+        adminBtn.style.display = (state.loggedInUser.capabilities || []).length > 0 ? 'block' : 'none';
     } else if (adminBtn) {
         adminBtn.style.display = 'none';
     }
@@ -2319,7 +3447,6 @@ const adminGroupButtons = {
         { label: 'Publish', onclick: 'publishSession()', bg: '#10b981', color: 'white', bold: true }
     ],
     close: [
-        { label: 'Refund', onclick: 'refundWaitingList()', bg: '#f59e0b' },
         { label: 'Shuttle', onclick: 'registerShuttlecocks()', bg: '#ec4899', color: 'white' },
         { label: 'Close', onclick: 'closeLastSession()', bg: '#6366f1', color: 'white', bold: true }
     ],
@@ -2493,7 +3620,7 @@ async function showMyTransactions() {
                     </div>
                 </div>
                 <div style="font-size: 0.85em; color: #666; font-style: italic;">
-                    ${tx.description}
+                    ${tx.description || tx.reason}
                 </div>
             `;
             list.appendChild(item);
@@ -2676,44 +3803,15 @@ async function give100Baht(recipientId, recipientName, recipientBalance) {
 
         console.log(`🎁 Starting transfer: ${giverName} (ID: ${giverId}) → ${recipientName} (ID: ${recipientId}) (100 THB)`);
 
-        // Deduct 100 from giver
-        const giverSuccess = await updateUserBalance(
-            giverId,
-            giverName,
-            -100,
-            `Gift to ${recipientName} / มอบให้ ${recipientName}`
-        );
-
-        console.log(`🎁 Giver deduction result:`, giverSuccess);
-
-        if (!giverSuccess) {
-            alert('Transfer failed - Could not deduct from your balance / การโอนล้มเหลว - ไม่สามารถหักเงินจากคุณได้');
-            return;
-        }
-
-        // Add 100 to recipient
-        const recipientSuccess = await updateUserBalance(
-            recipientId,
-            recipientName,
-            100,
-            `Gift from ${giverName} / ของขวัญจาก ${giverName}`
-        );
+        // Giver and recipient are posted in one server transaction
+        const giftBalance = functions.httpsCallable('giftBalance');
+        const response = await giftBalance({
+            fromUserId: giverId,
+            toUserId: recipientId,
+            amount: 100
+        });
 
-        console.log(`🎁 Recipient addition result:`, recipientSuccess);
-
-        if (!recipientSuccess) {
-            // If recipient update fails, refund the giver
-            console.log(`🎁 Refunding giver...`);
-            await updateUserBalance(
-                giverId,
-                giverName,
-                100,
-                `Refund - failed gift / คืนเงิน - การมอบล้มเหลว`,
-                true // silent
-            );
-            alert('Transfer failed - Could not add to recipient balance / การโอนล้มเหลว - ไม่สามารถเพิ่มเงินให้ผู้รับได้');
-            return;
-        }
+        state.loggedInUser.balance = response.data.balance;
 
         // Success!
         alert(
@@ -2729,6 +3827,11 @@ async function give100Baht(recipientId, recipientName, recipientBalance) {
 
     } catch (error) {
         console.error('Error in give100Baht:', error);
+        const details = error.details || {};
+        if (details.reason === 'insufficient-balance') {
+            alert(`Transfer failed - Insufficient balance / การโอนล้มเหลว - ยอดเงินไม่เพียงพอ\n\nCurrent: ${details.balance} THB`);
+            return;
+        }
         alert('Transfer failed. Please try again. / การโอนล้มเหลว กรุณาลองใหม่');
     }
 }
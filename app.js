@@ -10,9 +10,12 @@ const APP_URL = window.location.hostname === 'localhost'
 // Production URL - ALWAYS use this for Line messages (even when testing locally)
 const PRODUCTION_URL = 'https://lapstuen.github.io/badminton-signup/';
 
-// Current session ID - FIXED to "current" (does not auto-change daily)
-// Admin must manually start "New Session" to create a new session
-let currentSessionId = 'current';
+// Legacy single-session document - fallback when no other session is open
+const DEFAULT_SESSION_ID = 'current';
+
+// Selected session ID - several sessions can be open at the same time
+// Remembered per device so players return to the session they picked
+let currentSessionId = localStorage.getItem('selectedSessionId') || DEFAULT_SESSION_ID;
 
 // Lock session N hours before start time (prevents last-minute registrations/cancellations)
 const LOCK_HOURS_BEFORE_SESSION = 2; // Easy to adjust (2, 3, 4, etc.)
@@ -20,6 +23,15 @@ const LOCK_HOURS_BEFORE_SESSION = 2; // Easy to adjust (2, 3, 4, etc.)
 // Minimum balance required AFTER payment (prevents users from going below minimum)
 const MINIMUM_BALANCE = 10; // THB - users must have at least 10 THB remaining after payment
 
+// Skill levels admins can pick instead of an exact rating (Elo, see functions/ratings.js)
+const RATING_LEVELS = {
+    1: { rating: 1200, label: 'Beginner' },
+    2: { rating: 1350, label: 'Improver' },
+    3: { rating: 1500, label: 'Intermediate' },
+    4: { rating: 1650, label: 'Advanced' },
+    5: { rating: 1800, label: 'Strong club player' }
+};
+
 // App state (synced with Firebase)
 let state = {
     isSessionLoaded: false, // CRITICAL: Prevents saving before Firebase data is loaded
@@ -33,15 +45,32 @@ let state = {
     maintenanceMode: false, // Maintenance mode (blocks all user actions)
     shuttlecocksUsed: 0, // Number of shuttlecocks used in session (for cost tracking)
     closed: false, // Session archived/closed status
+    locked: undefined, // Server-managed lock flag (set by publishAndLockSessions, undefined for old sessions)
+    lockAt: null, // Scheduled lock time (Date) - written by admin or server
+    publishAt: null, // Scheduled auto-publish time (Date) - written by admin
+    priorityUntil: null, // End of the regulars-only window (Date) - written by the server on publish
+    priorityUserIds: [], // Regular players who may register during the window
+    registrationMode: 'fcfs', // 'fcfs' = first come first served, 'lottery' = entries + draw (enterLottery)
+    lotteryDrawAt: null, // Draw time of a lottery session (Date), null = at the lock time
+    lotteryDrawnAt: null, // Set by the server when the lottery has been drawn (Date)
+    lotteryEntries: [], // Lottery entries of the session ({ userId, name })
+    openSessions: [], // All sessions that are not closed yet (session list)
+    checkInUsed: false, // Check-in was opened for this session (checkInStartedAt)
+    rotation: null, // Doubles rounds generated by staff (rotation.js)
+    courts: null, // Courts booked by the session template (null = one per 6 players)
+    matches: [], // Recorded game results of the session (recordMatchResult)
+    ratings: {}, // Skill ratings by userId (ratings/{userId}) - staff only
     isAdmin: false,
     authorizedUsers: [],
-    loggedInUser: null, // Now includes: { name, balance, userId, role }
+    loggedInUser: null, // Now includes: { name, balance, userId, role, capabilities }
     transactions: []
 };
 
 // Firestore references
-const currentSessionRef = () => sessionsRef.doc(currentSessionId);
-const playersRef = () => currentSessionRef().collection('players');
+const currentSessionRef = (sessionId = currentSessionId) => sessionsRef.doc(sessionId);
+const playersRef = (sessionId = currentSessionId) => currentSessionRef(sessionId).collection('players');
+const matchesRef = (sessionId = currentSessionId) => currentSessionRef(sessionId).collection('matches');
+const lotteryEntriesRef = (sessionId = currentSessionId) => currentSessionRef(sessionId).collection('lotteryEntries');
 
 // ============================================
 // POSITION RECALCULATION HELPER
@@ -106,9 +135,14 @@ async function recalculatePlayerPositions() {
 
 /**
  * Calculate when the session should be locked (N hours before session start)
+ * Uses the scheduled lockAt from the session document when set
  * @returns {Date|null} Lock time as Date object, or null if unable to parse
  */
 function calculateSessionLockTime() {
+    if (state.lockAt) {
+        return state.lockAt;
+    }
+
     try {
         // Parse sessionDate (format: "DD/MM/YYYY")
         const [day, month, year] = state.sessionDate.split('/');
@@ -177,6 +211,15 @@ function isSessionLocked() {
         return false;
     }
 
+    // Server-managed lock flag wins - same state on every device regardless of its clock
+    if (typeof state.locked === 'boolean') {
+        if (state.locked) {
+            console.log('🔒 Session is LOCKED (server flag)');
+        }
+        return state.locked;
+    }
+
+    // Legacy sessions without the server flag: fall back to the client clock
     const lockTime = calculateSessionLockTime();
     if (!lockTime) {
         // Unable to parse time - default to NOT locked (safe fallback)
@@ -194,6 +237,178 @@ function isSessionLocked() {
     return isLocked;
 }
 
+// ============================================
+// PRIORITY WINDOW (regular players first)
+// ============================================
+// The server sets priorityUntil / priorityUserIds on publish (config/priorityWindow);
+// until then only the weekday's regular players can register
+// ============================================
+
+// Refreshes the countdown while the window is open
+let priorityCountdownTimer = null;
+
+/**
+ * Is the session in its priority window (only regular players can register)?
+ * @returns {boolean}
+ */
+function isPriorityWindowOpen() {
+    return Boolean(state.published && !state.closed && state.priorityUntil &&
+        state.priorityUntil > new Date() && !isSessionLocked());
+}
+
+/**
+ * Time left as "5h 12m" / "12m"
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+function formatCountdown(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+/**
+ * Show the priority window with a countdown until it opens to everyone
+ */
+function renderPriorityBanner() {
+    const banner = document.getElementById('priorityBanner');
+    if (!banner) return;
+
+    if (!isPriorityWindowOpen()) {
+        banner.style.display = 'none';
+        if (priorityCountdownTimer) {
+            // Window just ended - buttons and banners change
+            clearInterval(priorityCountdownTimer);
+            priorityCountdownTimer = null;
+            updateUI();
+        }
+        return;
+    }
+
+    const left = formatCountdown(state.priorityUntil - new Date());
+    const until = state.priorityUntil.toLocaleString('en-GB', {
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    const hasPriority = state.loggedInUser && state.priorityUserIds.includes(state.loggedInUser.userId);
+
+    document.getElementById('priorityInfo').innerHTML = hasPriority
+        ? `You have priority - register within <strong>${left}</strong> (until ${until})<br>` +
+          `คุณลงทะเบียนก่อนได้ภายใน ${left}`
+        : `Regular players register first. Opens to everyone in <strong>${left}</strong> (${until})<br>` +
+          `ผู้เล่นประจำลงทะเบียนก่อน เปิดให้ทุกคนใน ${left}`;
+    banner.style.display = 'block';
+
+    if (!priorityCountdownTimer) {
+        priorityCountdownTimer = setInterval(renderPriorityBanner, 30000);
+    }
+}
+
+// ============================================
+// LOTTERY REGISTRATION
+// ============================================
+// Sessions with registrationMode 'lottery' take entries (enterLottery) until the
+// draw; the server then allocates the spots at random and puts everyone else on
+// the waiting list in draw order (lotteryDraws/{sessionId} keeps the seed)
+// ============================================
+
+// Refreshes the draw countdown while entries are open
+let lotteryCountdownTimer = null;
+
+/**
+ * Draw time: lotteryDrawAt, otherwise the lock time
+ * @returns {Date|null}
+ */
+function getLotteryDrawTime() {
+    return state.lotteryDrawAt || state.lockAt || calculateSessionLockTime();
+}
+
+/**
+ * Does the session take lottery entries right now?
+ * @returns {boolean}
+ */
+function isLotteryOpen() {
+    return Boolean(state.published && !state.closed && state.registrationMode === 'lottery' &&
+        !state.lotteryDrawnAt && !isSessionLocked());
+}
+
+/**
+ * Is the logged-in user in the draw?
+ * @returns {boolean}
+ */
+function hasLotteryEntry() {
+    return Boolean(state.loggedInUser && state.lotteryEntries.some(e => e.userId === state.loggedInUser.userId));
+}
+
+/**
+ * Enter the lottery, or withdraw when already entered
+ */
+async function toggleLotteryEntry() {
+    const withdraw = hasLotteryEntry();
+    if (withdraw && !confirm('Withdraw from the lottery? / ถอนตัวจากการจับฉลาก?')) {
+        return;
+    }
+
+    try {
+        const enterLottery = functions.httpsCallable('enterLottery');
+        await enterLottery({
+            sessionId: currentSessionId,
+            userId: state.loggedInUser.userId,
+            withdraw
+        });
+
+        const drawTime = getLotteryDrawTime();
+        const drawText = drawTime
+            ? drawTime.toLocaleString('en-GB', { weekday: 'short', hour: '2-digit', minute: '2-digit' })
+            : '';
+        alert(withdraw
+            ? '✅ You left the lottery / ถอนตัวแล้ว'
+            : `🎲 You're in the draw! / ลงชื่อจับฉลากแล้ว!\n\n` +
+              `Draw: ${drawText}\nWinners pay ${state.paymentAmount} THB, the others go on the waiting list.\n\n` +
+              `จับฉลาก: ${drawText}`);
+    } catch (error) {
+        console.error('❌ Lottery entry rejected:', error);
+        alert(getRegistrationErrorMessage(error));
+    }
+}
+
+/**
+ * Show the lottery with the number of entries and a countdown to the draw
+ */
+function renderLotteryBanner() {
+    const banner = document.getElementById('lotteryBanner');
+    if (!banner) return;
+
+    if (!isLotteryOpen()) {
+        banner.style.display = 'none';
+        if (lotteryCountdownTimer) {
+            clearInterval(lotteryCountdownTimer);
+            lotteryCountdownTimer = null;
+        }
+        return;
+    }
+
+    const drawTime = getLotteryDrawTime();
+    const spots = Math.max(0, state.maxPlayers - state.players.length);
+    const entries = state.lotteryEntries.length;
+    const when = drawTime && drawTime > new Date()
+        ? `Draw in <strong>${formatCountdown(drawTime - new Date())}</strong> ` +
+          `(${drawTime.toLocaleString('en-GB', { weekday: 'short', hour: '2-digit', minute: '2-digit' })})`
+        : 'Drawing now...';
+
+    document.getElementById('lotteryInfo').innerHTML =
+        `${entries} ${entries === 1 ? 'entry' : 'entries'} for ${spots} spot(s) - ${when}<br>` +
+        (hasLotteryEntry()
+            ? '✅ You are in the draw / คุณลงชื่อจับฉลากแล้ว'
+            : 'Enter before the draw - it doesn\'t matter when / ลงชื่อก่อนจับฉลาก ไม่ต้องรีบ');
+    banner.style.display = 'block';
+
+    if (!lotteryCountdownTimer) {
+        lotteryCountdownTimer = setInterval(renderLotteryBanner, 30000);
+    }
+}
+
 // ============================================
 // PRIVATE MODE DETECTION
 // ============================================
@@ -301,14 +516,19 @@ async function refreshBalance() {
 
 async function initializeApp() {
     try {
+        // Pick the selected session among the open ones
+        await loadOpenSessions();
+        currentSessionId = resolveSelectedSessionId();
+
         // Load session data
-        await loadSessionData();
+        await loadSessionData(currentSessionId);
 
         // Load authorized users
         await loadAuthorizedUsers();
 
         // Set up realtime listeners
-        setupRealtimeListeners();
+        setupRealtimeListeners(currentSessionId);
+        setupOpenSessionsListener();
 
         // Check if user is logged in
         await checkLoggedInUser();
@@ -334,9 +554,9 @@ async function initializeApp() {
 // ============================================
 
 // Load session data from Firestore
-async function loadSessionData() {
+async function loadSessionData(sessionId = currentSessionId) {
     try {
-        const doc = await currentSessionRef().get();
+        const doc = await currentSessionRef(sessionId).get();
 
         if (doc.exists) {
             const data = doc.data();
@@ -349,6 +569,7 @@ async function loadSessionData() {
             state.maintenanceMode = data.maintenanceMode !== undefined ? data.maintenanceMode : false; // Default false
             state.shuttlecocksUsed = data.shuttlecocksUsed !== undefined ? data.shuttlecocksUsed : 0; // Default 0 for old sessions
             state.closed = data.closed !== undefined ? data.closed : false; // Default false - session not archived
+            applySessionSchedule(data);
             console.log('📥 Session data loaded from Firestore:', {
                 day: state.sessionDay,
                 time: state.sessionTime,
@@ -359,7 +580,7 @@ async function loadSessionData() {
             });
         } else {
             // Create new session
-            await currentSessionRef().set({
+            await currentSessionRef(sessionId).set({
                 date: state.sessionDate,
                 day: state.sessionDay,
                 time: state.sessionTime,
@@ -368,8 +589,10 @@ async function loadSessionData() {
                 published: true,
                 maintenanceMode: false,
                 shuttlecocksUsed: 0,
+                closed: false,
                 createdAt: firebase.firestore.FieldValue.serverTimestamp()
             });
+            applySessionSchedule({});
             console.log('📝 New session created');
         }
 
@@ -381,6 +604,21 @@ async function loadSessionData() {
     }
 }
 
+/**
+ * Copy scheduled publish/lock fields from a session document into state
+ * @param {Object} data - Session document data
+ */
+function applySessionSchedule(data) {
+    state.locked = typeof data.locked === 'boolean' ? data.locked : undefined;
+    state.lockAt = data.lockAt ? data.lockAt.toDate() : null;
+    state.publishAt = data.publishAt ? data.publishAt.toDate() : null;
+    state.priorityUntil = data.priorityUntil ? data.priorityUntil.toDate() : null;
+    state.priorityUserIds = data.priorityUserIds || [];
+    state.registrationMode = data.registrationMode || 'fcfs';
+    state.lotteryDrawAt = data.lotteryDrawAt ? data.lotteryDrawAt.toDate() : null;
+    state.lotteryDrawnAt = data.lotteryDrawnAt ? data.lotteryDrawnAt.toDate() : null;
+}
+
 // Save session data to Firestore
 async function saveSessionData() {
     // CRITICAL SAFETY CHECK: Prevent saving before Firebase data is loaded
@@ -407,11 +645,7 @@ async function saveSessionData() {
             shuttlecocksUsed: state.shuttlecocksUsed
         };
 
-        // Include closed status if defined in state
-        if (typeof state.closed !== 'undefined') {
-            updateData.closed = state.closed;
-        }
-
+        // closed is never saved from here - closeSession archives and closes on the server
         await currentSessionRef().update(updateData);
         console.log('💾 Session data saved:', {
             day: state.sessionDay,
@@ -442,60 +676,35 @@ async function loadAuthorizedUsers() {
     }
 }
 
-// Create transaction record
-async function createTransaction(userId, userName, amount, description) {
-    // Skip transaction logging if amount is 0
-    if (amount === 0) {
-        console.log(`⏭️ Skipped transaction (0 THB): ${userName} - ${description}`);
-        return;
+/**
+ * Post a wallet entry via the postWalletEntry Cloud Function
+ * Balance and transaction record are written in ONE server transaction
+ * @param {string} userId - authorizedUsers document ID
+ * @param {string} userName - Name shown in the transaction history
+ * @param {number} amountChange - Positive credit / negative debit
+ * @param {string} description - Shown in the transaction history
+ * @param {string} type - 'registration' | 'refund' | 'topup' | 'correction'
+ * @param {boolean} silent - Don't alert on insufficient balance
+ * @returns {Promise<boolean>} true if the entry was posted
+ */
+async function updateUserBalance(userId, userName, amountChange, description, type, silent = false) {
+    if (amountChange === 0) {
+        console.log(`⏭️ Skipped wallet entry (0 THB): ${userName} - ${description}`);
+        return true;
     }
 
     try {
-        await transactionsRef.add({
+        const postWalletEntry = functions.httpsCallable('postWalletEntry');
+        const response = await postWalletEntry({
             userId: userId,
-            userName: userName,
-            amount: amount, // Positive for deposits, negative for withdrawals
+            type: type,
+            amount: amountChange,
             description: description,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
             sessionId: currentSessionId,
-            sessionDate: state.sessionDate
-        });
-        console.log(`💰 Transaction created: ${userName} ${amount > 0 ? '+' : ''}${amount} THB (${description})`);
-    } catch (error) {
-        console.error('Error creating transaction:', error);
-    }
-}
-
-// Update user balance
-async function updateUserBalance(userId, userName, amountChange, description, silent = false) {
-    try {
-        const userDoc = await usersRef.doc(userId).get();
-        if (!userDoc.exists) {
-            console.error('User not found');
-            return false;
-        }
-
-        const currentBalance = userDoc.data().balance || 0;
-        const newBalance = currentBalance + amountChange;
-
-        // Only check MINIMUM_BALANCE when WITHDRAWING money (negative amountChange)
-        // Allow negative balance after payment - just need MINIMUM_BALANCE before payment
-        if (currentBalance < MINIMUM_BALANCE && amountChange < 0) {
-            // User doesn't have minimum balance required to make payment
-            if (!silent) {
-                alert(`Insufficient balance / ยอดเงินไม่เพียงพอ\n\nCurrent: ${currentBalance} THB\nNeeded: ${MINIMUM_BALANCE} THB`);
-            }
-            console.log(`⚠️ Insufficient balance for ${userName}: ${currentBalance} THB (need ${MINIMUM_BALANCE} THB minimum)`);
-            return false;
-        }
-
-        // Update balance in Firestore
-        await usersRef.doc(userId).update({
-            balance: newBalance
+            sessionDate: state.sessionDate,
+            createdBy: state.isAdmin ? 'admin' : (state.loggedInUser ? state.loggedInUser.name : 'system')
         });
-
-        // Create transaction record
-        await createTransaction(userId, userName, amountChange, description);
+        const newBalance = response.data.balance;
 
         // Update local state if this is the logged in user
         if (state.loggedInUser && state.loggedInUser.userId === userId) {
@@ -503,9 +712,18 @@ async function updateUserBalance(userId, userName, amountChange, description, si
             updateUI();
         }
 
-        console.log(`✅ Balance updated: ${userName} = ${newBalance} THB`);
+        console.log(`✅ Balance updated: ${userName} ${amountChange > 0 ? '+' : ''}${amountChange} THB = ${newBalance} THB`);
         return true;
     } catch (error) {
+        const details = error.details || {};
+        if (details.reason === 'insufficient-balance') {
+            // Registration debits need MINIMUM_BALANCE before payment
+            if (!silent) {
+                alert(`Insufficient balance / ยอดเงินไม่เพียงพอ\n\nCurrent: ${details.balance} THB\nNeeded: ${MINIMUM_BALANCE} THB`);
+            }
+            console.log(`⚠️ Insufficient balance for ${userName}: ${details.balance} THB (need ${MINIMUM_BALANCE} THB minimum)`);
+            return false;
+        }
         console.error('Error updating balance:', error);
         return false;
     }
@@ -515,9 +733,13 @@ async function updateUserBalance(userId, userName, amountChange, description, si
 // REALTIME LISTENERS
 // ============================================
 
-function setupRealtimeListeners() {
+function setupRealtimeListeners(sessionId = currentSessionId) {
+    // Stop listening to the previously selected session
+    sessionListenerUnsubscribers.forEach(unsubscribe => unsubscribe());
+    sessionListenerUnsubscribers = [];
+
     // Listen to SESSION changes (day, time, maxPlayers, etc.)
-    currentSessionRef().onSnapshot((doc) => {
+    sessionListenerUnsubscribers.push(currentSessionRef(sessionId).onSnapshot((doc) => {
         if (doc.exists) {
             const data = doc.data();
             const oldDay = state.sessionDay;
@@ -529,6 +751,10 @@ function setupRealtimeListeners() {
             state.paymentAmount = data.paymentAmount !== undefined ? data.paymentAmount : 150;
             state.published = data.published !== undefined ? data.published : true;
             state.maintenanceMode = data.maintenanceMode !== undefined ? data.maintenanceMode : false;
+            state.checkInUsed = Boolean(data.checkInStartedAt);
+            state.rotation = data.rotation || null;
+            state.courts = data.courts || null;
+            applySessionSchedule(data);
 
             // Log if session day changed (to detect unauthorized changes)
             if (oldDay && oldDay !== state.sessionDay) {
@@ -540,10 +766,10 @@ function setupRealtimeListeners() {
         }
     }, (error) => {
         console.error('Error listening to session:', error);
-    });
+    }));
 
     // Listen to players changes
-    playersRef().onSnapshot((snapshot) => {
+    sessionListenerUnsubscribers.push(playersRef(sessionId).onSnapshot((snapshot) => {
         state.players = [];
         snapshot.forEach(doc => {
             state.players.push({
@@ -557,12 +783,41 @@ function setupRealtimeListeners() {
 
         console.log(`👥 Players updated: ${state.players.length} players`);
         updateUI();
+
+        // QR check-ins show up on an open check-in screen right away
+        if (document.getElementById('checkInModal').style.display !== 'none') {
+            renderCheckInList();
+        }
     }, (error) => {
         console.error('Error listening to players:', error);
-    });
+    }));
+
+    // Listen to recorded results (scores in the rounds, results list)
+    sessionListenerUnsubscribers.push(matchesRef(sessionId).onSnapshot((snapshot) => {
+        const recordedAt = (match) => match.recordedAt ? match.recordedAt.toMillis() : Date.now();
+        state.matches = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => recordedAt(a) - recordedAt(b));
+
+        console.log(`🏆 Results updated: ${state.matches.length} games`);
+        updateUI();
+    }, (error) => {
+        console.error('Error listening to results:', error);
+    }));
+
+    // Listen to lottery entries (entry count, "you're in the draw")
+    sessionListenerUnsubscribers.push(lotteryEntriesRef(sessionId).onSnapshot((snapshot) => {
+        state.lotteryEntries = snapshot.docs.map(doc => doc.data());
+        updateUI();
+    }, (error) => {
+        console.error('Error listening to lottery entries:', error);
+    }));
 
-    // Listen to authorized users changes
-    usersRef.onSnapshot((snapshot) => {
+    // Listen to authorized users changes (not session-specific - only once)
+    if (usersListenerUnsubscribe) {
+        return;
+    }
+    usersListenerUnsubscribe = usersRef.onSnapshot((snapshot) => {
         state.authorizedUsers = [];
         snapshot.forEach(doc => {
             state.authorizedUsers.push({
@@ -578,6 +833,165 @@ function setupRealtimeListeners() {
     }, (error) => {
         console.error('Error listening to users:', error);
     });
+
+    ratingsListenerUnsubscribe = ratingsRef.onSnapshot((snapshot) => {
+        state.ratings = {};
+        snapshot.forEach(doc => {
+            state.ratings[doc.id] = doc.data();
+        });
+        if (state.isAdmin) {
+            updateAuthorizedUsersList();
+        }
+    }, (error) => {
+        console.error('Error listening to ratings:', error);
+    });
+}
+
+// ============================================
+// SESSIONS - Open Session List
+// ============================================
+// Several sessions can be open at once (e.g. Mon/Wed/Fri)
+// ============================================
+
+// Active Firestore listeners for the selected session (replaced on switch)
+let sessionListenerUnsubscribers = [];
+let usersListenerUnsubscribe = null;
+let ratingsListenerUnsubscribe = null;
+let openSessionsListenerUnsubscribe = null;
+
+/**
+ * Parse a session date for sorting
+ * @param {string} dateStr - Session date ("DD/MM/YYYY")
+ * @returns {number} Milliseconds since epoch, or 0 if unable to parse
+ */
+function parseSessionDate(dateStr) {
+    const [day, month, year] = (dateStr || '').split('/');
+    if (!day || !month || !year) {
+        return 0;
+    }
+    return new Date(parseInt(year), parseInt(month) - 1, parseInt(day)).getTime();
+}
+
+/**
+ * Store open sessions from a Firestore snapshot, sorted by date and start time
+ * @param {firebase.firestore.QuerySnapshot} snapshot - Sessions where closed == false
+ */
+function setOpenSessions(snapshot) {
+    state.openSessions = [];
+    snapshot.forEach(doc => {
+        state.openSessions.push({
+            id: doc.id,
+            ...doc.data()
+        });
+    });
+    state.openSessions.sort((a, b) =>
+        (parseSessionDate(a.date) - parseSessionDate(b.date)) ||
+        (a.time || '').localeCompare(b.time || '')
+    );
+}
+
+/**
+ * Sessions shown in the session list
+ * Drafts are only listed for admins (and when already selected)
+ * @returns {Array} Open sessions visible to the current user
+ */
+function getListedSessions() {
+    return state.openSessions.filter(session =>
+        session.published !== false || state.isAdmin || session.id === currentSessionId
+    );
+}
+
+// Load open sessions once (used at startup to pick the selected session)
+async function loadOpenSessions() {
+    try {
+        const snapshot = await sessionsRef.where('closed', '==', false).get();
+        setOpenSessions(snapshot);
+        console.log(`📥 Loaded ${state.openSessions.length} open sessions`);
+    } catch (error) {
+        console.error('Error loading open sessions:', error);
+    }
+}
+
+/**
+ * Keep the remembered session if it is still open, otherwise fall back to the
+ * earliest published open session (or the legacy "current" document)
+ * @returns {string} Session ID to select
+ */
+function resolveSelectedSessionId() {
+    if (state.openSessions.find(s => s.id === currentSessionId)) {
+        return currentSessionId;
+    }
+    const firstPublished = state.openSessions.find(s => s.published !== false);
+    if (firstPublished) {
+        return firstPublished.id;
+    }
+    return state.openSessions.length > 0 ? state.openSessions[0].id : DEFAULT_SESSION_ID;
+}
+
+// Listen to the list of open sessions (new sessions appear, closed ones disappear)
+function setupOpenSessionsListener() {
+    if (openSessionsListenerUnsubscribe) {
+        return; // Already listening
+    }
+
+    openSessionsListenerUnsubscribe = sessionsRef.where('closed', '==', false).onSnapshot((snapshot) => {
+        setOpenSessions(snapshot);
+        console.log(`📋 Open sessions updated: ${state.openSessions.length} sessions`);
+        renderSessionList();
+    }, (error) => {
+        console.error('Error listening to open sessions:', error);
+    });
+}
+
+/**
+ * Render the session picker (hidden when there is nothing to choose between)
+ */
+function renderSessionList() {
+    const container = document.getElementById('sessionList');
+    if (!container) return;
+
+    const sessions = getListedSessions();
+    const onlySelected = sessions.length === 1 && sessions[0].id === currentSessionId;
+    if (sessions.length === 0 || onlySelected) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    container.style.display = 'flex';
+    container.innerHTML = sessions.map(session => {
+        const dayParts = (session.day || '').split(' / ');
+        const dayLabel = dayParts.length === 2 ? dayParts[1] : (session.day || '');
+        const activeClass = session.id === currentSessionId ? ' active' : '';
+        const draftLabel = session.published === false ? ' 📝' : '';
+        return `<button class="session-tab${activeClass}" onclick="selectSession('${session.id}')">
+            <strong>${dayLabel}${draftLabel}</strong><br>
+            <span>${session.date || ''} ${(session.time || '').split(' - ')[0]}</span>
+        </button>`;
+    }).join('');
+}
+
+/**
+ * Switch the app to another open session
+ * @param {string} sessionId - Firestore document ID in sessions/
+ */
+async function selectSession(sessionId) {
+    if (!sessionId || sessionId === currentSessionId) {
+        return;
+    }
+
+    console.log(`🔀 Switching session: ${currentSessionId} → ${sessionId}`);
+    currentSessionId = sessionId;
+    localStorage.setItem('selectedSessionId', sessionId);
+
+    // Block saving until the new session is loaded (prevents writing old state into it)
+    state.isSessionLoaded = false;
+    state.players = [];
+
+    await loadSessionData(sessionId);
+    setupRealtimeListeners(sessionId);
+    renderSessionList();
+    updateUI();
 }
 
 // ============================================
@@ -593,35 +1007,21 @@ function setupEventListeners() {
     loginNameInput.addEventListener('blur', checkLoginMethod);
 }
 
+// Name whose last sign-in attempt needed a new one-time code
+let passwordResetNeededFor = null;
+
 /**
  * Check if user should see Login button or Reset Password button
- * Based on password length in database (UUID = long, 123 = short)
+ * Based on the last signIn error (details.reason 'password-reset-needed' = one-time code
+ * already used on another device) - the user list is only readable after sign-in
  */
-async function checkLoginMethod() {
+function checkLoginMethod() {
     const name = document.getElementById('loginName').value.trim();
 
-    if (!name) {
-        // No name entered - show normal login
-        showNormalLogin();
-        return;
-    }
-
-    // Find user in authorized users (EXACT match only, no partial matches)
-    // E.g., "Gei" will NOT match "Geir"
-    const user = state.authorizedUsers.find(u => u.name === name);
-
-    if (!user) {
-        // User not found - show normal login
-        showNormalLogin();
-        return;
-    }
-
-    // Check password length
-    if (user.password.length >= 20) {
-        // UUID password - show reset button
+    // Same name as the sign-in that said the code is used up - offer the reset request
+    if (name && name === passwordResetNeededFor) {
         showResetPassword();
     } else {
-        // Short password (123 etc.) - show normal login
         showNormalLogin();
     }
 }
@@ -656,6 +1056,69 @@ async function handleLoginClick() {
 // USER REGISTRATION
 // ============================================
 
+/**
+ * Register the logged-in user (or a guest paid by them) via the registerPlayer Cloud Function
+ * Duplicate check, capacity, position and wallet debit happen in ONE server transaction
+ * @param {string|null} guestName - New guest's name, or null to register the user
+ * @param {string|null} guestProfileId - Previous guest (guestProfiles document) instead of a new name
+ * @returns {Promise<Object|null>} { playerId, name, position, isWaitingList, balance, amountPaid } or null (alert shown)
+ */
+async function registerPlayerOnServer(guestName = null, guestProfileId = null) {
+    try {
+        const registerPlayer = functions.httpsCallable('registerPlayer');
+        const response = await registerPlayer({
+            sessionId: currentSessionId,
+            userId: state.loggedInUser.userId,
+            guestName: guestName,
+            guestProfileId: guestProfileId
+        });
+        return response.data;
+    } catch (error) {
+        console.error('❌ Registration rejected:', error);
+        alert(getRegistrationErrorMessage(error));
+        return null;
+    }
+}
+
+/**
+ * Translate a registerPlayer error (details.reason) to a bilingual message
+ * @param {Error} error - Error from the callable
+ * @returns {string} Message for alert()
+ */
+function getRegistrationErrorMessage(error) {
+    const details = error.details || {};
+    switch (details.reason) {
+        case 'already-registered':
+            return 'This name is already registered / ชื่อนี้ลงทะเบียนแล้ว';
+        case 'guest-limit-host':
+            return `You can bring at most ${details.limit} guest(s) per session\nนำแขกได้สูงสุด ${details.limit} คนต่อเซสชัน`;
+        case 'guest-limit-session':
+            return `This session is full for guests (max ${details.limit})\nเซสชันนี้รับแขกครบแล้ว (สูงสุด ${details.limit} คน)`;
+        case 'insufficient-balance':
+            return `Insufficient balance / ยอดเงินไม่เพียงพอ\n\nCurrent: ${details.balance} THB\nNeeded: ${MINIMUM_BALANCE} THB\n\nยอดเงินปัจจุบัน: ${details.balance} บาท\nต้องการ: ${MINIMUM_BALANCE} บาท`;
+        case 'locked':
+            return '🔒 Registration is closed / ปิดรับลงทะเบียนแล้ว';
+        case 'priority-window': {
+            const opens = new Date(details.until).toLocaleString('en-GB', { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+            return `⭐ Regular players register first\nOpens to everyone: ${opens}\n\nผู้เล่นประจำลงทะเบียนก่อน\nเปิดให้ทุกคน: ${opens}`;
+        }
+        case 'lottery':
+            return '🎲 This session is drawn by lottery - enter the draw instead\nเซสชันนี้ใช้การจับฉลาก กรุณาลงชื่อจับฉลาก';
+        case 'lottery-closed':
+            return '🎲 The lottery is closed / ปิดรับลงชื่อจับฉลากแล้ว';
+        case 'not-published':
+            return 'Session is not open for registration yet\nยังไม่เปิดรับลงทะเบียน';
+        case 'closed':
+            return 'Session is closed / เซสชันปิดแล้ว';
+        case 'maintenance':
+            return 'System is under maintenance. Please wait.\nระบบกำลังปรับปรุง กรุณารอสักครู่';
+        case 'auth':
+            return 'Login expired. Please log in again.\nกรุณาเข้าสู่ระบบอีกครั้ง';
+        default:
+            return 'Error registering. Please try again.\n\nเกิดข้อผิดพลาด กรุณาลองใหม่อีกครั้ง';
+    }
+}
+
 async function handleSignup(e) {
     e.preventDefault();
 
@@ -685,124 +1148,64 @@ async function handleSignup(e) {
         return;
     }
 
-    // Use logged-in user's name if available, otherwise get from form
-    let name;
-    if (state.loggedInUser) {
-        name = state.loggedInUser.name;
-    } else {
-        name = document.getElementById('playerName').value.trim();
-        if (!name) {
-            alert('Please enter your name / กรุณากรอกชื่อ');
-            return;
-        }
+    // Registration is verified on the server - user must be logged in
+    if (!state.loggedInUser) {
+        alert('Please log in first / กรุณาเข้าสู่ระบบก่อน');
+        return;
     }
 
-    // Check if user is authorized
-    const authorizedUser = state.authorizedUsers.find(u => u.name === name);
-    if (!authorizedUser) {
-        alert('You are not authorized. Contact admin. / คุณไม่มีสิทธิ์ ติดต่อผู้ดูแล');
+    // Lottery sessions: the same button enters / leaves the draw
+    if (isLotteryOpen()) {
+        await toggleLotteryEntry();
         return;
     }
 
-    // Get FRESH player data from Firestore (not from state which might be stale)
-    const playersSnapshot = await playersRef().get();
-    const currentPlayerCount = playersSnapshot.size;
-    const currentPlayers = [];
-    playersSnapshot.forEach(doc => {
-        currentPlayers.push({ id: doc.id, ...doc.data() });
-    });
+    const name = state.loggedInUser.name;
 
-    // Check if already registered (by name)
-    if (currentPlayers.find(p => p.name === name)) {
+    // Quick local checks for instant feedback (the server checks again in its transaction)
+    if (state.players.find(p => p.name === name)) {
         alert('This name is already registered / ชื่อนี้ลงทะเบียนแล้ว');
         return;
     }
 
-    // Check balance and deduct payment IMMEDIATELY (for all players, including waiting list)
-    const currentBalance = authorizedUser.balance || 0;
+    const currentBalance = state.loggedInUser.balance || 0;
     if (currentBalance < MINIMUM_BALANCE) {
         alert(`Insufficient balance / ยอดเงินไม่เพียงพอ\n\nCurrent: ${currentBalance} THB\nNeeded: ${MINIMUM_BALANCE} THB\n\nยอดเงินปัจจุบัน: ${currentBalance} บาท\nต้องการ: ${MINIMUM_BALANCE} บาท`);
         return;
     }
 
-    try {
-        // Deduct payment BEFORE adding to Firestore
-        const isWaitingList = currentPlayerCount >= state.maxPlayers;
-        const paymentSuccess = await updateUserBalance(
-            authorizedUser.id,
-            name,
-            -state.paymentAmount, // Negative = deduct
-            isWaitingList
-                ? `Payment for joining waiting list ${state.sessionDate}`
-                : `Payment for session ${state.sessionDate}`
-        );
-
-        if (!paymentSuccess) {
-            // updateUserBalance already showed error message
-            return;
-        }
-
-        // Add player to Firestore
-        const playerData = {
-            name,
-            userId: authorizedUser.id,
-            paid: true,  // Already paid at registration
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-            position: currentPlayerCount + 1
-        };
-
-        await playersRef().add(playerData);
+    // Server: duplicate check + position + wallet debit + player in one transaction
+    const result = await registerPlayerOnServer();
+    if (!result) {
+        return; // registerPlayerOnServer already showed the error
+    }
 
-        // Save name for future visits
-        localStorage.setItem('userName', name);
+    // Save name for future visits
+    localStorage.setItem('userName', name);
 
-        // Auto-login (user is already verified as authorized)
-        state.loggedInUser = {
-            name: authorizedUser.name,
-            balance: authorizedUser.balance || 0,
-            userId: authorizedUser.id
-        };
+    // Update balance from the server result
+    state.loggedInUser.balance = result.balance;
 
-        // Refresh balance from server after deduction
-        const userDoc = await usersRef.doc(authorizedUser.id).get();
-        if (userDoc.exists) {
-            state.loggedInUser.balance = userDoc.data().balance || 0;
-        }
+    // Show success message
+    showSuccessMessage({ name, position: result.position });
 
-        localStorage.setItem('loggedInUser', JSON.stringify(state.loggedInUser));
+    // Reset form
+    document.getElementById('signupForm').reset();
+    updateUI();
 
-        // Show success message
-        const player = { name, position: playerData.position };
-        showSuccessMessage(player);
+    console.log('✅ Player registered:', name);
+}
 
-        // Reset form
-        document.getElementById('signupForm').reset();
-
-        console.log('✅ Player registered:', name);
-    } catch (error) {
-        console.error('Error registering player:', error);
-
-        // IMPORTANT: Refund payment since Firestore add failed
-        await updateUserBalance(
-            authorizedUser.id,
-            name,
-            state.paymentAmount, // Positive = refund
-            `Refund for failed registration ${state.sessionDate}`
-        );
-
-        alert('Error registering. Payment refunded. Please try again.\n\nเกิดข้อผิดพลาด คืนเงินแล้ว กรุณาลองใหม่อีกครั้ง');
-    }
-}
-
-// ============================================
-// GUEST REGISTRATION
-// ============================================
+// ============================================
+// GUEST REGISTRATION
+// ============================================
 
 /**
  * Register a guest player (friend/family member)
  * - Guest takes one player slot
  * - Payment deducted from host's wallet
- * - Guest name format: "HostName friend: GuestName"
+ * - Stored as guestName + guestOf/guestOfName (host), optionally from a reusable guest profile
+ * - Limits and guest price come from config/guests (checked by registerPlayer)
  * - Displayed as: "GuestName 👤 (HostName)"
  * - If host cancels, all their guests are also cancelled
  */
@@ -836,94 +1239,123 @@ async function handleGuestRegistration() {
         return;
     }
 
-    const hostName = state.loggedInUser.name;
     const hostUserId = state.loggedInUser.userId;
 
-    // Prompt for guest name
-    const guestName = prompt('Enter guest name / ใส่ชื่อแขก:');
-    if (!guestName || !guestName.trim()) {
+    // Previous guest (profile) or a new name
+    const guest = await promptForGuest(hostUserId);
+    if (!guest) {
         return; // User cancelled or empty name
     }
 
-    const trimmedGuestName = guestName.trim();
-    const fullGuestName = `${hostName} friend: ${trimmedGuestName}`;
-
-    // Get FRESH player data from Firestore (not from state which might be stale)
-    const playersSnapshot = await playersRef().get();
-    const currentPlayerCount = playersSnapshot.size;
-    const currentPlayers = [];
-    playersSnapshot.forEach(doc => {
-        currentPlayers.push({ id: doc.id, ...doc.data() });
-    });
-
-    // Check if guest name already exists
-    if (currentPlayers.find(p => p.name === fullGuestName)) {
+    // Check if guest already registered (server checks again in its transaction)
+    if (state.players.some(p => p.guestOf === hostUserId &&
+        getGuestDisplayName(p).toLowerCase() === guest.name.toLowerCase())) {
         alert('This guest is already registered / แขกคนนี้ลงทะเบียนแล้ว');
         return;
     }
 
     // Check if there's space available
-    if (currentPlayerCount >= state.maxPlayers) {
+    if (state.players.length >= state.maxPlayers) {
         // Ask if user wants to join waiting list
         if (!confirm(`Session is full (${state.maxPlayers}/${state.maxPlayers})\n\nJoin waiting list? / เซสชันเต็มแล้ว เข้าสู่รายการรอ?`)) {
             return;
         }
     }
 
-    // Check balance from host and deduct payment IMMEDIATELY
+    // Check balance from host
     const currentBalance = state.loggedInUser.balance || 0;
     if (currentBalance < MINIMUM_BALANCE) {
         alert(`Insufficient balance / ยอดเงินไม่เพียงพอ\n\nCurrent: ${currentBalance} THB\nNeeded: ${MINIMUM_BALANCE} THB\n\nยอดเงินปัจจุบัน: ${currentBalance} บาท\nต้องการ: ${MINIMUM_BALANCE} บาท`);
         return;
     }
 
-    try {
-        // Deduct payment from host BEFORE adding guest to Firestore
-        const isWaitingList = currentPlayerCount >= state.maxPlayers;
-        const paymentSuccess = await updateUserBalance(
-            hostUserId,
-            hostName,
-            -state.paymentAmount, // Negative = deduct
-            isWaitingList
-                ? `Payment for guest (${trimmedGuestName}) on waiting list ${state.sessionDate}`
-                : `Payment for guest (${trimmedGuestName}) ${state.sessionDate}`
-        );
-
-        if (!paymentSuccess) {
-            // updateUserBalance already showed error message
-            return;
-        }
+    // Server: duplicate check + position + host wallet debit + guest in one transaction
+    const result = await registerPlayerOnServer(guest.guestName, guest.guestProfileId);
+    if (!result) {
+        return; // registerPlayerOnServer already showed the error
+    }
 
-        // Add guest to Firestore
-        const guestData = {
-            name: fullGuestName,
-            userId: hostUserId,
-            paid: true,  // Already paid at registration
-            isGuest: true, // Flag to identify guests
-            guestOf: hostUserId, // Link to host user
-            guestOfName: hostName, // Host's name for easy reference
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-            position: currentPlayerCount + 1
-        };
+    state.loggedInUser.balance = result.balance;
+    updateUI();
 
-        await playersRef().add(guestData);
+    alert(`✅ Guest registered: ${guest.name}\n\nแขกลงทะเบียนแล้ว: ${guest.name}\n\nPosition: ${result.position}\n${result.isWaitingList ? 'Waiting list' : 'Active player'}\nPaid: ${result.amountPaid} THB`);
 
-        alert(`✅ Guest registered: ${trimmedGuestName}\n\nแขกลงทะเบียนแล้ว: ${trimmedGuestName}\n\nPosition: ${guestData.position}\n${guestData.position <= state.maxPlayers ? 'Active player' : 'Waiting list'}`);
+    console.log('✅ Guest registered:', guest.name);
+}
 
-        console.log('✅ Guest registered:', fullGuestName);
+/**
+ * Ask for the guest: one of the host's previous guests (guest profile) by number, or a new name
+ * @param {string} hostUserId - Logged-in user's ID
+ * @returns {Promise<{name: string, guestName: string|null, guestProfileId: string|null}|null>} null when cancelled
+ */
+async function promptForGuest(hostUserId) {
+    let profiles = [];
+    try {
+        const snapshot = await guestProfilesRef.where('hostUserId', '==', hostUserId).get();
+        profiles = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => (b.timesPlayed || 0) - (a.timesPlayed || 0))
+            .slice(0, 9);
     } catch (error) {
-        console.error('Error registering guest:', error);
-
-        // IMPORTANT: Refund payment since Firestore add failed
-        await updateUserBalance(
-            hostUserId,
-            hostName,
-            state.paymentAmount, // Positive = refund
-            `Refund for failed guest registration (${trimmedGuestName})`
-        );
+        console.error('Error loading guest profiles:', error);
+    }
+
+    let message = 'Enter guest name / ใส่ชื่อแขก:';
+    if (profiles.length > 0) {
+        message = 'Previous guests / แขกที่เคยมา:\n\n' +
+            profiles.map((profile, index) => `${index + 1}. ${profile.name}`).join('\n') +
+            '\n\nEnter a number or a new guest name\nใส่หมายเลขหรือชื่อแขกใหม่:';
+    }
+
+    const answer = (prompt(message) || '').trim();
+    if (!answer) {
+        return null;
+    }
 
-        alert('Error registering guest. Payment refunded. Please try again.\n\nเกิดข้อผิดพลาด คืนเงินแล้ว กรุณาลองใหม่อีกครั้ง');
+    const profile = /^\d$/.test(answer) ? profiles[parseInt(answer) - 1] : null;
+    if (profile) {
+        return { name: profile.name, guestName: null, guestProfileId: profile.id };
     }
+    return { name: answer, guestName: answer, guestProfileId: null };
+}
+
+/**
+ * Guest name from the structured guest fields (name holds "Host friend: Guest" for older versions)
+ * @param {Object} player - Player document data
+ * @returns {string}
+ */
+function getGuestDisplayName(player) {
+    return player.guestName || player.name;
+}
+
+/**
+ * Player as shown in lists and exports - guests as "GuestName 👤 (HostName)"
+ * @param {Object} player - Player document data
+ * @returns {string}
+ */
+function getPlayerListName(player) {
+    return player.isGuest ? `${getGuestDisplayName(player)} 👤 (${player.guestOfName})` : player.name;
+}
+
+/**
+ * What a spot cost: amountPaid when recorded (guest price), otherwise the session price
+ * @param {Object} player - Player document data
+ * @param {number} [paymentAmount] - Session price (defaults to the current session)
+ * @returns {number}
+ */
+function getPlayerPrice(player, paymentAmount = state.paymentAmount) {
+    return typeof player.amountPaid === 'number' ? player.amountPaid : paymentAmount;
+}
+
+/**
+ * Courts paid for a session: the courts booked by its template, otherwise one per 6 players
+ * Same as getSessionCourts() in functions/index.js
+ * @param {number|null} bookedCourts - Session courts field (set by templates)
+ * @param {number} playerCount - Players with a spot
+ * @returns {number}
+ */
+function getSessionCourts(bookedCourts, playerCount) {
+    return bookedCourts > 0 ? bookedCourts : Math.ceil(playerCount / 6);
 }
 
 // ============================================
@@ -1283,14 +1715,7 @@ async function nudgePlayers() {
 
         // Prepare notification data
         const notificationData = {
-            sessionDay: state.sessionDay,
-            sessionDate: state.sessionDate,
-            sessionTime: state.sessionTime,
-            currentPlayers: activePlayers.length,
-            maxPlayers: state.maxPlayers,
-            availableSpots: availableSpots,
-            paymentAmount: state.paymentAmount,
-            appUrl: window.location.href
+            sessionId: currentSessionId // Session numbers are read server-side
         };
 
         console.log('📢 Sending nudge to Line...', notificationData);
@@ -1310,276 +1735,1026 @@ async function nudgePlayers() {
 }
 
 // ============================================
-// CLOSE LAST SESSION - Session Summary
+// CHECK-IN (Venue QR code + staff check-in screen)
+// ============================================
+// openCheckIn (Cloud Function) returns the session's check-in code. Players scan
+// the QR code with their phone (checkIn), staff tick the others here.
+// Closing the session counts players without a check-in as no-shows
 // ============================================
 
-/**
- * Close last session and show summary
- * - Thanks for the session
- * - Shows session details (date, time, player count)
- * - Lists all players who played
- * - Warns about low wallet balance (<150 THB)
- */
-async function closeLastSession() {
-    // Directly call copyAndCloseSession to do everything in one step
-    await copyAndCloseSession();
+async function openCheckInScreen() {
+    try {
+        const openCheckIn = functions.httpsCallable('openCheckIn');
+        const response = await openCheckIn({ sessionId: currentSessionId });
+
+        const checkInUrl = `${APP_URL}?session=${encodeURIComponent(currentSessionId)}&checkin=${response.data.code}`;
+        const qr = qrcode(0, 'M');
+        qr.addData(checkInUrl);
+        qr.make();
+        document.getElementById('checkInQR').innerHTML = qr.createImgTag(6, 8);
+
+        renderCheckInList();
+        document.getElementById('checkInModal').style.display = 'flex';
+        console.log(`📍 Check-in open for ${currentSessionId}`);
+    } catch (error) {
+        console.error('Error opening check-in:', error);
+        alert(`❌ Could not open check-in:\n\n${error.message}`);
+    }
 }
 
 /**
- * Close session summary modal
+ * Player list with check-in status - click a name to tick/untick attendance
  */
-function closeSessionSummary() {
-    document.getElementById('sessionSummaryModal').style.display = 'none';
+function renderCheckInList() {
+    const list = document.getElementById('checkInPlayersList');
+    const activePlayers = state.players.slice(0, state.maxPlayers);
+    const checkedIn = activePlayers.filter(p => p.attended).length;
+
+    document.getElementById('checkInSummary').textContent =
+        `📍 ${checkedIn}/${activePlayers.length} checked in / เช็คอินแล้ว`;
+
+    list.innerHTML = '';
+    activePlayers.forEach(player => {
+        const item = document.createElement('div');
+        item.className = 'user-selection-item';
+        if (player.attended) {
+            item.style.background = '#f0fdf4';
+            item.style.borderLeft = '4px solid #10b981';
+        }
+        item.onclick = () => toggleAttendance(player);
+
+        const method = player.checkInMethod === 'qr' ? 'QR' : 'staff';
+        item.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 10px; flex: 1;">
+                <div style="font-size: 28px;">${player.attended ? '✅' : '⬜'}</div>
+                <div style="flex: 1;">
+                    <div style="font-weight: bold; font-size: 16px;">${player.position}. ${getPlayerListName(player)}</div>
+                </div>
+                <div style="color: ${player.attended ? '#059669' : '#6b7280'}; font-size: 12px;">
+                    ${player.attended ? `Checked in (${method})` : 'Click to check in / คลิกเพื่อเช็คอิน'}
+                </div>
+            </div>
+        `;
+        list.appendChild(item);
+    });
 }
 
 /**
- * Copy & Close Session - Does everything in one action:
- * 1. Copy session summary to clipboard
- * 2. Archive session with all players
- * 3. Register income & expenses
- * 4. Mark session as closed
- * 5. Close modal
+ * Tick/untick a player on the check-in screen
+ * @param {Object} player - Player from state.players
  */
-async function copyAndCloseSession() {
+async function toggleAttendance(player) {
     try {
-        // Check if session is already closed
-        const sessionDoc = await currentSessionRef().get();
-        if (sessionDoc.exists && sessionDoc.data().closed) {
-            alert('⚠️ เซสชันนี้ถูกปิดแล้ว!\n\nThis session is already closed!');
-            return;
-        }
+        await playersRef().doc(player.id).update(player.attended
+            ? {
+                attended: false,
+                checkedInAt: firebase.firestore.FieldValue.delete(),
+                checkInMethod: firebase.firestore.FieldValue.delete()
+            }
+            : {
+                attended: true,
+                checkedInAt: firebase.firestore.FieldValue.serverTimestamp(),
+                checkInMethod: 'staff',
+                checkedInBy: state.loggedInUser.name
+            });
+        console.log(`📍 ${player.name}: ${player.attended ? 'check-in removed' : 'checked in'}`);
+    } catch (error) {
+        console.error('Error updating attendance:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
 
-        // NEW: Check if shuttlecocks count is set (must be > 0)
-        if (!state.shuttlecocksUsed || state.shuttlecocksUsed === 0) {
-            alert(
-                '⚠️ SHUTTLECOCKS COUNT REQUIRED\n' +
-                'ต้องระบุจำนวนลูกแบดก่อน\n\n' +
-                'Please set the number of shuttlecocks used before closing the session.\n' +
-                'กรุณาระบุจำนวนลูกแบดที่ใช้ก่อนปิดเซสชัน\n\n' +
-                'Use "🏸 Shuttles" button in admin panel to set the count.\n' +
-                'ใช้ปุ่ม "🏸 Shuttles" ในแผงผู้ดูแลเพื่อตั้งค่า'
-            );
-            return;
-        }
+function closeCheckInScreen() {
+    document.getElementById('checkInModal').style.display = 'none';
+}
 
-        const activePlayers = state.players.slice(0, state.maxPlayers);
-        const waitingList = state.players.slice(state.maxPlayers);
+// ============================================
+// MATCH ROTATION (doubles rounds, rotation.js)
+// ============================================
+// Staff generate the rounds from the checked-in players (admin app → Close → Rounds);
+// they are stored on the session document (rotation) and shown to everyone
+// ============================================
 
-        // ============================================
-        // STEP 1: BUILD & COPY TEXT TO CLIPBOARD
-        // ============================================
-        let text = `✅ ขอบคุณสำหรับการเล่น! Thank you for the session!\n\n`;
-        text += `📅 ${state.sessionDay}\n`;
-        text += `📆 ${state.sessionDate}\n`;
-        text += `🕐 ${state.sessionTime}\n`;
-        text += `👥 Players: ${activePlayers.length}/${state.maxPlayers}\n\n`;
+/**
+ * Show the session's rounds - games with the logged-in player are highlighted
+ */
+function renderRotation() {
+    const section = document.getElementById('rotationSection');
+    if (!section) return;
 
-        // List players
-        if (activePlayers.length > 0) {
-            text += `👥 Players Who Played / ผู้เล่นที่เล่น:\n`;
-            activePlayers.forEach((player, index) => {
-                const paidIcon = player.paid ? '✅' : '❌';
-                text += `${index + 1}. ${player.name} ${paidIcon}\n`;
-            });
-            text += `\n`;
-        }
+    const rotation = state.rotation;
+    if (!rotation || !rotation.rounds || rotation.rounds.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
 
-        // List waiting list
-        if (waitingList.length > 0) {
-            text += `⏳ Waiting List / รายชื่อสำรอง:\n`;
-            waitingList.forEach((player, index) => {
-                text += `${index + 1}. ${player.name}\n`;
-            });
-            text += `\n`;
-        }
+    const ownIds = state.loggedInUser
+        ? state.players.filter(p => p.userId === state.loggedInUser.userId && !p.isGuest).map(p => p.id)
+        : [];
+    const name = (id) => rotation.names[id] || '?';
+    const container = document.getElementById('rotationRounds');
+    container.innerHTML = '';
+
+    rotation.rounds.forEach(round => {
+        const block = document.createElement('div');
+        block.style.marginBottom = '10px';
+
+        const time = MatchRotation.getRoundTime(rotation.startTime, rotation.minutesPerGame, round.round);
+        const title = document.createElement('div');
+        title.style.fontWeight = 'bold';
+        title.textContent = `Round ${round.round}${time ? ` (${time})` : ''}`;
+        block.appendChild(title);
+
+        round.matches.forEach(match => {
+            const line = document.createElement('div');
+            line.textContent = `Court ${match.court}: ${match.teamA.map(name).join(' & ')} vs ${match.teamB.map(name).join(' & ')}`;
+            if (match.teamA.concat(match.teamB).some(id => ownIds.includes(id))) {
+                line.style.fontWeight = 'bold';
+                line.style.color = '#059669';
+            }
 
-        // Check for low balance users
-        const lowBalanceUsers = state.authorizedUsers.filter(user => {
-            const balance = user.balance || 0;
-            return balance < 150;
-        }).sort((a, b) => (a.balance || 0) - (b.balance || 0));
+            const result = findRotationResult(round.round, match.court);
+            if (result) {
+                line.textContent += ` - ${result.scoreA}-${result.scoreB}`;
+            } else if (canRecordMatch(match.teamA.concat(match.teamB))) {
+                const scoreBtn = document.createElement('button');
+                scoreBtn.textContent = '✏️ Score';
+                scoreBtn.style.cssText = 'margin-left: 6px; padding: 2px 8px; border: 1px solid #0d9488; border-radius: 6px; background: white; color: #0d9488; cursor: pointer; font-size: 12px;';
+                scoreBtn.onclick = () => recordMatchScore(round.round, match.court);
+                line.appendChild(scoreBtn);
+            }
+            block.appendChild(line);
+        });
 
-        if (lowBalanceUsers.length > 0) {
-            text += `⚠️ Low Balance Warning / แจ้งเตือนยอดเงินต่ำ:\n`;
-            text += `Please top up before next session / กรุณาเติมเงินก่อนรอบถัดไป:\n\n`;
-            lowBalanceUsers.forEach(user => {
-                const balance = user.balance || 0;
-                text += `${user.name}: ${balance} THB\n`;
-            });
+        if (round.sittingOut.length > 0) {
+            const line = document.createElement('div');
+            line.style.color = '#6b7280';
+            line.textContent = `Sitting out / พัก: ${round.sittingOut.map(name).join(', ')}`;
+            block.appendChild(line);
         }
+        container.appendChild(block);
+    });
 
-        // Copy to clipboard
-        await navigator.clipboard.writeText(text);
-        console.log('✅ Session summary copied to clipboard');
+    section.style.display = 'block';
+}
 
-        // ============================================
-        // STEP 2: CALCULATE FINANCES
-        // ============================================
-        const income = activePlayers.length * state.paymentAmount;
+/**
+ * Copy the rounds as text (for Line)
+ */
+async function shareRotation() {
+    if (!state.rotation) return;
 
-        // Calculate number of courts automatically (6 players per court)
-        const courts = Math.ceil(activePlayers.length / 6);
-        const courtCost = courts * 440;
+    const text = MatchRotation.formatText(state.rotation, `${state.sessionDay} ${state.sessionDate} ${state.sessionTime}`);
+    try {
+        await navigator.clipboard.writeText(text);
+        alert('✅ Rounds copied!\n\nคัดลอกตารางแข่งแล้ว!\n\nYou can now paste this in Line.');
+    } catch (error) {
+        console.error('❌ Error copying rounds:', error);
+        alert(text);
+    }
+}
 
-        // Calculate shuttlecock cost
-        const shuttlecockCost = (state.shuttlecocksUsed || 0) * 90;
-        const totalExpense = courtCost + shuttlecockCost;
+// ============================================
+// MATCH RESULTS & LEADERBOARD
+// ============================================
+// Players record the result of their own games (staff: any game) through
+// recordMatchResult; results live in sessions/{id}/matches and move to the
+// archive when the session closes. The leaderboard counts a whole season
+// ============================================
 
-        // ============================================
-        // STEP 3: ARCHIVE SESSION TO DATED DOCUMENT
-        // ============================================
+/**
+ * Can the logged-in player record a game with these players?
+ * @param {string[]} playerIds - Player document IDs in the game
+ * @returns {boolean}
+ */
+function canRecordMatch(playerIds) {
+    if (!state.loggedInUser) return false;
+    return hasCapability('players.manage') ||
+        state.players.some(p => playerIds.includes(p.id) && p.userId === state.loggedInUser.userId);
+}
 
-        // Generate ISO date for archived document (YYYY-MM-DD)
-        // Convert sessionDate from "DD/MM/YYYY" to "YYYY-MM-DD"
-        const [day, month, year] = state.sessionDate.split('/');
-        const archivedSessionId = `${year}-${month}-${day}`; // e.g., "2025-11-22"
+/**
+ * Result recorded for a game of the rounds
+ * @param {number} round - Round number
+ * @param {number} court - Court number
+ * @returns {Object|undefined}
+ */
+function findRotationResult(round, court) {
+    return state.matches.find(m => m.round === round && m.court === court);
+}
 
-        console.log(`📦 Archiving session to: sessions/${archivedSessionId}`);
+/**
+ * Show the session's recorded results
+ */
+function renderResults() {
+    const section = document.getElementById('resultsSection');
+    if (!section) return;
 
-        // Copy session data to archived document
-        const archivedSessionRef = sessionsRef.doc(archivedSessionId);
-        await archivedSessionRef.set({
-            date: state.sessionDate,
-            day: state.sessionDay,
-            time: state.sessionTime,
-            maxPlayers: state.maxPlayers,
-            paymentAmount: state.paymentAmount,
-            shuttlecocksUsed: state.shuttlecocksUsed || 0,
-            published: state.published,
-            closed: true,
-            closedAt: firebase.firestore.FieldValue.serverTimestamp(),
-            finalPlayerCount: activePlayers.length,
-            finalIncome: income,
-            finalExpense: totalExpense,
-            courts: courts,
-            archivedFrom: 'current',
-            createdAt: firebase.firestore.FieldValue.serverTimestamp()
-        });
+    const activePlayers = state.players.slice(0, state.maxPlayers);
+    if (!state.loggedInUser || (state.matches.length === 0 && activePlayers.length < 4)) {
+        section.style.display = 'none';
+        return;
+    }
 
-        console.log('✅ Session data archived');
+    const list = document.getElementById('resultsList');
+    list.innerHTML = '';
+    if (state.matches.length === 0) {
+        list.innerHTML = '<p style="color: #6b7280;">No results yet / ยังไม่มีผลการแข่ง</p>';
+    }
+
+    state.matches.forEach(match => {
+        const line = document.createElement('div');
+        line.style.display = 'flex';
+        line.style.justifyContent = 'space-between';
+        line.style.alignItems = 'center';
+        line.style.padding = '4px 0';
+
+        const team = (players) => players.map(p => p.name).join(' & ');
+        const text = document.createElement('span');
+        text.textContent = `${match.round ? `R${match.round} ` : ''}${team(match.teamA)} ${match.scoreA}-${match.scoreB} ${team(match.teamB)}`;
+        if (match.userIds && match.userIds.includes(state.loggedInUser.userId)) {
+            text.style.fontWeight = 'bold';
+        }
+        line.appendChild(text);
+
+        if (match.recordedBy === state.loggedInUser.userId || hasCapability('players.manage')) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete result / ลบผลการแข่ง';
+            deleteBtn.style.cssText = 'background: none; border: none; cursor: pointer;';
+            deleteBtn.onclick = () => deleteMatchScore(match.id);
+            line.appendChild(deleteBtn);
+        }
+        list.appendChild(line);
+    });
 
-        // Copy ALL players to archived session
-        const playersSnapshot = await playersRef().get();
-        const archivedPlayersRef = archivedSessionRef.collection('players');
+    section.style.display = 'block';
+}
 
-        const batch = db.batch();
-        let playersCopied = 0;
+/**
+ * Ask for the four players of a game (games outside the rounds)
+ * @returns {{teamA: string[], teamB: string[]}|null}
+ */
+function promptForMatchTeams() {
+    const activePlayers = state.players.slice(0, state.maxPlayers);
+    const numbered = activePlayers.map((p, i) => `${i + 1}. ${getGuestDisplayName(p)}`).join('\n');
+
+    const pick = (label) => {
+        const input = prompt(`${label}: two numbers (e.g. 1 4)\n${label}: ใส่หมายเลข 2 คน\n\n${numbered}`);
+        if (input === null) return null;
+        const numbers = input.split(/[\s,&]+/).filter(Boolean).map(n => parseInt(n, 10));
+        if (numbers.length !== 2 || numbers.some(n => !(n >= 1 && n <= activePlayers.length))) {
+            alert('❌ Please enter two numbers from the list\n\nกรุณาใส่หมายเลข 2 คนจากรายชื่อ');
+            return null;
+        }
+        return numbers.map(n => activePlayers[n - 1].id);
+    };
 
-        playersSnapshot.forEach(doc => {
-            const playerData = doc.data();
-            const newPlayerRef = archivedPlayersRef.doc(); // Auto-generate new ID
-            batch.set(newPlayerRef, {
-                ...playerData,
-                archivedAt: firebase.firestore.FieldValue.serverTimestamp()
-            });
-            playersCopied++;
-        });
+    const teamA = pick('Team A');
+    if (!teamA) return null;
+    const teamB = pick('Team B');
+    if (!teamB) return null;
+    return { teamA, teamB };
+}
 
-        await batch.commit();
-        console.log(`✅ ${playersCopied} players copied to archived session`);
+/**
+ * Record the score of a game - from the rounds (round + court) or any four players
+ * @param {number} [round] - Round number in the rounds
+ * @param {number} [court] - Court number in the round
+ */
+async function recordMatchScore(round, court) {
+    if (!state.loggedInUser) {
+        alert('Please log in first / กรุณาเข้าสู่ระบบก่อน');
+        return;
+    }
 
-        // ============================================
-        // STEP 3.5: REFUND WAITING LIST AUTOMATICALLY
-        // ============================================
-        let waitingListRefunded = 0;
-        let waitingListErrors = [];
+    let teams;
+    const name = (id) => {
+        const player = state.players.find(p => p.id === id);
+        return player ? getGuestDisplayName(player) : ((state.rotation && state.rotation.names[id]) || '?');
+    };
+    if (round && court) {
+        const roundData = state.rotation && state.rotation.rounds.find(r => r.round === round);
+        const match = roundData && roundData.matches.find(m => m.court === court);
+        if (!match) return;
+        teams = { teamA: match.teamA, teamB: match.teamB };
+    } else {
+        teams = promptForMatchTeams();
+        if (!teams) return;
+    }
 
-        if (waitingList.length > 0) {
-            console.log(`💰 Auto-refunding ${waitingList.length} waiting list player(s)...`);
-
-            for (const player of waitingList) {
-                try {
-                    // Refund the payment (they already paid at registration)
-                    const success = await updateUserBalance(
-                        player.userId,
-                        player.name,
-                        state.paymentAmount,
-                        `Auto-refund - Waiting list ${state.sessionDate}`,
-                        true // silent mode
-                    );
-
-                    if (success) {
-                        waitingListRefunded++;
-                        console.log(`✅ Refunded ${state.paymentAmount} THB to ${player.name} (waiting list)`);
-                    } else {
-                        waitingListErrors.push(player.name);
-                        console.error(`❌ Failed to refund ${player.name}`);
-                    }
-                } catch (error) {
-                    console.error(`❌ Error refunding ${player.name}:`, error);
-                    waitingListErrors.push(player.name);
-                }
-            }
+    if (!canRecordMatch(teams.teamA.concat(teams.teamB))) {
+        alert('❌ Only players in the game can record its result\n\nเฉพาะผู้เล่นในเกมเท่านั้นที่บันทึกผลได้');
+        return;
+    }
 
-            if (waitingListRefunded > 0) {
-                console.log(`✅ Total refunded: ${waitingListRefunded}/${waitingList.length} waiting list players`);
-            }
-            if (waitingListErrors.length > 0) {
-                console.error(`⚠️ Refund errors for: ${waitingListErrors.join(', ')}`);
-            }
-        }
+    const input = prompt(
+        `🏸 ${teams.teamA.map(name).join(' & ')} vs ${teams.teamB.map(name).join(' & ')}\n\n` +
+        `Score (e.g. 21-15) / คะแนน:`
+    );
+    if (input === null) return;
 
-        // ============================================
-        // STEP 4: REGISTER INCOME & EXPENSES
-        // ============================================
+    const score = /^\s*(\d{1,2})\s*[-:]\s*(\d{1,2})\s*$/.exec(input);
+    if (!score || score[1] === score[2]) {
+        alert('❌ Please enter a score like 21-15 (no draws)\n\nกรุณาใส่คะแนน เช่น 21-15');
+        return;
+    }
 
-        // Register income (ISO date format: YYYY-MM-DD)
-        await incomeRef.add({
-            date: archivedSessionId, // ISO format (YYYY-MM-DD)
-            sessionId: archivedSessionId, // Link to archived session
-            amount: income,
-            paymentPerPlayer: state.paymentAmount,
-            playerCount: activePlayers.length,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-            notes: `${state.sessionDay} ${state.sessionTime}`
+    try {
+        const recordMatchResult = functions.httpsCallable('recordMatchResult');
+        await recordMatchResult({
+            sessionId: currentSessionId,
+            userId: state.loggedInUser.userId,
+            teamA: teams.teamA,
+            teamB: teams.teamB,
+            scoreA: parseInt(score[1], 10),
+            scoreB: parseInt(score[2], 10),
+            round: round || null,
+            court: court || null
         });
+        console.log(`🏆 Result recorded: ${input}`);
+    } catch (error) {
+        console.error('❌ Error recording result:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
 
-        console.log('✅ Income registered:', income);
+/**
+ * Delete a wrongly entered result (rating changes are reversed)
+ * @param {string} matchId - Result document ID
+ */
+async function deleteMatchScore(matchId) {
+    if (!confirm('Delete this result?\n\nลบผลการแข่งนี้?')) return;
 
-        // Register court rental expense (ISO date format: YYYY-MM-DD)
-        await expensesRef.add({
-            date: archivedSessionId, // ISO format (YYYY-MM-DD)
-            type: 'court_rental',
-            sessionId: archivedSessionId,
-            amount: courtCost,
-            courts: courts,
-            costPerCourt: 440,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-            notes: `${state.sessionDay} ${state.sessionTime}`
+    try {
+        const deleteMatchResult = functions.httpsCallable('deleteMatchResult');
+        await deleteMatchResult({ sessionId: currentSessionId, userId: state.loggedInUser.userId, matchId });
+    } catch (error) {
+        console.error('❌ Error deleting result:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Season leaderboard: wins, win rate, games and best partner per player
+ * @param {string} [season] - Season name (default: current season)
+ */
+async function showLeaderboard(season) {
+    const modal = document.getElementById('leaderboardModal');
+    const content = document.getElementById('leaderboardContent');
+    modal.style.display = 'flex';
+    content.innerHTML = '<p style="text-align: center; color: #666;">Loading... / กำลังโหลด...</p>';
+
+    try {
+        const getLeaderboard = functions.httpsCallable('getLeaderboard');
+        const { data } = await getLeaderboard({ season: season || null });
+
+        content.innerHTML = '';
+        const title = document.createElement('p');
+        title.style.fontWeight = 'bold';
+        title.textContent = `Season / ฤดูกาล ${data.season} - ${data.games} games`;
+        content.appendChild(title);
+
+        if (data.players.length === 0) {
+            const empty = document.createElement('p');
+            empty.style.color = '#6b7280';
+            empty.textContent = 'No results yet / ยังไม่มีผลการแข่ง';
+            content.appendChild(empty);
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 14px;';
+        const header = table.insertRow();
+        ['#', 'Player', 'W', 'GP', 'Win %', 'Best partner'].forEach(label => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            cell.style.cssText = 'text-align: left; padding: 4px; border-bottom: 1px solid #e5e7eb;';
+            header.appendChild(cell);
         });
 
-        console.log('✅ Court expense registered:', courtCost);
+        data.players.forEach((player, i) => {
+            const row = table.insertRow();
+            if (state.loggedInUser && player.userId === state.loggedInUser.userId) {
+                row.style.fontWeight = 'bold';
+                row.style.color = '#059669';
+            }
+            const partner = player.bestPartner ? `${player.bestPartner.name} (${player.bestPartner.wins}/${player.bestPartner.games})` : '-';
+            [i + 1, player.name, player.wins, player.games, `${player.winRate}%`, partner].forEach(value => {
+                const cell = row.insertCell();
+                cell.textContent = value;
+                cell.style.padding = '4px';
+            });
+        });
+        content.appendChild(table);
+    } catch (error) {
+        console.error('❌ Error loading leaderboard:', error);
+        content.innerHTML = '';
+        const message = document.createElement('p');
+        message.style.color = '#dc2626';
+        message.textContent = `❌ ${error.message}`;
+        content.appendChild(message);
+    }
+}
 
-        // Register shuttlecock expense (if any) (ISO date format: YYYY-MM-DD)
-        if (state.shuttlecocksUsed > 0) {
-            await expensesRef.add({
-                date: archivedSessionId, // ISO format (YYYY-MM-DD)
-                type: 'shuttlecocks',
-                sessionId: archivedSessionId,
-                amount: shuttlecockCost,
-                quantity: state.shuttlecocksUsed,
-                costPerItem: 90,
-                timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-                notes: `${state.sessionDay} ${state.sessionTime}`
+/**
+ * Leaderboard of an earlier season
+ */
+function showOtherSeason() {
+    const season = prompt('Season (e.g. 2025) / ฤดูกาล:');
+    if (season && season.trim()) {
+        showLeaderboard(season.trim());
+    }
+}
+
+function closeLeaderboard() {
+    document.getElementById('leaderboardModal').style.display = 'none';
+}
+
+/**
+ * Generate doubles rounds for the checked-in players (all active players when
+ * check-in wasn't used) and store them on the session
+ */
+async function generateRotation() {
+    const activePlayers = state.players.slice(0, state.maxPlayers);
+    const players = state.checkInUsed ? activePlayers.filter(p => p.attended) : activePlayers;
+
+    if (players.length < 4) {
+        alert(`At least 4 ${state.checkInUsed ? 'checked-in ' : ''}players are needed for doubles\n\nต้องมีผู้เล่นอย่างน้อย 4 คน`);
+        return;
+    }
+    if (state.rotation && !confirm('Replace the current rounds?\n\nสร้างตารางแข่งใหม่?')) {
+        return;
+    }
+
+    const sessionMinutes = MatchRotation.getSessionMinutes(state.sessionTime);
+    if (!sessionMinutes) {
+        alert(`Could not read the session length from "${state.sessionTime}"`);
+        return;
+    }
+
+    const minutesInput = prompt(
+        'Minutes per game / นาทีต่อเกม\n\n' +
+        `Session: ${state.sessionTime} (${sessionMinutes} min)`,
+        String(state.rotation ? state.rotation.minutesPerGame : MatchRotation.DEFAULT_MINUTES_PER_GAME)
+    );
+    if (minutesInput === null) return;
+
+    const courtsInput = prompt(
+        'Courts / สนาม\n\n' +
+        `${players.length} ${state.checkInUsed ? 'checked-in ' : ''}players`,
+        String(state.courts || MatchRotation.getCourtCount(players.length))
+    );
+    if (courtsInput === null) return;
+
+    const minutesPerGame = parseInt(minutesInput, 10);
+    const courts = parseInt(courtsInput, 10);
+    if (isNaN(minutesPerGame) || minutesPerGame <= 0 || isNaN(courts) || courts <= 0) {
+        alert('Enter the minutes per game and the number of courts');
+        return;
+    }
+
+    // Rated members balance the teams - guests and unrated players count as average
+    const ratings = {};
+    players.filter(p => !p.isGuest).forEach(p => {
+        const rating = state.ratings[p.userId];
+        if (rating && typeof rating.rating === 'number') {
+            ratings[p.id] = rating.rating;
+        }
+    });
+
+    const result = MatchRotation.generate(players.map(p => p.id), {
+        courts,
+        rounds: MatchRotation.getRoundCount(sessionMinutes, minutesPerGame),
+        ratings
+    });
+    if (result.rounds.length === 0) {
+        alert('A game is longer than the session - no rounds fit');
+        return;
+    }
+
+    try {
+        await currentSessionRef().update({
+            rotation: {
+                rounds: result.rounds,
+                courts: result.courts,
+                seed: result.seed,
+                minutesPerGame,
+                startTime: state.sessionTime.split('-')[0].trim(),
+                names: Object.fromEntries(players.map(p => [p.id, p.isGuest ? getGuestDisplayName(p) : p.name])),
+                playerCount: players.length,
+                checkInUsed: state.checkInUsed,
+                generatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                generatedBy: state.loggedInUser.name
+            }
+        });
+
+        const games = Object.values(result.gamesPlayed);
+        alert(
+            `✅ ${result.rounds.length} rounds on ${result.courts} court(s)\n` +
+            `สร้างตารางแข่งแล้ว\n\n` +
+            `Games per player: ${Math.min(...games)}-${Math.max(...games)}\n` +
+            `${Object.keys(ratings).length > 0 ? `Teams balanced by rating (${Object.keys(ratings).length} rated)` : 'No ratings - random teams'}\n\n` +
+            `The rounds are shown below the player list (📋 Copy to share in Line)`
+        );
+        console.log(`🏸 Rotation: ${result.rounds.length} rounds, ${result.courts} courts, ${players.length} players (seed ${result.seed})`);
+    } catch (error) {
+        console.error('Error saving rounds:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * No-show counters (authorizedUsers noShowCount) - list and reset
+ * Resetting also gives back priority lost through config/noShows
+ */
+async function manageNoShows() {
+    const withNoShows = state.authorizedUsers
+        .filter(user => user.noShowCount > 0)
+        .sort((a, b) => b.noShowCount - a.noShowCount);
+
+    if (withNoShows.length === 0) {
+        alert('✅ No no-shows recorded / ไม่มีผู้เล่นที่ไม่มาเล่น');
+        return;
+    }
+
+    let message = '🚫 No-shows / ไม่มาเล่น\n\n';
+    withNoShows.forEach((user, index) => {
+        message += `${index + 1}. ${user.name}: ${user.noShowCount}` +
+            `${user.lastNoShowSession ? ` (last ${user.lastNoShowSession})` : ''}` +
+            `${user.priorityLost ? ' - lost priority' : ''}\n`;
+    });
+    message += '\nEnter a number to reset that player (or Cancel)';
+
+    const input = prompt(message);
+    if (input === null) return;
+
+    const user = withNoShows[parseInt(input, 10) - 1];
+    if (!user) {
+        alert('Invalid number');
+        return;
+    }
+
+    try {
+        await usersRef.doc(user.id).update({
+            noShowCount: 0,
+            priorityLost: firebase.firestore.FieldValue.delete()
+        });
+        alert(`✅ No-shows reset for ${user.name}`);
+    } catch (error) {
+        console.error('Error resetting no-shows:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * No-show consequences (config/noShows) - applied by closeSession
+ */
+async function setNoShowPolicy() {
+    try {
+        const configDoc = await db.collection('config').doc('noShows').get();
+        const current = configDoc.exists ? configDoc.data() : {};
+
+        const warnInput = prompt(
+            'No-show warning / แจ้งเตือนไม่มาเล่น\n\n' +
+            'Send players a warning from this many no-shows.\n' +
+            '0 = no warnings',
+            current.warnAfter !== undefined ? current.warnAfter : 2
+        );
+        if (warnInput === null) return;
+
+        const priorityInput = prompt(
+            'Lose priority / เสียสิทธิ์ผู้เล่นประจำ\n\n' +
+            'From this many no-shows regular players are no longer added\n' +
+            'automatically (reset under Users → No-shows).\n' +
+            '0 = never',
+            current.losePriorityAfter !== undefined ? current.losePriorityAfter : 0
+        );
+        if (priorityInput === null) return;
+
+        const warnAfter = parseInt(warnInput, 10);
+        const losePriorityAfter = parseInt(priorityInput, 10);
+        if (isNaN(warnAfter) || warnAfter < 0 || isNaN(losePriorityAfter) || losePriorityAfter < 0) {
+            alert('Enter a number of no-shows (0 = off)');
+            return;
+        }
+
+        await db.collection('config').doc('noShows').set({
+            warnAfter,
+            losePriorityAfter,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        alert(
+            '✅ No-show policy saved\n\n' +
+            `Warning: ${warnAfter > 0 ? `from ${warnAfter} no-shows` : 'off'}\n` +
+            `Lose priority: ${losePriorityAfter > 0 ? `from ${losePriorityAfter} no-shows` : 'off'}`
+        );
+    } catch (error) {
+        console.error('Error saving no-show policy:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Skill rating settings (config/ratings): show ratings to players, learn from results
+ */
+async function setRatingSettings() {
+    try {
+        const configDoc = await db.collection('config').doc('ratings').get();
+        const current = configDoc.exists ? configDoc.data() : {};
+
+        const showToPlayers = confirm(
+            'Show skill ratings to players? / แสดงระดับฝีมือให้ผู้เล่นเห็น?\n\n' +
+            `Now: ${current.showToPlayers ? 'shown' : 'hidden'}\n\n` +
+            'OK = show next to names in the player app\n' +
+            'Cancel = only staff see them'
+        );
+        const learnFromResults = confirm(
+            'Learn ratings from recorded results? / ปรับระดับจากผลการแข่ง?\n\n' +
+            `Now: ${current.learnFromResults ? 'on' : 'off'}\n\n` +
+            'OK = each recorded game moves the players\' ratings (Elo)\n' +
+            'Cancel = ratings only change when an admin sets them'
+        );
+
+        await db.collection('config').doc('ratings').set({
+            showToPlayers,
+            learnFromResults,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        alert(
+            '✅ Rating settings saved\n\n' +
+            `Players see ratings: ${showToPlayers ? 'yes' : 'no'}\n` +
+            `Learn from results: ${learnFromResults ? 'yes' : 'no'}`
+        );
+    } catch (error) {
+        console.error('Error saving rating settings:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Priority window (config/priorityWindow): hours after publish in which only the
+ * day's regular players can register - set on the session by the server
+ */
+async function setPriorityWindow() {
+    try {
+        const configDoc = await db.collection('config').doc('priorityWindow').get();
+        const current = configDoc.exists ? (configDoc.data().hours || 0) : 0;
+
+        const input = prompt(
+            'Priority window for regular players / ช่วงลงทะเบียนก่อนของผู้เล่นประจำ\n\n' +
+            'Hours after publishing in which only the day\'s regular players can register.\n' +
+            'Unclaimed spots then open to everyone (regulars who lost priority wait too).\n\n' +
+            '0 = off, e.g. 24',
+            current
+        );
+        if (input === null) return;
+
+        const hours = Number(input);
+        if (!(hours >= 0 && hours <= 168)) {
+            alert('❌ Please enter a number of hours from 0 to 168');
+            return;
+        }
+
+        await db.collection('config').doc('priorityWindow').set({
+            hours,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        alert(hours > 0
+            ? `✅ Regular players get ${hours} hours after publishing\n\nApplies to sessions published from now on`
+            : '✅ Priority window off - everyone can register right after publishing');
+    } catch (error) {
+        console.error('Error saving priority window:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Lottery draw weights (config/lottery) - see functions/lottery.js
+ * Weight = 1 + lossBonus per lost draw in a row (max maxLosses)
+ *            + attendanceBonus × share of the last attendanceSessions sessions missed
+ */
+async function setLotteryPolicy() {
+    try {
+        const configDoc = await db.collection('config').doc('lottery').get();
+        const current = { lossBonus: 0.5, maxLosses: 4, attendanceBonus: 1, attendanceSessions: 8, ...(configDoc.exists ? configDoc.data() : {}) };
+
+        const lossInput = prompt(
+            'Lottery: bonus for lost draws / โบนัสเมื่อจับฉลากไม่ได้\n\n' +
+            'Extra weight per draw lost in a row (everyone starts at 1).\n' +
+            'Example: 0.5 → after 2 lost draws a player has weight 2 = twice the chance.\n' +
+            '0 = off',
+            current.lossBonus
+        );
+        if (lossInput === null) return;
+
+        const maxLossesInput = prompt(
+            'Lottery: count lost draws up to / นับครั้งที่ไม่ได้สูงสุด\n\n' +
+            'Lost draws above this number give no more bonus.',
+            current.maxLosses
+        );
+        if (maxLossesInput === null) return;
+
+        const attendanceInput = prompt(
+            'Lottery: bonus for low attendance / โบนัสสำหรับผู้ที่มาเล่นน้อย\n\n' +
+            'Extra weight for a player who missed all recent sessions\n' +
+            '(half of it for missing half of them). 0 = off',
+            current.attendanceBonus
+        );
+        if (attendanceInput === null) return;
+
+        const sessionsInput = prompt(
+            'Lottery: recent sessions / จำนวนเซสชันล่าสุด\n\n' +
+            'How many of the last closed sessions count for attendance (max 20).',
+            current.attendanceSessions
+        );
+        if (sessionsInput === null) return;
+
+        const policy = {
+            lossBonus: Number(lossInput),
+            maxLosses: parseInt(maxLossesInput, 10),
+            attendanceBonus: Number(attendanceInput),
+            attendanceSessions: parseInt(sessionsInput, 10)
+        };
+        if (!(policy.lossBonus >= 0 && policy.lossBonus <= 10) || !(policy.attendanceBonus >= 0 && policy.attendanceBonus <= 10) ||
+            !(policy.maxLosses >= 0 && policy.maxLosses <= 20) || !(policy.attendanceSessions >= 0 && policy.attendanceSessions <= 20)) {
+            alert('❌ Bonuses: 0 to 10, numbers of draws/sessions: 0 to 20');
+            return;
+        }
+
+        await db.collection('config').doc('lottery').set({
+            ...policy,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        alert(
+            '✅ Lottery weights saved\n\n' +
+            `Lost draws: +${policy.lossBonus} each (up to ${policy.maxLosses})\n` +
+            `Low attendance: up to +${policy.attendanceBonus} (last ${policy.attendanceSessions} sessions)`
+        );
+    } catch (error) {
+        console.error('Error saving lottery policy:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Season name for the leaderboard (config/season) - new results are tagged with it,
+ * empty = calendar year
+ */
+async function setSeason() {
+    try {
+        const configDoc = await db.collection('config').doc('season').get();
+        const current = configDoc.exists ? (configDoc.data().name || '') : '';
+
+        const input = prompt(
+            'Season name / ชื่อฤดูกาล\n\n' +
+            'Results recorded from now on count for this season (e.g. "2026 Autumn").\n' +
+            'Empty = the year of the session date',
+            current
+        );
+        if (input === null) return;
+
+        const name = input.trim();
+        await db.collection('config').doc('season').set({
+            name,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        alert(`✅ Season: ${name || 'calendar year'}`);
+    } catch (error) {
+        console.error('Error saving season:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Guest limits and guest price (config/guests) - enforced by registerPlayer
+ */
+async function setGuestPolicy() {
+    try {
+        const configDoc = await db.collection('config').doc('guests').get();
+        const current = configDoc.exists ? configDoc.data() : {};
+
+        const hostInput = prompt(
+            'Guests per member / แขกต่อสมาชิก\n\n' +
+            'How many guests one member may bring to a session.\n' +
+            '0 = no limit',
+            current.maxPerHost || 0
+        );
+        if (hostInput === null) return;
+
+        const sessionInput = prompt(
+            'Guests per session / แขกต่อเซสชัน\n\n' +
+            'How many guests a session takes in total.\n' +
+            '0 = no limit',
+            current.maxPerSession || 0
+        );
+        if (sessionInput === null) return;
+
+        const priceInput = prompt(
+            'Guest price (THB) / ราคาแขก\n\n' +
+            `Leave empty to charge the member price (${state.paymentAmount} THB).`,
+            typeof current.guestPrice === 'number' ? current.guestPrice : ''
+        );
+        if (priceInput === null) return;
+
+        const maxPerHost = parseInt(hostInput, 10);
+        const maxPerSession = parseInt(sessionInput, 10);
+        const guestPrice = priceInput.trim() === '' ? null : parseInt(priceInput, 10);
+        if (isNaN(maxPerHost) || maxPerHost < 0 || isNaN(maxPerSession) || maxPerSession < 0) {
+            alert('Enter a number of guests (0 = no limit)');
+            return;
+        }
+        if (guestPrice !== null && (isNaN(guestPrice) || guestPrice < 0)) {
+            alert('Enter a price in THB, or leave it empty');
+            return;
+        }
+
+        await db.collection('config').doc('guests').set({
+            maxPerHost,
+            maxPerSession,
+            guestPrice,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        alert(
+            '✅ Guest settings saved\n\n' +
+            `Per member: ${maxPerHost > 0 ? maxPerHost : 'no limit'}\n` +
+            `Per session: ${maxPerSession > 0 ? maxPerSession : 'no limit'}\n` +
+            `Price: ${guestPrice !== null ? `${guestPrice} THB` : 'member price'}`
+        );
+    } catch (error) {
+        console.error('Error saving guest settings:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
+
+// ============================================
+// CLOSE LAST SESSION - Session Summary
+// ============================================
+
+/**
+ * Close last session and show summary
+ * - Thanks for the session
+ * - Shows session details (date, time, player count)
+ * - Lists all players who played
+ * - Warns about low wallet balance (<150 THB)
+ */
+async function closeLastSession() {
+    // Directly call copyAndCloseSession to do everything in one step
+    await copyAndCloseSession();
+}
+
+/**
+ * Close session summary modal
+ */
+function closeSessionSummary() {
+    document.getElementById('sessionSummaryModal').style.display = 'none';
+}
+
+/**
+ * Close a session through the closeSession Cloud Function
+ * The server writes archive + accounting in one transaction and is idempotent
+ * @param {string} sessionId - Session to close
+ * @returns {Promise<Object|null>} Close result, or null if it failed (alert shown)
+ */
+async function closeSessionOnServer(sessionId) {
+    try {
+        const closeSession = functions.httpsCallable('closeSession');
+        const response = await closeSession({ sessionId: sessionId });
+        const result = response.data;
+
+        if (result.alreadyClosed) {
+            alert('⚠️ เซสชันนี้ถูกปิดแล้ว!\n\nThis session is already closed!');
+            return null;
+        }
+
+        console.log(`✅ Session closed on server → sessions/${result.archivedSessionId}`, result);
+        return result;
+    } catch (error) {
+        console.error('❌ Error closing session on server:', error);
+        alert(`❌ Failed to close session:\n\n${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Copy & Close Session - Does everything in one action:
+ * 1. Copy session summary to clipboard
+ * 2. Close on server: archive players, refund waiting list, register income & expenses
+ * 3. Close modal
+ */
+async function copyAndCloseSession() {
+    try {
+        // Check if session is already closed
+        const sessionDoc = await currentSessionRef().get();
+        if (sessionDoc.exists && sessionDoc.data().closed) {
+            alert('⚠️ เซสชันนี้ถูกปิดแล้ว!\n\nThis session is already closed!');
+            return;
+        }
+
+        // NEW: Check if shuttlecocks count is set (must be > 0)
+        if (!state.shuttlecocksUsed || state.shuttlecocksUsed === 0) {
+            alert(
+                '⚠️ SHUTTLECOCKS COUNT REQUIRED\n' +
+                'ต้องระบุจำนวนลูกแบดก่อน\n\n' +
+                'Please set the number of shuttlecocks used before closing the session.\n' +
+                'กรุณาระบุจำนวนลูกแบดที่ใช้ก่อนปิดเซสชัน\n\n' +
+                'Use "🏸 Shuttles" button in admin panel to set the count.\n' +
+                'ใช้ปุ่ม "🏸 Shuttles" ในแผงผู้ดูแลเพื่อตั้งค่า'
+            );
+            return;
+        }
+
+        const activePlayers = state.players.slice(0, state.maxPlayers);
+        const waitingList = state.players.slice(state.maxPlayers);
+
+        // Once check-in was started, only checked-in players count as played (same rule as closeSession)
+        const checkInUsed = Boolean(sessionDoc.exists && sessionDoc.data().checkInStartedAt);
+        const playedPlayers = checkInUsed ? activePlayers.filter(p => p.attended) : activePlayers;
+        const noShowPlayers = checkInUsed ? activePlayers.filter(p => !p.attended) : [];
+
+        // ============================================
+        // STEP 1: BUILD & COPY TEXT TO CLIPBOARD
+        // ============================================
+        let text = `✅ ขอบคุณสำหรับการเล่น! Thank you for the session!\n\n`;
+        text += `📅 ${state.sessionDay}\n`;
+        text += `📆 ${state.sessionDate}\n`;
+        text += `🕐 ${state.sessionTime}\n`;
+        text += `👥 Players: ${playedPlayers.length}/${state.maxPlayers}\n\n`;
+
+        // List players
+        if (playedPlayers.length > 0) {
+            text += `👥 Players Who Played / ผู้เล่นที่เล่น:\n`;
+            playedPlayers.forEach((player, index) => {
+                const paidIcon = player.paid ? '✅' : '❌';
+                text += `${index + 1}. ${getPlayerListName(player)} ${paidIcon}\n`;
+            });
+            text += `\n`;
+        }
+
+        // Registered but never checked in
+        if (noShowPlayers.length > 0) {
+            text += `🚫 No-show / ไม่มาเล่น:\n`;
+            noShowPlayers.forEach((player, index) => {
+                text += `${index + 1}. ${getPlayerListName(player)}\n`;
+            });
+            text += `\n`;
+        }
+
+        // List waiting list
+        if (waitingList.length > 0) {
+            text += `⏳ Waiting List / รายชื่อสำรอง:\n`;
+            waitingList.forEach((player, index) => {
+                text += `${index + 1}. ${getPlayerListName(player)}\n`;
+            });
+            text += `\n`;
+        }
+
+        // Check for low balance users
+        const lowBalanceUsers = state.authorizedUsers.filter(user => {
+            const balance = user.balance || 0;
+            return balance < 150;
+        }).sort((a, b) => (a.balance || 0) - (b.balance || 0));
+
+        if (lowBalanceUsers.length > 0) {
+            text += `⚠️ Low Balance Warning / แจ้งเตือนยอดเงินต่ำ:\n`;
+            text += `Please top up before next session / กรุณาเติมเงินก่อนรอบถัดไป:\n\n`;
+            lowBalanceUsers.forEach(user => {
+                const balance = user.balance || 0;
+                text += `${user.name}: ${balance} THB\n`;
             });
-
-            console.log('✅ Shuttlecock expense registered:', shuttlecockCost);
         }
 
+        // Copy to clipboard
+        await navigator.clipboard.writeText(text);
+        console.log('✅ Session summary copied to clipboard');
+
         // ============================================
-        // STEP 5: MARK CURRENT SESSION AS CLOSED
+        // STEP 2: CLOSE ON SERVER
         // ============================================
+        // Archive, players copy, waiting list refunds, income & expenses
+        // are written by the closeSession Cloud Function in ONE transaction
+        const result = await closeSessionOnServer(currentSessionId);
+        if (!result) {
+            return;
+        }
 
-        await currentSessionRef().update({
-            closed: true,
-            closedAt: firebase.firestore.FieldValue.serverTimestamp(),
-            finalPlayerCount: activePlayers.length,
-            finalIncome: income,
-            finalExpense: totalExpense,
-            archivedTo: archivedSessionId
-        });
-
-        console.log('✅ Current session marked as closed');
+        const archivedSessionId = result.archivedSessionId;
+        const income = result.finalIncome;
+        const courts = result.courts;
+        const courtCost = result.courtCost;
+        const shuttlecockCost = result.shuttlecockCost;
+        const totalExpense = result.finalExpense;
+        const playersCopied = result.playersArchived;
+        const waitingListRefunded = result.waitingListRefunded.length;
+        const waitingListErrors = waitingList
+            .filter(p => p.paid && !result.waitingListRefunded.includes(p.name))
+            .map(p => p.name);
 
         // Build expense text for alert
         let expenseText = `💸 รายจ่าย / Expenses:\n${courts} สนาม × 440 = ${courtCost} THB\n`;
@@ -1593,7 +2768,9 @@ async function copyAndCloseSession() {
         if (waitingList.length > 0) {
             refundInfo = `\n💸 คืนเงินรายชื่อสำรอง / Waiting List Refunded:\n`;
             refundInfo += `✅ ${waitingListRefunded}/${waitingList.length} players\n`;
-            refundInfo += `💰 Total refunded: ${waitingListRefunded * state.paymentAmount} THB\n`;
+            refundInfo += `💰 Total refunded: ${waitingList
+                .filter(p => result.waitingListRefunded.includes(p.name))
+                .reduce((sum, p) => sum + getPlayerPrice(p), 0)} THB\n`;
             if (waitingListErrors.length > 0) {
                 refundInfo += `⚠️ Errors: ${waitingListErrors.join(', ')}\n`;
             }
@@ -1608,10 +2785,15 @@ async function copyAndCloseSession() {
             `📦 เซสชันถูกบันทึกที่ / Session archived to:\n` +
             `sessions/${archivedSessionId}\n\n` +
             `👥 ผู้เล่นที่เล่น / Active Players: ${activePlayers.length}\n` +
+            (result.checkInUsed
+                ? `📍 เช็คอิน / Checked in: ${result.attendedCount}/${activePlayers.length}\n` +
+                  `🚫 ไม่มาเล่น / No-shows: ${noShowPlayers.length}` +
+                  (result.noShows.some(n => n.warned) ? ` (warned: ${result.noShows.filter(n => n.warned).map(n => n.name).join(', ')})` : '') + `\n`
+                : '') +
             `📋 รวมทั้งหมด / Total Archived: ${playersCopied}\n` +
             refundInfo +
             `\n💰 รายรับ / Income: ${income} THB\n` +
-            `   (${activePlayers.length} players × ${state.paymentAmount} THB)\n\n` +
+            `   (${activePlayers.length} players, ${state.paymentAmount} THB per member)\n\n` +
             expenseText + `\n` +
             `💵 กำไร/ขาดทุน / Profit: ${income - totalExpense} THB\n\n` +
             `━━━━━━━━━━━━━━━━━━━━\n\n` +
@@ -1649,7 +2831,7 @@ async function copySessionSummaryToClipboard() {
             text += `👥 Players Who Played / ผู้เล่นที่เล่น:\n`;
             activePlayers.forEach((player, index) => {
                 const paidIcon = player.paid ? '✅' : '❌';
-                text += `${index + 1}. ${player.name} ${paidIcon}\n`;
+                text += `${index + 1}. ${getPlayerListName(player)} ${paidIcon}\n`;
             });
             text += `\n`;
         }
@@ -1658,7 +2840,7 @@ async function copySessionSummaryToClipboard() {
         if (waitingList.length > 0) {
             text += `⏳ Waiting List / รายชื่อสำรอง:\n`;
             waitingList.forEach((player, index) => {
-                text += `${index + 1}. ${player.name}\n`;
+                text += `${index + 1}. ${getPlayerListName(player)}\n`;
             });
             text += `\n`;
         }
@@ -1699,8 +2881,8 @@ async function copySessionSummaryToClipboard() {
 async function shareSessionSummaryToLine() {
     try {
         const activePlayers = state.players.slice(0, state.maxPlayers);
-        const income = activePlayers.length * state.paymentAmount;
-        const courts = Math.ceil(activePlayers.length / 6);
+        const income = activePlayers.reduce((sum, p) => sum + getPlayerPrice(p), 0);
+        const courts = getSessionCourts(state.courts, activePlayers.length);
         const courtCost = courts * 440;
 
         // Build message directly
@@ -1708,7 +2890,7 @@ async function shareSessionSummaryToLine() {
             `📅 วันที่ / Date: ${state.sessionDate}\n` +
             `👥 ผู้เล่น / Players: ${activePlayers.length}\n\n` +
             `💰 รายรับ / Income:\n` +
-            `${activePlayers.length} × ${state.paymentAmount} = ${income} THB\n\n` +
+            `${activePlayers.length} players = ${income} THB\n\n` +
             `💸 รายจ่าย / Expenses:\n` +
             `${courts} สนาม × 440 = ${courtCost} THB\n\n` +
             `💵 กำไร/ขาดทุน / Profit/Loss: ${income - courtCost} THB`;
@@ -1937,14 +3119,8 @@ async function testCancellationNotification() {
         const sendNotification = functions.httpsCallable('sendCancellationNotification');
 
         const notificationData = {
-            playerName: mockPlayerName,
-            currentPlayers: state.players.length,
-            maxPlayers: state.maxPlayers,
-            hasWaitingList: hasWaitingList,
-            sessionDate: state.sessionDate || '01/01/2025',
-            sessionDay: state.sessionDay || 'วันจันทร์ / Monday',
-            sessionTime: state.sessionTime || '18:00 - 20:00',
-            appUrl: PRODUCTION_URL  // Always use production URL for Line messages
+            sessionId: currentSessionId, // Session numbers are read server-side
+            playerName: mockPlayerName
         };
 
         console.log('📤 TEST: Sending cancellation notification...', notificationData);
@@ -1975,14 +3151,7 @@ async function testNudgeNotification() {
         const sendNotification = functions.httpsCallable('sendNudgeNotification');
 
         const notificationData = {
-            sessionDay: state.sessionDay || 'วันจันทร์ / Monday',
-            sessionDate: state.sessionDate || '01/01/2025',
-            sessionTime: state.sessionTime || '18:00 - 20:00',
-            currentPlayers: activePlayers.length,
-            maxPlayers: state.maxPlayers,
-            availableSpots: availableSpots > 0 ? availableSpots : 1, // Mock at least 1 for testing
-            paymentAmount: state.paymentAmount,
-            appUrl: window.location.href
+            sessionId: currentSessionId // Session numbers are read server-side
         };
 
         console.log('📤 TEST: Sending nudge notification...', notificationData);
@@ -2077,41 +3246,67 @@ ${PRODUCTION_URL}`;
 
 /**
  * Finalize session accounting - Register income and expenses
+ * Reads the session and its players from Firestore, so any open session can be finalized
+ * @param {string} sessionId - Session to finalize (defaults to the selected session)
  */
-async function finalizeSessionAccounting() {
+async function finalizeSessionAccounting(sessionId = currentSessionId) {
     try {
         // Check if session is already closed
-        const sessionDoc = await currentSessionRef().get();
-        if (sessionDoc.exists && sessionDoc.data().closed) {
+        const sessionDoc = await currentSessionRef(sessionId).get();
+        if (!sessionDoc.exists) {
+            alert(`❌ Session not found: ${sessionId}`);
+            return;
+        }
+        if (sessionDoc.data().closed) {
             alert('⚠️ เซสชันนี้ถูกปิดแล้ว!\n\nThis session is already closed!');
             return;
         }
 
-        const activePlayers = state.players.slice(0, state.maxPlayers);
-        const income = activePlayers.length * state.paymentAmount;
+        const sessionData = sessionDoc.data();
+        const session = {
+            date: sessionData.date,
+            day: sessionData.day,
+            time: sessionData.time,
+            maxPlayers: sessionData.maxPlayers !== undefined ? sessionData.maxPlayers : 12,
+            paymentAmount: sessionData.paymentAmount !== undefined ? sessionData.paymentAmount : 10,
+            shuttlecocksUsed: sessionData.shuttlecocksUsed || 0,
+            courts: sessionData.courts || null,
+            published: sessionData.published !== undefined ? sessionData.published : true
+        };
+
+        // Get FRESH player data for this session (state.players only holds the selected session)
+        const playersSnapshot = await playersRef(sessionId).get();
+        const sessionPlayers = [];
+        playersSnapshot.forEach(doc => {
+            sessionPlayers.push({ id: doc.id, ...doc.data() });
+        });
+        sessionPlayers.sort((a, b) => a.position - b.position);
+
+        const activePlayers = sessionPlayers.slice(0, session.maxPlayers);
+        const income = activePlayers.reduce((sum, p) => sum + getPlayerPrice(p, session.paymentAmount), 0);
 
-        // Calculate number of courts automatically (6 players per court)
-        const courts = Math.ceil(activePlayers.length / 6);
+        // Booked courts (template), otherwise 6 players per court
+        const courts = getSessionCourts(session.courts, activePlayers.length);
         const courtCost = courts * 440;
 
         // Calculate shuttlecock cost
-        const shuttlecockCost = (state.shuttlecocksUsed || 0) * 90;
+        const shuttlecockCost = (session.shuttlecocksUsed || 0) * 90;
         const totalExpense = courtCost + shuttlecockCost;
 
         // Build expense breakdown text
         let expenseText = `💸 รายจ่าย / Expenses:\n${courts} สนาม × 440 = ${courtCost} THB\n`;
-        if (state.shuttlecocksUsed > 0) {
-            expenseText += `${state.shuttlecocksUsed} ลูก × 90 = ${shuttlecockCost} THB\n`;
+        if (session.shuttlecocksUsed > 0) {
+            expenseText += `${session.shuttlecocksUsed} ลูก × 90 = ${shuttlecockCost} THB\n`;
             expenseText += `รวม / Total: ${totalExpense} THB\n`;
         }
 
         // Confirm before recording
         const confirmed = confirm(
             `📊 บันทึกการเงิน / Record Finances\n\n` +
-            `📅 วันที่ / Date: ${state.sessionDate}\n` +
+            `📅 วันที่ / Date: ${session.date}\n` +
             `👥 ผู้เล่น / Players: ${activePlayers.length}\n\n` +
             `💰 รายรับ / Income:\n` +
-            `${activePlayers.length} × ${state.paymentAmount} = ${income} THB\n\n` +
+            `${activePlayers.length} players = ${income} THB\n\n` +
             expenseText + `\n` +
             `💵 กำไร/ขาดทุน / Profit/Loss: ${income - totalExpense} THB\n\n` +
             `ยืนยันการบันทึก / Confirm?`
@@ -2122,118 +3317,15 @@ async function finalizeSessionAccounting() {
         }
 
         // ============================================
-        // STEP 1: ARCHIVE SESSION TO DATED DOCUMENT
-        // ============================================
-
-        // Generate ISO date for archived document (YYYY-MM-DD)
-        const today = new Date();
-        const archivedSessionId = today.toISOString().split('T')[0]; // e.g., "2025-11-14"
-
-        console.log(`📦 Archiving session to: sessions/${archivedSessionId}`);
-
-        // Copy session data to archived document
-        const archivedSessionRef = sessionsRef.doc(archivedSessionId);
-        await archivedSessionRef.set({
-            date: state.sessionDate,
-            day: state.sessionDay,
-            time: state.sessionTime,
-            maxPlayers: state.maxPlayers,
-            paymentAmount: state.paymentAmount,
-            shuttlecocksUsed: state.shuttlecocksUsed || 0,
-            published: state.published,
-            closed: true,
-            closedAt: firebase.firestore.FieldValue.serverTimestamp(),
-            finalPlayerCount: activePlayers.length,
-            finalIncome: income,
-            finalExpense: totalExpense,
-            courts: courts,
-            archivedFrom: 'current',
-            createdAt: firebase.firestore.FieldValue.serverTimestamp()
-        });
-
-        console.log('✅ Session data archived');
-
-        // Copy ALL players to archived session
-        const playersSnapshot = await playersRef().get();
-        const archivedPlayersRef = archivedSessionRef.collection('players');
-
-        const batch = db.batch();
-        let playersCopied = 0;
-
-        playersSnapshot.forEach(doc => {
-            const playerData = doc.data();
-            const newPlayerRef = archivedPlayersRef.doc(); // Auto-generate new ID
-            batch.set(newPlayerRef, {
-                ...playerData,
-                archivedAt: firebase.firestore.FieldValue.serverTimestamp()
-            });
-            playersCopied++;
-        });
-
-        await batch.commit();
-        console.log(`✅ ${playersCopied} players copied to archived session`);
-
-        // ============================================
-        // STEP 2: REGISTER INCOME & EXPENSES
+        // CLOSE ON SERVER (archive + income & expenses in one transaction)
         // ============================================
-
-        // Register income (ISO date format: YYYY-MM-DD)
-        await incomeRef.add({
-            date: archivedSessionId, // ISO format (YYYY-MM-DD)
-            sessionId: archivedSessionId, // Link to archived session
-            amount: income,
-            paymentPerPlayer: state.paymentAmount,
-            playerCount: activePlayers.length,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-            notes: `${state.sessionDay} ${state.sessionTime}`
-        });
-
-        console.log('✅ Income registered:', income);
-
-        // Register court rental expense (ISO date format: YYYY-MM-DD)
-        await expensesRef.add({
-            date: archivedSessionId, // ISO format (YYYY-MM-DD)
-            type: 'court_rental',
-            sessionId: archivedSessionId,
-            amount: courtCost,
-            courts: courts,
-            costPerCourt: 440,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-            notes: `${state.sessionDay} ${state.sessionTime}`
-        });
-
-        console.log('✅ Court expense registered:', courtCost);
-
-        // Register shuttlecock expense (if any) (ISO date format: YYYY-MM-DD)
-        if (state.shuttlecocksUsed > 0) {
-            await expensesRef.add({
-                date: archivedSessionId, // ISO format (YYYY-MM-DD)
-                type: 'shuttlecocks',
-                sessionId: archivedSessionId,
-                amount: shuttlecockCost,
-                quantity: state.shuttlecocksUsed,
-                costPerItem: 90,
-                timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-                notes: `${state.sessionDay} ${state.sessionTime}`
-            });
-
-            console.log('✅ Shuttlecock expense registered:', shuttlecockCost);
+        const result = await closeSessionOnServer(sessionId);
+        if (!result) {
+            return;
         }
 
-        // ============================================
-        // STEP 3: MARK CURRENT SESSION AS CLOSED
-        // ============================================
-
-        await currentSessionRef().update({
-            closed: true,
-            closedAt: firebase.firestore.FieldValue.serverTimestamp(),
-            finalPlayerCount: activePlayers.length,
-            finalIncome: income,
-            finalExpense: totalExpense,
-            archivedTo: archivedSessionId
-        });
-
-        console.log('✅ Current session marked as closed');
+        const archivedSessionId = result.archivedSessionId;
+        const playersCopied = result.playersArchived;
 
         // Success message
         let successMsg = `✅ บันทึกสำเร็จ / Success!\n\n` +
@@ -2244,7 +3336,7 @@ async function finalizeSessionAccounting() {
             `💸 รายจ่าย / Expenses:\n` +
             `  - สนาม / Courts: ${courtCost} THB\n`;
 
-        if (state.shuttlecocksUsed > 0) {
+        if (session.shuttlecocksUsed > 0) {
             successMsg += `  - ลูกขนไก่ / Shuttlecocks: ${shuttlecockCost} THB\n`;
         }
 
@@ -2571,98 +3663,16 @@ async function generateWeeklyReport() {
 
         console.log(`📊 Generating weekly report: ${startDate} to ${endDate}`);
 
-        // Query income for date range
-        const incomeSnapshot = await incomeRef
-            .where('date', '>=', startDate)
-            .where('date', '<=', endDate)
-            .orderBy('date', 'asc')
-            .get();
-
-        // Query expenses for date range
-        const expensesSnapshot = await expensesRef
-            .where('date', '>=', startDate)
-            .where('date', '<=', endDate)
-            .orderBy('date', 'asc')
-            .get();
-
-        // Aggregate income
-        let totalIncome = 0;
-        let totalPlayers = 0;
-        const incomeSessions = [];
-
-        incomeSnapshot.forEach(doc => {
-            const data = doc.data();
-            totalIncome += data.amount || 0;
-            totalPlayers += data.playerCount || 0;
-            incomeSessions.push({
-                date: data.date,
-                amount: data.amount,
-                playerCount: data.playerCount,
-                sessionId: data.sessionId
-            });
-        });
-
-        // Aggregate expenses
-        let totalExpenses = 0;
-        let courtCost = 0;
-        let shuttlecockCost = 0;
-        let otherExpenses = 0;
-        const expenseBreakdown = {
-            court_rental: [],
-            shuttlecocks: [],
-            other: []
-        };
-
-        expensesSnapshot.forEach(doc => {
-            const data = doc.data();
-            const amount = data.amount || 0;
-            totalExpenses += amount;
-
-            if (data.type === 'court_rental') {
-                courtCost += amount;
-                expenseBreakdown.court_rental.push({
-                    date: data.date,
-                    amount: amount,
-                    courts: data.courts || 0,
-                    costPerCourt: data.costPerCourt || 440
-                });
-            } else if (data.type === 'shuttlecocks') {
-                shuttlecockCost += amount;
-                expenseBreakdown.shuttlecocks.push({
-                    date: data.date,
-                    amount: amount,
-                    quantity: data.quantity || 0,
-                    costPerItem: data.costPerItem || 90
-                });
-            } else {
-                otherExpenses += amount;
-                expenseBreakdown.other.push({
-                    date: data.date,
-                    amount: amount,
-                    category: data.category || 'Other',
-                    notes: data.notes || ''
-                });
-            }
-        });
-
-        // Calculate profit
-        const grossProfit = totalIncome - totalExpenses;
-        const sessionCount = incomeSessions.length;
-
-        // Calculate week number (ISO 8601)
-        const startDateObj = new Date(startDate);
-        const weekNumber = getISOWeekNumber(startDateObj);
-        const year = startDateObj.getFullYear();
-        const weekId = `${year}-W${String(weekNumber).padStart(2, '0')}`;
+        // The server builds the report from income/expenses and saves it with the running balance
+        const saveWeeklyReport = functions.httpsCallable('saveWeeklyReport');
+        const previewResult = await saveWeeklyReport({ startDate, endDate, preview: true });
+        const { weekId, existing } = previewResult.data;
 
         // ============================================
         // CHECK IF REPORT ALREADY EXISTS
         // ============================================
-        const existingReportDoc = await weeklyBalanceRef.doc(weekId).get();
-
-        if (existingReportDoc.exists) {
-            const existingData = existingReportDoc.data();
-            const oldProfit = existingData.grossProfit || 0;
+        if (existing) {
+            const oldProfit = existing.grossProfit;
 
             const overwrite = confirm(
                 `⚠️ REPORT ALREADY EXISTS FOR ${weekId}\n\n` +
@@ -2679,94 +3689,26 @@ async function generateWeeklyReport() {
                 console.log('User cancelled - report already exists');
                 return;
             }
-
-            // Reverse the old profit from current balance before recalculating
-            const summaryDoc = await weeklyBalanceRef.doc('summary').get();
-            const currentBalance = summaryDoc.exists ? (summaryDoc.data().currentBalance || 0) : 0;
-            const adjustedBalance = currentBalance - oldProfit;
-
-            console.log(`🔄 Reversing old profit: ${currentBalance} - ${oldProfit} = ${adjustedBalance}`);
-
-            // Update summary with reversed balance
-            await weeklyBalanceRef.doc('summary').update({
-                currentBalance: adjustedBalance
-            });
-
-            console.log(`✅ Old report will be overwritten, balance adjusted`);
         }
 
-        // Get current balance AFTER potential reversal
-        const summaryDoc = await weeklyBalanceRef.doc('summary').get();
-        const currentBalance = summaryDoc.exists ? (summaryDoc.data().currentBalance || 0) : 0;
-        const newBalance = currentBalance + grossProfit;
-
-        // ============================================
-        // CALCULATE NEXT WEEK RECOMMENDED PRICE
-        // ============================================
-        const WEEKLY_COURTS = 12;
-        const COURT_PRICE = 220;
-        const WEEKLY_SHUTTLECOCKS = 18;
-        const SHUTTLECOCK_PRICE = 90;
-        const PLAYERS_PER_WEEK = 36; // 3 sessions × 12 players
-        const DISTRIBUTION_WEEKS = 2; // Distribute balance over 2 weeks (faster adjustment)
-
-        const weeklyCost = (WEEKLY_COURTS * COURT_PRICE) + (WEEKLY_SHUTTLECOCKS * SHUTTLECOCK_PRICE);
-        const basePrice = Math.round(weeklyCost / PLAYERS_PER_WEEK); // 118 THB
-
-        // Calculate price adjustment based on balance
-        const balanceToDistribute = newBalance / DISTRIBUTION_WEEKS;
-        const priceAdjustmentPerPlayer = Math.round(balanceToDistribute / PLAYERS_PER_WEEK);
-        const recommendedPrice = basePrice - priceAdjustmentPerPlayer;
-
-        const priceCalculation = {
-            weeklyCost: weeklyCost,
-            basePrice: basePrice,
-            currentBalance: newBalance,
-            balanceToDistribute: balanceToDistribute,
-            weeksToDistribute: DISTRIBUTION_WEEKS,
-            playersPerWeek: PLAYERS_PER_WEEK,
-            priceAdjustment: priceAdjustmentPerPlayer,
-            recommendedPrice: recommendedPrice
-        };
+        const report = previewResult.data.report;
+        const {
+            totalIncome,
+            totalPlayers,
+            sessionCount,
+            totalExpenses,
+            courtCost,
+            shuttlecockCost,
+            otherExpenses,
+            grossProfit
+        } = report;
+        const currentBalance = report.balanceBefore;
+        const newBalance = report.balanceAfter;
+        const { basePrice, balanceToDistribute, weeksToDistribute, playersPerWeek } = report.priceCalculation;
+        const priceAdjustmentPerPlayer = report.priceCalculation.priceAdjustment;
+        const recommendedPrice = report.nextWeekRecommendedPrice;
 
-        console.log('💰 Price calculation:', priceCalculation);
-
-        // Build report data
-        const reportData = {
-            weekNumber: weekNumber,
-            year: year,
-            startDate: startDate,
-            endDate: endDate,
-
-            // Income
-            totalIncome: totalIncome,
-            totalPlayers: totalPlayers,
-            sessionCount: sessionCount,
-            incomeSessions: incomeSessions,
-
-            // Expenses
-            totalExpenses: totalExpenses,
-            courtCost: courtCost,
-            shuttlecockCost: shuttlecockCost,
-            otherExpenses: otherExpenses,
-            expenseBreakdown: expenseBreakdown,
-
-            // Summary
-            grossProfit: grossProfit,
-            profitPerSession: sessionCount > 0 ? (grossProfit / sessionCount) : 0,
-            profitPerPlayer: totalPlayers > 0 ? (grossProfit / totalPlayers) : 0,
-
-            // Balance
-            balanceBefore: currentBalance,
-            balanceAfter: newBalance,
-
-            // Next Week Pricing
-            nextWeekRecommendedPrice: recommendedPrice,
-            priceCalculation: priceCalculation,
-
-            // Metadata
-            createdAt: firebase.firestore.FieldValue.serverTimestamp()
-        };
+        console.log('💰 Price calculation:', report.priceCalculation);
 
         // Confirm before saving
         const confirmMessage =
@@ -2787,7 +3729,7 @@ async function generateWeeklyReport() {
             `💵 NEXT WEEK PRICING:\n` +
             `   Base price: ${basePrice} THB/player\n` +
             `   Balance to distribute: ${Math.round(balanceToDistribute)} THB\n` +
-            `   Over ${DISTRIBUTION_WEEKS} weeks among ${PLAYERS_PER_WEEK} players\n` +
+            `   Over ${weeksToDistribute} weeks among ${playersPerWeek} players\n` +
             `   Adjustment: ${priceAdjustmentPerPlayer >= 0 ? '+' : ''}${priceAdjustmentPerPlayer} THB/player\n\n` +
             `   ⭐ RECOMMENDED PRICE: ${recommendedPrice} THB/player\n\n` +
             `Save this report?\n` +
@@ -2797,15 +3739,8 @@ async function generateWeeklyReport() {
             return;
         }
 
-        // Save weekly report
-        await weeklyBalanceRef.doc(weekId).set(reportData);
-
-        // Update summary
-        await weeklyBalanceRef.doc('summary').set({
-            currentBalance: newBalance,
-            lastProcessedDate: endDate,
-            lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
-        }, { merge: true });
+        // Save weekly report and running balance (one server transaction)
+        await saveWeeklyReport({ startDate, endDate, replace: Boolean(existing) });
 
         console.log(`✅ Weekly report saved: ${weekId}`);
 
@@ -3075,17 +4010,6 @@ async function sendWeeklyReportToLine(data) {
     }
 }
 
-/**
- * Helper: Get ISO 8601 week number
- */
-function getISOWeekNumber(date) {
-    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-    const dayNum = d.getUTCDay() || 7;
-    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-    return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
-}
-
 /**
  * Debug: View Raw Financial Data
  * Shows what actually exists in Firestore for income/expenses/sessions
@@ -3272,6 +4196,85 @@ function closeDebugReport() {
     document.getElementById('debugReportModal').style.display = 'none';
 }
 
+/**
+ * Wallet reconciliation - recompute every balance from its transaction history
+ * Report opens in the debug report modal (copyable), corrections are chosen by prompt
+ */
+async function reconcileWallets() {
+    console.log('🧾 Running wallet reconciliation...');
+
+    try {
+        const getWalletReconciliation = functions.httpsCallable('getWalletReconciliation');
+        const response = await getWalletReconciliation();
+        const { report, text } = response.data;
+
+        console.log(text);
+        document.getElementById('debugReportContent').textContent = text;
+        document.getElementById('debugReportModal').style.display = 'block';
+
+        if (report.mismatches.length > 0) {
+            // Let the report render before the prompt blocks the page
+            setTimeout(() => promptWalletCorrection(report.mismatches), 300);
+        }
+    } catch (error) {
+        console.error('❌ Reconciliation error:', error);
+        alert(`❌ Error: ${error.message}\n\nCheck console for details.`);
+    }
+}
+
+/**
+ * Ask which mismatched wallet to correct and how, then post the correcting entry
+ * @param {Object[]} mismatches - report.mismatches from getWalletReconciliation
+ */
+async function promptWalletCorrection(mismatches) {
+    const formatGap = (amount) => `${amount > 0 ? '+' : ''}${amount}`;
+    const list = mismatches
+        .map((m, index) => `${index + 1}. ${m.name}: ${m.balance} THB (history ${m.ledgerSum}, gap ${formatGap(m.difference)})`)
+        .join('\n');
+
+    const choice = prompt(`Correct a wallet? Enter number (Cancel = only view report)\n\n${list}`);
+    if (!choice) return;
+
+    const mismatch = mismatches[parseInt(choice) - 1];
+    if (!mismatch) {
+        alert('Invalid number / หมายเลขไม่ถูกต้อง');
+        return;
+    }
+
+    const option = prompt(
+        `${mismatch.name}\n` +
+        `Balance: ${mismatch.balance} THB\n` +
+        `History: ${mismatch.ledgerSum} THB\n\n` +
+        `1 = Keep balance ${mismatch.balance} THB (record the missing ${formatGap(mismatch.difference)} THB)\n` +
+        `2 = Restore balance to ${mismatch.ledgerSum} THB (from history)`,
+        '1'
+    );
+    if (option !== '1' && option !== '2') return;
+
+    const note = prompt('Note for the correction (optional):', '');
+    if (note === null) return;
+
+    try {
+        const correctWalletBalance = functions.httpsCallable('correctWalletBalance');
+        const response = await correctWalletBalance({
+            userId: mismatch.userId,
+            resolution: option === '1' ? 'accept-balance' : 'restore-ledger',
+            note: note.trim()
+        });
+
+        await loadAuthorizedUsers();
+        alert(
+            `✅ Wallet corrected / แก้ไขยอดเงินแล้ว\n\n` +
+            `${mismatch.name}\n` +
+            `Gap recorded: ${formatGap(response.data.difference)} THB\n` +
+            `Balance: ${response.data.balance} THB`
+        );
+    } catch (error) {
+        console.error('❌ Error correcting wallet:', error);
+        alert(`❌ Error: ${error.message}`);
+    }
+}
+
 /**
  * Calculate Next Week's Recommended Price
  * Shows what price per player is needed to reach 0 balance
@@ -3391,14 +4394,8 @@ async function sendLineCancellationNotification(playerName) {
 
         // Prepare notification data
         const notificationData = {
-            playerName: playerName,
-            currentPlayers: state.players.length,
-            maxPlayers: state.maxPlayers,
-            hasWaitingList: hasWaitingList,
-            sessionDate: state.sessionDate,
-            sessionDay: state.sessionDay,
-            sessionTime: state.sessionTime,
-            appUrl: window.location.href
+            sessionId: currentSessionId, // Session numbers are read server-side
+            playerName: playerName
         };
 
         console.log('📤 Sending Line cancellation notification...', notificationData);
@@ -3419,184 +4416,13 @@ async function sendLineCancellationNotification(playerName) {
 // CANCEL REGISTRATION
 // ============================================
 
-async function cancelRegistration() {
-    // Check maintenance mode
-    if (state.maintenanceMode && !state.isAdmin) {
-        alert('System is under maintenance. Please wait.\nระบบกำลังปรับปรุง กรุณารอสักครู่');
-        return;
-    }
-
-    // NEW: Check if session is locked
-    if (isSessionLocked()) {
-        const lockTime = calculateSessionLockTime();
-        const lockTimeStr = lockTime ? lockTime.toLocaleString('en-GB', {
-            hour: '2-digit',
-            minute: '2-digit'
-        }) : 'N/A';
-
-        alert(
-            `🔒 Cancellation is not allowed / ไม่สามารถยกเลิกได้\n\n` +
-            `The session is locked ${LOCK_HOURS_BEFORE_SESSION} hours before start time.\n` +
-            `เซสชันถูกล็อค ${LOCK_HOURS_BEFORE_SESSION} ชั่วโมงก่อนเวลาเริ่ม\n\n` +
-            `Session time / เวลาเล่น: ${state.sessionTime}\n` +
-            `Locked since / ล็อคตั้งแต่: ${lockTimeStr}\n\n` +
-            `Your registration is now final.\n` +
-            `การลงทะเบียนของคุณเป็นสิ้นสุดแล้ว`
-        );
-        return;
-    }
-
-    // Check if user is logged in
-    if (!state.loggedInUser) {
-        alert('Please log in first / กรุณาเข้าสู่ระบบก่อน');
-        return;
-    }
-
-    const userName = state.loggedInUser.name;
-    const userId = state.loggedInUser.userId;
-
-    // Find the player (may be null if host only registered guests)
-    const currentPlayer = state.players.find(p => p.name === userName);
-
-    // Check if user has registered guests
-    const userGuests = state.players.filter(p => p.guestOf === userId);
-
-    // If user is not registered AND has no guests, nothing to cancel
-    if (!currentPlayer && userGuests.length === 0) {
-        alert('You are not registered / คุณไม่ได้ลงทะเบียน');
-        return;
-    }
-
-    // Calculate refund based on what will be cancelled
-    const selfRefund = currentPlayer ? state.paymentAmount : 0;
-    const guestRefund = userGuests.length * state.paymentAmount;
-    const totalRefund = selfRefund + guestRefund;
-
-    // Build confirmation message based on what will be cancelled
-    let confirmMessage = '';
-
-    if (currentPlayer && userGuests.length > 0) {
-        // Both self and guests
-        confirmMessage = `Cancel your registration and ${userGuests.length} guest(s)?\n`;
-        confirmMessage += `ยกเลิกการลงทะเบียนของคุณและแขก ${userGuests.length} คน?\n\n`;
-        confirmMessage += `You: ${userName}\n`;
-        confirmMessage += `Guests:\n`;
-        userGuests.forEach(g => {
-            const guestNameOnly = g.name.split(' friend: ')[1] || g.name.split(' venn: ')[1] || g.name.split(' + ')[1];
-            confirmMessage += `  - ${guestNameOnly}\n`;
-        });
-        confirmMessage += `\nTotal refund: ${totalRefund} THB\n`;
-        confirmMessage += `รวมเงินคืน: ${totalRefund} บาท`;
-    } else if (currentPlayer) {
-        // Only self (no guests)
-        confirmMessage = `Cancel your registration? / ยกเลิกการลงทะเบียน?\n\n`;
-        confirmMessage += `This will remove you from the player list.\n`;
-        confirmMessage += `Refund: ${state.paymentAmount} THB`;
-    } else {
-        // Only guests (user not registered themselves)
-        confirmMessage = `Cancel your ${userGuests.length} guest registration(s)?\n`;
-        confirmMessage += `ยกเลิกการลงทะเบียนแขก ${userGuests.length} คน?\n\n`;
-        confirmMessage += `Guests:\n`;
-        userGuests.forEach(g => {
-            const guestNameOnly = g.name.split(' friend: ')[1] || g.name.split(' venn: ')[1] || g.name.split(' + ')[1];
-            confirmMessage += `  - ${guestNameOnly}\n`;
-        });
-        confirmMessage += `\nTotal refund: ${guestRefund} THB\n`;
-        confirmMessage += `รวมเงินคืน: ${guestRefund} บาท`;
-    }
-
-    if (!confirm(confirmMessage)) {
-        return;
-    }
-
-    try {
-        // Check if there are waiting list players (position > maxPlayers)
-        const waitingListPlayers = state.players.filter(p => p.position > state.maxPlayers);
-        const hasWaitingList = waitingListPlayers.length > 0;
-
-        // Sort waiting list by position to get first person
-        const nextPlayer = hasWaitingList ?
-            waitingListPlayers.sort((a, b) => a.position - b.position)[0] : null;
-
-        // Cancel self registration (if registered)
-        if (currentPlayer) {
-            // Refund the payment amount for main player
-            await updateUserBalance(
-                userId,
-                userName,
-                state.paymentAmount,
-                `Refund for cancelled registration ${state.sessionDate}`
-            );
-
-            // Delete player from Firestore
-            await playersRef().doc(currentPlayer.id).delete();
-            console.log(`✅ Registration cancelled for: ${userName}`);
-        }
-
-        // Cancel and refund all guests
-        if (userGuests.length > 0) {
-            for (const guest of userGuests) {
-                const guestNameOnly = guest.name.split(' friend: ')[1] || guest.name.split(' venn: ')[1] || guest.name.split(' + ')[1];
-
-                // Refund guest payment
-                await updateUserBalance(
-                    userId,
-                    userName,
-                    state.paymentAmount,
-                    `Refund for cancelled guest: ${guestNameOnly}`
-                );
-
-                // Delete guest from Firestore
-                await playersRef().doc(guest.id).delete();
-
-                console.log(`✅ Guest cancelled: ${guest.name}`);
-            }
-        }
-
-        // Note: Waiting list player already paid at registration, no need to charge again
-        if (nextPlayer) {
-            console.log(`✅ Player moving up from waiting list: ${nextPlayer.name} (already paid at registration)`);
-        }
-
-        // Recalculate positions so waiting list players move up correctly
-        await recalculatePlayerPositions();
-
-        // NOTE: Line notification is now sent automatically by Firestore trigger (onPlayerDeleted)
-        // No need to call sendLineCancellationNotification() from frontend anymore
-        // This ensures notification is sent even if user's phone/browser has issues
-
-        // Clear localStorage
-        localStorage.removeItem('userName');
-
-        // Hide success message and show registration form again
-        document.getElementById('successMessage').style.display = 'none';
-        document.getElementById('registrationForm').style.display = 'block';
-
-        console.log('✅ Registration cancelled for:', userName);
-        if (userGuests.length > 0) {
-            console.log(`✅ ${userGuests.length} guest(s) also cancelled`);
-        }
-    } catch (error) {
-        console.error('Error cancelling registration:', error);
-        alert('Error cancelling. Please try again.');
-    }
-}
-
-// ============================================
-// PAYMENT MARKING (Self-Service Wallet Payment)
-// ============================================
-
-/**
- * Allow users to pay for their registration from their wallet
- * This is for players who were added by admin (paid: false)
- * and need to pay themselves instead of waiting for publish
- */
-async function markAsPaid() {
-    // DISABLED: All payments are now processed at publish time
-    alert('⚠️ Payment function disabled.\n\nAll payments will be processed when admin publishes the session.\n\nฟังก์ชันชำระเงินถูกปิดใช้งาน\n\nการชำระเงินจะดำเนินการเมื่อผู้ดูแลเผยแพร่เซสชัน');
-    return;
+async function cancelRegistration() {
+    // Check maintenance mode
+    if (state.maintenanceMode && !state.isAdmin) {
+        alert('System is under maintenance. Please wait.\nระบบกำลังปรับปรุง กรุณารอสักครู่');
+        return;
+    }
 
-    // OLD CODE BELOW (disabled)
     // Check if user is logged in
     if (!state.loggedInUser) {
         alert('Please log in first / กรุณาเข้าสู่ระบบก่อน');
@@ -3605,72 +4431,119 @@ async function markAsPaid() {
 
     const userName = state.loggedInUser.name;
     const userId = state.loggedInUser.userId;
-    const currentBalance = state.loggedInUser.balance || 0;
 
-    // Find the player
-    const currentPlayer = state.players.find(p => p.name === userName);
-    if (!currentPlayer) {
-        alert('You must be registered first / คุณต้องลงทะเบียนก่อน');
+    // Own registration + guests (guests carry the host's userId)
+    const ownSpots = state.players.filter(p => p.userId === userId);
+    if (ownSpots.length === 0) {
+        alert('You are not registered / คุณไม่ได้ลงทะเบียน');
         return;
     }
 
-    // Check if already paid
-    if (currentPlayer.paid) {
-        alert('Already paid / ชำระแล้ว');
-        return;
+    const playerId = chooseSpotToCancel(ownSpots);
+    if (playerId === undefined) {
+        return; // Cancelled
     }
 
-    // Check if sufficient balance (must have minimum balance)
-    if (currentBalance < MINIMUM_BALANCE) {
-        alert(`Insufficient balance / ยอดเงินไม่เพียงพอ\n\nBalance: ${currentBalance} THB\nNeeded: ${MINIMUM_BALANCE} THB\n\nยอดเงิน: ${currentBalance} บาท\nต้องการ: ${MINIMUM_BALANCE} บาท\n\nPlease contact admin to top up your wallet.`);
+    const cancelOnServer = functions.httpsCallable('cancelRegistration');
+
+    // Ask the server which refund rule applies before confirming
+    let preview;
+    try {
+        const response = await cancelOnServer({ sessionId: currentSessionId, userId: userId, playerId, preview: true });
+        preview = response.data;
+    } catch (error) {
+        console.error('Error checking cancellation refund:', error);
+        alert('Error cancelling. Please try again.');
         return;
     }
 
-    // Confirm payment
-    if (!confirm(`Pay ${state.paymentAmount} THB from your wallet?\nชำระ ${state.paymentAmount} บาทจากกระเป๋าเงิน?\n\nCurrent balance: ${currentBalance} THB\nNew balance: ${currentBalance - state.paymentAmount} THB`)) {
+    if (!confirm(buildCancellationMessage(preview))) {
         return;
     }
 
     try {
-        // Deduct from wallet
-        const newBalance = currentBalance - state.paymentAmount;
-        await usersRef.doc(userId).update({
-            balance: newBalance
-        });
+        // Player removal + refunds in one server transaction
+        const response = await cancelOnServer({ sessionId: currentSessionId, userId: userId, playerId });
+        const result = response.data;
+        state.loggedInUser.balance = result.balance;
 
-        // Mark player as paid
-        await playersRef().doc(currentPlayer.id).update({
-            paid: true,
-            paidAt: firebase.firestore.FieldValue.serverTimestamp()
-        });
+        // Positions are recalculated server-side (onPlayerDeleted trigger) and the
+        // player moving up from the waiting list is notified by onPlayerPromoted.
+        // The Line notification is sent by the same trigger
 
-        // Add transaction record
-        await transactionsRef.add({
-            userId: userId,
-            userName: userName,
-            type: 'payment',
-            amount: -state.paymentAmount,
-            balance: newBalance,
-            reason: `Self-payment for ${state.sessionDay} ${state.sessionDate}`,
-            sessionId: currentSessionId,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp()
-        });
+        // Own registration cancelled (not only guests) - show the registration form again
+        if (result.spots.some(spot => !spot.isGuest)) {
+            localStorage.removeItem('userName');
+            document.getElementById('successMessage').style.display = 'none';
+            document.getElementById('registrationForm').style.display = 'block';
+        }
+        updateUI();
 
-        // Update local state
-        state.loggedInUser.balance = newBalance;
-        localStorage.setItem('loggedInUser', JSON.stringify(state.loggedInUser));
+        console.log(`✅ Registration cancelled for: ${userName} (${result.spots.length} spot(s), refund ${result.totalRefund} THB)`);
+    } catch (error) {
+        console.error('Error cancelling registration:', error);
+        alert('Error cancelling. Please try again.');
+    }
+}
+
+/**
+ * Ask which spot to cancel when the user registered guests too
+ * @param {Object[]} ownSpots - Own registration and guests (state.players)
+ * @returns {string|null|undefined} Player document ID, null = all spots, undefined = cancelled
+ */
+function chooseSpotToCancel(ownSpots) {
+    if (ownSpots.length === 1) {
+        return ownSpots[0].id;
+    }
 
-        alert(`✅ Payment successful!\n\nยอดเงินใหม่: ${newBalance} THB`);
+    const choice = prompt(
+        'Cancel which spot? / ยกเลิกที่ไหน?\n\n' +
+        ownSpots.map((p, i) => `${i + 1} = ${p.isGuest ? getGuestDisplayName(p) : 'You / คุณ'}`).join('\n') +
+        `\n${ownSpots.length + 1} = All / ทั้งหมด`,
+        String(ownSpots.length + 1)
+    );
+    if (choice === null) {
+        return undefined;
+    }
 
-        // Refresh UI
-        await checkLoggedInUser();
-        updateUI();
+    const index = parseInt(choice, 10) - 1;
+    if (index === ownSpots.length) {
+        return null;
+    }
+    if (!(index >= 0 && index < ownSpots.length)) {
+        alert(`Enter a number from 1 to ${ownSpots.length + 1}`);
+        return undefined;
+    }
+    return ownSpots[index].id;
+}
 
-        console.log('✅ Self-payment completed for:', userName);
-    } catch (error) {
-        console.error('Error processing payment:', error);
-        alert('Error processing payment. Please try again.');
+/**
+ * Confirmation text for cancelRegistration - every spot with the refund rule that applies
+ * @param {Object} preview - cancelRegistration preview result { spots, totalRefund }
+ * @returns {string} Message for confirm()
+ */
+function buildCancellationMessage(preview) {
+    const guestCount = preview.spots.filter(spot => spot.isGuest).length;
+    let message;
+
+    if (guestCount === 0) {
+        message = `Cancel your registration? / ยกเลิกการลงทะเบียน?\n\n`;
+    } else if (guestCount < preview.spots.length) {
+        message = `Cancel your registration and ${guestCount} guest(s)?\n`;
+        message += `ยกเลิกการลงทะเบียนของคุณและแขก ${guestCount} คน?\n\n`;
+    } else {
+        message = `Cancel your ${guestCount} guest registration(s)?\n`;
+        message += `ยกเลิกการลงทะเบียนแขก ${guestCount} คน?\n\n`;
     }
+
+    preview.spots.forEach(spot => {
+        const name = spot.isGuest ? (spot.guestName || spot.name) : 'You';
+        message += `${name}: ${spot.amount} THB - ${spot.label}\n`;
+    });
+
+    message += `\nTotal refund: ${preview.totalRefund} THB\n`;
+    message += `รวมเงินคืน: ${preview.totalRefund} บาท`;
+    return message;
 }
 
 // ============================================
@@ -3678,66 +4551,89 @@ async function markAsPaid() {
 // ============================================
 
 async function checkLoggedInUser() {
-    const loggedInData = localStorage.getItem('loggedInUser');
-    if (loggedInData) {
-        state.loggedInUser = JSON.parse(loggedInData);
-
-        // If userId or role is missing (old localStorage format), refresh from database
-        if (!state.loggedInUser.userId || !state.loggedInUser.role) {
-            console.log('⚠️ Outdated user data in localStorage, refreshing from database:', state.loggedInUser.name);
-            const user = state.authorizedUsers.find(u => u.name === state.loggedInUser.name);
-            if (user) {
-                // Update with fresh data from database
-                state.loggedInUser.userId = user.id;
-                state.loggedInUser.balance = user.balance || 0;
-                state.loggedInUser.role = user.role || 'user';
-                state.loggedInUser.authToken = user.password; // Keep authToken for validation
-                localStorage.setItem('loggedInUser', JSON.stringify(state.loggedInUser));
-                console.log('✅ User data refreshed from database:', state.loggedInUser);
-            } else {
-                console.error('❌ User not found, clearing localStorage');
-                localStorage.removeItem('loggedInUser');
-                state.loggedInUser = null;
-                return;
-            }
-        }
+    // Devices still on the old localStorage login are moved to Firebase Auth once
+    const legacyData = localStorage.getItem('loggedInUser');
+    if (legacyData) {
+        localStorage.removeItem('loggedInUser');
+        await migrateLegacyLogin(JSON.parse(legacyData));
+    }
 
-        // Validate authToken (UUID password) against database
-        if (state.loggedInUser && state.loggedInUser.userId && state.loggedInUser.authToken) {
-            try {
-                const userDoc = await usersRef.doc(state.loggedInUser.userId).get();
-                if (userDoc.exists) {
-                    const userData = userDoc.data();
-
-                    // Check if stored authToken matches current password in database
-                    if (userData.password === state.loggedInUser.authToken) {
-                        // Valid session - update balance and role
-                        state.loggedInUser.balance = userData.balance || 0;
-                        state.loggedInUser.role = userData.role || 'user';
-                        localStorage.setItem('loggedInUser', JSON.stringify(state.loggedInUser));
-                        console.log('✅ Auto-login successful for', state.loggedInUser.name);
-                    } else {
-                        // Password changed (admin reset) - force re-login
-                        console.log('⚠️ Password changed, logging out', state.loggedInUser.name);
-                        localStorage.removeItem('loggedInUser');
-                        state.loggedInUser = null;
-                    }
-                } else {
-                    // User deleted
-                    console.log('⚠️ User deleted, logging out');
-                    localStorage.removeItem('loggedInUser');
-                    state.loggedInUser = null;
-                }
-            } catch (error) {
-                console.error('Error validating session:', error);
-            }
-        } else if (state.loggedInUser && state.loggedInUser.userId) {
-            // Old format without authToken - FORCE RE-LOGIN to upgrade to UUID system
-            console.log('⚠️ Old session format detected - forcing re-login to upgrade to UUID system');
-            localStorage.removeItem('loggedInUser');
+    const authUser = await getAuthUser();
+    if (!authUser) {
+        state.loggedInUser = null;
+        return;
+    }
+
+    try {
+        const userDoc = await usersRef.doc(authUser.uid).get();
+        if (!userDoc.exists) {
+            // User deleted
+            console.log('⚠️ User deleted, logging out');
+            await auth.signOut();
             state.loggedInUser = null;
-            alert('Security upgrade: Please log in again to activate secure auto-login.\n\nอัปเกรดความปลอดภัย: กรุณาเข้าสู่ระบบอีกครั้งเพื่อเปิดใช้งานการเข้าสู่ระบบอัตโนมัติที่ปลอดภัย');
+            return;
         }
+
+        // Role and capabilities come from the server (same model the Cloud Functions enforce)
+        const getMyPermissions = functions.httpsCallable('getMyPermissions');
+        const permissions = await getMyPermissions();
+
+        const userData = userDoc.data();
+        state.loggedInUser = {
+            name: userData.name,
+            balance: userData.balance || 0,
+            userId: authUser.uid,
+            role: permissions.data.role, // user, moderator, or admin
+            capabilities: permissions.data.capabilities
+        };
+        state.isAdmin = hasCapability('session.manage');
+        console.log('✅ Auto-login successful for', state.loggedInUser.name);
+    } catch (error) {
+        console.error('Error validating session:', error);
+    }
+}
+
+/**
+ * Check a capability of the logged-in user (from getMyPermissions - also enforced server-side)
+ * @param {string} capability - e.g. 'session.publish', 'wallet.adjust', 'users.manage'
+ * @returns {boolean}
+ */
+function hasCapability(capability) {
+    return !!(state.loggedInUser && (state.loggedInUser.capabilities || []).includes(capability));
+}
+
+/**
+ * Current Firebase Auth user - waits for Auth to restore a persisted session on page load
+ * @returns {Promise<firebase.User|null>}
+ */
+function getAuthUser() {
+    if (auth.currentUser) {
+        return Promise.resolve(auth.currentUser);
+    }
+    return new Promise(resolve => {
+        const unsubscribe = auth.onAuthStateChanged(user => {
+            unsubscribe();
+            resolve(user);
+        });
+    });
+}
+
+/**
+ * Sign in with the token the old auto-login kept in localStorage (one time)
+ * @param {Object} legacy - Old loggedInUser object { name, userId, authToken }
+ */
+async function migrateLegacyLogin(legacy) {
+    if (!legacy.userId || !legacy.authToken || auth.currentUser) {
+        return;
+    }
+
+    try {
+        const signIn = functions.httpsCallable('signIn');
+        const response = await signIn({ userId: legacy.userId, legacyToken: legacy.authToken });
+        await auth.signInWithCustomToken(response.data.token);
+        console.log('✅ Old auto-login moved to Firebase Auth for', legacy.name);
+    } catch (error) {
+        console.log('⚠️ Old auto-login could not be moved - please log in again:', error.message);
     }
 }
 
@@ -3752,17 +4648,18 @@ function logoutUser() {
     }
 
     state.loggedInUser = null;
-    localStorage.removeItem('loggedInUser');
+    auth.signOut();
     updateUI();
 }
 
 // ============================================
-// PASSWORD RESET (Self-Service)
+// PASSWORD RESET (Admin)
 // ============================================
 
 /**
- * Reset password to default (123) for users with UUID passwords
- * Logs reset in Firestore and sends Line notification
+ * Ask the admins for a new one-time code (requestPasswordReset Cloud Function)
+ * Only for users whose code was already used on another device - an admin sets
+ * the new code and gives it to the player, the app never sees it
  */
 async function resetPassword() {
     const name = document.getElementById('loginName').value.trim();
@@ -3772,85 +4669,30 @@ async function resetPassword() {
         return;
     }
 
-    // Find user (EXACT match only - "Gei" will NOT match "Geir")
-    const user = state.authorizedUsers.find(u => u.name === name);
-
-    if (!user) {
-        alert('User not found / ไม่พบผู้ใช้');
-        return;
-    }
-
-    // Check if user has UUID password (long password)
-    if (user.password.length < 20) {
-        alert('Your password is already simple. Please login normally.\nรหัสผ่านของคุณเป็นรหัสง่ายแล้ว กรุณาเข้าสู่ระบบตามปกติ');
-        return;
-    }
-
-    // Confirm reset
-    if (!confirm(`Reset password to default?\nรีเซ็ตรหัสผ่านเป็นค่าเริ่มต้น?\n\nUser: ${name}\n\nYou can login with default password after reset.\nคุณสามารถเข้าสู่ระบบด้วยรหัสเริ่มต้นหลังจากรีเซ็ต`)) {
+    // Confirm request
+    if (!confirm(`Ask an admin for a new one-time code?\nขอรหัสใหม่จากแอดมิน?\n\nUser: ${name}`)) {
         return;
     }
 
     try {
-        const defaultPassword = '123'; // Hardcoded default password
-
-        // Update password in database
-        await usersRef.doc(user.id).update({
-            password: defaultPassword
-        });
-
-        // Log password reset
-        await passwordResetsRef.add({
-            userId: user.id,
-            userName: name,
-            oldPassword: user.password.substring(0, 10) + '...', // Store partial for audit
-            newPassword: defaultPassword,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-            ipAddress: 'N/A' // Could add IP detection if needed
-        });
-
-        // Send Line notification
-        // DISABLED: Line notifications stopped working reliably (quota issues)
-        /*
-        try {
-            const sendPasswordResetNotification = functions.httpsCallable('sendPasswordResetNotification');
-            await sendPasswordResetNotification({
-                userName: name,
-                timestamp: new Date().toLocaleString('en-GB', {
-                    timeZone: 'Asia/Bangkok',
-                    day: '2-digit',
-                    month: '2-digit',
-                    year: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                })
-            });
-            console.log('✅ Line notification sent for password reset');
-        } catch (error) {
-            console.error('❌ Line notification failed:', error);
-            // Don't block reset if Line fails
-        }
-        */
-        console.log('📤 Line notifications disabled (password reset)');
+        // Request, audit log and admin notification happen server-side
+        const requestPasswordReset = functions.httpsCallable('requestPasswordReset');
+        await requestPasswordReset({ name: name });
 
-        // Reload authorized users to get updated password
-        await loadAuthorizedUsers();
-
-        // Auto-login with new password
-        console.log('🔐 Auto-logging in with new password...');
-        try {
-            await handleLogin({ preventDefault: () => {} }, name, defaultPassword);
-            console.log('✅ Password reset and auto-login completed for:', name);
-
-            alert(`✅ Password reset successful! You are now logged in.\n\nIMPORTANT: If you have issues, restart your browser and open the link again.\n\n✅ รีเซ็ตรหัสผ่านสำเร็จ! คุณเข้าสู่ระบบแล้ว\n\nสำคัญ: หากมีปัญหา ให้รีสตาร์ทเบราว์เซอร์และเปิดลิงก์ใหม่`);
-        } catch (error) {
-            console.error('Auto-login failed:', error);
-            // If auto-login fails, show manual login message
-            alert(`✅ Password reset successful!\n\nPlease restart your browser and open the link again.\n\n✅ รีเซ็ตรหัสผ่านสำเร็จ!\n\nกรุณารีสตาร์ทเบราว์เซอร์และเปิดลิงก์ใหม่`);
-        }
+        console.log('✅ Password reset requested for:', name);
+        alert(`✅ Request sent! An admin will give you a new one-time code.\n\n✅ ส่งคำขอแล้ว! แอดมินจะให้รหัสใหม่กับคุณ`);
     } catch (error) {
-        console.error('Error resetting password:', error);
-        alert('Error resetting password. Please try again or contact admin.');
+        const details = error.details || {};
+        if (details.reason === 'not-found') {
+            alert('User not found / ไม่พบผู้ใช้');
+        } else if (details.reason === 'already-simple') {
+            passwordResetNeededFor = null;
+            showNormalLogin();
+            alert('Your password is already simple. Please login normally.\nรหัสผ่านของคุณเป็นรหัสง่ายแล้ว กรุณาเข้าสู่ระบบตามปกติ');
+        } else {
+            console.error('Error requesting password reset:', error);
+            alert('Error sending the request. Please contact admin.');
+        }
     }
 }
 
@@ -3866,67 +4708,39 @@ async function handleLogin(e, nameParam = null, passwordParam = null) {
 
     console.log('🔍 Login attempt:', { name, passwordLength: password.length });
 
-    // Check if user is authorized
-    const authorizedUser = state.authorizedUsers.find(u => u.name === name && u.password === password);
+    try {
+        // Password is checked by the signIn Cloud Function - the app only gets an Auth token
+        const signIn = functions.httpsCallable('signIn');
+        const response = await signIn({ name: name, password: password });
+        await auth.signInWithCustomToken(response.data.token);
 
-    if (authorizedUser) {
-        console.log('✅ User found:', { name, role: authorizedUser.role, passwordLength: password.length });
+        const { role, capabilities } = response.data;
+        console.log('✅ User signed in:', { name, role });
 
         // Show maintenance warning for non-admin users
-        if (state.maintenanceMode && authorizedUser.role !== 'admin' && authorizedUser.role !== 'moderator') {
+        if (state.maintenanceMode && capabilities.length === 0) {
             alert('System is under maintenance. You can login but cannot register or cancel.\nระบบกำลังปรับปรุง คุณสามารถเข้าสู่ระบบได้ แต่ไม่สามารถลงทะเบียนหรือยกเลิกได้');
         }
 
-        let permanentPassword = authorizedUser.password;
-
-        // If password is short (< 5 chars), it's a temporary code - generate UUID
-        if (password.length < 5) {
-            console.log('🔐 Short password detected - generating UUID for', name);
-
-            // Generate UUID (using crypto.randomUUID or fallback)
-            permanentPassword = self.crypto?.randomUUID?.() ||
-                'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-                    const r = Math.random() * 16 | 0;
-                    const v = c == 'x' ? r : (r & 0x3 | 0x8);
-                    return v.toString(16);
-                });
-
-            console.log('🔑 Generated UUID, attempting to save to Firestore...');
-
-            // Update user's password in database to UUID
-            try {
-                await usersRef.doc(authorizedUser.id).update({
-                    password: permanentPassword
-                });
-                console.log('✅ UUID password saved for', name);
-            } catch (error) {
-                console.error('❌ Error saving UUID password:', error);
-                alert('Error setting up secure password. Please try again.\n\nError: ' + error.message);
-                return;
-            }
-        } else {
-            console.log('✅ Using existing long password (>= 5 chars)');
-        }
-
-        console.log('💾 Saving to localStorage and state...');
-
-        // Save login info with permanent password (UUID or existing long password)
-        state.loggedInUser = {
-            name: authorizedUser.name,
-            balance: authorizedUser.balance || 0,
-            userId: authorizedUser.id,
-            authToken: permanentPassword, // Store UUID for auto-login
-            role: authorizedUser.role || 'user' // user, moderator, or admin
-        };
-        localStorage.setItem('loggedInUser', JSON.stringify(state.loggedInUser));
+        // Auth session persists across reloads - no credentials in localStorage
+        await checkLoggedInUser();
 
         console.log('🔄 Calling updateUI()...');
         updateUI();
         console.log('✅ Login complete!');
         // No alert - just go straight to the app
-    } else {
-        console.log('❌ User not found or wrong password');
-        alert('Invalid name or password / ชื่อหรือรหัสผ่านไม่ถูกต้อง');
+    } catch (error) {
+        console.log('❌ Login failed:', error.message);
+        const details = error.details || {};
+        if (details.reason === 'password-reset-needed') {
+            passwordResetNeededFor = name;
+            showResetPassword();
+            alert('Your one-time code was already used. Ask an admin for a new one.\nรหัสของคุณถูกใช้ไปแล้ว กรุณาขอรหัสใหม่จากแอดมิน');
+        } else if (details.reason === 'too-many-attempts') {
+            alert(`Too many failed attempts. Try again in ${details.minutes} minutes.\nใส่รหัสผิดหลายครั้งเกินไป ลองใหม่ใน ${details.minutes} นาที`);
+        } else {
+            alert('Invalid name or password / ชื่อหรือรหัสผ่านไม่ถูกต้อง');
+        }
     }
 }
 
@@ -3937,44 +4751,7 @@ async function handleLogin(e, nameParam = null, passwordParam = null) {
 function showSuccessMessage(player) {
     document.getElementById('registrationForm').style.display = 'none';
     document.getElementById('successMessage').style.display = 'block';
-
-    // DISABLED: Payment is now handled via wallet system, no need for "I have paid" button
-    // generatePaymentQR();
-}
-
-// DISABLED: Payment QR code - now using wallet system instead
-/*
-function generatePaymentQR() {
-    const qrContainer = document.getElementById('qrCode');
-
-    // Check if current user has already paid
-    if (!state.loggedInUser) return;
-
-    const userName = state.loggedInUser.name;
-    const currentPlayer = state.players.find(p => p.name === userName);
-    const hasPaid = currentPlayer && currentPlayer.paid;
-
-    if (hasPaid) {
-        // Already paid - show green button with "จ่ายแล้ว ✓"
-        qrContainer.innerHTML = `
-            <div style="text-align: center;">
-                <button style="padding: 12px 24px; background: #10b981; color: white; border: none; border-radius: 8px; font-size: 16px; cursor: not-allowed; font-weight: bold;" disabled>
-                    <span class="thai-text">จ่ายแล้ว ✓</span><br><span class="eng-text" style="color: rgba(255,255,255,0.8);">Paid</span>
-                </button>
-            </div>
-        `;
-    } else {
-        // Not paid yet - show gray button with "I have paid"
-        qrContainer.innerHTML = `
-            <div style="text-align: center;">
-                <button onclick="markAsPaid()" id="paymentButton" style="padding: 12px 24px; background: #6b7280; color: white; border: none; border-radius: 8px; font-size: 16px; cursor: pointer; font-weight: bold;">
-                    I have paid<br>ฉันจ่ายแล้ว
-                </button>
-            </div>
-        `;
-    }
 }
-*/
 
 // Get current player from localStorage
 function getCurrentPlayer() {
@@ -4023,8 +4800,7 @@ function updateUI() {
         // Check if session is published
         if (!state.published) {
             // Session unpublished - show draft message for non-admin users
-            const userRole = state.loggedInUser.role || 'user';
-            if (userRole === 'user') {
+            if (!hasCapability('session.publish')) {
                 registrationFormEl.style.display = 'block';
                 cancelBtnEl.style.display = 'none';
                 document.getElementById('successMessage').style.display = 'none';
@@ -4061,16 +4837,13 @@ function updateUI() {
                 cancelBtnEl.style.display = 'block';
                 showSuccessMessage(alreadyRegistered);
 
-                // NEW: Disable cancel button if session is locked
+                // Cancelling stays possible after the lock - the refund follows the cancellation policy
+                cancelBtnEl.disabled = false;
+                cancelBtnEl.style.background = '#ef4444';
+                cancelBtnEl.style.cursor = 'pointer';
                 if (isSessionLocked()) {
-                    cancelBtnEl.disabled = true;
-                    cancelBtnEl.style.background = '#9ca3af';
-                    cancelBtnEl.style.cursor = 'not-allowed';
-                    cancelBtnEl.innerHTML = `<span class="thai-text">ไม่สามารถยกเลิกได้</span><br><span class="eng-text">Cancellation Locked</span>`;
+                    cancelBtnEl.innerHTML = `<span class="thai-text">ยกเลิก (ไม่คืนเงิน)</span><br><span class="eng-text">Cancel (no refund)</span>`;
                 } else {
-                    cancelBtnEl.disabled = false;
-                    cancelBtnEl.style.background = '#ef4444';
-                    cancelBtnEl.style.cursor = 'pointer';
                     cancelBtnEl.innerHTML = `<span class="thai-text">ยกเลิก</span><br><span class="eng-text">Cancel Registration</span>`;
                 }
 
@@ -4118,6 +4891,13 @@ function updateUI() {
                         signupButton.style.background = '#9ca3af';
                         signupButton.style.cursor = 'not-allowed';
                         signupButton.innerHTML = `<span class="thai-text">ปิดรับลงทะเบียนแล้ว</span><br><span class="eng-text">Registration Closed</span>`;
+                    } else if (isLotteryOpen()) {
+                        // Lottery - enter or leave the draw
+                        const entered = hasLotteryEntry();
+                        signupButton.style.background = entered ? '#6b7280' : '#8b5cf6';
+                        signupButton.innerHTML = entered
+                            ? `<span class="thai-text">ถอนตัวจากการจับฉลาก</span><br><span class="eng-text">Withdraw from lottery</span>`
+                            : `<span class="thai-text">ลงชื่อจับฉลาก ${state.loggedInUser.name}</span><br><span class="eng-text">Enter lottery as ${state.loggedInUser.name}</span>`;
                     } else {
                         // Normal flow - show join button
                         signupButton.innerHTML = `<span class="thai-text">ลงทะเบียน ${state.loggedInUser.name}</span><br><span class="eng-text">Join as ${state.loggedInUser.name}</span>`;
@@ -4175,13 +4955,14 @@ function updateUI() {
     // Show/hide draft banner for admin/moderator
     const draftBanner = document.getElementById('draftBanner');
     if (draftBanner && state.loggedInUser) {
-        const userRole = state.loggedInUser.role || 'user';
-        const isAdminOrModerator = (userRole === 'admin' || userRole === 'moderator');
-        draftBanner.style.display = (!state.published && isAdminOrModerator) ? 'block' : 'none';
+        draftBanner.style.display = (!state.published && hasCapability('session.publish')) ? 'block' : 'none';
     } else if (draftBanner) {
         draftBanner.style.display = 'none';
     }
 
+    renderPriorityBanner();
+    renderLotteryBanner();
+
     // NEW: Show/hide locked banner
     const lockedBanner = document.getElementById('lockedBanner');
     if (lockedBanner) {
@@ -4296,10 +5077,7 @@ function updateUI() {
     }
 
     // Hide player list for regular users when session is not published
-    const userRole = state.loggedInUser.role || 'user';
-    const isAdminOrModerator = (userRole === 'admin' || userRole === 'moderator');
-
-    if (!state.published && !isAdminOrModerator) {
+    if (!state.published && !hasCapability('session.publish')) {
         if (playersListContainer) {
             playersListContainer.style.display = 'none';
         }
@@ -4320,28 +5098,8 @@ function updateUI() {
 
         // Add guest icon if this is a guest player
         if (player.isGuest) {
-            // Extract guest name and host name from "HostName friend: GuestName" format
-            let guestDisplayName = player.name;
-            let hostDisplayName = player.guestOfName;
-
-            const parts = player.name.split(' friend: ');
-            if (parts.length === 2) {
-                guestDisplayName = parts[1]; // GuestName
-                hostDisplayName = parts[0];   // HostName
-            } else {
-                // Fallback for old formats
-                const oldParts = player.name.split(' venn: ');
-                if (oldParts.length === 2) {
-                    guestDisplayName = oldParts[1];
-                    hostDisplayName = oldParts[0];
-                } else {
-                    const legacyParts = player.name.split(' + ');
-                    if (legacyParts.length === 2) {
-                        guestDisplayName = legacyParts[1];
-                        hostDisplayName = legacyParts[0];
-                    }
-                }
-            }
+            const guestDisplayName = getGuestDisplayName(player);
+            const hostDisplayName = player.guestOfName;
 
             playerInfo.textContent = `${index + 1}. ${guestDisplayName} 👤 (${hostDisplayName})`;
             playerInfo.title = `Guest of ${hostDisplayName} / แขกของ ${hostDisplayName}`;
@@ -4360,6 +5118,20 @@ function updateUI() {
         }
         // REMOVED: "Pay Now" button - all payments processed at publish time
 
+        if (player.attended) {
+            const attendedBadge = document.createElement('span');
+            attendedBadge.textContent = '📍';
+            attendedBadge.title = 'Checked in / เช็คอินแล้ว';
+            statusDiv.appendChild(attendedBadge);
+        }
+
+        if (player.transferOffer) {
+            const offerBadge = document.createElement('span');
+            offerBadge.textContent = '🔁';
+            offerBadge.title = `Spot offered to ${player.transferOffer.toName || 'the waiting list'}`;
+            statusDiv.appendChild(offerBadge);
+        }
+
         if (player.clickedPaymentLink) {
             const clickBadge = document.createElement('span');
             clickBadge.className = 'clicked-badge';
@@ -4378,11 +5150,13 @@ function updateUI() {
         }
     });
 
-    // Show/hide admin button based on user role
+    renderRotation();
+    renderResults();
+
+    // Show/hide admin button - anyone with at least one capability has an admin panel
     const adminBtn = document.querySelector('.admin-btn');
     if (adminBtn && state.loggedInUser) {
-        const userRole = state.loggedInUser.role || 'user';
-        adminBtn.style.display = (userRole === 'moderator' || userRole === 'admin') ? 'block' : 'none';
+        adminBtn.style.display = (state.loggedInUser.capabilities || []).length > 0 ? 'block' : 'none';
     } else if (adminBtn) {
         adminBtn.style.display = 'none';
     }
@@ -4486,11 +5260,20 @@ function updateAdminStatusIndicator() {
 }
 
 /**
- * Get which groups should be visible based on app status
+ * Get which groups should be visible based on app status and the user's capabilities
  * @param {string} status - 'maintenance' | 'archived' | 'locked' | 'closed' | 'open'
  * @returns {string[]} Array of group names
  */
 function getVisibleGroups(status) {
+    return getStatusGroups(status).filter(group => getAllowedAdminButtons(group).length > 0);
+}
+
+/**
+ * Groups that apply to an app status (before capability filtering)
+ * @param {string} status - 'maintenance' | 'archived' | 'locked' | 'closed' | 'open'
+ * @returns {string[]} Array of group names
+ */
+function getStatusGroups(status) {
     switch (status) {
         case 'maintenance':
             return ['users', 'settings'];
@@ -4538,52 +5321,76 @@ function updateAdminGroupTabs() {
 
 /**
  * Define all action buttons for each group
+ * capability: required capability (see functions/permissions.js) - buttons without one are shown to all staff
  */
 const adminGroupButtons = {
     setup: [
-        { label: 'New', onclick: 'clearSession()', bg: '#ef4444', color: 'white' },
-        { label: 'Edit', onclick: 'changeSessionDetails()', bg: '#f59e0b' },
-        { label: 'Pay Amt', onclick: 'changePaymentAmount()', bg: '#f59e0b' },
-        { label: 'Max Pl', onclick: 'changeMaxPlayers()', bg: '#f59e0b' },
-        { label: 'Today', onclick: 'manageTodaysPlayers()', bg: '#8b5cf6', color: 'white' },
-        { label: 'Preview', onclick: 'previewSession()', bg: '#3b82f6', color: 'white' },
-        { label: 'Publish', onclick: 'publishSession()', bg: '#10b981', color: 'white', bold: true }
+        { label: 'New', onclick: 'clearSession()', capability: 'session.manage', bg: '#ef4444', color: 'white' },
+        { label: '+ Add', onclick: 'addSession()', capability: 'session.manage', bg: '#10b981', color: 'white' },
+        { label: 'Edit', onclick: 'changeSessionDetails()', capability: 'session.manage', bg: '#f59e0b' },
+        { label: 'Pay Amt', onclick: 'changePaymentAmount()', capability: 'session.manage', bg: '#f59e0b' },
+        { label: 'Max Pl', onclick: 'changeMaxPlayers()', capability: 'session.manage', bg: '#f59e0b' },
+        { label: 'Today', onclick: 'manageTodaysPlayers()', capability: 'session.publish', bg: '#8b5cf6', color: 'white' },
+        { label: 'Preview', onclick: 'previewSession()', capability: 'session.publish', bg: '#3b82f6', color: 'white' },
+        { label: 'Publish', onclick: 'publishSession()', capability: 'session.publish', bg: '#10b981', color: 'white', bold: true },
+        { label: 'Schedule', onclick: 'scheduleSession()', capability: 'session.manage', bg: '#3b82f6', color: 'white' },
+        { label: 'Lottery', onclick: 'sessionLottery()', capability: 'session.manage', bg: '#c026d3', color: 'white' },
+        { label: 'Draw', onclick: 'drawLotteryNow()', capability: 'session.publish', bg: '#c026d3', color: 'white' },
+        { label: 'Templates', onclick: 'manageSessionTemplates()', capability: 'session.manage', bg: '#8b5cf6', color: 'white' }
     ],
     close: [
-        { label: 'Refund', onclick: 'refundWaitingList()', bg: '#f59e0b' },
-        { label: 'Shuttle', onclick: 'registerShuttlecocks()', bg: '#ec4899', color: 'white' },
-        { label: 'Close', onclick: 'closeLastSession()', bg: '#6366f1', color: 'white', bold: true }
+        { label: 'Check-in', onclick: 'openCheckInScreen()', capability: 'players.manage', bg: '#0d9488', color: 'white' },
+        { label: 'Rounds', onclick: 'generateRotation()', capability: 'players.manage', bg: '#0d9488', color: 'white' },
+        { label: 'Shuttle', onclick: 'registerShuttlecocks()', capability: 'session.close', bg: '#ec4899', color: 'white' },
+        { label: 'Close', onclick: 'closeLastSession()', capability: 'session.close', bg: '#6366f1', color: 'white', bold: true }
     ],
     users: [
-        { label: 'Users', onclick: 'manageAuthorizedUsers()', bg: '#3b82f6', color: 'white' },
-        { label: 'Regular', onclick: 'manageRegularPlayers()', bg: '#f59e0b' },
-        { label: 'Wallets', onclick: 'manageWallets()', bg: '#10b981', color: 'white' },
-        { label: 'Remove', onclick: 'removePlayerFromSession()', bg: '#ef4444', color: 'white' }
+        { label: 'Users', onclick: 'manageAuthorizedUsers()', capability: 'users.manage', bg: '#3b82f6', color: 'white' },
+        { label: 'Regular', onclick: 'manageRegularPlayers()', capability: 'session.manage', bg: '#f59e0b' },
+        { label: 'No-shows', onclick: 'manageNoShows()', capability: 'users.manage', bg: '#0d9488', color: 'white' },
+        { label: 'Wallets', onclick: 'manageWallets()', capability: 'wallet.adjust', bg: '#10b981', color: 'white' },
+        { label: 'Top-ups', onclick: 'manageTopUpRequests()', capability: 'wallet.adjust', bg: '#1e40af', color: 'white' },
+        { label: 'Migrate', onclick: 'migrateUserPasswords()', capability: 'users.manage', bg: '#9ca3af', color: 'white' },
+        { label: 'Remove', onclick: 'removePlayerFromSession()', capability: 'players.manage', bg: '#ef4444', color: 'white' }
     ],
     money: [
-        { label: 'Trans', onclick: 'viewTransactions()', bg: '#3b82f6', color: 'white' },
-        { label: 'Report', onclick: 'viewAccountingReport()', bg: '#8b5cf6', color: 'white', bold: true },
-        { label: 'Debug', onclick: 'debugViewRawData()', bg: '#f59e0b' },
-        { label: 'Expense', onclick: 'addManualExpense()', bg: '#ef4444', color: 'white' }
+        { label: 'Trans', onclick: 'viewTransactions()', capability: 'reports.view', bg: '#3b82f6', color: 'white' },
+        { label: 'Report', onclick: 'viewAccountingReport()', capability: 'reports.view', bg: '#8b5cf6', color: 'white', bold: true },
+        { label: 'Debug', onclick: 'debugViewRawData()', capability: 'reports.view', bg: '#f59e0b' },
+        { label: 'Reconcile', onclick: 'reconcileWallets()', capability: 'wallet.reconcile', bg: '#10b981', color: 'white' },
+        { label: 'Expense', onclick: 'addManualExpense()', capability: 'wallet.adjust', bg: '#ef4444', color: 'white' }
     ],
     line: [
-        { label: '📢 Announce Session', onclick: 'showSessionAnnouncement()', bg: '#10b981', color: 'white', bold: true },
-        { label: 'Config', onclick: 'testLineConfig()', bg: '#9ca3af', color: 'white' },
-        { label: 'Demo', onclick: 'testDemoLine()', bg: '#9ca3af', color: 'white' },
-        { label: 'Test', onclick: 'testLineMessage()', bg: '#9ca3af', color: 'white' },
-        { label: 'Announce', onclick: 'testSessionAnnouncement()', bg: '#9ca3af', color: 'white' },
-        { label: 'Cancel', onclick: 'testCancellationNotification()', bg: '#9ca3af', color: 'white' },
-        { label: 'Nudge', onclick: 'testNudgeNotification()', bg: '#9ca3af', color: 'white' },
-        { label: 'Reset', onclick: 'testPasswordResetNotification()', bg: '#9ca3af', color: 'white' },
-        { label: 'Extra', onclick: 'sendExtraCourtMessage()', bg: '#9ca3af', color: 'white' }
+        { label: '📢 Announce Session', onclick: 'showSessionAnnouncement()', capability: 'session.publish', bg: '#10b981', color: 'white', bold: true },
+        { label: 'Config', onclick: 'testLineConfig()', capability: 'settings.manage', bg: '#9ca3af', color: 'white' },
+        { label: 'Demo', onclick: 'testDemoLine()', capability: 'settings.manage', bg: '#9ca3af', color: 'white' },
+        { label: 'Test', onclick: 'testLineMessage()', capability: 'settings.manage', bg: '#9ca3af', color: 'white' },
+        { label: 'Announce', onclick: 'testSessionAnnouncement()', capability: 'settings.manage', bg: '#9ca3af', color: 'white' },
+        { label: 'Cancel', onclick: 'testCancellationNotification()', capability: 'settings.manage', bg: '#9ca3af', color: 'white' },
+        { label: 'Nudge', onclick: 'testNudgeNotification()', capability: 'settings.manage', bg: '#9ca3af', color: 'white' },
+        { label: 'Reset', onclick: 'testPasswordResetNotification()', capability: 'settings.manage', bg: '#9ca3af', color: 'white' },
+        { label: 'Extra', onclick: 'sendExtraCourtMessage()', capability: 'session.publish', bg: '#9ca3af', color: 'white' }
     ],
     settings: [
-        { label: 'Weekly', onclick: 'generateWeeklyReport()', bg: '#f59e0b', color: 'white', bold: true },
-        { label: 'Maint', onclick: 'toggleMaintenanceMode()', bg: '#ef4444', color: 'white', bold: true },
-        { label: 'Export', onclick: 'exportList()', bg: '#3b82f6', color: 'white' },
+        { label: 'Weekly', onclick: 'generateWeeklyReport()', capability: 'reports.view', bg: '#f59e0b', color: 'white', bold: true },
+        { label: 'Maint', onclick: 'toggleMaintenanceMode()', capability: 'settings.manage', bg: '#ef4444', color: 'white', bold: true },
+        { label: 'PromptPay', onclick: 'setPromptPayId()', capability: 'settings.manage', bg: '#1e40af', color: 'white' },
+        { label: 'Waitlist', onclick: 'setWaitingListConfirmation()', capability: 'settings.manage', bg: '#8b5cf6', color: 'white' },
+        { label: 'Refunds', onclick: 'setCancellationPolicy()', capability: 'settings.manage', bg: '#8b5cf6', color: 'white' },
+        { label: 'No-show', onclick: 'setNoShowPolicy()', capability: 'settings.manage', bg: '#8b5cf6', color: 'white' },
+        { label: 'Guests', onclick: 'setGuestPolicy()', capability: 'settings.manage', bg: '#8b5cf6', color: 'white' },
+        { label: 'Ratings', onclick: 'setRatingSettings()', capability: 'settings.manage', bg: '#8b5cf6', color: 'white' },
+        { label: 'Season', onclick: 'setSeason()', capability: 'settings.manage', bg: '#f59e0b', color: 'white' },
+        { label: 'Priority', onclick: 'setPriorityWindow()', capability: 'settings.manage', bg: '#8b5cf6', color: 'white' },
+        { label: 'Lottery', onclick: 'setLotteryPolicy()', capability: 'settings.manage', bg: '#c026d3', color: 'white' },
+        { label: 'Guest data', onclick: 'migrateGuestRecords()', capability: 'settings.manage', bg: '#9ca3af', color: 'white' },
+        { label: 'Rating data', onclick: 'migrateRatings()', capability: 'settings.manage', bg: '#9ca3af', color: 'white' },
+        { label: '🔔 Notify', onclick: 'manageNotificationPreferences()', bg: '#f59e0b', color: 'white' },
+        { label: '📬 Log', onclick: 'viewNotificationLog()', capability: 'settings.manage', bg: '#9ca3af', color: 'white' },
+        { label: 'Export', onclick: 'exportList()', capability: 'reports.view', bg: '#3b82f6', color: 'white' },
         { label: '🔔 Enable', onclick: 'enablePushNotifications()', bg: '#9ca3af', color: 'white' },
-        { label: '🧪 Lokal', onclick: 'testPushNotification()', bg: '#9ca3af', color: 'white' },
-        { label: '🚀 FCM', onclick: 'testRealFCM()', bg: '#9ca3af', color: 'white' }
+        { label: '🧪 Lokal', onclick: 'testPushNotification()', capability: 'settings.manage', bg: '#9ca3af', color: 'white' },
+        { label: '🚀 FCM', onclick: 'testRealFCM()', capability: 'settings.manage', bg: '#9ca3af', color: 'white' }
     ]
 };
 
@@ -4615,6 +5422,15 @@ function selectAdminGroup(groupName) {
     renderAdminActionButtons(groupName);
 }
 
+/**
+ * Buttons in a group that the logged-in user's capabilities allow
+ * @param {string} groupName - Name of group
+ * @returns {Object[]} Button definitions
+ */
+function getAllowedAdminButtons(groupName) {
+    return (adminGroupButtons[groupName] || []).filter(btn => !btn.capability || hasCapability(btn.capability));
+}
+
 /**
  * Render action buttons for the selected group
  * @param {string} groupName - Name of group
@@ -4623,7 +5439,7 @@ function renderAdminActionButtons(groupName) {
     const container = document.getElementById('adminActionButtons');
     if (!container) return;
 
-    const buttons = adminGroupButtons[groupName] || [];
+    const buttons = getAllowedAdminButtons(groupName);
 
     container.innerHTML = buttons.map(btn => {
         const style = `
@@ -4695,12 +5511,18 @@ function renderAdminActionButtons(groupName) {
                     statusMessage = '⚠️ Unknown status';
             }
 
+            const lockSource = state.lockAt ? 'scheduled' : `${LOCK_HOURS_BEFORE_SESSION}h before`;
+            const publishInfo = (!state.published && state.publishAt)
+                ? `Auto-publish: ${formatScheduleTime(state.publishAt)}<br>`
+                : '';
+
             const lockInfoBox = `
                 <div style="margin-top: 10px; padding: 12px; background: ${statusBg}; border: 2px solid ${statusColor}; border-radius: 8px; font-size: 13px;">
                     <div style="font-weight: bold; color: ${statusColor}; margin-bottom: 5px;">${statusIcon} Session Status: ${statusText}</div>
                     <div style="color: #374151;">
                         Session: ${state.sessionDate} ${state.sessionTime}<br>
-                        Lock time: ${lockTimeStr} (${LOCK_HOURS_BEFORE_SESSION}h before)<br>
+                        Lock time: ${lockTimeStr} (${lockSource})<br>
+                        ${publishInfo}
                         ${statusMessage}
                     </div>
                 </div>
@@ -4731,104 +5553,326 @@ function togglePaymentStatus() {
     }
 }
 
-function updateAdminButtonVisibility() {
-    const adminActions = document.getElementById('adminActions');
-    if (!adminActions || adminActions.style.display === 'none') {
-        return; // Admin panel not open
-    }
+function updateAdminButtonVisibility() {
+    const adminActions = document.getElementById('adminActions');
+    if (!adminActions || adminActions.style.display === 'none') {
+        return; // Admin panel not open
+    }
+
+    // Update status indicator
+    updateAdminStatusIndicator();
+
+    // Update which group tabs are visible
+    updateAdminGroupTabs();
+
+    // If no group selected yet, select first visible group
+    if (!currentAdminGroup) {
+        const status = getAppStatus();
+        const visibleGroups = getVisibleGroups(status);
+        if (visibleGroups.length > 0) {
+            selectAdminGroup(visibleGroups[0]);
+        }
+    }
+}
+
+function toggleAdmin() {
+    const panel = document.getElementById('adminPanel');
+    const newDisplay = panel.style.display === 'none' ? 'block' : 'none';
+    panel.style.display = newDisplay;
+
+    // If opening panel, show the actions the user's capabilities allow
+    if (newDisplay === 'block') {
+        const capabilities = state.loggedInUser ? (state.loggedInUser.capabilities || []) : [];
+        if (capabilities.length === 0) {
+            panel.style.display = 'none';
+            alert('No admin access / ไม่มีสิทธิ์ผู้ดูแล');
+            return;
+        }
+
+        document.getElementById('adminActions').style.display = 'block';
+
+        // Update admin button visibility based on published status and capabilities
+        updateAdminButtonVisibility();
+
+        if (hasCapability('players.manage')) {
+            updatePaymentList();
+        }
+    }
+}
+
+// ============================================
+// NOTIFICATION SETTINGS
+// ============================================
+
+/**
+ * Choose notification channels per event - own preferences, or the club's
+ * Telegram chat / email inbox / Line group (settings.manage)
+ * Stored server-side, see functions/notifications.js for events and defaults
+ */
+async function manageNotificationPreferences() {
+    let target;
+    if (hasCapability('settings.manage')) {
+        const choice = prompt('Notification settings / ตั้งค่าการแจ้งเตือน\n\n1 = My notifications\n2 = Club channels (Telegram, email, Line)', '1');
+        if (choice === null) return;
+        target = choice.trim() === '2' ? 'club' : undefined;
+    }
+
+    try {
+        const getNotificationPreferences = functions.httpsCallable('getNotificationPreferences');
+        const response = await getNotificationPreferences({ target: target });
+        const { preferences, events, channels } = response.data;
+
+        const updated = {};
+        for (const event of events) {
+            const current = (preferences.events[event] || []).join(',');
+            const answer = prompt(
+                `${target === 'club' ? 'Club' : 'Me'}: "${event}"\n\n` +
+                `Channels (comma separated, empty = off):\n${channels.join(', ')}`,
+                current
+            );
+            if (answer === null) return; // Cancel = keep everything as it was
+            updated[event] = answer.split(',').map(c => c.trim()).filter(Boolean);
+        }
+
+        let email = preferences.email;
+        let telegramChatId = preferences.telegramChatId;
+        if (target !== 'club') {
+            email = prompt('Email for notifications (empty = none):', email);
+            if (email === null) return;
+            telegramChatId = prompt('Telegram chat ID (empty = none):', telegramChatId);
+            if (telegramChatId === null) return;
+        }
+
+        const saveNotificationPreferences = functions.httpsCallable('saveNotificationPreferences');
+        const result = await saveNotificationPreferences({ target, events: updated, email, telegramChatId });
+
+        const summary = events
+            .map(event => `${event}: ${result.data.preferences.events[event].join(', ') || 'off'}`)
+            .join('\n');
+        alert(`✅ Saved / บันทึกแล้ว\n\n${summary}`);
+    } catch (error) {
+        console.error('Error saving notification preferences:', error);
+        alert('Error: ' + error.message);
+    }
+}
+
+/**
+ * Notification delivery log (notificationOutbox) - failed and waiting deliveries first,
+ * pick one to send it again (resendNotification)
+ */
+async function viewNotificationLog() {
+    try {
+        const snapshot = await notificationOutboxRef.orderBy('createdAt', 'desc').limit(50).get();
+        const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        if (entries.length === 0) {
+            alert('📬 No notifications yet / ยังไม่มีการแจ้งเตือน');
+            return;
+        }
+
+        const counts = {};
+        entries.forEach(e => { counts[e.status] = (counts[e.status] || 0) + 1; });
+        const summary = Object.entries(counts).map(([status, count]) => `${status}: ${count}`).join(', ');
+
+        const statusIcons = { sent: '✅', skipped: '➖', pending: '⏳', sending: '⏳', retry: '🔁', failed: '❌' };
+        const problems = entries.filter(e => e.status === 'failed' || e.status === 'retry');
+        const shown = problems.length > 0 ? problems : entries.slice(0, 15);
+
+        const list = shown.map((e, index) => {
+            const date = e.createdAt ? e.createdAt.toDate().toLocaleString('en-GB', {
+                day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+            }) : '';
+            const error = e.lastError ? `\n    ${e.lastError.substring(0, 60)}` : '';
+            return `${index + 1}. ${statusIcons[e.status] || ''} ${date} ${e.event} → ${e.recipient.name} (${e.channel}, ${e.attempts}x)${error}`;
+        }).join('\n');
+
+        const choice = prompt(
+            `📬 Last ${entries.length} notifications (${summary})\n\n` +
+            `${problems.length > 0 ? 'Failed / retrying:' : 'Latest:'}\n${list}\n\n` +
+            `Enter number to resend:`
+        );
+        if (!choice) return;
+
+        const entry = shown[parseInt(choice) - 1];
+        if (!entry) {
+            alert('Invalid number / หมายเลขไม่ถูกต้อง');
+            return;
+        }
+
+        const resendNotification = functions.httpsCallable('resendNotification');
+        const response = await resendNotification({ entryId: entry.id });
+        alert(`📬 ${entry.event} → ${entry.recipient.name} (${entry.channel}): ${response.data.status}`);
+    } catch (error) {
+        console.error('Error loading notification log:', error);
+        alert('Error: ' + error.message);
+    }
+}
+
+// ============================================
+// PROMPTPAY SETTINGS
+// ============================================
 
-    // Update status indicator
-    updateAdminStatusIndicator();
+/**
+ * Set the club's PromptPay ID (config/payment) used for player top-up QR codes
+ * Phone number, 13-digit national/tax ID or 15-digit e-wallet ID
+ */
+async function setPromptPayId() {
+    try {
+        const configDoc = await db.collection('config').doc('payment').get();
+        const currentId = configDoc.exists ? (configDoc.data().promptPayId || '') : '';
 
-    // Update which group tabs are visible
-    updateAdminGroupTabs();
+        const newId = prompt(
+            'PromptPay ID for top-ups / พร้อมเพย์สำหรับเติมเงิน\n\n' +
+            'Phone (0812345678), national/tax ID (13 digits) or e-wallet (15 digits)',
+            currentId
+        );
+        if (newId === null) return;
 
-    // If no group selected yet, select first visible group
-    if (!currentAdminGroup) {
-        const status = getAppStatus();
-        const visibleGroups = getVisibleGroups(status);
-        if (visibleGroups.length > 0) {
-            selectAdminGroup(visibleGroups[0]);
-        }
+        const promptPayId = newId.replace(/[^0-9]/g, '');
+
+        // Validates the ID format (throws on invalid)
+        PromptPay.buildPayload({ promptPayId: promptPayId });
+
+        await db.collection('config').doc('payment').set({
+            promptPayId: promptPayId,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        alert(`✅ PromptPay ID saved: ${promptPayId}`);
+    } catch (error) {
+        console.error('Error saving PromptPay ID:', error);
+        alert(`❌ ${error.message}`);
     }
 }
 
-function toggleAdmin() {
-    const panel = document.getElementById('adminPanel');
-    const newDisplay = panel.style.display === 'none' ? 'block' : 'none';
-    panel.style.display = newDisplay;
-
-    // If opening panel, update button visibility
-    if (newDisplay === 'block') {
-        // Update admin button visibility based on published status
-        updateAdminButtonVisibility();
+/**
+ * Waiting list promotions: how long a player who moves up has to confirm the spot
+ * (config/waitingList) - unconfirmed spots go to the next player and are refunded
+ * (expireUnconfirmedPromotions Cloud Function). 0 = promotions stand without confirmation
+ */
+async function setWaitingListConfirmation() {
+    try {
+        const configDoc = await db.collection('config').doc('waitingList').get();
+        const current = configDoc.exists ? (configDoc.data().confirmationMinutes || 0) : 0;
+
+        const input = prompt(
+            'Waiting list confirmation / ยืนยันจากรายชื่อสำรอง\n\n' +
+            'Minutes a player who moves up has to confirm the spot.\n' +
+            'Not confirmed → spot goes to the next player, fee refunded.\n\n' +
+            '0 = no confirmation needed',
+            current
+        );
+        if (input === null) return;
 
-        // If user is moderator, show moderator actions directly
-        if (state.loggedInUser && state.loggedInUser.role === 'moderator') {
-            document.getElementById('adminPassword').style.display = 'none';
-            document.querySelector('.admin-controls button[onclick="loginAdmin()"]').style.display = 'none';
-            showModeratorActions();
+        const minutes = parseInt(input, 10);
+        if (isNaN(minutes) || minutes < 0) {
+            alert('Enter a number of minutes (0 = off)');
+            return;
         }
+
+        await db.collection('config').doc('waitingList').set({
+            confirmationMinutes: minutes,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+
+        alert(minutes > 0
+            ? `✅ Promoted players must confirm within ${minutes} minutes`
+            : '✅ Promotions no longer need confirmation');
+    } catch (error) {
+        console.error('Error saving waiting list settings:', error);
+        alert(`❌ ${error.message}`);
     }
 }
 
-function showModeratorActions() {
-    const actionsDiv = document.getElementById('adminActions');
-    actionsDiv.style.display = 'block';
-
-    // Hide admin-only buttons for moderators
-    const adminOnlyButtons = [
-        'clearSession()',
-        'changeSessionDetails()',
-        'changePaymentAmount()',
-        'changeMaxPlayers()',
-        'manageRegularPlayers()',
-        'manageAuthorizedUsers()',
-        'initializeAllBalances()'
-    ];
+/**
+ * Late-cancellation policy - club default (config/cancellationPolicy) or an override
+ * for the current session (cancellationPolicy field). Evaluated by cancelRegistration
+ */
+async function setCancellationPolicy() {
+    try {
+        const scope = prompt(
+            'Cancellation policy / นโยบายการยกเลิก\n\n' +
+            '1 = Club default\n' +
+            `2 = This session only (${state.sessionDate})\n` +
+            '3 = Remove the override for this session',
+            '1'
+        );
+        if (scope === null) return;
+        if (!['1', '2', '3'].includes(scope.trim())) {
+            alert('Enter 1, 2 or 3');
+            return;
+        }
 
-    const allButtons = actionsDiv.querySelectorAll('button');
-    allButtons.forEach(button => {
-        const onclick = button.getAttribute('onclick');
-        if (onclick) {
-            const isAdminOnly = adminOnlyButtons.some(func => onclick.includes(func));
-            button.style.display = isAdminOnly ? 'none' : 'block';
+        const forSession = scope.trim() !== '1';
+        if (forSession && !hasCapability('session.manage')) {
+            alert('❌ Changing a session requires the session.manage permission');
+            return;
         }
-    });
 
-    // Update button visibility based on published status
-    updateAdminButtonVisibility();
+        if (scope.trim() === '3') {
+            await currentSessionRef().update({
+                cancellationPolicy: firebase.firestore.FieldValue.delete()
+            });
+            alert('✅ This session uses the club cancellation policy again');
+            return;
+        }
 
-    updatePaymentList();
-}
+        const configDoc = await db.collection('config').doc('cancellationPolicy').get();
+        const clubPolicy = configDoc.exists ? configDoc.data() : {};
+        let current = clubPolicy;
+        if (forSession) {
+            const sessionDoc = await currentSessionRef().get();
+            current = { ...clubPolicy, ...((sessionDoc.exists && sessionDoc.data().cancellationPolicy) || {}) };
+        }
 
-function loginAdmin() {
-    const password = document.getElementById('adminPassword').value;
-    if (password === 'SikkertPassord1955') {
-        state.isAdmin = true;
-        document.getElementById('adminPassword').style.display = 'none';
+        const hoursInput = prompt(
+            'Full refund until how many hours before start?\n' +
+            'คืนเงินเต็มจำนวนถึงกี่ชั่วโมงก่อนเริ่ม?\n\n' +
+            `Registration locks ${LOCK_HOURS_BEFORE_SESSION}h before start - no refund after that.\n` +
+            `${LOCK_HOURS_BEFORE_SESSION} = full refund until the lock (no partial refund)`,
+            current.fullRefundHours !== undefined ? current.fullRefundHours : LOCK_HOURS_BEFORE_SESSION
+        );
+        if (hoursInput === null) return;
 
-        // Hide the login button
-        const loginButtons = document.querySelectorAll('#adminPanel button');
-        if (loginButtons[0]) {
-            loginButtons[0].style.display = 'none';
+        const fullRefundHours = parseFloat(hoursInput);
+        if (isNaN(fullRefundHours) || fullRefundHours < 0) {
+            alert('Enter a number of hours');
+            return;
         }
 
-        const actionsDiv = document.getElementById('adminActions');
-        actionsDiv.style.display = 'block';
+        const percentInput = prompt(
+            `Refund (%) for cancelling later than ${fullRefundHours}h before start, until the lock\n` +
+            'เปอร์เซ็นต์เงินคืนหลังจากนั้นจนถึงเวลาล็อค',
+            current.partialRefundPercent !== undefined ? current.partialRefundPercent : 50
+        );
+        if (percentInput === null) return;
 
-        // Show ALL buttons for admin (reset any moderator hiding)
-        const allButtons = actionsDiv.querySelectorAll('button');
-        allButtons.forEach(button => {
-            button.style.display = 'block';
-        });
+        const partialRefundPercent = parseInt(percentInput, 10);
+        if (isNaN(partialRefundPercent) || partialRefundPercent < 0 || partialRefundPercent > 100) {
+            alert('Enter a percentage between 0 and 100');
+            return;
+        }
 
-        // Update button visibility based on published status
-        updateAdminButtonVisibility();
+        const policy = { fullRefundHours, partialRefundPercent };
+        if (forSession) {
+            await currentSessionRef().update({ cancellationPolicy: policy });
+        } else {
+            await db.collection('config').doc('cancellationPolicy').set({
+                ...policy,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+        }
 
-        updatePaymentList();
-    } else {
-        alert('Wrong password / รหัสผ่านไม่ถูกต้อง');
+        alert(
+            `✅ Cancellation policy saved (${forSession ? state.sessionDate : 'club default'})\n\n` +
+            `Full refund: more than ${fullRefundHours}h before start\n` +
+            `${partialRefundPercent}% refund: until the lock (${LOCK_HOURS_BEFORE_SESSION}h before start)\n` +
+            'No refund: after the lock\n\n' +
+            'A spot taken over from the waiting list is always refunded in full'
+        );
+    } catch (error) {
+        console.error('Error saving cancellation policy:', error);
+        alert(`❌ ${error.message}`);
     }
 }
 
@@ -4906,6 +5950,16 @@ async function clearSession() {
         if (sessionDoc.exists) {
             const sessionData = sessionDoc.data();
 
+            // Closed sessions are archived - the next session is a new document
+            if (sessionData.closed) {
+                alert(
+                    '🔒 This session is closed and archived.\n\n' +
+                    'Use "+ Add" to start the next session.\n\n' +
+                    'เซสชันนี้ปิดแล้ว ใช้ "+ Add" เพื่อเพิ่มเซสชันใหม่'
+                );
+                return;
+            }
+
             // Only warn if session is PUBLISHED and not closed
             // Draft sessions can be safely overwritten
             if (!sessionData.closed && sessionData.published) {
@@ -4970,28 +6024,487 @@ async function clearSession() {
             state.sessionTime = '10:00 - 12:00'; // Default time (most common)
             state.maxPlayers = 12; // Keep default 12 (show 0 / 12)
             state.published = false; // Set to draft mode
-            state.closed = false; // Mark as open (not closed)
             state.shuttlecocksUsed = 0; // Reset shuttlecocks count
             await saveSessionData();
+            await resetSessionSchedule({ clearPublishAt: true });
 
             // Remove old userName (deprecated)
             localStorage.removeItem('userName');
 
-            // Update UI to show draft mode
-            updateUI();
+            // Update UI to show draft mode
+            updateUI();
+
+            // Players will be automatically updated via real-time listener
+            // No need to reload - admin stays logged in
+
+            console.log('✅ Session cleared and set to DRAFT mode');
+            alert('✅ Session cleared!\n\nSession is now in DRAFT mode (not visible to users).\n\nNEXT: Click "Edit Session" to set day/time!');
+
+            // Mark step 1 as completed
+            markStepCompleted('New Session');
+        } catch (error) {
+            console.error('Error clearing session:', error);
+            alert('Error clearing session. Please try again.');
+        }
+    }
+}
+
+/**
+ * Add Session - Create another open session next to the existing ones
+ * Unlike clearSession(), nothing is deleted: the new session starts as a draft
+ * and is selected so it can be set up with Edit / Pay Amt / Max Pl / Publish
+ */
+async function addSession() {
+    const confirmed = confirm(
+        '➕ Add a new session?\n\n' +
+        'Other open sessions are kept.\n' +
+        'The new session starts in DRAFT mode.\n\n' +
+        '➕ เพิ่มเซสชันใหม่?\n' +
+        'เซสชันอื่นที่เปิดอยู่จะไม่ถูกลบ\n' +
+        'เซสชันใหม่จะอยู่ในโหมดร่าง'
+    );
+
+    if (!confirmed) {
+        return;
+    }
+
+    try {
+        const docRef = await sessionsRef.add({
+            date: new Date().toLocaleDateString('en-GB'),
+            day: 'ไม่ได้กำหนด / Not Set', // Day 8
+            time: '10:00 - 12:00', // Default time (most common)
+            maxPlayers: 12,
+            paymentAmount: state.paymentAmount,
+            published: false, // Draft until admin publishes
+            maintenanceMode: false,
+            shuttlecocksUsed: 0,
+            closed: false,
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        console.log(`✅ New session created: sessions/${docRef.id}`);
+        await selectSession(docRef.id);
+
+        alert('✅ Session added!\n\nSession is now in DRAFT mode (not visible to users).\n\nNEXT: Click "Edit" to set day/time!');
+    } catch (error) {
+        console.error('Error adding session:', error);
+        alert('Error adding session. Please try again.');
+    }
+}
+
+// ============================================
+// SESSION TEMPLATES (Recurring Sessions)
+// ============================================
+// The scheduled createSessionsFromTemplates function creates a DRAFT
+// session for each active template - admin only reviews and publishes
+// ============================================
+
+const TEMPLATE_DAYS = [
+    'วันจันทร์ / Monday',
+    'วันอังคาร / Tuesday',
+    'วันพุธ / Wednesday',
+    'วันพฤหัสบดี / Thursday',
+    'วันศุกร์ / Friday',
+    'วันเสาร์ / Saturday',
+    'วันอาทิตย์ / Sunday'
+];
+
+/**
+ * Format a template for menus: "Monday 18:00 - 20:00 • 12 players • 2 courts • 150 THB"
+ * @param {Object} template - Template data
+ * @returns {string} Label
+ */
+function formatTemplateLabel(template) {
+    const dayName = (TEMPLATE_DAYS[template.dayNumber - 1] || '?').split(' / ')[1];
+    return `${dayName} ${template.time} • ${template.maxPlayers} players • ${template.courts} courts • ${template.paymentAmount} THB`;
+}
+
+/**
+ * Manage recurring session templates (list, add, pause/resume, delete, run now)
+ */
+async function manageSessionTemplates() {
+    try {
+        const snapshot = await sessionTemplatesRef.get();
+        const templates = [];
+        snapshot.forEach(doc => {
+            templates.push({ id: doc.id, ...doc.data() });
+        });
+        templates.sort((a, b) => (a.dayNumber - b.dayNumber) || (a.time || '').localeCompare(b.time || ''));
+
+        let menu = '📅 Session Templates / เทมเพลตเซสชัน\n\n';
+        if (templates.length === 0) {
+            menu += '(No templates yet / ยังไม่มีเทมเพลต)\n';
+        }
+        templates.forEach((template, index) => {
+            const status = template.active ? '✅' : '⏸️';
+            const last = template.lastCreatedDate ? ` (last: ${template.lastCreatedDate})` : '';
+            menu += `${index + 1}. ${status} ${formatTemplateLabel(template)}${last}\n`;
+        });
+        menu += '\nA = Add template / เพิ่มเทมเพลต\n';
+        menu += 'R = Create due drafts now / สร้างเซสชันร่างตอนนี้\n';
+        menu += 'Number = Pause/resume or delete / หยุด/ลบ';
+
+        const choice = prompt(menu);
+        if (!choice) {
+            return;
+        }
+
+        const normalized = choice.trim().toUpperCase();
+        if (normalized === 'A') {
+            await addSessionTemplate();
+        } else if (normalized === 'R') {
+            await runSessionTemplatesNow();
+        } else {
+            const template = templates[parseInt(normalized) - 1];
+            if (!template) {
+                alert('Invalid choice / ตัวเลือกไม่ถูกต้อง');
+                return;
+            }
+            await editSessionTemplate(template);
+        }
+    } catch (error) {
+        console.error('Error managing session templates:', error);
+        alert('Error loading templates. Please try again.');
+    }
+}
+
+/**
+ * Add a recurring session template (prompts for day, time, players, courts, price)
+ */
+async function addSessionTemplate() {
+    const dayPrompt = `Select day / เลือกวัน:\n${TEMPLATE_DAYS.map((d, i) => `${i + 1}. ${d}`).join('\n')}\n\nEnter number (1-7):`;
+    const dayNumber = parseInt(prompt(dayPrompt));
+    if (!(dayNumber >= 1 && dayNumber <= 7)) {
+        return;
+    }
+
+    const time = prompt('Enter time / ใส่เวลา (e.g., 18:00 - 20:00):', '10:00 - 12:00');
+    if (!time || !/^\d{1,2}:\d{2} - \d{1,2}:\d{2}$/.test(time.trim())) {
+        if (time) alert('Invalid time format. Use HH:MM - HH:MM');
+        return;
+    }
+
+    const maxPlayers = parseInt(prompt('Max players / จำนวนผู้เล่นสูงสุด:', '12'));
+    const courts = parseInt(prompt('Courts / จำนวนสนาม:', String(Math.ceil((maxPlayers || 12) / 6))));
+    const paymentAmount = parseInt(prompt('Price per player (THB) / ราคาต่อคน:', String(state.paymentAmount)));
+
+    if (!(maxPlayers > 0) || !(courts > 0) || isNaN(paymentAmount) || paymentAmount < 0) {
+        alert('Invalid number / ตัวเลขไม่ถูกต้อง');
+        return;
+    }
+
+    const template = {
+        name: `${TEMPLATE_DAYS[dayNumber - 1].split(' / ')[1]} ${time.trim()}`,
+        dayNumber: dayNumber,
+        time: time.trim(),
+        maxPlayers: maxPlayers,
+        courts: courts,
+        paymentAmount: paymentAmount,
+        active: true,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    };
+
+    try {
+        await sessionTemplatesRef.add(template);
+        console.log('✅ Session template added:', template.name);
+        alert(`✅ Template added!\n\n${formatTemplateLabel(template)}\n\nA draft session is created automatically 7 days before each occurrence.\nเซสชันร่างจะถูกสร้างอัตโนมัติ 7 วันก่อนวันเล่น`);
+    } catch (error) {
+        console.error('Error adding session template:', error);
+        alert('Error adding template. Please try again.');
+    }
+}
+
+/**
+ * Pause/resume or delete a template
+ * @param {Object} template - Template with id
+ */
+async function editSessionTemplate(template) {
+    const action = prompt(
+        `${formatTemplateLabel(template)}\n\n` +
+        `1 = ${template.active ? 'Pause / หยุดชั่วคราว' : 'Resume / เปิดใช้งาน'}\n` +
+        `2 = Delete / ลบ`
+    );
+
+    try {
+        if (action === '1') {
+            await sessionTemplatesRef.doc(template.id).update({ active: !template.active });
+            console.log(`✅ Template ${template.id} ${template.active ? 'paused' : 'resumed'}`);
+            alert(template.active ? '⏸️ Template paused' : '✅ Template resumed');
+        } else if (action === '2') {
+            if (!confirm(`Delete template?\n\nลบเทมเพลต?\n\n${formatTemplateLabel(template)}\n\n(Existing sessions are not affected)`)) {
+                return;
+            }
+            await sessionTemplatesRef.doc(template.id).delete();
+            console.log(`🗑️ Template ${template.id} deleted`);
+            alert('🗑️ Template deleted');
+        }
+    } catch (error) {
+        console.error('Error updating session template:', error);
+        alert('Error updating template. Please try again.');
+    }
+}
+
+/**
+ * Create due draft sessions now instead of waiting for the morning run
+ */
+async function runSessionTemplatesNow() {
+    try {
+        const runTemplates = functions.httpsCallable('runSessionTemplatesNow');
+        const result = await runTemplates();
+        const created = result.data.created || [];
+
+        if (created.length === 0) {
+            alert('ℹ️ No new drafts needed / ไม่มีเซสชันร่างใหม่\n\nAll due sessions already exist.');
+            return;
+        }
+
+        let message = `✅ ${created.length} draft session(s) created!\n\nสร้างเซสชันร่างแล้ว!\n\n`;
+        created.forEach(c => {
+            message += `📅 ${c.date}: ${c.regularsAdded} regulars\n`;
+            if (c.skippedLowBalance.length > 0) {
+                message += `   ⚠️ Low balance: ${c.skippedLowBalance.join(', ')}\n`;
+            }
+        });
+        message += '\nSelect the session in the list, review and Publish.';
+        alert(message);
+    } catch (error) {
+        console.error('Error running session templates:', error);
+        alert(`❌ Failed to create drafts:\n\n${error.message}`);
+    }
+}
+
+// ============================================
+// SESSION SCHEDULE (Auto-Publish & Auto-Lock)
+// ============================================
+// publishAndLockSessions (Cloud Function) publishes at publishAt and
+// writes locked: true at lockAt. Without lockAt the server uses
+// session start - LOCK_HOURS_BEFORE_SESSION.
+// ============================================
+
+/**
+ * Format a schedule time for prompts/info ("DD/MM/YYYY HH:MM")
+ * @param {Date} date - Time to format
+ * @returns {string} Formatted time
+ */
+function formatScheduleTime(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Parse "DD/MM/YYYY HH:MM" (local time)
+ * @param {string} text - Time entered by admin
+ * @returns {Date|null} Parsed time, or null if invalid
+ */
+function parseScheduleTime(text) {
+    const match = (text || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})$/);
+    if (!match) {
+        return null;
+    }
+    const [, day, month, year, hours, minutes] = match.map(Number);
+    return new Date(year, month - 1, day, hours, minutes, 0);
+}
+
+/**
+ * Clear the lock time so the server recalculates it (after date/time changes) -
+ * a locked session reopens when the new lock time is still ahead
+ * @param {Object} options - { clearPublishAt: also remove scheduled publish }
+ */
+async function resetSessionSchedule(options = {}) {
+    try {
+        const updates = {
+            lockAt: firebase.firestore.FieldValue.delete()
+        };
+        if (options.clearPublishAt) {
+            updates.publishAt = firebase.firestore.FieldValue.delete();
+        }
+        await currentSessionRef().update(updates);
+        console.log('🔓 Session schedule reset - server will recalculate lock time');
+    } catch (error) {
+        console.error('Error resetting session schedule:', error);
+    }
+}
+
+/**
+ * Schedule auto-publish and lock time for the selected session
+ */
+async function scheduleSession() {
+    const publishDefault = state.publishAt ? formatScheduleTime(state.publishAt) : '';
+    let publishAt = null;
+
+    if (!state.published) {
+        const publishText = prompt(
+            'Auto-publish time / เวลาเผยแพร่อัตโนมัติ\n\n' +
+            'Format: DD/MM/YYYY HH:MM\n' +
+            'Leave empty for manual publish / เว้นว่างเพื่อเผยแพร่เอง',
+            publishDefault
+        );
+        if (publishText === null) {
+            return; // Cancelled
+        }
+        if (publishText.trim()) {
+            publishAt = parseScheduleTime(publishText);
+            if (!publishAt) {
+                alert('Invalid time format / รูปแบบเวลาไม่ถูกต้อง\n\nUse DD/MM/YYYY HH:MM');
+                return;
+            }
+        }
+    }
+
+    const lockDefault = calculateSessionLockTime();
+    const lockText = prompt(
+        'Lock time / เวลาล็อค\n\n' +
+        'Registration and cancellation close at this time.\n' +
+        'ปิดรับลงทะเบียนและยกเลิกเวลานี้\n\n' +
+        'Format: DD/MM/YYYY HH:MM',
+        lockDefault ? formatScheduleTime(lockDefault) : ''
+    );
+    if (lockText === null) {
+        return; // Cancelled
+    }
+
+    const lockAt = parseScheduleTime(lockText);
+    if (!lockAt) {
+        alert('Invalid time format / รูปแบบเวลาไม่ถูกต้อง\n\nUse DD/MM/YYYY HH:MM');
+        return;
+    }
+
+    if (publishAt && publishAt >= lockAt) {
+        alert('⚠️ Publish time must be before lock time\n\nเวลาเผยแพร่ต้องก่อนเวลาล็อค');
+        return;
+    }
+
+    try {
+        const updates = {
+            lockAt: firebase.firestore.Timestamp.fromDate(lockAt) // Server locks at lockAt (and reopens when it moves later)
+        };
+        if (!state.published) {
+            updates.publishAt = publishAt
+                ? firebase.firestore.Timestamp.fromDate(publishAt)
+                : firebase.firestore.FieldValue.delete();
+        }
+
+        await currentSessionRef().update(updates);
+        console.log('⏰ Session schedule saved:', { publishAt, lockAt });
+
+        alert(
+            '✅ Schedule saved / บันทึกแล้ว\n\n' +
+            (publishAt ? `📢 Auto-publish: ${formatScheduleTime(publishAt)}\n` : '') +
+            `🔒 Lock: ${formatScheduleTime(lockAt)}\n\n` +
+            'The server applies the schedule within 5 minutes.'
+        );
+    } catch (error) {
+        console.error('Error saving session schedule:', error);
+        alert('Error saving schedule. Please try again.');
+    }
+}
+
+/**
+ * Lottery registration for the selected session: switch it on/off and set the draw time
+ * After the draw this shows the stored draw (seed, weights, result) instead
+ */
+async function sessionLottery() {
+    try {
+        if (state.lotteryDrawnAt) {
+            const drawDoc = await db.collection('lotteryDraws').doc(currentSessionId).get();
+            if (!drawDoc.exists) {
+                alert('🎲 This session was drawn, but the draw record is missing');
+                return;
+            }
+            const draw = drawDoc.data();
+            const weightOf = (userId) => (draw.entries.find(e => e.userId === userId) || {}).weight;
+            alert(
+                `🎲 Lottery ${draw.sessionDay || ''} ${draw.sessionDate}\n\n` +
+                `Drawn: ${draw.drawnAt ? draw.drawnAt.toDate().toLocaleString('en-GB') : '-'} by ${draw.drawnBy}\n` +
+                `Seed: ${draw.seed}\n` +
+                `Entries: ${draw.entries.length}, spots: ${draw.slots}\n\n` +
+                `✅ In:\n${draw.winners.map(p => `  ${p.position}. ${p.name} (weight ${weightOf(p.userId)})`).join('\n') || '  -'}\n\n` +
+                `⏳ Waiting list:\n${draw.waitingList.map(p => `  ${p.position}. ${p.name} (weight ${weightOf(p.userId)})`).join('\n') || '  -'}` +
+                (draw.skipped.length > 0 ? `\n\n⚠️ Skipped: ${draw.skipped.map(p => `${p.name} (${p.reason})`).join(', ')}` : '')
+            );
+            return;
+        }
+
+        const useLottery = confirm(
+            'Lottery registration? / ลงทะเบียนแบบจับฉลาก?\n\n' +
+            `Now: ${state.registrationMode === 'lottery' ? 'lottery' : 'first come, first served'}\n\n` +
+            'OK = players enter a draw, spots are allocated at random at the draw time\n' +
+            '(weighted by config under Settings → Lottery), the others go on the waiting list\n' +
+            'Cancel = first come, first served'
+        );
 
-            // Players will be automatically updated via real-time listener
-            // No need to reload - admin stays logged in
+        if (!useLottery) {
+            if (state.registrationMode === 'lottery' && state.lotteryEntries.length > 0 &&
+                !confirm(`${state.lotteryEntries.length} player(s) entered the lottery. Their entries will be ignored - they must register themselves. Continue?`)) {
+                return;
+            }
+            await currentSessionRef().update({
+                registrationMode: 'fcfs',
+                lotteryDrawAt: firebase.firestore.FieldValue.delete()
+            });
+            alert('✅ First come, first served');
+            return;
+        }
 
-            console.log('✅ Session cleared and set to DRAFT mode');
-            alert('✅ Session cleared!\n\nSession is now in DRAFT mode (not visible to users).\n\nNEXT: Click "Edit Session" to set day/time!');
+        const lockTime = state.lockAt || calculateSessionLockTime();
+        const drawText = prompt(
+            'Draw time / เวลาจับฉลาก\n\n' +
+            'Entries close and spots are drawn at this time (at the latest at the lock time).\n' +
+            'Format: DD/MM/YYYY HH:MM',
+            formatScheduleTime(state.lotteryDrawAt || lockTime || new Date())
+        );
+        if (drawText === null) return;
 
-            // Mark step 1 as completed
-            markStepCompleted('New Session');
-        } catch (error) {
-            console.error('Error clearing session:', error);
-            alert('Error clearing session. Please try again.');
+        const drawAt = parseScheduleTime(drawText);
+        if (!drawAt) {
+            alert('Invalid time format / รูปแบบเวลาไม่ถูกต้อง\n\nUse DD/MM/YYYY HH:MM');
+            return;
+        }
+        if (lockTime && drawAt > lockTime) {
+            alert(`⚠️ The draw must be before the lock time (${formatScheduleTime(lockTime)})`);
+            return;
         }
+
+        await currentSessionRef().update({
+            registrationMode: 'lottery',
+            lotteryDrawAt: firebase.firestore.Timestamp.fromDate(drawAt)
+        });
+        alert(
+            '✅ Lottery registration / ลงทะเบียนแบบจับฉลาก\n\n' +
+            `🎲 Draw: ${formatScheduleTime(drawAt)}\n\n` +
+            'Players on the list now keep their spot. The server draws within 5 minutes of the draw time.'
+        );
+    } catch (error) {
+        console.error('Error saving lottery settings:', error);
+        alert(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Draw the selected lottery session now (server: drawLotteryNow)
+ */
+async function drawLotteryNow() {
+    if (state.registrationMode !== 'lottery' || state.lotteryDrawnAt) {
+        alert('This session has no open lottery / เซสชันนี้ไม่มีการจับฉลากที่เปิดอยู่');
+        return;
+    }
+    if (!confirm(`Draw the lottery now? / จับฉลากตอนนี้?\n\n${state.lotteryEntries.length} entries - this cannot be undone.`)) {
+        return;
+    }
+
+    try {
+        const drawLottery = functions.httpsCallable('drawLotteryNow');
+        const result = (await drawLottery({ sessionId: currentSessionId })).data;
+        alert(
+            '🎲 Lottery drawn / จับฉลากแล้ว\n\n' +
+            `In: ${result.winners.map(p => p.name).join(', ') || '-'}\n` +
+            `Waiting list: ${result.waitingList.map(p => p.name).join(', ') || '-'}\n` +
+            (result.skipped.length > 0 ? `Skipped (low balance): ${result.skipped.map(p => p.name).join(', ')}\n` : '') +
+            `\nSeed: ${result.seed}`
+        );
+    } catch (error) {
+        console.error('Error drawing lottery:', error);
+        alert(`❌ ${error.message}`);
     }
 }
 
@@ -5195,66 +6708,16 @@ async function publishSession() {
 
     if (confirm(confirmMessage)) {
         try {
-            // Process wallet deductions for unpaid players
-            let successful = 0;
-            let removed = 0;
-
-            for (const player of unpaidPlayers) {
-                if (player.userId) {
-                    // Get user's current balance
-                    const userDoc = await usersRef.doc(player.userId).get();
-                    if (userDoc.exists) {
-                        const currentBalance = userDoc.data().balance || 0;
-
-                        if (currentBalance >= MINIMUM_BALANCE) {
-                            // Deduct money
-                            const newBalance = currentBalance - state.paymentAmount;
-                            await usersRef.doc(player.userId).update({
-                                balance: newBalance
-                            });
-
-                            // Mark player as paid
-                            await playersRef().doc(player.id).update({
-                                paid: true
-                            });
-
-                            // Add transaction record
-                            await transactionsRef.add({
-                                userId: player.userId,
-                                userName: player.name,
-                                type: 'payment',
-                                amount: -state.paymentAmount,  // Negative for deduction
-                                balance: newBalance,
-                                reason: `Auto registration for ${state.sessionDay} ${state.sessionDate}`,
-                                sessionDate: state.sessionDate,
-                                timestamp: firebase.firestore.FieldValue.serverTimestamp()
-                            });
-
-                            successful++;
-                            console.log(`✅ Deducted ${state.paymentAmount} THB from ${player.name}`);
-                        } else {
-                            // REMOVE player from session - insufficient balance
-                            await playersRef().doc(player.id).delete();
-                            removed++;
-                            console.log(`❌ Removed ${player.name} from session - insufficient balance (had ${currentBalance} THB, needed ${state.paymentAmount} THB)`);
-                        }
-                    }
-                }
-            }
-
-            // If any players were removed, recalculate positions
-            if (removed > 0) {
-                await recalculatePlayerPositions();
-            }
-
-            // Publish session
+            // Server charges unpaid players (debit + paid flag in one transaction each) and publishes
+            // (publishedAt starts the regulars' priority window, see config/priorityWindow)
+            const publish = functions.httpsCallable('publishSession');
+            const result = (await publish({ sessionId: currentSessionId })).data;
             state.published = true;
-            await saveSessionData();
             updateUI();
 
             // Show simple result (no mention of removed players)
-            alert(`✅ Session published!\n\nเผยแพร่แล้ว!\n\nPayments processed: ${successful}\n\nUsers can now see and register for the session.`);
-            console.log(`✅ Session published: ${successful} paid, ${removed} removed`);
+            alert(`✅ Session published!\n\nเผยแพร่แล้ว!\n\nPayments processed: ${result.charged}\n\nUsers can now see and register for the session.`);
+            console.log(`✅ Session published: ${result.charged} paid, removed: ${result.removed.join(', ') || 'none'}`);
 
             // Mark step 8 as completed
             markStepCompleted('Publish Session');
@@ -5265,77 +6728,6 @@ async function publishSession() {
     }
 }
 
-async function refundWaitingList() {
-    // Find all players on waiting list (position > maxPlayers)
-    const waitingPlayers = state.players.filter(p => p.position > state.maxPlayers);
-
-    if (waitingPlayers.length === 0) {
-        alert('No players on waiting list / ไม่มีผู้เล่นในรายชื่อสำรอง');
-        return;
-    }
-
-    const confirmMsg = `Refund ${waitingPlayers.length} player(s) on waiting list?\n\nคืนเงินให้ ${waitingPlayers.length} คนในรายชื่อสำรอง?\n\n` +
-        waitingPlayers.map(p => `- ${p.name}`).join('\n');
-
-    if (!confirm(confirmMsg)) {
-        return;
-    }
-
-    try {
-        let refunded = 0;
-        let errors = [];
-
-        for (const player of waitingPlayers) {
-            try {
-                // Find user in authorized users
-                const user = state.authorizedUsers.find(u => u.name === player.name);
-
-                if (user) {
-                    // Refund the payment amount
-                    const success = await updateUserBalance(
-                        user.id,
-                        user.name,
-                        state.paymentAmount,
-                        `Refund - Waiting list ${state.sessionDay} / คืนเงิน - รายชื่อสำรอง`,
-                        true // silent mode
-                    );
-
-                    if (success) {
-                        // Delete player from session
-                        const playerDoc = await playersRef().where('name', '==', player.name).get();
-                        if (!playerDoc.empty) {
-                            await playersRef().doc(playerDoc.docs[0].id).delete();
-                        }
-                        refunded++;
-                    } else {
-                        errors.push(player.name);
-                    }
-                } else {
-                    errors.push(`${player.name} (not found)`);
-                }
-            } catch (error) {
-                console.error(`Error refunding ${player.name}:`, error);
-                errors.push(player.name);
-            }
-        }
-
-        // Show summary
-        let message = `✅ Refunded ${refunded} player(s) / คืนเงิน ${refunded} คน\n`;
-        if (errors.length > 0) {
-            message += `\n⚠️ Errors: ${errors.join(', ')}`;
-        }
-        alert(message);
-
-        // Reload users to update balances
-        await loadAuthorizedUsers();
-        updateUI();
-
-    } catch (error) {
-        console.error('Error refunding waiting list:', error);
-        alert('Error refunding waiting list. Please try again.');
-    }
-}
-
 async function changeSessionDetails() {
     const days = [
         'วันจันทร์ / Monday',
@@ -5404,6 +6796,9 @@ async function changeSessionDetails() {
 
             console.log(`💾 SAVING to Firestore: date=${state.sessionDate}, day=${state.sessionDay}, time=${time}`);
             await saveSessionData();
+
+            // Date/time changed - let the server recalculate the lock time
+            await resetSessionSchedule();
             updateUI();
 
             alert(`✅ Session details updated!\n\nDay: ${state.sessionDay}\nDate: ${state.sessionDate}\nTime: ${time}\n\nUse "Manage Today's Players" to add players.\n\nอัปเดตแล้ว! ใช้ "จัดการผู้เล่นวันนี้" เพื่อเพิ่มผู้เล่น`);
@@ -5767,14 +7162,17 @@ function updateAuthorizedUsersList() {
         item.className = 'authorized-user-item';
         const balance = user.balance || 0;
         const balanceColor = balance < MINIMUM_BALANCE ? '#ef4444' : balance < 140 ? '#f59e0b' : '#10b981';
+        const rating = state.ratings[user.id] || {};
 
         item.innerHTML = `
             <div class="user-info">
                 <strong>${user.name}</strong>
                 <div style="font-size: 0.9em; color: ${balanceColor}; margin-top: 3px;">Balance: ${balance} THB</div>
+                ${typeof rating.rating === 'number' ? `<div style="font-size: 0.9em; color: #6b7280; margin-top: 3px;">⭐ ${rating.rating}${rating.ratingGames ? ` (${rating.ratingGames} games)` : ''}</div>` : ''}
             </div>
             <div class="user-actions">
-                <button onclick="showUserPassword('${user.id}')" style="background: #8b5cf6; color: white; padding: 5px 10px; border: none; border-radius: 5px; margin-right: 5px; cursor: pointer;">Show Password</button>
+                <button onclick="editUserRating('${user.id}')" style="background: #0d9488; color: white; padding: 5px 10px; border: none; border-radius: 5px; margin-right: 5px; cursor: pointer;">Rating</button>
+                <button onclick="editUserRole('${user.id}')" style="background: #8b5cf6; color: white; padding: 5px 10px; border: none; border-radius: 5px; margin-right: 5px; cursor: pointer;">Role: ${user.role || 'user'}</button>
                 <button onclick="editUserPassword('${user.id}')" style="background: #3b82f6; color: white; padding: 5px 10px; border: none; border-radius: 5px; margin-right: 5px; cursor: pointer;">Change Password</button>
                 <button onclick="removeAuthorizedUser('${user.id}')" style="background: #ef4444; color: white; padding: 5px 10px; border: none; border-radius: 5px; cursor: pointer;">Remove</button>
             </div>
@@ -5796,43 +7194,178 @@ async function addAuthorizedUser() {
     const password = prompt('Enter password (default is 123) / ใส่รหัสผ่าน (ค่าเริ่มต้นคือ 123):', '123');
 
     try {
-        await usersRef.add({
+        const userRef = await usersRef.add({
             name: name,
-            password: password || '123',
             balance: 0, // New users start with 0 balance
             createdAt: firebase.firestore.FieldValue.serverTimestamp()
         });
 
-        alert('User added successfully! Default password: 123, Starting balance: 0 THB / เพิ่มผู้ใช้สำเร็จ! รหัสผ่านเริ่มต้น: 123, ยอดเงินเริ่มต้น: 0 บาท');
+        // Password is hashed server-side, never stored in authorizedUsers
+        const setUserPassword = functions.httpsCallable('setUserPassword');
+        await setUserPassword({ userId: userRef.id, password: password || '123' });
+
+        alert(`User added successfully! Password: ${password || '123'}, Starting balance: 0 THB / เพิ่มผู้ใช้สำเร็จ! รหัสผ่าน: ${password || '123'}, ยอดเงินเริ่มต้น: 0 บาท`);
     } catch (error) {
         console.error('Error adding user:', error);
         alert('Error adding user. Please try again.');
     }
 }
 
-function showUserPassword(userId) {
-    const user = state.authorizedUsers.find(u => u.id === userId);
-    if (!user) return;
-
-    alert(`Password for ${user.name}:\n\n${user.password}\n\nรหัสผ่านสำหรับ ${user.name}:\n${user.password}`);
-}
-
 async function editUserPassword(userId) {
     const user = state.authorizedUsers.find(u => u.id === userId);
     if (!user) return;
 
-    const newPassword = prompt(`Change password for ${user.name} / เปลี่ยนรหัสผ่านสำหรับ ${user.name}:`, user.password);
+    // Stored passwords are hashed and cannot be shown - set a new one instead
+    const newPassword = prompt(`New password for ${user.name} / รหัสผ่านใหม่สำหรับ ${user.name}:`);
 
     if (newPassword) {
         try {
-            await usersRef.doc(userId).update({
-                password: newPassword
-            });
+            const setUserPassword = functions.httpsCallable('setUserPassword');
+            await setUserPassword({ userId: userId, password: newPassword });
             alert('Password changed! / เปลี่ยนรหัสผ่านสำเร็จ!');
         } catch (error) {
             console.error('Error changing password:', error);
-            alert('Error changing password. Please try again.');
+            alert('Error changing password: ' + error.message);
+        }
+    }
+}
+
+/**
+ * Set a user's skill rating - a level (1-5) or an exact Elo rating, empty to remove it
+ * Recorded results keep adjusting it when config/ratings.learnFromResults is on (off by default)
+ */
+async function editUserRating(userId) {
+    const user = state.authorizedUsers.find(u => u.id === userId);
+    if (!user) return;
+    const current = state.ratings[userId] || {};
+
+    const levels = Object.entries(RATING_LEVELS)
+        .map(([level, { rating, label }]) => `${level} = ${label} (${rating})`)
+        .join('\n');
+    const input = prompt(
+        `Skill rating for ${user.name} / ระดับฝีมือ\n\n` +
+        `${levels}\n\n` +
+        `Enter a level (1-5) or an exact rating. Empty = no rating.`,
+        typeof current.rating === 'number' ? String(current.rating) : ''
+    );
+    if (input === null) return;
+
+    const value = parseInt(input, 10);
+    let rating = null;
+    if (input.trim() !== '') {
+        rating = RATING_LEVELS[value] ? RATING_LEVELS[value].rating : value;
+        if (isNaN(rating) || rating < 100 || rating > 3000) {
+            alert('Enter a level from 1 to 5 or a rating between 100 and 3000');
+            return;
+        }
+    }
+
+    try {
+        await ratingsRef.doc(userId).set(rating === null
+            ? {
+                rating: firebase.firestore.FieldValue.delete(),
+                ratingSource: firebase.firestore.FieldValue.delete(),
+                ratingUpdatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            }
+            : {
+                rating,
+                ratingSource: 'admin',
+                ratingUpdatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+        alert(rating === null ? `✅ Rating removed for ${user.name}` : `✅ ${user.name}: ⭐ ${rating}`);
+    } catch (error) {
+        console.error('Error saving rating:', error);
+        alert('Error saving rating: ' + error.message);
+    }
+}
+
+/**
+ * Change a user's role - capabilities per role are defined in functions/permissions.js
+ */
+async function editUserRole(userId) {
+    const user = state.authorizedUsers.find(u => u.id === userId);
+    if (!user) return;
+
+    const role = prompt(
+        `Role for ${user.name} / บทบาทของ ${user.name}:\n\n` +
+        `user - player only\n` +
+        `moderator - publish, close, payments, wallets, reports\n` +
+        `admin - everything`,
+        user.role || 'user'
+    );
+    if (!role || role === (user.role || 'user')) return;
+
+    try {
+        const setUserRole = functions.httpsCallable('setUserRole');
+        await setUserRole({ userId: userId, role: role.trim().toLowerCase() });
+        alert(`✅ ${user.name} is now ${role} / เปลี่ยนบทบาทสำเร็จ`);
+    } catch (error) {
+        console.error('Error changing role:', error);
+        alert('Error changing role: ' + error.message);
+    }
+}
+
+/**
+ * Move any remaining plaintext passwords in authorizedUsers to hashed credentials
+ * (signIn also migrates each user on their first login)
+ */
+async function migrateUserPasswords() {
+    if (!confirm('Hash all remaining plaintext passwords?\n\nแปลงรหัสผ่านทั้งหมดเป็นแบบเข้ารหัส?')) {
+        return;
+    }
+
+    try {
+        const migratePasswords = functions.httpsCallable('migratePasswords');
+        const result = await migratePasswords();
+        alert(`✅ Migrated ${result.data.migrated} password(s) / แปลงรหัสผ่าน ${result.data.migrated} รายการ`);
+    } catch (error) {
+        console.error('Error migrating passwords:', error);
+        alert('Error migrating passwords: ' + error.message);
+    }
+}
+
+/**
+ * Give old guest registrations ("Host friend: Guest" names) the structured guest fields
+ * and guest profiles (migrateGuestRecords Cloud Function, safe to run again)
+ */
+async function migrateGuestRecords() {
+    if (!confirm('Convert old guest registrations in all sessions to guest records?\n\nแปลงข้อมูลแขกเก่าทั้งหมด?')) {
+        return;
+    }
+
+    try {
+        const migrate = functions.httpsCallable('migrateGuestRecords');
+        const result = await migrate();
+        const { sessions, migrated, profiles, skipped } = result.data;
+
+        let message = `✅ Migrated ${migrated} guest registration(s) in ${sessions} session(s)\n` +
+            `${profiles} guest profile(s)`;
+        if (skipped.length > 0) {
+            message += `\n\n⚠️ Could not read the guest name (${skipped.length}):\n${skipped.slice(0, 10).join('\n')}`;
         }
+        alert(message);
+    } catch (error) {
+        console.error('Error migrating guest records:', error);
+        alert('Error migrating guest records: ' + error.message);
+    }
+}
+
+/**
+ * Move skill ratings out of the user documents (migrateRatings Cloud Function, safe to run again)
+ * Players only read ratings/{userId} while the club shows ratings
+ */
+async function migrateRatings() {
+    if (!confirm('Move skill ratings out of the user records?\n\nย้ายข้อมูลระดับฝีมือ?')) {
+        return;
+    }
+
+    try {
+        const migrate = functions.httpsCallable('migrateRatings');
+        const result = await migrate();
+        alert(`✅ Moved ${result.data.ratings} rating(s) and the rating changes of ${result.data.results} result(s)`);
+    } catch (error) {
+        console.error('Error migrating ratings:', error);
+        alert('Error migrating ratings: ' + error.message);
     }
 }
 
@@ -5841,7 +7374,7 @@ async function removeAuthorizedUser(userId) {
     if (!user) return;
 
     // Check if user is registered in current session
-    const playerInSession = state.players.find(p => p.userId === userId);
+    const playerInSession = state.players.find(p => p.userId === userId && !p.isGuest);
     const guestsInSession = state.players.filter(p => p.guestOf === userId);
     const totalRegistrations = (playerInSession ? 1 : 0) + guestsInSession.length;
 
@@ -5884,6 +7417,84 @@ async function removeAuthorizedUser(userId) {
     }
 }
 
+// ============================================
+// TOP-UP REQUESTS (approval queue)
+// ============================================
+
+/**
+ * Pending top-up requests: pick one, check the slip, approve or reject
+ * Approval credits the wallet through the ledger (reviewTopUpRequest)
+ */
+async function manageTopUpRequests() {
+    try {
+        const snapshot = await topupRequestsRef.where('status', '==', 'pending').get();
+        const requests = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => (a.createdAt ? a.createdAt.toMillis() : 0) - (b.createdAt ? b.createdAt.toMillis() : 0));
+
+        if (requests.length === 0) {
+            alert('✅ No pending top-up requests / ไม่มีคำขอเติมเงิน');
+            return;
+        }
+
+        const list = requests.map((r, index) => {
+            const date = r.createdAt ? r.createdAt.toDate().toLocaleString('en-GB', {
+                day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+            }) : '';
+            return `${index + 1}. ${r.userName}: ${r.amount} THB (ref ${r.reference || '-'}) ${date}`;
+        }).join('\n');
+
+        const choice = prompt(`💰 Pending top-ups (${requests.length})\n\n${list}\n\nEnter number to review:`);
+        if (!choice) return;
+
+        const topup = requests[parseInt(choice) - 1];
+        if (!topup) {
+            alert('Invalid number / หมายเลขไม่ถูกต้อง');
+            return;
+        }
+
+        // Show the slip next to the decision prompt
+        window.open(topup.slipUrl, '_blank');
+
+        const decision = prompt(
+            `${topup.userName}: ${topup.amount} THB\nRef: ${topup.reference || '-'}\n\n` +
+            `Check the slip (opened in a new tab)\n\n` +
+            `A = Approve (add ${topup.amount} THB to wallet)\n` +
+            `R = Reject`
+        );
+        if (!decision) return;
+
+        const action = decision.trim().toUpperCase();
+        if (action !== 'A' && action !== 'R') {
+            alert('Enter A or R');
+            return;
+        }
+
+        let reason = '';
+        if (action === 'R') {
+            reason = prompt('Reason shown to the player (optional):', 'Slip does not match the amount');
+            if (reason === null) return;
+        }
+
+        const reviewTopUpRequest = functions.httpsCallable('reviewTopUpRequest');
+        const response = await reviewTopUpRequest({
+            requestId: topup.id,
+            decision: action === 'A' ? 'approve' : 'reject',
+            reason: reason.trim()
+        });
+
+        await loadAuthorizedUsers();
+        if (response.data.status === 'approved') {
+            alert(`✅ Approved / อนุมัติแล้ว\n\n${topup.userName}: +${topup.amount} THB\nNew balance: ${response.data.balance} THB`);
+        } else {
+            alert(`❌ Rejected / ปฏิเสธแล้ว\n\n${topup.userName}: ${topup.amount} THB`);
+        }
+    } catch (error) {
+        console.error('Error reviewing top-up requests:', error);
+        alert(`❌ Error: ${error.message}`);
+    }
+}
+
 // ============================================
 // WALLET MANAGEMENT
 // ============================================
@@ -5979,6 +7590,7 @@ async function manageTodaysPlayers(skipAutoLoad = false) {
     // Auto-add regular players ONLY on first open (not when refreshing after manual add/remove)
     let addedCount = 0;
     let skippedLowBalance = [];
+    let skippedNoShows = [];
 
     if (!skipAutoLoad) {
         console.log('🤖 AUTO-LOAD: Checking regular players for this day...');
@@ -6002,6 +7614,13 @@ async function manageTodaysPlayers(skipAutoLoad = false) {
                         continue; // Skip to next player
                     }
 
+                    // Lost priority after too many no-shows (config/noShows) - registers like everyone else
+                    if (user.priorityLost) {
+                        skippedNoShows.push(playerName);
+                        console.log(`⚠️ SKIPPED ${playerName} - lost priority (${user.noShowCount || 0} no-shows)`);
+                        continue;
+                    }
+
                     const userId = user.id || user.userId;
 
                     if (userId) {
@@ -6038,6 +7657,13 @@ async function manageTodaysPlayers(skipAutoLoad = false) {
             showLowBalanceWarning(skippedLowBalance);
         }
 
+        if (skippedNoShows.length > 0) {
+            alert(
+                `🚫 Not added - lost priority after no-shows:\n${skippedNoShows.join('\n')}\n\n` +
+                'They can still register themselves (Users → No-shows to reset)'
+            );
+        }
+
         console.log(`🤖 AUTO-LOAD COMPLETE: Added ${addedCount} players, Skipped ${skippedLowBalance.length} (low balance)`);
 
         // Refresh player data after auto-load
@@ -6359,8 +7985,7 @@ async function removePlayerFromSession() {
     currentPlayers.forEach((player, index) => {
         const position = index + 1;
         const paidStatus = player.paid ? '✓ Paid' : '✗ Unpaid';
-        const guestMarker = player.isGuest ? '👤 Guest' : '';
-        playerList += `${position}. ${player.name} ${guestMarker} - ${paidStatus}\n`;
+        playerList += `${position}. ${getPlayerListName(player)} - ${paidStatus}\n`;
     });
 
     const selection = prompt(playerList + '\nEnter player number / ใส่หมายเลขผู้เล่น:');
@@ -6375,9 +8000,10 @@ async function removePlayerFromSession() {
     }
 
     const playerToRemove = currentPlayers[playerIndex];
-    const playerName = playerToRemove.name;
+    const playerName = getPlayerListName(playerToRemove);
     const wasPaid = playerToRemove.paid;
     const isGuest = playerToRemove.isGuest;
+    const refundAmount = getPlayerPrice(playerToRemove);
 
     // Determine who would get the refund (for confirmation message)
     const hostUserId = isGuest ? playerToRemove.guestOf : null;
@@ -6389,11 +8015,11 @@ async function removePlayerFromSession() {
     confirmMsg += `Status: ${wasPaid ? 'Paid ✓' : 'Unpaid ✗'}\n`;
     if (isGuest && hostUser) {
         confirmMsg += `(Guest of ${hostUser.name})\n\n`;
-        confirmMsg += `Refund ${state.paymentAmount} THB to ${hostUser.name}`;
+        confirmMsg += `Refund ${refundAmount} THB to ${hostUser.name}`;
     } else if (isGuest) {
         confirmMsg += `(Guest player)\n`;
     } else if (wasPaid) {
-        confirmMsg += `\nWallet will be refunded ${state.paymentAmount} THB`;
+        confirmMsg += `\nWallet will be refunded ${refundAmount} THB`;
     }
 
     if (!confirm(confirmMsg)) {
@@ -6409,30 +8035,20 @@ async function removePlayerFromSession() {
 
         // Refund if player paid and we can find the user to refund
         if (wasPaid && refundUser) {
-            const currentBalance = refundUser.balance || 0;
-            const newBalance = currentBalance + state.paymentAmount;
-
-            await usersRef.doc(refundUserId).update({
-                balance: newBalance
-            });
-
-            // Add transaction record
             const refundReason = isGuest
-                ? `Admin removed guest (${playerName}) from session ${state.sessionDay} ${state.sessionDate}`
+                ? `Admin removed guest (${getGuestDisplayName(playerToRemove)}) from session ${state.sessionDay} ${state.sessionDate}`
                 : `Admin removed from session ${state.sessionDay} ${state.sessionDate}`;
 
-            await transactionsRef.add({
-                userId: refundUserId,
-                userName: refundUser.name,
-                type: 'refund',
-                amount: state.paymentAmount,
-                balance: newBalance,
-                reason: refundReason,
-                sessionId: currentSessionId,
-                timestamp: firebase.firestore.FieldValue.serverTimestamp()
-            });
+            await updateUserBalance(
+                refundUserId,
+                refundUser.name,
+                refundAmount,
+                refundReason,
+                'refund',
+                true // silent
+            );
 
-            console.log(`✅ Refunded ${state.paymentAmount} THB to ${refundUser.name}${isGuest ? ` (host of ${playerName})` : ''}`);
+            console.log(`✅ Refunded ${refundAmount} THB to ${refundUser.name}${isGuest ? ` (host of ${playerName})` : ''}`);
         }
 
         // Delete player from Firestore
@@ -6445,7 +8061,7 @@ async function removePlayerFromSession() {
 
         let resultMsg = `✅ Player removed successfully!\n\nลบผู้เล่นสำเร็จ!`;
         if (wasPaid && refundUser) {
-            resultMsg += `\n\nRefunded ${state.paymentAmount} THB to ${refundUser.name}`;
+            resultMsg += `\n\nRefunded ${refundAmount} THB to ${refundUser.name}`;
             if (isGuest) {
                 resultMsg += ` (host)`;
             }
@@ -6486,9 +8102,9 @@ function closeAdminTransactions() {
     document.getElementById('adminTransactionModal').style.display = 'none';
 }
 
-// Reset all balances and clear transaction history (admin utility)
+// Reset all balances (admin utility) - the transaction history is append-only and kept
 async function initializeAllBalances() {
-    const amount = prompt('Reset ALL balances and DELETE ALL transaction history?\n\nEnter starting balance for all users:\n\nรีเซ็ตยอดเงินทั้งหมดและลบประวัติทั้งหมด?\nใส่ยอดเงินเริ่มต้น:', '300');
+    const amount = prompt('Reset ALL balances?\n\nEnter starting balance for all users:\n\nรีเซ็ตยอดเงินทั้งหมด?\nใส่ยอดเงินเริ่มต้น:', '300');
 
     if (!amount || isNaN(amount)) {
         alert('Invalid amount / จำนวนเงินไม่ถูกต้อง');
@@ -6500,60 +8116,43 @@ async function initializeAllBalances() {
     if (!confirm(
         `⚠️ WARNING / คำเตือน ⚠️\n\n` +
         `This will:\n` +
-        `1. DELETE ALL transaction history for ALL users\n` +
-        `2. Set balance to ${balanceAmount} THB for ALL users\n` +
-        `3. Create ONE clean "Initial balance" transaction\n\n` +
+        `1. Set balance to ${balanceAmount} THB for ALL users\n` +
+        `2. Log ONE "Balance reset" correction per user (history is kept)\n\n` +
         `นี่จะ:\n` +
-        `1. ลบประวัติการทำรายการทั้งหมด\n` +
-        `2. ตั้งยอดเงินเป็น ${balanceAmount} บาท\n` +
-        `3. สร้างรายการ "ยอดเริ่มต้น" 1 รายการ\n\n` +
+        `1. ตั้งยอดเงินเป็น ${balanceAmount} บาท\n` +
+        `2. บันทึกรายการ "รีเซ็ตยอดเงิน" 1 รายการต่อคน\n\n` +
         `Continue? / ดำเนินการต่อ?`
     )) {
         return;
     }
 
     let updated = 0;
-    let transactionsDeleted = 0;
 
     try {
-        console.log('🔄 Starting complete reset...');
-
-        // Step 1: Delete ALL transactions for ALL users
-        const allTransactions = await transactionsRef.get();
-        console.log(`📜 Found ${allTransactions.size} transactions to delete`);
+        console.log('🔄 Starting balance reset...');
 
-        for (const doc of allTransactions.docs) {
-            await transactionsRef.doc(doc.id).delete();
-            transactionsDeleted++;
-        }
-
-        console.log(`✅ Deleted ${transactionsDeleted} transactions`);
-
-        // Step 2: Set balance and create ONE clean initial transaction for each user
+        // One correcting ledger entry per user (current → balanceAmount)
         for (const user of state.authorizedUsers) {
-            // Set balance
-            await usersRef.doc(user.id).update({ balance: balanceAmount });
+            const userDoc = await usersRef.doc(user.id).get();
+            const currentBalance = userDoc.exists ? (userDoc.data().balance || 0) : 0;
 
-            // Create clean initial transaction
-            await createTransaction(
+            await updateUserBalance(
                 user.id,
                 user.name,
-                balanceAmount,
-                'Initial balance deposit / ยอดเริ่มต้น'
+                balanceAmount - currentBalance,
+                'Balance reset / รีเซ็ตยอดเงิน',
+                'correction',
+                true // silent
             );
 
             updated++;
         }
 
         alert(
-            `✅ Complete reset successful!\n\n` +
-            `Deleted: ${transactionsDeleted} old transactions\n` +
-            `Reset: ${updated} users to ${balanceAmount} THB\n` +
-            `Created: ${updated} clean initial transactions\n\n` +
+            `✅ Balance reset successful!\n\n` +
+            `Reset: ${updated} users to ${balanceAmount} THB\n\n` +
             `รีเซ็ตเสร็จสมบูรณ์!\n` +
-            `ลบ: ${transactionsDeleted} รายการเก่า\n` +
-            `รีเซ็ต: ${updated} คน เป็น ${balanceAmount} บาท\n` +
-            `สร้าง: ${updated} รายการใหม่`
+            `รีเซ็ต: ${updated} คน เป็น ${balanceAmount} บาท`
         );
 
         // Reload users to get updated balances
@@ -6611,7 +8210,7 @@ async function loadTransactions() {
                     </div>
                 </div>
                 <div style="font-size: 0.85em; color: #666; font-style: italic;">
-                    ${tx.description}
+                    ${tx.description || tx.reason}
                 </div>
             `;
             list.appendChild(item);
@@ -6726,7 +8325,7 @@ async function showMyTransactions() {
                     </div>
                 </div>
                 <div style="font-size: 0.85em; color: #666; font-style: italic;">
-                    ${tx.description}
+                    ${tx.description || tx.reason}
                 </div>
             `;
             list.appendChild(item);
@@ -6913,44 +8512,15 @@ async function give100Baht(recipientId, recipientName, recipientBalance) {
 
         console.log(`🎁 Starting transfer: ${giverName} (ID: ${giverId}) → ${recipientName} (ID: ${recipientId}) (100 THB)`);
 
-        // Deduct 100 from giver
-        const giverSuccess = await updateUserBalance(
-            giverId,
-            giverName,
-            -100,
-            `Gift to ${recipientName} / มอบให้ ${recipientName}`
-        );
-
-        console.log(`🎁 Giver deduction result:`, giverSuccess);
-
-        if (!giverSuccess) {
-            alert('Transfer failed - Could not deduct from your balance / การโอนล้มเหลว - ไม่สามารถหักเงินจากคุณได้');
-            return;
-        }
-
-        // Add 100 to recipient
-        const recipientSuccess = await updateUserBalance(
-            recipientId,
-            recipientName,
-            100,
-            `Gift from ${giverName} / ของขวัญจาก ${giverName}`
-        );
-
-        console.log(`🎁 Recipient addition result:`, recipientSuccess);
+        // Giver and recipient are posted in one server transaction
+        const giftBalance = functions.httpsCallable('giftBalance');
+        const response = await giftBalance({
+            fromUserId: giverId,
+            toUserId: recipientId,
+            amount: 100
+        });
 
-        if (!recipientSuccess) {
-            // If recipient update fails, refund the giver
-            console.log(`🎁 Refunding giver...`);
-            await updateUserBalance(
-                giverId,
-                giverName,
-                100,
-                `Refund - failed gift / คืนเงิน - การมอบล้มเหลว`,
-                true // silent
-            );
-            alert('Transfer failed - Could not add to recipient balance / การโอนล้มเหลว - ไม่สามารถเพิ่มเงินให้ผู้รับได้');
-            return;
-        }
+        state.loggedInUser.balance = response.data.balance;
 
         // Success!
         alert(
@@ -6966,6 +8536,11 @@ async function give100Baht(recipientId, recipientName, recipientBalance) {
 
     } catch (error) {
         console.error('Error in give100Baht:', error);
+        const details = error.details || {};
+        if (details.reason === 'insufficient-balance') {
+            alert(`Transfer failed - Insufficient balance / การโอนล้มเหลว - ยอดเงินไม่เพียงพอ\n\nCurrent: ${details.balance} THB`);
+            return;
+        }
         alert('Transfer failed. Please try again. / การโอนล้มเหลว กรุณาลองใหม่');
     }
 }
@@ -7022,7 +8597,13 @@ async function confirmBalanceAdjust() {
         ? 'Cash deposit / เติมเงินสด'
         : 'Balance correction / แก้ไขยอดเงิน';
 
-    const success = await updateUserBalance(selectedUser.id, selectedUser.name, amount, description);
+    const success = await updateUserBalance(
+        selectedUser.id,
+        selectedUser.name,
+        amount,
+        description,
+        amount > 0 ? 'topup' : 'correction'
+    );
 
     if (success) {
         const changeText = amount > 0 ? `Added: +${amount} THB` : `Deducted: ${amount} THB`;
@@ -7040,7 +8621,6 @@ async function confirmBalanceAdjust() {
         // If this is the logged in user, update their balance
         if (state.loggedInUser && state.loggedInUser.userId === selectedUser.id) {
             state.loggedInUser.balance = currentBalance + amount;
-            localStorage.setItem('loggedInUser', JSON.stringify(state.loggedInUser));
             updateUI();
         }
 
@@ -7063,28 +8643,8 @@ function updatePaymentList() {
         const info = document.createElement('span');
         // Show guest icon and position number
         if (player.isGuest) {
-            // Extract guest name and host name from "HostName friend: GuestName" format
-            let guestDisplayName = player.name;
-            let hostDisplayName = player.guestOfName;
-
-            const parts = player.name.split(' friend: ');
-            if (parts.length === 2) {
-                guestDisplayName = parts[1]; // GuestName
-                hostDisplayName = parts[0];   // HostName
-            } else {
-                // Fallback for old formats
-                const oldParts = player.name.split(' venn: ');
-                if (oldParts.length === 2) {
-                    guestDisplayName = oldParts[1];
-                    hostDisplayName = oldParts[0];
-                } else {
-                    const legacyParts = player.name.split(' + ');
-                    if (legacyParts.length === 2) {
-                        guestDisplayName = legacyParts[1];
-                        hostDisplayName = legacyParts[0];
-                    }
-                }
-            }
+            const guestDisplayName = getGuestDisplayName(player);
+            const hostDisplayName = player.guestOfName;
 
             info.textContent = `${index + 1}. ${guestDisplayName} 👤 (${hostDisplayName})`;
             info.title = `Guest of ${hostDisplayName}`;
@@ -7096,9 +8656,12 @@ function updatePaymentList() {
         buttonContainer.style.display = 'flex';
         buttonContainer.style.gap = '5px';
 
-        const paymentButton = document.createElement('button');
-        paymentButton.textContent = player.paid ? 'Mark Unpaid' : 'Mark Paid ✓';
-        paymentButton.onclick = () => togglePayment(player.id);
+        // Paid is set by the server with the wallet debit (registerPlayer, publish)
+        const paymentStatus = document.createElement('span');
+        paymentStatus.textContent = player.paid ? '✓ Paid' : 'Unpaid - charged at publish';
+        paymentStatus.style.alignSelf = 'center';
+        paymentStatus.style.fontSize = '12px';
+        paymentStatus.style.color = player.paid ? '#059669' : '#b45309';
 
         const deleteButton = document.createElement('button');
         deleteButton.textContent = '❌';
@@ -7106,9 +8669,9 @@ function updatePaymentList() {
         deleteButton.style.background = '#ef4444';
         deleteButton.style.padding = '5px 10px';
         deleteButton.style.minWidth = '40px';
-        deleteButton.onclick = () => adminDeletePlayer(player.id, player.name, player.isGuest, player.guestOf);
+        deleteButton.onclick = () => adminDeletePlayer(player.id);
 
-        buttonContainer.appendChild(paymentButton);
+        buttonContainer.appendChild(paymentStatus);
         buttonContainer.appendChild(deleteButton);
 
         item.appendChild(info);
@@ -7117,46 +8680,34 @@ function updatePaymentList() {
     });
 }
 
-async function togglePayment(playerId) {
-    const player = state.players.find(p => p.id === playerId);
-    if (player) {
-        try {
-            await playersRef().doc(playerId).update({
-                paid: !player.paid
-            });
-            console.log('✅ Payment status toggled');
-        } catch (error) {
-            console.error('Error toggling payment:', error);
-            alert('Error updating payment. Please try again.');
-        }
-    }
-}
-
 /**
  * Admin function to delete a player and refund their payment
+ * Guests are refunded to the host (guestOf)
  * @param {string} playerId - Firestore document ID
- * @param {string} playerName - Player's name
- * @param {boolean} isGuest - Whether this is a guest player
- * @param {string} guestOf - User ID of host (if guest)
  */
-async function adminDeletePlayer(playerId, playerName, isGuest = false, guestOf = null) {
+async function adminDeletePlayer(playerId) {
+    // Find the player to get full details
+    const player = state.players.find(p => p.id === playerId);
+    if (!player) {
+        alert('Player not found / ไม่พบผู้เล่น');
+        return;
+    }
+
+    const playerName = getPlayerListName(player);
+    const isGuest = player.isGuest;
+    const guestOf = player.guestOf;
+    const refundAmount = getPlayerPrice(player);
+
     // Confirm deletion
     const confirmMsg = isGuest
-        ? `Delete guest player?\n\n${playerName}\n\nThis will refund the host's payment.\n\nลบแขกและคืนเงิน?`
-        : `Delete player?\n\n${playerName}\n\nThis will refund their payment (${state.paymentAmount} THB).\n\nลบผู้เล่นและคืนเงิน?`;
+        ? `Delete guest player?\n\n${playerName}\n\nThis will refund the host's payment (${refundAmount} THB).\n\nลบแขกและคืนเงิน?`
+        : `Delete player?\n\n${playerName}\n\nThis will refund their payment (${refundAmount} THB).\n\nลบผู้เล่นและคืนเงิน?`;
 
     if (!confirm(confirmMsg)) {
         return;
     }
 
     try {
-        // Find the player to get full details
-        const player = state.players.find(p => p.id === playerId);
-        if (!player) {
-            alert('Player not found / ไม่พบผู้เล่น');
-            return;
-        }
-
         // Determine who to refund
         let refundUserId;
         let refundUserName;
@@ -7168,15 +8719,14 @@ async function adminDeletePlayer(playerId, playerName, isGuest = false, guestOf
             if (hostUser) {
                 refundUserId = hostUser.id;
                 refundUserName = hostUser.name;
-                const guestNameOnly = playerName.split(' friend: ')[1] || playerName.split(' venn: ')[1] || playerName.split(' + ')[1] || playerName;
-                refundDescription = `Admin deleted guest: ${guestNameOnly} (${state.sessionDate})`;
+                refundDescription = `Admin deleted guest: ${getGuestDisplayName(player)} (${state.sessionDate})`;
             } else {
                 alert('⚠️ Host user not found. Cannot refund.\n\nไม่พบเจ้าของแขก');
                 return;
             }
         } else {
             // Regular player: refund themselves
-            const regularUser = state.authorizedUsers.find(u => u.name === playerName);
+            const regularUser = state.authorizedUsers.find(u => u.id === player.userId || u.name === player.name);
             if (regularUser) {
                 refundUserId = regularUser.id;
                 refundUserName = regularUser.name;
@@ -7194,11 +8744,12 @@ async function adminDeletePlayer(playerId, playerName, isGuest = false, guestOf
             await updateUserBalance(
                 refundUserId,
                 refundUserName,
-                state.paymentAmount,
+                refundAmount,
                 refundDescription,
+                'refund',
                 true // silent - no alert
             );
-            console.log(`💰 Refunded ${state.paymentAmount} THB to ${refundUserName}`);
+            console.log(`💰 Refunded ${refundAmount} THB to ${refundUserName}`);
         }
 
         // Delete player from Firestore
@@ -7208,7 +8759,7 @@ async function adminDeletePlayer(playerId, playerName, isGuest = false, guestOf
         await recalculatePlayerPositions();
 
         console.log(`✅ Admin deleted player: ${playerName}`);
-        alert(`✅ Player deleted and refunded\n\nลบผู้เล่นและคืนเงินแล้ว\n\n${playerName}\nRefund: ${state.paymentAmount} THB`);
+        alert(`✅ Player deleted and refunded\n\nลบผู้เล่นและคืนเงินแล้ว\n\n${playerName}\nRefund: ${refundAmount} THB`);
 
     } catch (error) {
         console.error('Error deleting player:', error);
@@ -7226,13 +8777,13 @@ function exportList() {
     text += 'PLAYERS / ผู้เล่น:\n';
 
     state.players.slice(0, state.maxPlayers).forEach((player, index) => {
-        text += `${index + 1}. ${player.name} ${player.paid ? '✓' : '○'}\n`;
+        text += `${index + 1}. ${getPlayerListName(player)} ${player.paid ? '✓' : '○'}\n`;
     });
 
     if (state.players.length > state.maxPlayers) {
         text += '\nWAITING LIST / รายชื่อสำรอง:\n';
         state.players.slice(state.maxPlayers).forEach((player, index) => {
-            text += `${index + 1}. ${player.name}\n`;
+            text += `${index + 1}. ${getPlayerListName(player)}\n`;
         });
     }
 
@@ -7418,7 +8969,7 @@ async function enablePushNotifications() {
             // Send test notification
             try {
                 const testFCM = firebase.functions().httpsCallable('testFCMNotification');
-                await testFCM({ fcmToken: token });
+                await testFCM();
                 alert('Push notifications enabled!\n\nPush-varsler er aktivert! Du vil nå motta varsler når noen melder seg av.\n\n(En test-notifikasjon ble sendt)');
             } catch (testError) {
                 console.log('📱 Test notification failed (this is OK if functions not deployed yet)');
@@ -7441,7 +8992,7 @@ async function enablePushNotifications() {
 
 /**
  * Store FCM token in Firestore
- * Associates token with the logged-in user
+ * One token per device in authorizedUsers.fcmTokens (newest 10 kept - same limit as firestore.rules)
  */
 async function storeFCMToken(token) {
     try {
@@ -7450,52 +9001,18 @@ async function storeFCMToken(token) {
             return;
         }
 
-        // Use userId (document ID), not name
-        const docId = state.loggedInUser.userId || state.loggedInUser.name;
-        console.log('📱 Storing FCM token for doc ID:', docId);
+        const userRef = usersRef.doc(state.loggedInUser.userId);
+        const userDoc = await userRef.get();
+        const otherTokens = (userDoc.data().fcmTokens || []).filter(t => t !== token);
 
-        // Store in authorizedUsers collection
-        await usersRef.doc(docId).update({
-            fcmToken: token,
+        await userRef.update({
+            fcmTokens: [...otherTokens.slice(-9), token],
             fcmTokenUpdatedAt: firebase.firestore.FieldValue.serverTimestamp()
         });
 
         console.log('📱 FCM token stored successfully for:', state.loggedInUser.name);
     } catch (error) {
         console.error('❌ Error storing FCM token:', error);
-        // Try with name as fallback
-        try {
-            console.log('📱 Retrying with name as doc ID...');
-            await usersRef.doc(state.loggedInUser.name).update({
-                fcmToken: token,
-                fcmTokenUpdatedAt: firebase.firestore.FieldValue.serverTimestamp()
-            });
-            console.log('📱 FCM token stored with fallback');
-        } catch (fallbackError) {
-            console.error('❌ Fallback also failed:', fallbackError);
-        }
-    }
-}
-
-/**
- * Get all admin FCM tokens for sending notifications
- */
-async function getAdminFCMTokens() {
-    try {
-        const adminsSnapshot = await usersRef.where('role', '==', 'admin').get();
-        const tokens = [];
-
-        adminsSnapshot.forEach(doc => {
-            const data = doc.data();
-            if (data.fcmToken) {
-                tokens.push(data.fcmToken);
-            }
-        });
-
-        return tokens;
-    } catch (error) {
-        console.error('❌ Error getting admin FCM tokens:', error);
-        return [];
     }
 }
 
@@ -7588,11 +9105,14 @@ async function testRealFCM() {
 
         console.log('📱 Current FCM token:', currentToken.substring(0, 20) + '...');
 
+        // The test goes to the devices stored for this user
+        await storeFCMToken(currentToken);
+
         // Call Cloud Function to send test FCM
         alert('Sender FCM via Cloud Function...\n\nDu skal få en notifikasjon om 2-3 sekunder.');
 
         const testFCM = firebase.functions().httpsCallable('testFCMNotification');
-        const result = await testFCM({ fcmToken: currentToken });
+        const result = await testFCM();
 
         console.log('📱 FCM test result:', result);
         alert('✅ FCM sendt fra server!\n\nHvis du IKKE fikk notifikasjon, er det et problem med FCM → iPhone levering.');
@@ -0,0 +1,26 @@
+const admin = require('firebase-admin');
+const { buildReconciliationReport, formatReconciliationReport } = require('./functions/wallet-reconciliation');
+
+// Initialize Firebase Admin
+const serviceAccount = require('./badminton-b95ac-firebase-adminsdk-q4bzt-ea51a2e89b.json');
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount)
+});
+
+const db = admin.firestore();
+
+// Compare every wallet balance with the sum of its transactions
+// Corrections are posted from the admin panel (Money → Reconcile)
+async function checkWalletBalances() {
+    console.log('🧾 Reconciling wallets with transaction history...\n');
+
+    const report = await buildReconciliationReport(db);
+    console.log(formatReconciliationReport(report));
+
+    process.exit(report.mismatches.length > 0 ? 1 : 0);
+}
+
+checkWalletBalances().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
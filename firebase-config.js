@@ -20,6 +20,12 @@ const functions = firebase.functions();
 // For local testing, uncomment this:
 // functions.useEmulator('localhost', 5001);
 
+// Initialize Auth (players sign in with a custom token from the signIn function)
+const auth = typeof firebase.auth === 'function' ? firebase.auth() : null;
+
+// Initialize Storage (top-up slips) - only on pages that load the Storage SDK
+const storage = typeof firebase.storage === 'function' ? firebase.storage() : null;
+
 // Collection references
 const sessionsRef = db.collection('sessions');
 const usersRef = db.collection('authorizedUsers');
@@ -28,5 +34,10 @@ const incomeRef = db.collection('income');
 const expensesRef = db.collection('expenses');
 const passwordResetsRef = db.collection('passwordResets');
 const weeklyBalanceRef = db.collection('weeklyBalance');
+const sessionTemplatesRef = db.collection('sessionTemplates');
+const topupRequestsRef = db.collection('topupRequests');
+const notificationOutboxRef = db.collection('notificationOutbox');
+const guestProfilesRef = db.collection('guestProfiles');
+const ratingsRef = db.collection('ratings');
 
 console.log('🔥 Firebase initialized successfully!');
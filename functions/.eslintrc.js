@@ -0,0 +1,21 @@
+// ESLint for the Cloud Functions (npm run lint - also runs before every deploy, see firebase.json)
+module.exports = {
+    root: true,
+    env: {
+        es2022: true,
+        node: true
+    },
+    parserOptions: {
+        ecmaVersion: 2022
+    },
+    extends: ['eslint:recommended'],
+    rules: {
+        'no-unused-vars': ['error', { args: 'none', ignoreRestSiblings: true }],
+        'prefer-const': 'error',
+        'no-var': 'error',
+        eqeqeq: ['error', 'always'],
+        semi: ['error', 'always'],
+        quotes: ['error', 'single', { avoidEscape: true, allowTemplateLiterals: true }],
+        indent: ['error', 4, { SwitchCase: 1 }]
+    }
+};
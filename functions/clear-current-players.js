@@ -3,7 +3,7 @@ const admin = require('firebase-admin');
 // Initialize Firebase Admin
 const serviceAccount = require('../badminton-b95ac-firebase-adminsdk-q4bzt-ea51a2e89b.json');
 admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount)
+    credential: admin.credential.cert(serviceAccount)
 });
 
 const db = admin.firestore();
@@ -4,11 +4,20 @@
  */
 
 const {onCall, onRequest, HttpsError} = require('firebase-functions/v2/https');
-const {onDocumentDeleted, onDocumentCreated} = require('firebase-functions/v2/firestore');
+const {onDocumentDeleted, onDocumentCreated, onDocumentUpdated} = require('firebase-functions/v2/firestore');
+const {onSchedule} = require('firebase-functions/v2/scheduler');
 const {defineSecret} = require('firebase-functions/params');
 const admin = require('firebase-admin');
 const axios = require('axios');
 const nodemailer = require('nodemailer');
+const crypto = require('crypto');
+const walletReconciliation = require('./wallet-reconciliation');
+const permissions = require('./permissions');
+const notifications = require('./notifications');
+const ratings = require('./ratings');
+const lottery = require('./lottery');
+
+const { CAPABILITIES } = permissions;
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
@@ -25,71 +34,289 @@ const telegramChatId = defineSecret('TELEGRAM_CHAT_ID');
 // Line Messaging API endpoint
 const LINE_API_URL = 'https://api.line.me/v2/bot/message/push';
 
+// Club time zone (session dates/times are local Thai time)
+const CLUB_TIME_ZONE = 'Asia/Bangkok';
+
+// Minimum wallet balance required to be registered (same as MINIMUM_BALANCE in app.js)
+const MINIMUM_BALANCE = 10;
+
+// Lock session N hours before start time (same as LOCK_HOURS_BEFORE_SESSION in app.js)
+const LOCK_HOURS_BEFORE_SESSION = 2;
+
+// Asia/Bangkok is UTC+7 all year (no daylight saving)
+const CLUB_UTC_OFFSET_HOURS = 7;
+
+// Session document from before multiple open sessions (same as DEFAULT_SESSION_ID in app.js)
+const LEGACY_SESSION_ID = 'current';
+
+// Session costs (same as copyAndCloseSession() in app.js)
+const PLAYERS_PER_COURT = 6;
+const COURT_COST = 440; // THB per court
+const SHUTTLECOCK_COST = 90; // THB per shuttlecock
+
+// Session day labels (index 0 = day1 = Monday, same labels as the admin app)
+const SESSION_DAYS = [
+    'วันจันทร์ / Monday',
+    'วันอังคาร / Tuesday',
+    'วันพุธ / Wednesday',
+    'วันพฤหัสบดี / Thursday',
+    'วันศุกร์ / Friday',
+    'วันเสาร์ / Saturday',
+    'วันอาทิตย์ / Sunday'
+];
+
+/**
+ * Post a Telegram message (throws on failure)
+ * @param {string} chatId - Telegram chat ID
+ * @param {string} message - Message to send (HTML)
+ */
+async function postTelegramMessage(chatId, message) {
+    const url = `https://api.telegram.org/bot${telegramBotToken.value()}/sendMessage`;
+    const response = await axios.post(url, {
+        chat_id: chatId,
+        text: message,
+        parse_mode: 'HTML'
+    });
+    console.log('📱 Telegram sent:', response.data.ok);
+}
+
+/**
+ * Send an email through the club Gmail account (throws on failure)
+ * @param {string} to - Recipient address
+ * @param {string} subject - Email subject
+ * @param {string} body - Email body text
+ */
+async function sendEmail(to, subject, body) {
+    const user = emailUser.value();
+    const transporter = nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+            user: user,
+            pass: emailPass.value()
+        }
+    });
+
+    const result = await transporter.sendMail({
+        from: `Badminton App <${user}>`,
+        to: to,
+        subject: subject,
+        text: body
+    });
+    console.log('📧 Email sent:', result.messageId);
+}
+
 /**
- * Send Telegram notification
+ * Send Telegram notification to the club chat (admin alerts - errors are only logged)
  * @param {string} message - Message to send
  */
 async function sendTelegramNotification(message) {
     try {
-        const botToken = telegramBotToken.value();
-        const chatId = telegramChatId.value();
-
-        if (!botToken || !chatId) {
+        if (!telegramBotToken.value() || !telegramChatId.value()) {
             console.log('📱 Telegram not configured, skipping');
             return;
         }
-
-        const url = `https://api.telegram.org/bot${botToken}/sendMessage`;
-        const response = await axios.post(url, {
-            chat_id: chatId,
-            text: message,
-            parse_mode: 'HTML'
-        });
-
-        console.log('📱 Telegram sent:', response.data.ok);
+        await postTelegramMessage(telegramChatId.value(), message);
     } catch (error) {
         console.error('📱 Telegram error:', error.message);
     }
 }
 
 /**
- * Send email notification
+ * Send email notification to the club inbox (admin alerts - errors are only logged)
  * @param {string} subject - Email subject
  * @param {string} body - Email body text
  */
 async function sendEmailNotification(subject, body) {
     try {
-        const user = emailUser.value();
-        const pass = emailPass.value();
-        const to = emailTo.value();
-
-        if (!user || !pass || !to) {
+        if (!emailUser.value() || !emailPass.value() || !emailTo.value()) {
             console.log('📧 Email not configured, skipping');
             return;
         }
+        await sendEmail(emailTo.value(), subject, body);
+    } catch (error) {
+        console.error('📧 Email error:', error.message);
+    }
+}
+
+// ============================================
+// NOTIFICATION DISPATCHER
+// ============================================
+// Player/staff notifications go through notify() - recipients, channel preferences,
+// message texts and the outbox live in notifications.js, the channel adapters are here.
+// notify() only queues; deliverNotification / processNotificationOutbox send.
+// ============================================
+
+// The outbox workers need these secrets (notify() itself doesn't)
+const NOTIFICATION_SECRETS = [lineToken, lineGroupId, emailUser, emailPass, emailTo, telegramBotToken, telegramChatId];
+
+// FCM errors for tokens that will never work again (app removed, permission revoked)
+const STALE_FCM_TOKEN_ERRORS = [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token'
+];
+
+// Adapters: return false when the recipient has no address for the channel, throw on failure
+const notificationAdapters = {
+    push: async (recipient, message) => {
+        // Entries queued before multi-device support carry a single fcmToken
+        const tokens = recipient.fcmTokens || [recipient.fcmToken].filter(Boolean);
+        if (tokens.length === 0) {
+            return false;
+        }
+
+        const response = await admin.messaging().sendEachForMulticast({
+            notification: { title: message.title, body: message.body },
+            data: message.data,
+            tokens
+        });
 
-        const transporter = nodemailer.createTransport({
-            service: 'gmail',
-            auth: {
-                user: user,
-                pass: pass
+        const staleTokens = [];
+        const errors = [];
+        response.responses.forEach((result, index) => {
+            if (result.success) {
+                return;
+            }
+            if (STALE_FCM_TOKEN_ERRORS.includes(result.error.code)) {
+                staleTokens.push(tokens[index]);
+            } else {
+                errors.push(result.error.message);
             }
         });
 
-        const mailOptions = {
-            from: `Badminton App <${user}>`,
-            to: to,
-            subject: subject,
-            text: body
-        };
+        // Forget devices that no longer accept pushes
+        if (staleTokens.length > 0 && !recipient.isClub) {
+            await admin.firestore().collection('authorizedUsers').doc(recipient.id).update({
+                fcmTokens: admin.firestore.FieldValue.arrayRemove(...staleTokens)
+            });
+            console.log(`📱 Removed ${staleTokens.length} stale push token(s) for ${recipient.name}`);
+        }
 
-        const result = await transporter.sendMail(mailOptions);
-        console.log('📧 Email sent:', result.messageId);
-    } catch (error) {
-        console.error('📧 Email error:', error.message);
+        if (response.successCount > 0) {
+            return true;
+        }
+        if (errors.length > 0) {
+            throw new Error(errors[0]);
+        }
+        return false; // Only stale tokens - no device to send to
+    },
+    email: async (recipient, message) => {
+        const to = recipient.isClub ? emailTo.value() : recipient.email;
+        if (!to || !emailUser.value()) {
+            return false;
+        }
+        await sendEmail(to, message.emailSubject, message.emailBody);
+        return true;
+    },
+    telegram: async (recipient, message) => {
+        const chatId = recipient.isClub ? telegramChatId.value() : recipient.telegramChatId;
+        if (!chatId || !telegramBotToken.value()) {
+            return false;
+        }
+        await postTelegramMessage(chatId, message.telegram);
+        return true;
+    },
+    line: async (recipient, message) => {
+        // Line only posts to the club group
+        if (!recipient.isClub || !lineToken.value() || !lineGroupId.value()) {
+            return false;
+        }
+        await axios.post(
+            LINE_API_URL,
+            {
+                to: lineGroupId.value(),
+                messages: [{ type: 'text', text: `${message.emailSubject}\n\n${message.emailBody}` }]
+            },
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${lineToken.value()}`
+                }
+            }
+        );
+        return true;
     }
+};
+
+const notificationService = notifications.createNotificationService(admin.firestore(), notificationAdapters);
+
+/**
+ * Queue a notification event for everyone who wants it (see notifications.js)
+ * @param {string} event - One of notifications.EVENTS
+ * @param {Object} data - Event data
+ * @param {Object} [options] - { userId, excludeUserIds, dedupeKey, notifyPath }
+ * @returns {Promise<Object[]>} Queue results
+ */
+function notify(event, data, options) {
+    return notificationService.dispatch(event, data, options);
 }
 
+/**
+ * FIRESTORE TRIGGER: Deliver a queued notification right away
+ * Failures are retried by processNotificationOutbox
+ */
+exports.deliverNotification = onDocumentCreated({
+    document: `${notifications.OUTBOX_COLLECTION}/{entryId}`,
+    secrets: NOTIFICATION_SECRETS
+}, async (event) => {
+    try {
+        await notificationService.deliver(event.params.entryId);
+    } catch (error) {
+        console.error('❌ Error delivering notification:', error.message);
+    }
+    return null;
+});
+
+/**
+ * SCHEDULED: Retry failed and rate-limited notifications, pick up stuck sends
+ */
+exports.processNotificationOutbox = onSchedule({
+    schedule: 'every 5 minutes',
+    timeZone: CLUB_TIME_ZONE,
+    secrets: NOTIFICATION_SECRETS
+}, async () => {
+    const counts = await notificationService.processDue();
+    if (Object.keys(counts).length > 0) {
+        console.log('📬 Notification outbox:', JSON.stringify(counts));
+    }
+});
+
+/**
+ * Send a notification from the delivery log again (admin panel)
+ * @param {Object} request.data
+ * @param {string} request.data.entryId - notificationOutbox document ID
+ * @returns {{success: boolean, status: string}}
+ */
+exports.resendNotification = onCall({
+    secrets: NOTIFICATION_SECRETS
+}, async (request) => {
+    await requireCapability(request, CAPABILITIES.SETTINGS_MANAGE);
+    const entryId = request.data && request.data.entryId;
+
+    if (!entryId || typeof entryId !== 'string') {
+        throw new HttpsError('invalid-argument', 'entryId is required');
+    }
+
+    try {
+        const doc = await admin.firestore().collection(notifications.OUTBOX_COLLECTION).doc(entryId).get();
+        if (!doc.exists) {
+            throw new HttpsError('not-found', 'Notification not found');
+        }
+        if (notifications.ACTIVE_STATUSES.includes(doc.data().status)) {
+            throw new HttpsError('failed-precondition', 'Notification is still being delivered');
+        }
+
+        const status = await notificationService.resend(entryId);
+        console.log(`📬 Notification ${entryId} resent: ${status}`);
+        return { success: true, status };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error resending notification:', error.message);
+        throw new HttpsError('internal', 'Failed to resend notification: ' + error.message);
+    }
+});
+
 /**
  * LINE Webhook Endpoint
  * Receives webhook events from LINE Messaging API
@@ -133,6 +360,8 @@ exports.lineWebhook = onRequest(async (req, res) => {
 exports.sendSessionAnnouncement = onCall({
     secrets: [lineToken, lineGroupId]
 }, async (request) => {
+    await requireCapability(request, CAPABILITIES.SESSION_PUBLISH);
+
     try {
         // Get environment variables
         const accessToken = lineToken.value();
@@ -220,89 +449,72 @@ exports.sendSessionAnnouncement = onCall({
 });
 
 /**
- * Send cancellation notification to Line group
- * Smart logic: only mention available spot if no waiting list
+ * Session numbers for a staff-triggered session notification - read here, not taken from the app
+ * @param {string} sessionId - sessions document ID
+ * @returns {Promise<{sessionInfo: Object, registeredUserIds: string[]}>}
+ *   sessionInfo: the data onPlayerDeleted sends with 'cancellation' / 'slot-available'
  */
-exports.sendCancellationNotification = onCall({
-    secrets: [lineToken, lineGroupId]
-}, async (request) => {
-    try {
-        // Get environment variables
-        const accessToken = lineToken.value();
-        const groupId = lineGroupId.value();
-
-        if (!accessToken) {
-            throw new HttpsError('failed-precondition', 'Line Access Token not configured');
-        }
-
-        if (!groupId) {
-            throw new HttpsError('failed-precondition', 'Line Group ID not configured');
-        }
+async function loadSessionNotificationInfo(sessionId) {
+    if (!sessionId || typeof sessionId !== 'string') {
+        throw new HttpsError('invalid-argument', 'sessionId is required');
+    }
 
-        // Extract data from request
-        const {
-            playerName,
-            currentPlayers,
-            maxPlayers,
-            hasWaitingList,
-            sessionDate,
-            sessionDay,
-            sessionTime,
-            appUrl
-        } = request.data;
+    const sessionRef = admin.firestore().collection('sessions').doc(sessionId);
+    const [sessionDoc, playersSnapshot] = await Promise.all([
+        sessionRef.get(),
+        sessionRef.collection('players').get()
+    ]);
+    if (!sessionDoc.exists) {
+        throw new HttpsError('not-found', 'Session not found');
+    }
 
-        // Build notification message
-        const message = buildCancellationMessage(
-            playerName,
-            currentPlayers,
-            maxPlayers,
-            hasWaitingList,
-            sessionDate,
-            sessionDay,
-            sessionTime,
-            appUrl
-        );
+    const sessionData = sessionDoc.data();
+    return {
+        sessionInfo: {
+            sessionId: sessionId,
+            date: sessionData.date || sessionId,
+            day: sessionData.day || 'Unknown',
+            time: sessionData.time || 'Unknown',
+            currentPlayers: playersSnapshot.size,
+            maxPlayers: sessionData.maxPlayers || 12
+        },
+        registeredUserIds: playersSnapshot.docs.map(doc => doc.data().userId).filter(Boolean)
+    };
+}
 
-        console.log('📤 Sending cancellation notification for:', playerName);
+/**
+ * Announce a cancellation (players.manage) through the dispatcher - same events as
+ * onPlayerDeleted: 'cancellation' to staff and the club channels, and 'slot-available'
+ * to players who are not registered when nobody is waiting
+ * @param {string} request.data.sessionId - Session the player cancelled
+ * @param {string} request.data.playerName - Who cancelled
+ * @returns {{success: boolean, queued: number}}
+ */
+exports.sendCancellationNotification = onCall({}, async (request) => {
+    await requireCapability(request, CAPABILITIES.PLAYERS_MANAGE);
+    const { sessionId, playerName } = request.data || {};
 
-        // Send message to Line group
-        const response = await axios.post(
-            LINE_API_URL,
-            {
-                to: groupId,
-                messages: [
-                    {
-                        type: 'text',
-                        text: message
-                    }
-                ]
-            },
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${accessToken}`
-                }
-            }
-        );
+    if (!playerName) {
+        throw new HttpsError('invalid-argument', 'playerName is required');
+    }
 
-        console.log('✅ Cancellation notification sent successfully:', response.data);
+    try {
+        const { sessionInfo, registeredUserIds } = await loadSessionNotificationInfo(sessionId);
+        const hasWaitingList = sessionInfo.currentPlayers >= sessionInfo.maxPlayers;
 
-        return {
-            success: true,
-            message: 'Notification sent to Line group'
-        };
+        console.log('📤 Sending cancellation notification for:', playerName);
+        const results = await notify('cancellation', { ...sessionInfo, playerName, hasWaitingList });
+        if (!hasWaitingList) {
+            results.push(...await notify('slot-available', sessionInfo, { excludeUserIds: registeredUserIds }));
+        }
 
+        return { success: true, queued: results.filter(r => r.status === 'queued').length };
     } catch (error) {
-        console.error('❌ Error sending cancellation notification:', error.message);
-
-        if (error.response) {
-            console.error('Line API error:', error.response.data);
+        if (error instanceof HttpsError) {
+            throw error;
         }
-
-        throw new HttpsError(
-            'internal',
-            'Failed to send cancellation notification: ' + error.message
-        );
+        console.error('❌ Error sending cancellation notification:', error.message);
+        throw new HttpsError('internal', 'Failed to send cancellation notification: ' + error.message);
     }
 });
 
@@ -376,47 +588,46 @@ ${appUrl}`;
 }
 
 /**
- * Build formatted cancellation message
- * Smart logic: only mention available spot if no waiting list
+ * Remind players who are not registered about open spots (session.publish) - 'slot-available'
+ * @param {string} request.data.sessionId - Session with open spots
+ * @returns {{success: boolean, availableSpots: number, queued: number}}
  */
-function buildCancellationMessage(
-    playerName,
-    currentPlayers,
-    maxPlayers,
-    hasWaitingList,
-    sessionDate,
-    sessionDay,
-    sessionTime,
-    appUrl
-) {
-    let message = `⚠️ ${playerName} cancelled registration
-${playerName} ยกเลิกการลงทะเบียน
+exports.sendNudgeNotification = onCall({}, async (request) => {
+    await requireCapability(request, CAPABILITIES.SESSION_PUBLISH);
 
-👥 Now ${currentPlayers}/${maxPlayers} players
-ตอนนี้ ${currentPlayers}/${maxPlayers} คน
-
-📅 ${sessionDay}
-🕐 ${sessionTime}`;
+    try {
+        const { sessionInfo, registeredUserIds } = await loadSessionNotificationInfo(request.data && request.data.sessionId);
+        const availableSpots = sessionInfo.maxPlayers - sessionInfo.currentPlayers;
+        if (availableSpots <= 0) {
+            throw new HttpsError('failed-precondition', 'Session is full', { reason: 'session-full' });
+        }
 
-    // Only mention available spot if there's NO waiting list
-    if (!hasWaitingList) {
-        message = `🏸 SLOT AVAILABLE! / มีที่ว่าง!\n\n` + message;
-        message += `
+        console.log(`📢 Sending nudge for ${availableSpots} open spot(s)`);
+        const results = await notify('slot-available', sessionInfo, { excludeUserIds: registeredUserIds });
 
-👉 Sign up here / ลงทะเบียนที่นี่:
-${appUrl}`;
+        return {
+            success: true,
+            availableSpots,
+            queued: results.filter(r => r.status === 'queued').length
+        };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error sending nudge notification:', error.message);
+        throw new HttpsError('internal', 'Failed to send nudge notification: ' + error.message);
     }
-
-    return message;
-}
+});
 
 /**
- * Send nudge notification to Line group
- * Remind players to register when there are available spots
+ * Generic Line message sender
+ * Send any text message to Line group
  */
-exports.sendNudgeNotification = onCall({
+exports.sendLineMessage = onCall({
     secrets: [lineToken, lineGroupId]
 }, async (request) => {
+    await requireCapability(request, CAPABILITIES.SESSION_PUBLISH);
+
     try {
         // Get environment variables
         const accessToken = lineToken.value();
@@ -430,31 +641,14 @@ exports.sendNudgeNotification = onCall({
             throw new HttpsError('failed-precondition', 'Line Group ID not configured');
         }
 
-        // Extract data from request
-        const {
-            sessionDay,
-            sessionDate,
-            sessionTime,
-            currentPlayers,
-            maxPlayers,
-            availableSpots,
-            paymentAmount,
-            appUrl
-        } = request.data;
+        // Extract message from request
+        const { message } = request.data;
 
-        // Build nudge message
-        const message = buildNudgeMessage(
-            sessionDay,
-            sessionDate,
-            sessionTime,
-            currentPlayers,
-            maxPlayers,
-            availableSpots,
-            paymentAmount,
-            appUrl
-        );
+        if (!message) {
+            throw new HttpsError('invalid-argument', 'Message is required');
+        }
 
-        console.log('📢 Sending nudge notification to Line');
+        console.log('📤 Sending generic message to Line');
 
         // Send message to Line group
         const response = await axios.post(
@@ -476,15 +670,15 @@ exports.sendNudgeNotification = onCall({
             }
         );
 
-        console.log('✅ Nudge notification sent successfully:', response.data);
+        console.log('✅ Message sent successfully:', response.data);
 
         return {
             success: true,
-            message: 'Nudge notification sent to Line group'
+            message: 'Message sent to Line group'
         };
 
     } catch (error) {
-        console.error('❌ Error sending nudge notification:', error.message);
+        console.error('❌ Error sending Line message:', error.message);
 
         if (error.response) {
             console.error('Line API error:', error.response.data);
@@ -492,54 +686,53 @@ exports.sendNudgeNotification = onCall({
 
         throw new HttpsError(
             'internal',
-            'Failed to send nudge notification: ' + error.message
+            'Failed to send Line message: ' + error.message
         );
     }
 });
 
 /**
- * Build formatted nudge message
+ * Tell the admins a user needs a new one-time code (users.manage) - 'password-reset'
+ * Players ask through requestPasswordReset, which sends the same event
+ * @param {string} request.data.userName - User who needs the code
+ * @returns {{success: boolean, queued: number}}
  */
-function buildNudgeMessage(
-    sessionDay,
-    sessionDate,
-    sessionTime,
-    currentPlayers,
-    maxPlayers,
-    availableSpots,
-    paymentAmount,
-    appUrl
-) {
-    let message = `📢 REMINDER / เตือนความจำ
-
-🏸 We have ${availableSpots} available spot${availableSpots > 1 ? 's' : ''} for ${sessionDay}!
-เรามี ${availableSpots} ที่ว่างสำหรับ${sessionDay}!
-
-📅 ${sessionDay}
-🕐 ${sessionTime}
-💰 ${paymentAmount} THB
-
-👥 Currently: ${currentPlayers}/${maxPlayers} players
-ปัจจุบัน: ${currentPlayers}/${maxPlayers} คน
+exports.sendPasswordResetNotification = onCall({}, async (request) => {
+    await requireCapability(request, CAPABILITIES.USERS_MANAGE);
+    const { userName } = request.data || {};
 
-👉 Sign up here / ลงทะเบียนที่นี่:
-${appUrl}`;
+    if (!userName) {
+        throw new HttpsError('invalid-argument', 'userName is required');
+    }
 
-    return message;
-}
+    try {
+        console.log(`🔐 Sending password reset notification for: ${userName}`);
+        const results = await notify('password-reset', { userName });
+        return { success: true, queued: results.filter(r => r.status === 'queued').length };
+    } catch (error) {
+        console.error('❌ Error sending password reset notification:', error.message);
+        throw new HttpsError('internal', 'Failed to send password reset notification: ' + error.message);
+    }
+});
 
 /**
- * Generic Line message sender
- * Send any text message to Line group
+ * Test Line configuration - Send test message and log Group ID
+ * Use this to verify Line is working and see which group is configured
  */
-exports.sendLineMessage = onCall({
+exports.testLineConfig = onCall({
     secrets: [lineToken, lineGroupId]
 }, async (request) => {
+    await requireCapability(request, CAPABILITIES.SETTINGS_MANAGE);
+
     try {
         // Get environment variables
         const accessToken = lineToken.value();
         const groupId = lineGroupId.value();
 
+        console.log('🧪 Testing Line configuration...');
+        console.log('📋 Group ID:', groupId);
+        console.log('🔑 Token exists:', !!accessToken);
+
         if (!accessToken) {
             throw new HttpsError('failed-precondition', 'Line Access Token not configured');
         }
@@ -548,158 +741,8 @@ exports.sendLineMessage = onCall({
             throw new HttpsError('failed-precondition', 'Line Group ID not configured');
         }
 
-        // Extract message from request
-        const { message } = request.data;
-
-        if (!message) {
-            throw new HttpsError('invalid-argument', 'Message is required');
-        }
-
-        console.log('📤 Sending generic message to Line');
-
-        // Send message to Line group
-        const response = await axios.post(
-            LINE_API_URL,
-            {
-                to: groupId,
-                messages: [
-                    {
-                        type: 'text',
-                        text: message
-                    }
-                ]
-            },
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${accessToken}`
-                }
-            }
-        );
-
-        console.log('✅ Message sent successfully:', response.data);
-
-        return {
-            success: true,
-            message: 'Message sent to Line group'
-        };
-
-    } catch (error) {
-        console.error('❌ Error sending Line message:', error.message);
-
-        if (error.response) {
-            console.error('Line API error:', error.response.data);
-        }
-
-        throw new HttpsError(
-            'internal',
-            'Failed to send Line message: ' + error.message
-        );
-    }
-});
-
-/**
- * Send password reset notification to Line group
- * Notifies admins when a user resets their password
- */
-exports.sendPasswordResetNotification = onCall({
-    secrets: [lineToken, lineGroupId]
-}, async (request) => {
-    try {
-        // Get environment variables
-        const accessToken = lineToken.value();
-        const groupId = lineGroupId.value();
-
-        if (!accessToken) {
-            throw new HttpsError('failed-precondition', 'Line Access Token not configured');
-        }
-
-        if (!groupId) {
-            throw new HttpsError('failed-precondition', 'Line Group ID not configured');
-        }
-
-        // Extract data from request
-        const { userName, timestamp } = request.data;
-
-        if (!userName || !timestamp) {
-            throw new HttpsError('invalid-argument', 'userName and timestamp are required');
-        }
-
-        console.log(`🔐 Sending password reset notification for: ${userName}`);
-
-        // Build notification message
-        const message = `🔐 PASSWORD RESET / รีเซ็ตรหัสผ่าน
-
-User / ผู้ใช้: ${userName}
-Time / เวลา: ${timestamp}`;
-
-        // Send message to Line group
-        const response = await axios.post(
-            LINE_API_URL,
-            {
-                to: groupId,
-                messages: [
-                    {
-                        type: 'text',
-                        text: message
-                    }
-                ]
-            },
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${accessToken}`
-                }
-            }
-        );
-
-        console.log('✅ Password reset notification sent successfully:', response.data);
-
-        return {
-            success: true,
-            message: 'Password reset notification sent to Line group'
-        };
-
-    } catch (error) {
-        console.error('❌ Error sending password reset notification:', error.message);
-
-        if (error.response) {
-            console.error('Line API error:', error.response.data);
-        }
-
-        throw new HttpsError(
-            'internal',
-            'Failed to send password reset notification: ' + error.message
-        );
-    }
-});
-
-/**
- * Test Line configuration - Send test message and log Group ID
- * Use this to verify Line is working and see which group is configured
- */
-exports.testLineConfig = onCall({
-    secrets: [lineToken, lineGroupId]
-}, async (request) => {
-    try {
-        // Get environment variables
-        const accessToken = lineToken.value();
-        const groupId = lineGroupId.value();
-
-        console.log('🧪 Testing Line configuration...');
-        console.log('📋 Group ID:', groupId);
-        console.log('🔑 Token exists:', !!accessToken);
-
-        if (!accessToken) {
-            throw new HttpsError('failed-precondition', 'Line Access Token not configured');
-        }
-
-        if (!groupId) {
-            throw new HttpsError('failed-precondition', 'Line Group ID not configured');
-        }
-
-        // Build test message
-        const message = `🧪 LINE TEST PRODUKSJON / ทดสอบ LINE โปรดักชัน
+        // Build test message
+        const message = `🧪 LINE TEST PRODUKSJON / ทดสอบ LINE โปรดักชัน
 
 This is a test message from your Badminton app.
 นี่คือข้อความทดสอบจากแอปแบดมินตัน
@@ -767,6 +810,8 @@ You can ignore this message.
 exports.sendWeeklyReport = onCall({
     secrets: [lineToken, lineGroupId]
 }, async (request) => {
+    await requireCapability(request, CAPABILITIES.REPORTS_VIEW);
+
     try {
         // Get environment variables
         const accessToken = lineToken.value();
@@ -915,12 +960,11 @@ function buildWeeklyReportMessage(
 
 /**
  * FIRESTORE TRIGGER: Automatic cancellation notification
- * Sends FCM push notification to admins when a player cancels
- * Also attempts Line notification (may fail on free plan)
+ * Recalculates positions, then notifies staff ('cancellation') and, when a spot
+ * opened up, players who are not registered ('slot-available')
  */
 exports.onPlayerDeleted = onDocumentDeleted({
-    document: 'sessions/{sessionId}/players/{playerId}',
-    secrets: [lineToken, lineGroupId, emailUser, emailPass, emailTo, telegramBotToken, telegramChatId]
+    document: 'sessions/{sessionId}/players/{playerId}'
 }, async (event) => {
     try {
         const deletedData = event.data.data();
@@ -935,8 +979,11 @@ exports.onPlayerDeleted = onDocumentDeleted({
         const playerName = deletedData.name;
         console.log(`🗑️ Player deleted: ${playerName} from session ${sessionId}`);
 
-        // Skip notification for guests (they have guestOf field)
-        if (deletedData.guestOf) {
+        // Move the waiting list up - players may only delete their own registration (firestore.rules)
+        await recalculateSessionPositions(admin.firestore().collection('sessions').doc(sessionId));
+
+        // Skip notification for guests
+        if (isGuestPlayer(deletedData)) {
             console.log(`👤 Skipping notification for guest: ${playerName}`);
             return null;
         }
@@ -970,153 +1017,37 @@ exports.onPlayerDeleted = onDocumentDeleted({
         const currentPlayers = playersSnapshot.size;
         const maxPlayers = sessionData.maxPlayers || 12;
 
+        // Still on the list: the waiting list entry was replaced by a transferred spot
+        if (deletedData.userId && playersSnapshot.docs.some(doc =>
+            doc.data().userId === deletedData.userId && !isGuestPlayer(doc.data()))) {
+            console.log(`🔁 ${playerName} took over a spot, skipping cancellation notification`);
+            return null;
+        }
+
         // Check if there's a waiting list
         const hasWaitingList = currentPlayers >= maxPlayers;
 
-        // Build notification message
-        const title = hasWaitingList
-            ? `${playerName} cancelled`
-            : `🏸 SLOT AVAILABLE!`;
-        const body = hasWaitingList
-            ? `Now ${currentPlayers}/${maxPlayers} players`
-            : `${playerName} cancelled. Now ${currentPlayers}/${maxPlayers} players`;
+        const sessionInfo = {
+            sessionId: sessionId,
+            date: sessionData.date || sessionId,
+            day: sessionData.day || 'Unknown',
+            time: sessionData.time || 'Unknown',
+            currentPlayers: currentPlayers,
+            maxPlayers: maxPlayers
+        };
 
-        // ==========================================
-        // SEND FCM PUSH NOTIFICATIONS TO ADMINS
-        // ==========================================
-        try {
-            // Get all admin users with FCM tokens
-            const adminsSnapshot = await db.collection('authorizedUsers')
-                .where('role', '==', 'admin')
-                .get();
+        // event.id is the same when the trigger is retried - no double notifications
+        await notify('cancellation', { ...sessionInfo, playerName, hasWaitingList }, { dedupeKey: event.id });
 
-            const tokens = [];
-            adminsSnapshot.forEach(doc => {
-                const data = doc.data();
-                if (data.fcmToken) {
-                    tokens.push(data.fcmToken);
-                }
+        // Nobody waiting - tell the players who are not registered yet
+        if (!hasWaitingList) {
+            const registeredUserIds = playersSnapshot.docs.map(doc => doc.data().userId).filter(Boolean);
+            await notify('slot-available', sessionInfo, {
+                excludeUserIds: registeredUserIds,
+                dedupeKey: event.id
             });
-
-            if (tokens.length > 0) {
-                console.log(`📱 Sending FCM to ${tokens.length} admin(s)`);
-
-                // Send to all admin tokens
-                const fcmMessage = {
-                    notification: {
-                        title: title,
-                        body: body
-                    },
-                    data: {
-                        playerName: playerName,
-                        sessionId: sessionId,
-                        currentPlayers: String(currentPlayers),
-                        maxPlayers: String(maxPlayers),
-                        click_action: 'https://lapstuen.github.io/badminton-signup/'
-                    },
-                    tokens: tokens
-                };
-
-                const fcmResponse = await admin.messaging().sendEachForMulticast(fcmMessage);
-                console.log(`✅ FCM sent: ${fcmResponse.successCount} success, ${fcmResponse.failureCount} failed`);
-
-                // Log any failures
-                if (fcmResponse.failureCount > 0) {
-                    fcmResponse.responses.forEach((resp, idx) => {
-                        if (!resp.success) {
-                            console.log(`❌ FCM failed for token ${idx}:`, resp.error?.message);
-                        }
-                    });
-                }
-            } else {
-                console.log('📱 No admin FCM tokens found');
-            }
-        } catch (fcmError) {
-            console.error('❌ FCM error:', fcmError.message);
-        }
-
-        // ==========================================
-        // SEND EMAIL NOTIFICATION
-        // ==========================================
-        try {
-            const emailSubject = hasWaitingList
-                ? `🏸 ${playerName} avmeldt`
-                : `🏸 LEDIG PLASS! ${playerName} avmeldt`;
-            const emailBody = `${playerName} har meldt seg av badminton.
-
-Spillere nå: ${currentPlayers}/${maxPlayers}
-${hasWaitingList ? '(Venteliste vil rykke opp)' : 'Det er ledig plass!'}
-
-Dato: ${sessionData.date || sessionId}
-Dag: ${sessionData.day || 'Unknown'}
-Tid: ${sessionData.time || 'Unknown'}
-
-Se: https://lapstuen.github.io/badminton-signup/`;
-
-            await sendEmailNotification(emailSubject, emailBody);
-        } catch (emailError) {
-            console.error('📧 Email error:', emailError.message);
-        }
-
-        // ==========================================
-        // SEND TELEGRAM NOTIFICATION
-        // ==========================================
-        try {
-            const telegramMessage = hasWaitingList
-                ? `🏸 <b>${playerName}</b> avmeldt\n\nSpillere: ${currentPlayers}/${maxPlayers}\n(Venteliste rykker opp)`
-                : `🏸 <b>LEDIG PLASS!</b>\n\n${playerName} avmeldt\nSpillere: ${currentPlayers}/${maxPlayers}`;
-
-            await sendTelegramNotification(telegramMessage);
-        } catch (telegramError) {
-            console.error('📱 Telegram error:', telegramError.message);
         }
 
-        // ==========================================
-        // ALSO TRY LINE (may fail on free plan)
-        // DISABLED: Line notifications stopped working reliably (quota issues)
-        // ==========================================
-        /*
-        try {
-            const accessToken = lineToken.value();
-            const groupId = lineGroupId.value();
-
-            if (accessToken && groupId) {
-                const lineMessage = buildCancellationMessage(
-                    playerName,
-                    currentPlayers,
-                    maxPlayers,
-                    hasWaitingList,
-                    sessionData.date || sessionId,
-                    sessionData.day || 'Unknown',
-                    sessionData.time || 'Unknown',
-                    'https://lapstuen.github.io/badminton-signup/'
-                );
-
-                console.log('📤 Attempting Line notification...');
-
-                const response = await axios.post(
-                    LINE_API_URL,
-                    {
-                        to: groupId,
-                        messages: [{ type: 'text', text: lineMessage }]
-                    },
-                    {
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${accessToken}`
-                        }
-                    }
-                );
-
-                console.log('✅ Line notification sent:', response.data);
-            }
-        } catch (lineError) {
-            // Line may fail on free plan - this is expected
-            console.log('⚠️ Line notification failed (expected on free plan):', lineError.message);
-        }
-        */
-        console.log('📤 Line notifications disabled (onPlayerDeleted trigger)');
-
         return { success: true, playerName: playerName };
 
     } catch (error) {
@@ -1126,45 +1057,31 @@ Se: https://lapstuen.github.io/badminton-signup/`;
 });
 
 /**
- * Callable function to send test FCM notification
- * For testing push notifications are working
+ * Callable function to send a test notification (settings.manage)
+ * Goes through the outbox like every other notification ('test', push by default),
+ * to all devices the caller registered
+ * @returns {{success: boolean, queued: number}}
  */
 exports.testFCMNotification = onCall({}, async (request) => {
-    try {
-        const { fcmToken } = request.data;
-
-        if (!fcmToken) {
-            throw new HttpsError('invalid-argument', 'FCM token is required');
-        }
-
-        console.log('🧪 Sending test FCM notification');
+    const caller = await requireCapability(request, CAPABILITIES.SETTINGS_MANAGE);
 
-        const message = {
-            notification: {
-                title: '🧪 Test Notification',
-                body: 'FCM is working! Du vil motta varsler når noen melder seg av.'
-            },
-            token: fcmToken
-        };
-
-        const response = await admin.messaging().send(message);
-        console.log('✅ Test FCM sent:', response);
-
-        return { success: true, messageId: response };
+    try {
+        console.log('🧪 Sending test notification to', caller.name);
+        const results = await notify('test', { name: caller.name }, { userId: caller.uid });
+        return { success: true, queued: results.filter(r => r.status === 'queued').length };
     } catch (error) {
-        console.error('❌ Test FCM error:', error.message);
+        console.error('❌ Test notification error:', error.message);
         throw new HttpsError('internal', 'Failed to send test notification: ' + error.message);
     }
 });
 
 /**
  * FIRESTORE TRIGGER: New player registration notification
- * Sends FCM push notification to admins when a new player registers
+ * Notifies staff ('registration') when a new player registers
  * Only notifies for players registering AFTER session is published
  */
 exports.onPlayerCreated = onDocumentCreated({
-    document: 'sessions/{sessionId}/players/{playerId}',
-    secrets: [emailUser, emailPass, emailTo, telegramBotToken, telegramChatId]
+    document: 'sessions/{sessionId}/players/{playerId}'
 }, async (event) => {
     try {
         const newData = event.data.data();
@@ -1179,12 +1096,18 @@ exports.onPlayerCreated = onDocumentCreated({
         const position = newData.position || 0;
         console.log(`➕ New player registered: ${playerName} (position ${position}) in session ${sessionId}`);
 
-        // Skip notification for guests (they have guestOf field)
-        if (newData.guestOf) {
+        // Skip notification for guests
+        if (isGuestPlayer(newData)) {
             console.log(`👤 Skipping notification for guest: ${playerName}`);
             return null;
         }
 
+        // Lottery draws add everyone at once - players hear through 'lottery-result'
+        if (newData.lottery) {
+            console.log(`🎲 Skipping notification for lottery draw: ${playerName}`);
+            return null;
+        }
+
         // Get session data
         const db = admin.firestore();
         const sessionDoc = await db.collection('sessions').doc(sessionId).get();
@@ -1211,87 +1134,4711 @@ exports.onPlayerCreated = onDocumentCreated({
         const maxPlayers = sessionData.maxPlayers || 12;
         const isWaitingList = position > maxPlayers;
 
-        // Build notification message
-        const title = isWaitingList
-            ? `📋 ${playerName} på venteliste`
-            : `✅ ${playerName} påmeldt!`;
-        const body = isWaitingList
-            ? `Posisjon ${position} (venteliste)`
-            : `Posisjon ${position}/${maxPlayers}`;
-
-        // Send FCM to admins
-        try {
-            const adminsSnapshot = await db.collection('authorizedUsers')
-                .where('role', '==', 'admin')
-                .get();
-
-            const tokens = [];
-            adminsSnapshot.forEach(doc => {
-                const data = doc.data();
-                if (data.fcmToken) {
-                    tokens.push(data.fcmToken);
-                }
-            });
+        await notify('registration', { sessionId, playerName, position, maxPlayers, isWaitingList }, {
+            dedupeKey: event.id
+        });
 
-            if (tokens.length > 0) {
-                console.log(`📱 Sending FCM to ${tokens.length} admin(s)`);
+        return { success: true, playerName: playerName };
 
-                const fcmMessage = {
-                    notification: {
-                        title: title,
-                        body: body
-                    },
-                    data: {
-                        playerName: playerName,
-                        sessionId: sessionId,
-                        position: String(position),
-                        type: 'registration'
-                    },
-                    tokens: tokens
-                };
+    } catch (error) {
+        console.error('❌ Error in onPlayerCreated trigger:', error.message);
+        return null;
+    }
+});
 
-                const fcmResponse = await admin.messaging().sendEachForMulticast(fcmMessage);
-                console.log(`✅ FCM sent: ${fcmResponse.successCount} success`);
-            }
-        } catch (fcmError) {
-            console.error('❌ FCM error:', fcmError.message);
-        }
+// ============================================
+// WAITING LIST PROMOTION
+// ============================================
+// config/waitingList: { confirmationMinutes } - 0/missing = promotions stand without confirmation.
+// Otherwise a promoted player gets pendingConfirmation + confirmBy; an unconfirmed spot is
+// released (removed + refunded) and the next player on the waiting list moves up.
+// ============================================
 
-        // ==========================================
-        // SEND EMAIL NOTIFICATION
-        // ==========================================
-        try {
-            const emailSubject = isWaitingList
-                ? `📋 ${playerName} på venteliste (${position})`
-                : `✅ ${playerName} påmeldt! (${position}/${maxPlayers})`;
-            const emailBody = `${playerName} har meldt seg på badminton!
+/**
+ * Minutes a promoted player has to confirm (0 = no confirmation needed)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<number>}
+ */
+async function getPromotionConfirmationMinutes(db) {
+    const configDoc = await db.collection('config').doc('waitingList').get();
+    const minutes = configDoc.exists ? Number(configDoc.data().confirmationMinutes) : 0;
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+}
 
-Posisjon: ${position}${isWaitingList ? ' (venteliste)' : `/${maxPlayers}`}
+/**
+ * FIRESTORE TRIGGER: Waiting list promotion
+ * Positions are renumbered after a cancellation (onPlayerDeleted, admin panel) -
+ * a player who moves from the waiting list into the session is told ('waitlist-promoted')
+ * and, when the club requires it, has until confirmBy to confirm the spot
+ */
+exports.onPlayerPromoted = onDocumentUpdated({
+    document: 'sessions/{sessionId}/players/{playerId}'
+}, async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
 
-Se alle påmeldte: https://lapstuen.github.io/badminton-signup/`;
+    // Only players moving up (checked before reading the session)
+    if (!before || !after || !after.userId || !(after.position < before.position)) {
+        return null;
+    }
 
-            await sendEmailNotification(emailSubject, emailBody);
-        } catch (emailError) {
-            console.error('📧 Email error:', emailError.message);
+    try {
+        const sessionId = event.params.sessionId;
+        const sessionDoc = await admin.firestore().collection('sessions').doc(sessionId).get();
+        if (!sessionDoc.exists) {
+            return null;
         }
 
-        // ==========================================
-        // SEND TELEGRAM NOTIFICATION
-        // ==========================================
-        try {
-            const telegramMessage = isWaitingList
-                ? `📋 <b>${playerName}</b> på venteliste (${position})`
-                : `✅ <b>${playerName}</b> påmeldt! (${position}/${maxPlayers})`;
+        const sessionData = sessionDoc.data();
+        const maxPlayers = sessionData.maxPlayers || 12;
 
-            await sendTelegramNotification(telegramMessage);
-        } catch (telegramError) {
-            console.error('📱 Telegram error:', telegramError.message);
+        if (before.position <= maxPlayers || after.position > maxPlayers) {
+            return null;
+        }
+        if (!sessionData.published || sessionData.closed) {
+            return null;
         }
 
-        return { success: true, playerName: playerName };
+        console.log(`🎉 ${after.name} promoted from the waiting list in ${sessionId}`);
+
+        // Confirmation window ends at the latest when the session starts
+        let confirmBy = null;
+        const confirmationMinutes = await getPromotionConfirmationMinutes(admin.firestore());
+        const start = getSessionStart(sessionData);
+        if (confirmationMinutes > 0 && start && start.getTime() > Date.now()) {
+            confirmBy = new Date(Math.min(Date.now() + confirmationMinutes * 60 * 1000, start.getTime()));
+            await event.data.after.ref.update({
+                pendingConfirmation: true,
+                confirmBy: admin.firestore.Timestamp.fromDate(confirmBy)
+            });
+        }
 
+        // Guests carry the host's userId - the host is told
+        await notify('waitlist-promoted', {
+            sessionId: sessionId,
+            playerName: after.name,
+            position: after.position,
+            maxPlayers: maxPlayers,
+            date: sessionData.date,
+            day: sessionData.day,
+            time: sessionData.time,
+            confirmBy: confirmBy
+                ? confirmBy.toLocaleString('en-GB', {
+                    timeZone: CLUB_TIME_ZONE, hour: '2-digit', minute: '2-digit', day: '2-digit', month: '2-digit'
+                })
+                : null
+        }, { userId: after.userId, dedupeKey: event.id });
+
+        return { success: true, playerName: after.name };
     } catch (error) {
-        console.error('❌ Error in onPlayerCreated trigger:', error.message);
+        console.error('❌ Error in onPlayerPromoted trigger:', error.message);
         return null;
     }
 });
+
+/**
+ * Callable: Confirm a spot after moving up from the waiting list
+ * @param {string} request.data.sessionId - Session ID
+ * @param {string} request.data.playerId - players document ID (own registration or own guest)
+ * @returns {{success: boolean}}
+ */
+exports.confirmPromotion = onCall({}, async (request) => {
+    const { sessionId, playerId } = request.data || {};
+    const uid = requireSignedIn(request);
+
+    if (!sessionId || !playerId) {
+        throw new HttpsError('invalid-argument', 'sessionId and playerId are required');
+    }
+
+    const db = admin.firestore();
+    const playerRef = db.collection('sessions').doc(sessionId).collection('players').doc(playerId);
+
+    try {
+        await db.runTransaction(async (transaction) => {
+            const playerDoc = await transaction.get(playerRef);
+            if (!playerDoc.exists) {
+                throw new HttpsError('not-found', 'Registration not found - the spot may have passed on');
+            }
+
+            const player = playerDoc.data();
+            if (player.userId !== uid) {
+                throw new HttpsError('permission-denied', 'Not your registration');
+            }
+            if (!player.pendingConfirmation) {
+                return; // Confirmed already
+            }
+            if (player.confirmBy.toMillis() < Date.now()) {
+                throw new HttpsError('failed-precondition', 'The confirmation window has closed');
+            }
+
+            transaction.update(playerRef, {
+                pendingConfirmation: false,
+                confirmBy: admin.firestore.FieldValue.delete(),
+                confirmedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+
+        console.log(`✅ Promotion confirmed: ${playerId} in ${sessionId}`);
+        return { success: true };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error confirming promotion:', error.message);
+        throw new HttpsError('internal', 'Failed to confirm spot: ' + error.message);
+    }
+});
+
+/**
+ * Release an unconfirmed spot: remove the player and refund the fee in one transaction
+ * The next player on the waiting list moves up through onPlayerDeleted → onPlayerPromoted
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentReference} playerRef - Player document
+ * @returns {Promise<{name: string, refunded: number}|null>} null when confirmed or not expired
+ */
+async function releaseUnconfirmedSpot(db, playerRef) {
+    const sessionRef = playerRef.parent.parent;
+
+    return db.runTransaction(async (transaction) => {
+        const ledger = createWalletLedger(db, transaction);
+        const [sessionDoc, playerDoc] = await Promise.all([
+            transaction.get(sessionRef),
+            transaction.get(playerRef)
+        ]);
+
+        if (!sessionDoc.exists || !playerDoc.exists) {
+            return null;
+        }
+        const player = playerDoc.data();
+        if (!player.pendingConfirmation || player.confirmBy.toMillis() > Date.now()) {
+            return null;
+        }
+
+        const session = sessionDoc.data();
+        const paymentAmount = getPlayerPrice(player, session.paymentAmount || 0);
+        const refundable = player.paid && player.userId && paymentAmount > 0;
+        const userDoc = refundable ? await ledger.read(player.userId) : null;
+
+        transaction.delete(playerRef);
+
+        if (userDoc && userDoc.exists) {
+            ledger.post({
+                userId: player.userId,
+                type: 'refund',
+                amount: paymentAmount,
+                description: `Auto-refund - Spot not confirmed ${session.date}`,
+                sessionId: sessionRef.id,
+                sessionDate: session.date,
+                createdBy: 'system'
+            });
+            return { name: player.name, refunded: paymentAmount };
+        }
+        return { name: player.name, refunded: 0 };
+    });
+}
+
+/**
+ * SCHEDULED: Release spots that were not confirmed in time
+ */
+exports.expireUnconfirmedPromotions = onSchedule({
+    schedule: 'every 5 minutes',
+    timeZone: CLUB_TIME_ZONE
+}, async () => {
+    const db = admin.firestore();
+
+    try {
+        const openSessionDocs = await getOpenSessionDocs(db);
+
+        for (const sessionDoc of openSessionDocs) {
+            const pendingSnapshot = await sessionDoc.ref.collection('players')
+                .where('pendingConfirmation', '==', true)
+                .get();
+
+            for (const playerDoc of pendingSnapshot.docs) {
+                try {
+                    const result = await releaseUnconfirmedSpot(db, playerDoc.ref);
+                    if (result) {
+                        console.log(`⌛ ${result.name} did not confirm in ${sessionDoc.id} - ` +
+                            `spot released, ${result.refunded} THB refunded`);
+                    }
+                } catch (error) {
+                    console.error(`❌ Error releasing spot ${playerDoc.id}:`, error.message);
+                }
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error in expireUnconfirmedPromotions:', error.message);
+    }
+});
+
+// ============================================
+// NOTIFICATION PREFERENCES
+// ============================================
+// notificationPreferences/{userId} or notificationPreferences/club:
+//   { events: { <event>: [channels] }, email, telegramChatId, updatedAt }
+// Only read/written through these callables (firestore.rules denies direct access)
+// ============================================
+
+/**
+ * Resolve which preferences document a callable may touch
+ * @param {Object} request - Callable request
+ * @param {string} [target] - 'club' for the club channels, otherwise the caller
+ * @returns {Promise<{id: string, isClub: boolean}>}
+ */
+async function resolvePreferencesTarget(request, target) {
+    if (target === notifications.CLUB_RECIPIENT_ID) {
+        await requireCapability(request, CAPABILITIES.SETTINGS_MANAGE);
+        return { id: notifications.CLUB_RECIPIENT_ID, isClub: true };
+    }
+    return { id: requireSignedIn(request), isClub: false };
+}
+
+/**
+ * Callable: Notification preferences of the signed-in user (or the club)
+ * @param {string} [request.data.target] - 'club' (settings.manage)
+ * @returns {{preferences: Object, events: string[], channels: string[]}}
+ */
+exports.getNotificationPreferences = onCall({}, async (request) => {
+    const target = await resolvePreferencesTarget(request, request.data && request.data.target);
+
+    try {
+        const doc = await admin.firestore().collection('notificationPreferences').doc(target.id).get();
+        return {
+            preferences: notifications.normalizePreferences(doc.exists ? doc.data() : undefined, target.isClub),
+            events: notifications.EVENTS,
+            channels: target.isClub ? notifications.CLUB_CHANNELS : notifications.USER_CHANNELS
+        };
+    } catch (error) {
+        console.error('❌ Error loading notification preferences:', error.message);
+        throw new HttpsError('internal', 'Failed to load notification preferences: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Save notification preferences (unknown events/channels are dropped)
+ * @param {string} [request.data.target] - 'club' (settings.manage)
+ * @param {Object<string, string[]>} request.data.events - event → channels
+ * @param {string} [request.data.email] - Address for the email channel (users only)
+ * @param {string} [request.data.telegramChatId] - Chat for the Telegram channel (users only)
+ * @returns {{success: boolean, preferences: Object}}
+ */
+exports.saveNotificationPreferences = onCall({}, async (request) => {
+    const { target: targetName, events, email, telegramChatId } = request.data || {};
+    const target = await resolvePreferencesTarget(request, targetName);
+
+    if (!events || typeof events !== 'object') {
+        throw new HttpsError('invalid-argument', 'events is required');
+    }
+    if (email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+        throw new HttpsError('invalid-argument', 'Invalid email address');
+    }
+
+    // Club addresses come from secrets, users bring their own
+    const preferences = notifications.normalizePreferences({
+        events,
+        email: target.isClub ? '' : String(email || '').trim(),
+        telegramChatId: target.isClub ? '' : String(telegramChatId || '').trim()
+    }, target.isClub);
+
+    try {
+        await admin.firestore().collection('notificationPreferences').doc(target.id).set({
+            ...preferences,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        console.log(`🔔 Notification preferences saved for ${target.id}`);
+        return { success: true, preferences };
+    } catch (error) {
+        console.error('❌ Error saving notification preferences:', error.message);
+        throw new HttpsError('internal', 'Failed to save notification preferences: ' + error.message);
+    }
+});
+
+/**
+ * FIRESTORE TRIGGER: Session published (by admin or publishAndLockSessions)
+ * Tells players that registration is open ('session-published') - with a priority
+ * window the regulars are told first and everyone else when the window ends
+ */
+exports.onSessionPublished = onDocumentUpdated({
+    document: 'sessions/{sessionId}'
+}, async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+
+    // Only the draft → published transition (old sessions without the flag count as published)
+    if (!before || !after || before.published !== false || after.published !== true || after.closed) {
+        return null;
+    }
+
+    try {
+        if (await openPriorityWindow(event.data.after.ref, after)) {
+            return { success: true, priorityWindow: true };
+        }
+
+        console.log(`📢 Session ${event.params.sessionId} published - notifying players`);
+        await notify('session-published', {
+            sessionId: event.params.sessionId,
+            date: after.date,
+            day: after.day,
+            time: after.time,
+            maxPlayers: after.maxPlayers || 12,
+            paymentAmount: after.paymentAmount || 0
+        }, { dedupeKey: event.id });
+        return { success: true };
+    } catch (error) {
+        console.error('❌ Error in onSessionPublished trigger:', error.message);
+        return null;
+    }
+});
+
+// ============================================
+// AUTHENTICATION
+// ============================================
+// Login uses Firebase Auth custom tokens (uid = authorizedUsers document ID).
+// Credentials live in userCredentials/{userId} (never read by the apps):
+//   { passwordHash, salt, temporary, updatedAt }
+// temporary: one-time code set by an admin (short, e.g. "123") - consumed at first login,
+// the device then stays signed in through Auth persistence.
+// authorizedUsers.needsPasswordReset = true when the user has no usable password -
+// they ask for a new code with requestPasswordReset, an admin sets it with setUserPassword.
+// Failed sign-ins are counted per user in signInAttempts/{userId} (Cloud Functions only).
+// Migration: plaintext authorizedUsers.password is moved to userCredentials
+// at first sign-in (or for everyone with migratePasswords).
+// ============================================
+
+const TEMPORARY_PASSWORD_LENGTH = 5; // Shorter passwords are one-time codes (same rule as before)
+const LEGACY_TOKEN_LENGTH = 20; // UUID "authTokens" stored by the old auto-login
+
+// Codes are short, so a user's account is locked for a while after a few wrong passwords
+const MAX_SIGN_IN_FAILURES = 5;
+const SIGN_IN_LOCKOUT_MINUTES = 15;
+
+// A player without a usable password can ask the admins again after this
+const PASSWORD_RESET_REQUEST_COOLDOWN_MINUTES = 60;
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plaintext password
+ * @param {string} [salt] - Hex salt (new random salt if omitted)
+ * @returns {{passwordHash: string, salt: string}}
+ */
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const passwordHash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return { passwordHash, salt };
+}
+
+/**
+ * Compare a password with stored credentials (constant time)
+ * @param {string} password - Plaintext password
+ * @param {Object} credentials - { passwordHash, salt }
+ * @returns {boolean}
+ */
+function verifyPassword(password, credentials) {
+    if (!credentials || !credentials.passwordHash || !credentials.salt) {
+        return false;
+    }
+    const { passwordHash } = hashPassword(password, credentials.salt);
+    return crypto.timingSafeEqual(Buffer.from(passwordHash, 'hex'), Buffer.from(credentials.passwordHash, 'hex'));
+}
+
+/**
+ * Store (hashed) credentials for a user and remove any plaintext password
+ * @param {FirebaseFirestore.WriteBatch|FirebaseFirestore.Transaction} writer - Batch or transaction
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - authorizedUsers document ID
+ * @param {string} password - Plaintext password or code
+ * @returns {Object} Stored credentials
+ */
+function setCredentials(writer, db, userId, password) {
+    const credentials = {
+        ...hashPassword(password),
+        temporary: String(password).length < TEMPORARY_PASSWORD_LENGTH,
+        // Old auto-login UUIDs: valid once to move the device to Auth, then the user needs a reset
+        legacyToken: String(password).length >= LEGACY_TOKEN_LENGTH,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    writer.set(db.collection('userCredentials').doc(userId), credentials);
+    writer.update(db.collection('authorizedUsers').doc(userId), {
+        password: admin.firestore.FieldValue.delete(),
+        needsPasswordReset: credentials.legacyToken,
+        passwordResetRequestedAt: admin.firestore.FieldValue.delete()
+    });
+    return credentials;
+}
+
+/**
+ * Require a signed-in caller (optionally a specific user)
+ * @param {Object} request - Callable request
+ * @param {string} [userId] - Caller must be this user
+ * @returns {string} Caller uid
+ */
+function requireSignedIn(request, userId) {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Please log in');
+    }
+    if (userId && request.auth.uid !== userId) {
+        throw new HttpsError('permission-denied', 'Not your account');
+    }
+    return request.auth.uid;
+}
+
+/**
+ * Require a signed-in caller whose role grants a capability
+ * The role is read from authorizedUsers on every call, so role changes apply immediately
+ * @param {Object} request - Callable request
+ * @param {string} capability - One of CAPABILITIES
+ * @returns {Promise<{uid: string, name: string, role: string}>} Caller
+ */
+async function requireCapability(request, capability) {
+    const uid = requireSignedIn(request);
+    const userDoc = await admin.firestore().collection('authorizedUsers').doc(uid).get();
+    const role = userDoc.exists ? permissions.normalizeRole(userDoc.data().role) : 'user';
+
+    if (!permissions.hasCapability(role, capability)) {
+        console.log(`⛔ ${uid} (${role}) lacks ${capability}`);
+        throw new HttpsError('permission-denied', `Not allowed: ${capability}`, {
+            reason: 'missing-capability',
+            capability
+        });
+    }
+    return { uid, name: userDoc.data().name, role };
+}
+
+/**
+ * Callable: Sign in with name + password (or an old auto-login token) and get a custom token
+ * After MAX_SIGN_IN_FAILURES wrong passwords the user is locked for SIGN_IN_LOCKOUT_MINUTES.
+ * Errors carry details.reason: 'invalid-credentials', 'password-reset-needed' (no usable
+ * password - the app offers requestPasswordReset) or 'too-many-attempts'
+ * @param {string} [request.data.name] - User name (exact match)
+ * @param {string} [request.data.password] - Password or one-time code
+ * @param {string} [request.data.userId] - Old auto-login: authorizedUsers document ID
+ * @param {string} [request.data.legacyToken] - Old auto-login: authToken from localStorage
+ * @returns {{token: string, userId: string, name: string, role: string, capabilities: string[]}}
+ */
+exports.signIn = onCall({}, async (request) => {
+    const { name, password, userId, legacyToken } = request.data || {};
+    const secret = legacyToken || password;
+
+    if (!secret || (!name && !userId)) {
+        throw new HttpsError('invalid-argument', 'Name and password are required');
+    }
+
+    const db = admin.firestore();
+    const invalid = new HttpsError('unauthenticated', 'Invalid name or password', { reason: 'invalid-credentials' });
+
+    try {
+        let userRef;
+        if (userId) {
+            userRef = db.collection('authorizedUsers').doc(userId);
+        } else {
+            const snapshot = await db.collection('authorizedUsers').where('name', '==', name).limit(1).get();
+            if (snapshot.empty) {
+                throw invalid;
+            }
+            userRef = snapshot.docs[0].ref;
+        }
+
+        // Failed attempts must be saved, so the transaction returns the outcome instead of throwing
+        const outcome = await db.runTransaction(async (transaction) => {
+            const credentialsRef = db.collection('userCredentials').doc(userRef.id);
+            const attemptsRef = db.collection('signInAttempts').doc(userRef.id);
+            const [userDoc, credentialsDoc, attemptsDoc] = await Promise.all([
+                transaction.get(userRef),
+                transaction.get(credentialsRef),
+                transaction.get(attemptsRef)
+            ]);
+            if (!userDoc.exists) {
+                return { error: 'invalid' };
+            }
+
+            const now = Date.now();
+            const attempts = attemptsDoc.exists ? attemptsDoc.data() : {};
+            if (attempts.lockedUntil && attempts.lockedUntil.toMillis() > now) {
+                return { error: 'locked', lockedUntil: attempts.lockedUntil.toMillis() };
+            }
+
+            const userData = userDoc.data();
+            let credentials = credentialsDoc.exists ? credentialsDoc.data() : null;
+            const hasPlaintextPassword = !credentials && typeof userData.password === 'string';
+
+            // One-time code already used on another device - no password can work
+            if (!credentials && !hasPlaintextPassword && userData.needsPasswordReset) {
+                return { error: 'reset-needed' };
+            }
+
+            const valid = hasPlaintextPassword
+                ? String(userData.password) === String(secret)
+                : verifyPassword(secret, credentials);
+            if (!valid) {
+                const failures = (attempts.failures || 0) + 1;
+                const locked = failures >= MAX_SIGN_IN_FAILURES;
+                transaction.set(attemptsRef, {
+                    failures: locked ? 0 : failures,
+                    lockedUntil: locked
+                        ? admin.firestore.Timestamp.fromMillis(now + SIGN_IN_LOCKOUT_MINUTES * 60 * 1000)
+                        : null,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                if (locked) {
+                    console.log(`🔒 ${userData.name} locked after ${failures} failed sign-ins`);
+                }
+                return { error: 'invalid' };
+            }
+
+            // Migration: plaintext password still in authorizedUsers
+            if (hasPlaintextPassword) {
+                credentials = setCredentials(transaction, db, userRef.id, userData.password);
+            }
+            if (attemptsDoc.exists) {
+                transaction.delete(attemptsRef);
+            }
+
+            // One-time codes and old tokens are used up - this device stays signed in via Auth
+            if (credentials.temporary || credentials.legacyToken) {
+                transaction.delete(credentialsRef);
+                transaction.update(userRef, { needsPasswordReset: true });
+            }
+
+            return { user: { id: userRef.id, name: userData.name, role: permissions.normalizeRole(userData.role) } };
+        });
+
+        if (outcome.error === 'locked') {
+            const minutes = Math.ceil((outcome.lockedUntil - Date.now()) / 60000);
+            throw new HttpsError('resource-exhausted', `Too many failed attempts, try again in ${minutes} minutes`, {
+                reason: 'too-many-attempts',
+                minutes
+            });
+        }
+        if (outcome.error === 'reset-needed') {
+            throw new HttpsError('unauthenticated', 'This account needs a new one-time code', {
+                reason: 'password-reset-needed'
+            });
+        }
+        if (outcome.error) {
+            throw invalid;
+        }
+
+        const { user } = outcome;
+        const token = await admin.auth().createCustomToken(user.id, { role: user.role });
+        console.log(`🔐 Signed in: ${user.name} (${user.role})${legacyToken ? ' [migrated auto-login]' : ''}`);
+        return {
+            token,
+            userId: user.id,
+            name: user.name,
+            role: user.role,
+            capabilities: permissions.getCapabilities(user.role)
+        };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            console.log(`⚠️ Sign-in rejected for ${name || userId}`);
+            throw error;
+        }
+        console.error('❌ Error signing in:', error.message);
+        throw new HttpsError('internal', 'Failed to sign in: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Ask the admins for a new one-time code (no sign-in - the player is locked out)
+ * Only for users without a usable password (their code was used on another device).
+ * Records the request in passwordResets and notifies the admins ('password-reset');
+ * an admin sets the code with setUserPassword and gives it to the player.
+ * Nothing about the credentials is returned
+ * @param {string} request.data.name - User name (exact match)
+ * @returns {{success: boolean}}
+ */
+exports.requestPasswordReset = onCall({}, async (request) => {
+    const { name } = request.data || {};
+
+    if (!name) {
+        throw new HttpsError('invalid-argument', 'Name is required');
+    }
+
+    const db = admin.firestore();
+
+    try {
+        const snapshot = await db.collection('authorizedUsers').where('name', '==', name).limit(1).get();
+        if (snapshot.empty) {
+            throw new HttpsError('not-found', 'User not found', { reason: 'not-found' });
+        }
+
+        const userDoc = snapshot.docs[0];
+        const userData = userDoc.data();
+        if (!userData.needsPasswordReset) {
+            throw new HttpsError('failed-precondition', 'Password is already simple', { reason: 'already-simple' });
+        }
+
+        // Asked recently - the admins already know
+        const requestedAt = userData.passwordResetRequestedAt;
+        if (requestedAt && Date.now() - requestedAt.toMillis() < PASSWORD_RESET_REQUEST_COOLDOWN_MINUTES * 60 * 1000) {
+            return { success: true };
+        }
+
+        const batch = db.batch();
+        batch.update(userDoc.ref, { passwordResetRequestedAt: admin.firestore.FieldValue.serverTimestamp() });
+        batch.set(db.collection('passwordResets').doc(), {
+            userId: userDoc.id,
+            userName: userData.name,
+            type: 'request',
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+        await batch.commit();
+
+        await notify('password-reset', { userName: userData.name });
+
+        console.log(`🔑 Password reset requested by ${userData.name}`);
+        return { success: true };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error requesting password reset:', error.message);
+        throw new HttpsError('internal', 'Failed to request password reset: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Role and capabilities of the signed-in user (admin panel buttons)
+ * @returns {{role: string, capabilities: string[]}}
+ */
+exports.getMyPermissions = onCall({}, async (request) => {
+    const uid = requireSignedIn(request);
+
+    try {
+        const userDoc = await admin.firestore().collection('authorizedUsers').doc(uid).get();
+        if (!userDoc.exists) {
+            throw new HttpsError('not-found', 'User not found');
+        }
+
+        const role = permissions.normalizeRole(userDoc.data().role);
+        return { role, capabilities: permissions.getCapabilities(role) };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error loading permissions:', error.message);
+        throw new HttpsError('internal', 'Failed to load permissions: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Change a user's role (users.manage)
+ * The role claim on the user's Auth token is updated too (used by Firestore rules)
+ * @param {string} request.data.userId - authorizedUsers document ID
+ * @param {string} request.data.role - 'user', 'moderator' or 'admin'
+ * @returns {{success: boolean, role: string, capabilities: string[]}}
+ */
+exports.setUserRole = onCall({}, async (request) => {
+    const caller = await requireCapability(request, CAPABILITIES.USERS_MANAGE);
+    const { userId, role } = request.data || {};
+
+    if (!userId || !permissions.ROLES.includes(role)) {
+        throw new HttpsError('invalid-argument', `userId and a role (${permissions.ROLES.join(', ')}) are required`);
+    }
+    if (userId === caller.uid && role !== caller.role) {
+        // Prevents the last admin from locking everyone out
+        throw new HttpsError('failed-precondition', 'You cannot change your own role');
+    }
+
+    const db = admin.firestore();
+
+    try {
+        const userRef = db.collection('authorizedUsers').doc(userId);
+        const userDoc = await userRef.get();
+        if (!userDoc.exists) {
+            throw new HttpsError('not-found', 'User not found');
+        }
+
+        await userRef.update({ role });
+
+        try {
+            await admin.auth().setCustomUserClaims(userId, { role });
+        } catch (error) {
+            // User has never signed in - signIn sets the claim on first login
+            if (error.code !== 'auth/user-not-found') {
+                throw error;
+            }
+        }
+
+        console.log(`👮 Role for ${userDoc.data().name} set to ${role} by ${caller.name}`);
+        return { success: true, role, capabilities: permissions.getCapabilities(role) };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error setting role:', error.message);
+        throw new HttpsError('internal', 'Failed to set role: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Set a user's password or one-time code (users.manage)
+ * @param {string} request.data.userId - authorizedUsers document ID
+ * @param {string} request.data.password - New password (< 5 characters = one-time code)
+ * @returns {{success: boolean, temporary: boolean}}
+ */
+exports.setUserPassword = onCall({}, async (request) => {
+    await requireCapability(request, CAPABILITIES.USERS_MANAGE);
+    const { userId, password } = request.data || {};
+
+    if (!userId || !password || String(password).length < 3) {
+        throw new HttpsError('invalid-argument', 'userId and a password of at least 3 characters are required');
+    }
+
+    const db = admin.firestore();
+
+    try {
+        const userDoc = await db.collection('authorizedUsers').doc(userId).get();
+        if (!userDoc.exists) {
+            throw new HttpsError('not-found', 'User not found');
+        }
+
+        const batch = db.batch();
+        const credentials = setCredentials(batch, db, userId, password);
+        // A new code also lifts a sign-in lockout
+        batch.delete(db.collection('signInAttempts').doc(userId));
+        await batch.commit();
+
+        console.log(`🔑 Password set for ${userDoc.data().name} by ${request.auth.uid}`);
+        return { success: true, temporary: credentials.temporary };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error setting password:', error.message);
+        throw new HttpsError('internal', 'Failed to set password: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Move every remaining plaintext password out of authorizedUsers
+ * Safe to run more than once - users already migrated are skipped
+ * @returns {{success: boolean, migrated: number}}
+ */
+exports.migratePasswords = onCall({}, async (request) => {
+    await requireCapability(request, CAPABILITIES.USERS_MANAGE);
+    const db = admin.firestore();
+
+    try {
+        const snapshot = await db.collection('authorizedUsers').get();
+        const batch = db.batch();
+        let migrated = 0;
+
+        snapshot.forEach(doc => {
+            const password = doc.data().password;
+            if (typeof password === 'string' && password.length > 0) {
+                setCredentials(batch, db, doc.id, password);
+                migrated++;
+            }
+        });
+
+        if (migrated > 0) {
+            await batch.commit();
+        }
+
+        console.log(`🔐 Migrated ${migrated} plaintext passwords`);
+        return { success: true, migrated };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error migrating passwords:', error.message);
+        throw new HttpsError('internal', 'Failed to migrate passwords: ' + error.message);
+    }
+});
+
+// ============================================
+// WALLET LEDGER
+// ============================================
+// Every balance change is written in the SAME Firestore transaction as its
+// record in transactions/{id}:
+//   { userId, userName, type, amount (+credit / -debit), balanceBefore,
+//     balanceAfter, description, sessionId, sessionDate, relatedUserId,
+//     createdBy, timestamp }
+// ============================================
+
+const WALLET_ENTRY_TYPES = ['registration', 'refund', 'gift', 'topup', 'correction'];
+
+/**
+ * Create a wallet ledger bound to one Firestore transaction
+ * Wallets must be read with ledger.read() before the first write (transaction rule),
+ * then ledger.post() can be called any number of times - balances are tracked in memory
+ * so several entries for the same user in one transaction stay consistent.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.Transaction} transaction - Running transaction
+ */
+function createWalletLedger(db, transaction) {
+    const wallets = {};
+
+    return {
+        /**
+         * Read a wallet (cached per transaction)
+         * @param {string} userId - authorizedUsers document ID
+         * @returns {Promise<FirebaseFirestore.DocumentSnapshot>}
+         */
+        async read(userId) {
+            if (!wallets[userId]) {
+                const userDoc = await transaction.get(db.collection('authorizedUsers').doc(userId));
+                wallets[userId] = {
+                    doc: userDoc,
+                    balance: userDoc.exists ? (userDoc.data().balance || 0) : 0
+                };
+            }
+            return wallets[userId].doc;
+        },
+
+        /**
+         * Current (in-transaction) balance of a wallet that has been read
+         * @param {string} userId - authorizedUsers document ID
+         * @returns {number}
+         */
+        balance(userId) {
+            return wallets[userId] ? wallets[userId].balance : 0;
+        },
+
+        /**
+         * Post a debit or credit and its transaction record
+         * @param {Object} entry - { userId, userName, type, amount, description,
+         *   sessionId, sessionDate, relatedUserId, createdBy, metadata }
+         *   metadata: extra fields linking the record (e.g. topupRequestId, slipUrl)
+         * @returns {number} Balance after the entry
+         */
+        post(entry) {
+            const wallet = wallets[entry.userId];
+            if (!wallet || !wallet.doc.exists) {
+                throw new HttpsError('not-found', `Wallet ${entry.userId} not found`);
+            }
+            if (!WALLET_ENTRY_TYPES.includes(entry.type)) {
+                throw new HttpsError('invalid-argument', `Unknown wallet entry type: ${entry.type}`);
+            }
+
+            const balanceBefore = wallet.balance;
+            const balanceAfter = balanceBefore + entry.amount;
+            wallet.balance = balanceAfter;
+
+            // Zero amounts (free sessions) don't change the wallet or the history
+            if (entry.amount === 0) {
+                return balanceAfter;
+            }
+
+            transaction.update(wallet.doc.ref, { balance: balanceAfter });
+            transaction.set(db.collection('transactions').doc(), {
+                userId: entry.userId,
+                userName: entry.userName || wallet.doc.data().name,
+                type: entry.type,
+                amount: entry.amount,
+                balanceBefore: balanceBefore,
+                balanceAfter: balanceAfter,
+                description: entry.description || '',
+                sessionId: entry.sessionId || null,
+                sessionDate: entry.sessionDate || null,
+                relatedUserId: entry.relatedUserId || null,
+                createdBy: entry.createdBy || 'system',
+                ...(entry.metadata || {}),
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return balanceAfter;
+        },
+
+        /**
+         * Record a balance change that already happened without a transaction record
+         * (reconciliation) - the wallet itself is not changed
+         * @param {Object} entry - Same fields as post(), amount = the unrecorded change
+         */
+        recordUnrecordedChange(entry) {
+            const wallet = wallets[entry.userId];
+            if (!wallet || !wallet.doc.exists) {
+                throw new HttpsError('not-found', `Wallet ${entry.userId} not found`);
+            }
+
+            transaction.set(db.collection('transactions').doc(), {
+                userId: entry.userId,
+                userName: entry.userName || wallet.doc.data().name,
+                type: 'correction',
+                amount: entry.amount,
+                balanceBefore: wallet.balance - entry.amount,
+                balanceAfter: wallet.balance,
+                description: entry.description || '',
+                sessionId: null,
+                sessionDate: null,
+                relatedUserId: null,
+                createdBy: entry.createdBy || 'system',
+                reconciliation: true,
+                // Before the commit time, so it sorts ahead of entries posted in this transaction
+                timestamp: admin.firestore.Timestamp.now()
+            });
+        }
+    };
+}
+
+/**
+ * Callable: Post a single wallet entry (top-up, correction, refund, registration) - staff only
+ * Players never post to their wallet directly: registerPlayer, cancelRegistration,
+ * acceptSpotTransfer and giftBalance book their entries in the same transaction as the change
+ * Registration debits require MINIMUM_BALANCE before payment (same rule as signup).
+ * A registration entry is always a debit and a refund always a credit of at most
+ * what the user paid for that session (its registration debits minus earlier refunds)
+ * @param {string} request.data.userId - authorizedUsers document ID
+ * @param {string} request.data.type - One of WALLET_ENTRY_TYPES except 'gift'
+ * @param {number} request.data.amount - Positive credit / negative debit
+ * @param {string} request.data.description - Shown in the transaction history
+ * @param {string} [request.data.sessionId] - Related session
+ * @param {string} [request.data.sessionDate] - Related session date (DD/MM/YYYY)
+ * @param {string} [request.data.createdBy] - 'admin' or the acting user's name
+ * @returns {{success: boolean, balanceBefore: number, balance: number}}
+ */
+exports.postWalletEntry = onCall({}, async (request) => {
+    const { userId, type, description, sessionId, sessionDate, createdBy } = request.data || {};
+    const amount = Number(request.data && request.data.amount);
+
+    if (!userId || !type || !Number.isFinite(amount)) {
+        throw new HttpsError('invalid-argument', 'userId, type and amount are required');
+    }
+    if (type === 'gift' || !WALLET_ENTRY_TYPES.includes(type)) {
+        throw new HttpsError('invalid-argument', `Invalid entry type: ${type}`);
+    }
+
+    // Session payments and refunds are player management, top-ups and corrections wallet work
+    const isSessionEntry = type === 'registration' || type === 'refund';
+    await requireCapability(request, isSessionEntry ? CAPABILITIES.PLAYERS_MANAGE : CAPABILITIES.WALLET_ADJUST);
+    if ((type === 'registration' && amount >= 0) || (type === 'refund' && amount <= 0)) {
+        throw new HttpsError('invalid-argument', `A ${type} entry must be a ${type === 'refund' ? 'credit' : 'debit'}`);
+    }
+    if (type === 'refund' && !sessionId) {
+        throw new HttpsError('invalid-argument', 'A refund needs the sessionId it refunds');
+    }
+
+    const db = admin.firestore();
+
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            const ledger = createWalletLedger(db, transaction);
+            const userDoc = await ledger.read(userId);
+            if (!userDoc.exists) {
+                throw new HttpsError('not-found', 'User not found');
+            }
+
+            if (type === 'refund') {
+                const entriesSnapshot = await transaction.get(db.collection('transactions')
+                    .where('userId', '==', userId)
+                    .where('sessionId', '==', sessionId));
+                const paid = -entriesSnapshot.docs
+                    .map(doc => doc.data())
+                    .filter(entry => entry.type === 'registration' || entry.type === 'refund')
+                    .reduce((sum, entry) => sum + (entry.amount || 0), 0);
+                if (amount > paid) {
+                    throw new HttpsError('failed-precondition', `Refund is more than the ${paid} THB paid for this session`, {
+                        reason: 'refund-exceeds-payment',
+                        paid
+                    });
+                }
+            }
+
+            const balanceBefore = ledger.balance(userId);
+            if (type === 'registration' && amount < 0 && balanceBefore < MINIMUM_BALANCE) {
+                throw new HttpsError('failed-precondition', 'Insufficient balance', {
+                    reason: 'insufficient-balance',
+                    balance: balanceBefore
+                });
+            }
+
+            const balance = ledger.post({
+                userId, type, amount, description, sessionId, sessionDate,
+                createdBy: createdBy || 'admin'
+            });
+            return { balanceBefore, balance };
+        });
+
+        console.log(`💰 Wallet ${type}: ${userId} ${amount > 0 ? '+' : ''}${amount} THB → ${result.balance} THB`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error posting wallet entry:', error.message);
+        throw new HttpsError('internal', 'Failed to update balance: ' + error.message);
+    }
+});
+
+/**
+ * FIRESTORE TRIGGER: Tell a player their wallet was topped up ('wallet-topped-up')
+ * Covers every top-up in the ledger except approved slips (reviewTopUpRequest sends 'topup-reviewed')
+ */
+exports.onWalletTopUp = onDocumentCreated({
+    document: 'transactions/{transactionId}'
+}, async (event) => {
+    const tx = event.data && event.data.data();
+
+    if (!tx || tx.type !== 'topup' || !(tx.amount > 0) || tx.topupRequestId) {
+        return null;
+    }
+
+    try {
+        await notify('wallet-topped-up', {
+            name: tx.userName,
+            amount: tx.amount,
+            balance: tx.balanceAfter
+        }, { userId: tx.userId, dedupeKey: event.params.transactionId });
+        return { success: true };
+    } catch (error) {
+        console.error('❌ Error in onWalletTopUp trigger:', error.message);
+        return null;
+    }
+});
+
+/**
+ * Callable: Give part of your balance to another player
+ * Both sides are posted in one transaction - no rollback needed
+ * @param {string} request.data.fromUserId - Giver (must be the signed-in user)
+ * @param {string} request.data.toUserId - Recipient
+ * @param {number} request.data.amount - THB to give
+ * @returns {{success: boolean, balance: number, recipientBalance: number}}
+ */
+exports.giftBalance = onCall({}, async (request) => {
+    const { fromUserId, toUserId } = request.data || {};
+    const amount = Number(request.data && request.data.amount);
+
+    if (!fromUserId || !toUserId) {
+        throw new HttpsError('invalid-argument', 'fromUserId and toUserId are required');
+    }
+    requireSignedIn(request, fromUserId);
+    if (fromUserId === toUserId) {
+        throw new HttpsError('invalid-argument', 'Cannot give to yourself');
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+        throw new HttpsError('invalid-argument', 'Amount must be positive');
+    }
+
+    const db = admin.firestore();
+
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            const ledger = createWalletLedger(db, transaction);
+            const [giverDoc, recipientDoc] = await Promise.all([
+                ledger.read(fromUserId),
+                ledger.read(toUserId)
+            ]);
+
+            if (!giverDoc.exists) {
+                throw new HttpsError('not-found', 'User not found');
+            }
+            if (!recipientDoc.exists) {
+                throw new HttpsError('not-found', 'Recipient not found');
+            }
+            if (ledger.balance(fromUserId) < amount) {
+                throw new HttpsError('failed-precondition', 'Insufficient balance', {
+                    reason: 'insufficient-balance',
+                    balance: ledger.balance(fromUserId)
+                });
+            }
+
+            const giverName = giverDoc.data().name;
+            const recipientName = recipientDoc.data().name;
+            const balance = ledger.post({
+                userId: fromUserId,
+                type: 'gift',
+                amount: -amount,
+                description: `Gift to ${recipientName} / มอบให้ ${recipientName}`,
+                relatedUserId: toUserId,
+                createdBy: giverName
+            });
+            const recipientBalance = ledger.post({
+                userId: toUserId,
+                type: 'gift',
+                amount: amount,
+                description: `Gift from ${giverName} / ของขวัญจาก ${giverName}`,
+                relatedUserId: fromUserId,
+                createdBy: giverName
+            });
+
+            return { balance, recipientBalance, giverName, recipientName };
+        });
+
+        console.log(`🎁 ${result.giverName} gave ${amount} THB to ${result.recipientName}`);
+        return { success: true, balance: result.balance, recipientBalance: result.recipientBalance };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error giving balance:', error.message);
+        throw new HttpsError('internal', 'Failed to transfer: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Wallet reconciliation report (admin panel)
+ * Recomputes every balance from its transactions and explains the gaps
+ * @returns {{report: Object, text: string}}
+ */
+exports.getWalletReconciliation = onCall({}, async (request) => {
+    await requireCapability(request, CAPABILITIES.WALLET_RECONCILE);
+
+    try {
+        const report = await walletReconciliation.buildReconciliationReport(admin.firestore());
+        console.log(`🧾 Reconciliation: ${report.mismatches.length} of ${report.userCount} wallets mismatched`);
+        return { report, text: walletReconciliation.formatReconciliationReport(report) };
+    } catch (error) {
+        console.error('❌ Error building reconciliation report:', error.message);
+        throw new HttpsError('internal', 'Failed to build reconciliation report: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Post a logged correcting entry for a mismatched wallet
+ * 'accept-balance': the current balance is right - record the missing change
+ * 'restore-ledger': the history is right - record the change and reverse it
+ * Either way balance and transaction sum match afterwards.
+ * @param {string} request.data.userId - authorizedUsers document ID
+ * @param {string} request.data.resolution - 'accept-balance' | 'restore-ledger'
+ * @param {string} [request.data.note] - Admin note added to the description
+ * @returns {{success: boolean, difference: number, balance: number}}
+ */
+exports.correctWalletBalance = onCall({}, async (request) => {
+    await requireCapability(request, CAPABILITIES.WALLET_RECONCILE);
+    const { userId, resolution, note } = request.data || {};
+
+    if (!userId || !['accept-balance', 'restore-ledger'].includes(resolution)) {
+        throw new HttpsError('invalid-argument', 'userId and a valid resolution are required');
+    }
+
+    const db = admin.firestore();
+
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            const ledger = createWalletLedger(db, transaction);
+            const [userDoc, transactionsSnapshot] = await Promise.all([
+                ledger.read(userId),
+                transaction.get(db.collection('transactions').where('userId', '==', userId))
+            ]);
+            if (!userDoc.exists) {
+                throw new HttpsError('not-found', 'User not found');
+            }
+
+            const transactions = transactionsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const check = walletReconciliation.reconcileWallet(
+                { id: userId, ...userDoc.data() },
+                transactions
+            );
+            if (check.difference === 0) {
+                return { difference: 0, balance: check.balance };
+            }
+
+            const suffix = note ? ` - ${note}` : '';
+            ledger.recordUnrecordedChange({
+                userId: userId,
+                amount: check.difference,
+                description: `Reconciliation: unrecorded balance change${suffix}`,
+                createdBy: 'admin'
+            });
+
+            let balance = check.balance;
+            if (resolution === 'restore-ledger') {
+                balance = ledger.post({
+                    userId: userId,
+                    type: 'correction',
+                    amount: -check.difference,
+                    description: `Reconciliation: restored balance from history${suffix}`,
+                    createdBy: 'admin'
+                });
+            }
+
+            return { difference: check.difference, balance };
+        });
+
+        console.log(`🧾 Reconciled ${userId} (${resolution}): gap ${result.difference} THB, balance ${result.balance} THB`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error correcting wallet:', error.message);
+        throw new HttpsError('internal', 'Failed to correct wallet: ' + error.message);
+    }
+});
+
+// ============================================
+// TOP-UP REQUESTS
+// ============================================
+// topupRequests/{requestId}:
+//   { userId, userName, amount, reference, slipPath, slipUrl,
+//     status: 'pending' | 'approved' | 'rejected', createdAt,
+//     reviewedAt, reviewedBy, rejectReason, balanceAfter, playerNotified }
+// Player pays by PromptPay and uploads the slip, admin approves or rejects
+// ============================================
+
+const MAX_TOPUP_AMOUNT = 10000; // THB per request
+
+/**
+ * Callable: Player submits a top-up request after paying (slip already uploaded to Storage)
+ * @param {string} request.data.userId - authorizedUsers document ID (signed-in user)
+ * @param {number} request.data.amount - THB paid
+ * @param {string} request.data.reference - PromptPay reference from the QR
+ * @param {string} request.data.slipPath - Storage path (topupSlips/{userId}/...)
+ * @param {string} request.data.slipUrl - Download URL of the slip
+ * @returns {{success: boolean, requestId: string}}
+ */
+exports.createTopUpRequest = onCall({
+    secrets: [telegramBotToken, telegramChatId]
+}, async (request) => {
+    const { userId, reference, slipPath, slipUrl } = request.data || {};
+    const amount = Number(request.data && request.data.amount);
+
+    if (!userId || !slipPath || !slipUrl) {
+        throw new HttpsError('invalid-argument', 'userId and slip are required');
+    }
+    requireSignedIn(request, userId);
+    if (!Number.isInteger(amount) || amount <= 0 || amount > MAX_TOPUP_AMOUNT) {
+        throw new HttpsError('invalid-argument', `Amount must be 1-${MAX_TOPUP_AMOUNT} THB`);
+    }
+    if (!slipPath.startsWith(`topupSlips/${userId}/`)) {
+        throw new HttpsError('invalid-argument', 'Invalid slip path');
+    }
+
+    const db = admin.firestore();
+
+    try {
+        const userDoc = await db.collection('authorizedUsers').doc(userId).get();
+        if (!userDoc.exists) {
+            throw new HttpsError('not-found', 'User not found');
+        }
+
+        const userName = userDoc.data().name;
+        const requestRef = await db.collection('topupRequests').add({
+            userId: userId,
+            userName: userName,
+            amount: amount,
+            reference: reference || '',
+            slipPath: slipPath,
+            slipUrl: slipUrl,
+            status: 'pending',
+            playerNotified: false,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        console.log(`💰 Top-up request ${requestRef.id}: ${userName} ${amount} THB`);
+        await sendTelegramNotification(
+            `💰 <b>Top-up request</b>\n${userName}: ${amount} THB\nRef: ${reference || '-'}\n\nApprove in admin panel → Top-ups`
+        );
+
+        return { success: true, requestId: requestRef.id };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error creating top-up request:', error.message);
+        throw new HttpsError('internal', 'Failed to create top-up request: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Admin approves or rejects a pending top-up request
+ * Approval credits the wallet through the ledger (type 'topup', linked to the request and slip)
+ * @param {string} request.data.requestId - topupRequests document ID
+ * @param {string} request.data.decision - 'approve' | 'reject'
+ * @param {string} [request.data.reason] - Reject reason shown to the player
+ * @returns {{success: boolean, status: string, balance?: number}}
+ */
+exports.reviewTopUpRequest = onCall({}, async (request) => {
+    const reviewer = await requireCapability(request, CAPABILITIES.WALLET_ADJUST);
+    const { requestId, decision, reason } = request.data || {};
+
+    if (!requestId || !['approve', 'reject'].includes(decision)) {
+        throw new HttpsError('invalid-argument', 'requestId and a valid decision are required');
+    }
+
+    const db = admin.firestore();
+    const requestRef = db.collection('topupRequests').doc(requestId);
+
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            const requestDoc = await transaction.get(requestRef);
+            if (!requestDoc.exists) {
+                throw new HttpsError('not-found', 'Top-up request not found');
+            }
+
+            const topup = requestDoc.data();
+            if (topup.status !== 'pending') {
+                throw new HttpsError('failed-precondition', `Request is already ${topup.status}`);
+            }
+
+            const now = admin.firestore.FieldValue.serverTimestamp();
+
+            if (decision === 'reject') {
+                transaction.update(requestRef, {
+                    status: 'rejected',
+                    rejectReason: reason || '',
+                    reviewedAt: now,
+                    reviewedBy: reviewer.name
+                });
+                return { topup, status: 'rejected' };
+            }
+
+            const ledger = createWalletLedger(db, transaction);
+            const userDoc = await ledger.read(topup.userId);
+            if (!userDoc.exists) {
+                throw new HttpsError('not-found', 'User not found');
+            }
+
+            const balance = ledger.post({
+                userId: topup.userId,
+                userName: topup.userName,
+                type: 'topup',
+                amount: topup.amount,
+                description: `PromptPay top-up / เติมเงินพร้อมเพย์ (ref ${topup.reference || '-'})`,
+                createdBy: 'admin',
+                metadata: {
+                    topupRequestId: requestId,
+                    slipUrl: topup.slipUrl
+                }
+            });
+
+            transaction.update(requestRef, {
+                status: 'approved',
+                balanceAfter: balance,
+                reviewedAt: now,
+                reviewedBy: reviewer.name
+            });
+            return { topup, status: 'approved', balance };
+        });
+
+        const { topup, status, balance } = result;
+        console.log(`💰 Top-up ${requestId} ${status}: ${topup.userName} ${topup.amount} THB`);
+
+        // playerNotified is set once a delivery goes out -
+        // until then the player app shows the result at next login
+        await notify('topup-reviewed', {
+            approved: status === 'approved',
+            amount: topup.amount,
+            balance: balance,
+            reason: reason || ''
+        }, { userId: topup.userId, dedupeKey: requestId, notifyPath: requestRef.path });
+
+        return { success: true, status, balance };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error reviewing top-up request:', error.message);
+        throw new HttpsError('internal', 'Failed to review top-up request: ' + error.message);
+    }
+});
+
+// ============================================
+// RECURRING SESSION TEMPLATES
+// ============================================
+// sessionTemplates/{templateId}:
+//   { name, dayNumber (1=Mon..7=Sun), time "18:00 - 20:00", maxPlayers,
+//     courts, paymentAmount, active, createDaysAhead, lastCreatedDate }
+// Creates a DRAFT session for the next occurrence - admin reviews & publishes.
+// courts is copied to the session: closing books that many courts (getSessionCourts)
+// ============================================
+
+// Create the draft this many days before the session (template can override)
+const TEMPLATE_CREATE_DAYS_AHEAD = 7;
+
+/**
+ * Get today's date in the club time zone
+ * @returns {string} ISO date (YYYY-MM-DD)
+ */
+function getClubToday() {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: CLUB_TIME_ZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(new Date());
+}
+
+/**
+ * Find the next date for a weekday, strictly after the given date
+ * (same rule as changeSessionDetails() in app.js: today counts as "next week")
+ * @param {number} dayNumber - 1=Monday ... 7=Sunday
+ * @param {string} fromIsoDate - ISO date (YYYY-MM-DD)
+ * @returns {{isoDate: string, daysAhead: number}}
+ */
+function getNextOccurrence(dayNumber, fromIsoDate) {
+    const [year, month, day] = fromIsoDate.split('-').map(Number);
+    const from = new Date(Date.UTC(year, month - 1, day));
+    const targetDayOfWeek = dayNumber % 7; // JS: 0=Sun, 1=Mon ... 6=Sat
+
+    let daysAhead = targetDayOfWeek - from.getUTCDay();
+    if (daysAhead <= 0) {
+        daysAhead += 7;
+    }
+
+    const next = new Date(from);
+    next.setUTCDate(from.getUTCDate() + daysAhead);
+    return { isoDate: next.toISOString().split('T')[0], daysAhead };
+}
+
+/**
+ * Convert ISO date (YYYY-MM-DD) to session date format (DD/MM/YYYY)
+ * @param {string} isoDate - ISO date
+ * @returns {string} Session date
+ */
+function isoToSessionDate(isoDate) {
+    const [year, month, day] = isoDate.split('-');
+    return `${day}/${month}/${year}`;
+}
+
+/**
+ * Create the draft session for one template occurrence, with regular players pre-loaded
+ * Session ID is derived from template + date, so running twice never creates duplicates
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} templateId - Template document ID
+ * @param {Object} template - Template data
+ * @param {string} isoDate - Occurrence date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Summary of the created session, or null if it already existed
+ */
+async function createSessionFromTemplate(db, templateId, template, isoDate) {
+    const sessionId = `${isoDate}_${templateId}`;
+    const sessionRef = db.collection('sessions').doc(sessionId);
+
+    const existing = await sessionRef.get();
+    if (existing.exists) {
+        console.log(`✓ Session ${sessionId} already exists, skipping`);
+        return null;
+    }
+
+    // Regular players for this weekday (config/regularPlayers → dayN: [names])
+    const configDoc = await db.collection('config').doc('regularPlayers').get();
+    const regularNames = configDoc.exists ? (configDoc.data()[`day${template.dayNumber}`] || []) : [];
+
+    const usersSnapshot = await db.collection('authorizedUsers').get();
+    const usersByName = {};
+    usersSnapshot.forEach(doc => {
+        usersByName[doc.data().name] = { id: doc.id, ...doc.data() };
+    });
+
+    const batch = db.batch();
+    // create() fails if another run created the session in the meantime
+    batch.create(sessionRef, {
+        date: isoToSessionDate(isoDate),
+        day: SESSION_DAYS[template.dayNumber - 1],
+        time: template.time || '10:00 - 12:00',
+        maxPlayers: template.maxPlayers || 12,
+        paymentAmount: template.paymentAmount || 0,
+        courts: template.courts || null,
+        published: false, // Draft - admin reviews and publishes
+        maintenanceMode: false,
+        shuttlecocksUsed: 0,
+        closed: false,
+        templateId: templateId,
+        createdBy: 'template',
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Pre-load regular players (wallet is debited when admin publishes - same as manageTodaysPlayers)
+    const added = [];
+    const skippedLowBalance = [];
+    regularNames.forEach(name => {
+        const user = usersByName[name];
+        if (!user) {
+            console.log(`⚠️ Regular player ${name} not found in authorized users`);
+            return;
+        }
+        const balance = user.balance || 0;
+        if (balance < MINIMUM_BALANCE) {
+            skippedLowBalance.push(`${name} (${balance} THB)`);
+            return;
+        }
+        batch.set(sessionRef.collection('players').doc(), {
+            name: name,
+            userId: user.id,
+            paid: false,
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            position: added.length + 1,
+            isRegularPlayer: true
+        });
+        added.push(name);
+    });
+
+    batch.update(db.collection('sessionTemplates').doc(templateId), {
+        lastCreatedDate: isoDate,
+        lastCreatedSessionId: sessionId
+    });
+
+    await batch.commit();
+    console.log(`✅ Draft session ${sessionId} created from template ${templateId} (${added.length} regulars)`);
+
+    return { sessionId, isoDate, template, added, skippedLowBalance };
+}
+
+/**
+ * Run all active templates and create drafts that are due
+ * @returns {Promise<Array>} Summaries of created sessions
+ */
+async function runSessionTemplates() {
+    const db = admin.firestore();
+    const today = getClubToday();
+    const templatesSnapshot = await db.collection('sessionTemplates')
+        .where('active', '==', true)
+        .get();
+
+    const created = [];
+    for (const doc of templatesSnapshot.docs) {
+        const template = doc.data();
+        if (!(template.dayNumber >= 1 && template.dayNumber <= 7)) {
+            console.log(`⚠️ Template ${doc.id} has invalid dayNumber: ${template.dayNumber}`);
+            continue;
+        }
+
+        const { isoDate, daysAhead } = getNextOccurrence(template.dayNumber, today);
+        const createDaysAhead = template.createDaysAhead ?? TEMPLATE_CREATE_DAYS_AHEAD;
+        if (daysAhead > createDaysAhead) {
+            console.log(`⏭️ Template ${doc.id}: next occurrence ${isoDate} is ${daysAhead} days ahead, not due yet`);
+            continue;
+        }
+
+        try {
+            const result = await createSessionFromTemplate(db, doc.id, template, isoDate);
+            if (result) {
+                created.push(result);
+            }
+        } catch (error) {
+            console.error(`❌ Error creating session from template ${doc.id}:`, error.message);
+        }
+    }
+
+    // Tell the admin there are drafts to review
+    if (created.length > 0) {
+        const lines = created.map(c => {
+            let line = `• ${c.template.name || SESSION_DAYS[c.template.dayNumber - 1]} ${isoToSessionDate(c.isoDate)} ${c.template.time || ''} (${c.added.length} regulars)`;
+            if (c.skippedLowBalance.length > 0) {
+                line += `\n  ⚠️ Low balance: ${c.skippedLowBalance.join(', ')}`;
+            }
+            return line;
+        }).join('\n');
+
+        await sendTelegramNotification(`📝 <b>New draft session(s)</b>\n\n${lines}\n\nReview and publish in the admin app.`);
+        await sendEmailNotification('📝 New draft session(s) to publish', `${lines}\n\nReview and publish: https://lapstuen.github.io/badminton-signup/`);
+    }
+
+    return created;
+}
+
+/**
+ * SCHEDULED: Create draft sessions from recurring templates
+ * Runs every morning (club time zone)
+ */
+exports.createSessionsFromTemplates = onSchedule({
+    schedule: 'every day 06:00',
+    timeZone: CLUB_TIME_ZONE,
+    secrets: [emailUser, emailPass, emailTo, telegramBotToken, telegramChatId]
+}, async () => {
+    try {
+        const created = await runSessionTemplates();
+        console.log(`📅 Session templates run complete: ${created.length} draft(s) created`);
+    } catch (error) {
+        console.error('❌ Error running session templates:', error.message);
+    }
+});
+
+/**
+ * Callable: Run session templates now (admin "Run now" button)
+ */
+exports.runSessionTemplatesNow = onCall({
+    secrets: [emailUser, emailPass, emailTo, telegramBotToken, telegramChatId]
+}, async (request) => {
+    await requireCapability(request, CAPABILITIES.SESSION_MANAGE);
+
+    try {
+        const created = await runSessionTemplates();
+        return {
+            success: true,
+            created: created.map(c => ({
+                sessionId: c.sessionId,
+                date: isoToSessionDate(c.isoDate),
+                regularsAdded: c.added.length,
+                skippedLowBalance: c.skippedLowBalance
+            }))
+        };
+    } catch (error) {
+        console.error('❌ Error running session templates:', error.message);
+        throw new HttpsError('internal', 'Failed to run session templates: ' + error.message);
+    }
+});
+
+// ============================================
+// SCHEDULED PUBLISH & LOCK
+// ============================================
+// Session fields: publishAt, lockAt, publishedAt (Timestamps), locked (boolean)
+// Lottery sessions (registrationMode 'lottery') are drawn here at lotteryDrawAt
+// Clients trust the locked flag instead of their own clock
+// ============================================
+
+/**
+ * Get session start time from session date/time fields (club time zone)
+ * @param {Object} sessionData - Session document data ({ date: "DD/MM/YYYY", time: "HH:MM - HH:MM" })
+ * @returns {Date|null} Session start, or null if unable to parse
+ */
+function getSessionStart(sessionData) {
+    const [day, month, year] = (sessionData.date || '').split('/').map(Number);
+    const [hours, minutes] = ((sessionData.time || '').split(' - ')[0] || '').trim().split(':').map(Number);
+
+    if (!day || !month || !year || isNaN(hours) || isNaN(minutes)) {
+        return null;
+    }
+
+    return new Date(Date.UTC(year, month - 1, day, hours - CLUB_UTC_OFFSET_HOURS, minutes));
+}
+
+/**
+ * Default lock time: session start - LOCK_HOURS_BEFORE_SESSION
+ * @param {Object} sessionData - Session document data
+ * @returns {Date|null} Lock time, or null if unable to parse
+ */
+function getDefaultLockTime(sessionData) {
+    const start = getSessionStart(sessionData);
+    if (!start) {
+        return null;
+    }
+    return new Date(start.getTime() - LOCK_HOURS_BEFORE_SESSION * 60 * 60 * 1000);
+}
+
+/**
+ * Open (not closed) sessions for the scheduled jobs
+ * The legacy "current" document can predate the closed field, which the query can't
+ * match - it is included and backfilled with closed: false so the apps list it too
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot[]>}
+ */
+async function getOpenSessionDocs(db) {
+    const [openSnapshot, legacyDoc] = await Promise.all([
+        db.collection('sessions').where('closed', '==', false).get(),
+        db.collection('sessions').doc(LEGACY_SESSION_ID).get()
+    ]);
+
+    if (!legacyDoc.exists || legacyDoc.data().closed !== undefined) {
+        return openSnapshot.docs;
+    }
+    await legacyDoc.ref.update({ closed: false });
+    console.log(`📋 Session ${LEGACY_SESSION_ID} had no closed field - set to open`);
+    return [...openSnapshot.docs, legacyDoc];
+}
+
+/**
+ * Make player positions sequential (1, 2, 3, ...) after removals
+ * Same as recalculatePlayerPositions() in app.js
+ * @param {FirebaseFirestore.DocumentReference} sessionRef - Session document
+ */
+async function recalculateSessionPositions(sessionRef) {
+    const playersSnapshot = await sessionRef.collection('players').get();
+    const players = playersSnapshot.docs
+        .map(doc => ({ ref: doc.ref, position: doc.data().position }))
+        .sort((a, b) => a.position - b.position);
+
+    const batch = sessionRef.firestore.batch();
+    let updates = 0;
+    players.forEach((player, index) => {
+        if (player.position !== index + 1) {
+            batch.update(player.ref, { position: index + 1 });
+            updates++;
+        }
+    });
+
+    if (updates > 0) {
+        await batch.commit();
+        console.log(`📍 Positions recalculated: ${updates} updated`);
+    }
+}
+
+/**
+ * Charge pre-loaded (unpaid) players when a session is published
+ * Used by the publishSession callable and the scheduled auto-publish: remove players below MINIMUM_BALANCE
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentReference} sessionRef - Session document
+ * @param {Object} sessionData - Session document data
+ * @returns {Promise<{charged: number, removed: string[]}>}
+ */
+async function chargeUnpaidPlayers(db, sessionRef, sessionData) {
+    const unpaidSnapshot = await sessionRef.collection('players').where('paid', '==', false).get();
+    const paymentAmount = sessionData.paymentAmount || 0;
+    let charged = 0;
+    const removed = [];
+
+    for (const playerDoc of unpaidSnapshot.docs) {
+        const player = playerDoc.data();
+        if (!player.userId) {
+            continue;
+        }
+
+        const result = await db.runTransaction(async (transaction) => {
+            const ledger = createWalletLedger(db, transaction);
+            const [freshPlayer, userDoc] = await Promise.all([
+                transaction.get(playerDoc.ref),
+                ledger.read(player.userId)
+            ]);
+
+            if (!freshPlayer.exists || freshPlayer.data().paid || !userDoc.exists) {
+                return 'skipped';
+            }
+
+            if (ledger.balance(player.userId) < MINIMUM_BALANCE) {
+                transaction.delete(playerDoc.ref);
+                return 'removed';
+            }
+
+            transaction.update(playerDoc.ref, { paid: true, amountPaid: paymentAmount });
+            ledger.post({
+                userId: player.userId,
+                userName: player.name,
+                type: 'registration',
+                amount: -paymentAmount,
+                description: `Auto registration for ${sessionData.day} ${sessionData.date}`,
+                sessionId: sessionRef.id,
+                sessionDate: sessionData.date
+            });
+            return 'charged';
+        });
+
+        if (result === 'charged') {
+            charged++;
+        } else if (result === 'removed') {
+            removed.push(player.name);
+            console.log(`❌ Removed ${player.name} - insufficient balance`);
+        }
+    }
+
+    if (removed.length > 0) {
+        await recalculateSessionPositions(sessionRef);
+    }
+
+    return { charged, removed };
+}
+
+/**
+ * SCHEDULED: Publish sessions at publishAt, draw lottery sessions and lock them at lockAt
+ * Also fills in lockAt (start - LOCK_HOURS_BEFORE_SESSION) for sessions without one
+ */
+exports.publishAndLockSessions = onSchedule({
+    schedule: 'every 5 minutes',
+    timeZone: CLUB_TIME_ZONE,
+    secrets: [emailUser, emailPass, emailTo, telegramBotToken, telegramChatId]
+}, async () => {
+    const db = admin.firestore();
+    const now = new Date();
+
+    try {
+        const openSessionDocs = await getOpenSessionDocs(db);
+
+        for (const doc of openSessionDocs) {
+            try {
+                const data = doc.data();
+                const updates = {};
+
+                // ==========================================
+                // AUTO-PUBLISH
+                // ==========================================
+                let published = data.published !== false;
+                if (!published && data.publishAt && data.publishAt.toDate() <= now) {
+                    const { charged, removed } = await chargeUnpaidPlayers(db, doc.ref, data);
+                    updates.published = true;
+                    updates.publishedAt = admin.firestore.FieldValue.serverTimestamp();
+                    updates.publishedBy = 'schedule';
+                    published = true;
+                    console.log(`📢 Session ${doc.id} auto-published (${charged} charged, ${removed.length} removed)`);
+
+                    let message = `📢 <b>Session published</b>\n${data.day} ${data.date} ${data.time}\nCharged: ${charged}`;
+                    if (removed.length > 0) {
+                        message += `\n⚠️ Removed (low balance): ${removed.join(', ')}`;
+                    }
+                    await sendTelegramNotification(message);
+                }
+
+                // ==========================================
+                // LOTTERY DRAW (before the lock - the draw doesn't need an open session)
+                // ==========================================
+                const drawAt = published && isLotteryOpen(data) ? getLotteryDrawAt(data) : null;
+                if (drawAt && drawAt <= now) {
+                    try {
+                        const draw = await drawLottery(db, doc.id, 'schedule');
+                        if (!draw.alreadyDrawn) {
+                            await sendTelegramNotification(`🎲 <b>Lottery drawn</b>\n${data.day} ${data.date} ${data.time}\n` +
+                                `In: ${draw.winners.length}, waiting list: ${draw.waitingList.length}, seed ${draw.seed}`);
+                        }
+                    } catch (error) {
+                        console.error(`❌ Lottery draw for ${doc.id} failed:`, error.message);
+                    }
+                }
+
+                // ==========================================
+                // AUTO-LOCK
+                // ==========================================
+                let lockAt = data.lockAt ? data.lockAt.toDate() : null;
+                if (!lockAt) {
+                    lockAt = getDefaultLockTime(data);
+                    if (lockAt) {
+                        updates.lockAt = admin.firestore.Timestamp.fromDate(lockAt);
+                    }
+                }
+
+                if (typeof data.locked !== 'boolean') {
+                    updates.locked = false;
+                }
+
+                if (published && data.locked !== true && lockAt && lockAt <= now) {
+                    updates.locked = true;
+                    updates.lockedAt = admin.firestore.FieldValue.serverTimestamp();
+                    console.log(`🔒 Session ${doc.id} locked`);
+                } else if (data.locked === true && lockAt && lockAt > now) {
+                    // Lock time moved later (scheduleSession / date change) - reopen
+                    updates.locked = false;
+                    updates.lockedAt = admin.firestore.FieldValue.delete();
+                    console.log(`🔓 Session ${doc.id} reopened until ${lockAt.toISOString()}`);
+                }
+
+                // ==========================================
+                // PRIORITY WINDOW END → open to everyone
+                // ==========================================
+                const priorityEnded = published && data.priorityUntil && !data.priorityOpenedAt &&
+                    data.priorityUntil.toDate() <= now;
+                if (priorityEnded) {
+                    updates.priorityOpenedAt = admin.firestore.FieldValue.serverTimestamp();
+                    console.log(`⭐ Session ${doc.id} priority window ended - open to everyone`);
+                }
+
+                if (Object.keys(updates).length > 0) {
+                    await doc.ref.update(updates);
+                }
+
+                if (priorityEnded && !updates.locked && data.locked !== true) {
+                    try {
+                        await notify('session-published', {
+                            sessionId: doc.id,
+                            date: data.date,
+                            day: data.day,
+                            time: data.time,
+                            maxPlayers: data.maxPlayers || 12,
+                            paymentAmount: data.paymentAmount || 0
+                        }, { dedupeKey: `${doc.id}-priority-end` });
+                    } catch (error) {
+                        console.error(`❌ Open-to-everyone notification for ${doc.id} failed:`, error.message);
+                    }
+                }
+            } catch (error) {
+                console.error(`❌ Error scheduling session ${doc.id}:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error in publishAndLockSessions:', error.message);
+    }
+});
+
+/**
+ * Callable: Publish a draft session now (admin "Publish")
+ * Same as the scheduled auto-publish: unpaid (pre-loaded) players are charged, each
+ * debit and its paid flag in one transaction, players below MINIMUM_BALANCE are removed
+ * @param {string} request.data.sessionId - Session to publish
+ * @returns {{success: boolean, alreadyPublished: boolean, charged: number, removed: string[]}}
+ */
+exports.publishSession = onCall({}, async (request) => {
+    await requireCapability(request, CAPABILITIES.SESSION_PUBLISH);
+    const { sessionId } = request.data || {};
+
+    if (!sessionId) {
+        throw new HttpsError('invalid-argument', 'sessionId is required');
+    }
+
+    const db = admin.firestore();
+    const sessionRef = db.collection('sessions').doc(sessionId);
+
+    try {
+        const sessionDoc = await sessionRef.get();
+        if (!sessionDoc.exists) {
+            throw new HttpsError('not-found', `Session ${sessionId} not found`);
+        }
+        const session = sessionDoc.data();
+        if (session.closed) {
+            throw new HttpsError('failed-precondition', 'Session is closed');
+        }
+        if (session.published !== false) {
+            return { success: true, alreadyPublished: true, charged: 0, removed: [] };
+        }
+
+        const { charged, removed } = await chargeUnpaidPlayers(db, sessionRef, session);
+        await sessionRef.update({
+            published: true,
+            publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+            publishedBy: 'admin'
+        });
+        console.log(`📢 Session ${sessionId} published (${charged} charged, ${removed.length} removed)`);
+
+        return { success: true, alreadyPublished: false, charged, removed };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error publishing session:', error.message);
+        throw new HttpsError('internal', 'Failed to publish session: ' + error.message);
+    }
+});
+
+// ============================================
+// PRIORITY WINDOW (regular players first)
+// ============================================
+// After publish, only the weekday's regular players (config/regularPlayers → dayN)
+// can register for config/priorityWindow.hours (0 = off). Players who lost priority
+// through no-shows (authorizedUsers priorityLost) register with everyone else.
+// onSessionPublished fixes the window on the session (priorityUntil, priorityUserIds)
+// and tells the regulars; publishAndLockSessions opens the session to everyone
+// when it ends (priorityOpenedAt + 'session-published')
+// ============================================
+
+const DEFAULT_PRIORITY_WINDOW = {
+    hours: 0
+};
+
+// English weekday in session.day labels ("วันจันทร์ / Monday") → regularPlayers dayN
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Priority window length from config/priorityWindow (missing/invalid → off)
+ * @param {Object} [config] - config/priorityWindow data
+ * @returns {{hours: number}}
+ */
+function resolvePriorityWindow(config) {
+    const hours = Number(config && config.hours);
+    return { hours: hours > 0 && hours <= 24 * 7 ? hours : DEFAULT_PRIORITY_WINDOW.hours };
+}
+
+/**
+ * Weekday of a session as used by config/regularPlayers (1 = Monday ... 7 = Sunday)
+ * From the day label, or from the date when the label has no weekday
+ * @param {Object} session - Session document data
+ * @returns {number|null}
+ */
+function getSessionDayNumber(session) {
+    const index = WEEKDAYS.findIndex(day => (session.day || '').includes(day));
+    if (index !== -1) {
+        return index + 1;
+    }
+    const [day, month, year] = (session.date || '').split('/').map(Number);
+    if (!day || !month || !year) {
+        return null;
+    }
+    return (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7 + 1;
+}
+
+/**
+ * Regular player names for a session's weekday
+ * @param {Object} [config] - config/regularPlayers data
+ * @param {Object} session - Session document data
+ * @returns {string[]}
+ */
+function getRegularNames(config, session) {
+    const dayNumber = getSessionDayNumber(session);
+    return config && dayNumber ? (config[`day${dayNumber}`] || []) : [];
+}
+
+/**
+ * End of a session's priority window
+ * Fixed by onSessionPublished; until then it runs from publishedAt (no publishedAt = no window)
+ * @param {Object} session - Session document data
+ * @param {{hours: number}} policy - resolvePriorityWindow() result
+ * @returns {Date|null}
+ */
+function getPriorityUntil(session, policy) {
+    if (session.priorityUntil !== undefined) {
+        return session.priorityUntil ? session.priorityUntil.toDate() : null;
+    }
+    if (policy.hours > 0 && session.publishedAt) {
+        return new Date(session.publishedAt.toDate().getTime() + policy.hours * 60 * 60 * 1000);
+    }
+    return null;
+}
+
+/**
+ * Club time for messages ("Tue 14/01, 18:00")
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatClubTime(date) {
+    return date.toLocaleString('en-GB', {
+        timeZone: CLUB_TIME_ZONE, weekday: 'short', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+/**
+ * Start the priority window of a freshly published session
+ * Writes priorityUntil (null = no window) and priorityUserIds, and tells the regulars
+ * who are not on the list yet
+ * @param {FirebaseFirestore.DocumentReference} sessionRef - Session document
+ * @param {Object} session - Session document data (just published)
+ * @returns {Promise<boolean>} true when a window was opened
+ */
+async function openPriorityWindow(sessionRef, session) {
+    const db = admin.firestore();
+    const [policyDoc, regularsDoc] = await Promise.all([
+        db.collection('config').doc('priorityWindow').get(),
+        db.collection('config').doc('regularPlayers').get()
+    ]);
+    const policy = resolvePriorityWindow(policyDoc.exists ? policyDoc.data() : null);
+    const regularNames = getRegularNames(regularsDoc.exists ? regularsDoc.data() : null, session);
+
+    // A lottery session has no first-come rush to protect regulars from
+    let regulars = [];
+    if (policy.hours > 0 && regularNames.length > 0 && session.registrationMode !== 'lottery') {
+        const usersSnapshot = await db.collection('authorizedUsers').get();
+        regulars = usersSnapshot.docs
+            .filter(doc => regularNames.includes(doc.data().name) && !doc.data().priorityLost)
+            .map(doc => ({ id: doc.id, name: doc.data().name }));
+    }
+
+    if (regulars.length === 0) {
+        await sessionRef.update({ priorityUntil: null });
+        return false;
+    }
+
+    const start = session.publishedAt ? session.publishedAt.toDate() : new Date();
+    const until = new Date(start.getTime() + policy.hours * 60 * 60 * 1000);
+    await sessionRef.update({
+        priorityUntil: admin.firestore.Timestamp.fromDate(until),
+        priorityUserIds: regulars.map(r => r.id)
+    });
+    console.log(`⭐ Priority window for ${sessionRef.id} until ${until.toISOString()} (${regulars.length} regulars)`);
+
+    // Regulars the admin already put on the list don't need to register
+    const playersSnapshot = await sessionRef.collection('players').get();
+    const registered = playersSnapshot.docs.map(doc => doc.data().userId);
+    for (const regular of regulars.filter(r => !registered.includes(r.id))) {
+        try {
+            await notify('priority-window', {
+                sessionId: sessionRef.id,
+                name: regular.name,
+                date: session.date,
+                day: session.day,
+                time: session.time,
+                until: formatClubTime(until)
+            }, { userId: regular.id, dedupeKey: `${sessionRef.id}-${regular.id}` });
+        } catch (error) {
+            console.error(`❌ Priority window notification for ${regular.name} failed:`, error.message);
+        }
+    }
+    return true;
+}
+
+// ============================================
+// LOTTERY REGISTRATION (ballot for oversubscribed sessions)
+// ============================================
+// A session with registrationMode 'lottery' takes entries instead of registrations
+// until lotteryDrawAt (default: the lock time). Entries: sessions/{id}/lotteryEntries/{userId}.
+// At the draw (publishAndLockSessions, or drawLotteryNow) the free spots are allocated
+// in a weighted random order (functions/lottery.js, weights from config/lottery):
+// winners are debited like registerPlayer, the others join the waiting list in draw
+// order (paid, refunded at close when they don't move up). Players who lose draws
+// get a better chance next time (authorizedUsers lotteryLosses, reset when they win).
+// The seed, weights and result are kept in lotteryDraws/{sessionId} for auditing;
+// afterwards the session takes normal registrations (waiting list)
+// ============================================
+
+/**
+ * Draw weights from config/lottery (missing/invalid values → default)
+ * @param {Object} [config] - config/lottery data
+ * @returns {{lossBonus: number, maxLosses: number, attendanceBonus: number, attendanceSessions: number}}
+ */
+function resolveLotteryPolicy(config) {
+    const policy = { ...lottery.DEFAULT_LOTTERY_POLICY };
+    Object.keys(policy).forEach(key => {
+        if (!config || config[key] === undefined || config[key] === null) {
+            return;
+        }
+        const value = Number(config[key]);
+        const isCount = key === 'maxLosses' || key === 'attendanceSessions';
+        if (isCount ? (Number.isInteger(value) && value >= 0 && value <= 20) : (value >= 0 && value <= 10)) {
+            policy[key] = value;
+        }
+    });
+    return policy;
+}
+
+/**
+ * Is the session taking lottery entries (lottery mode, not drawn yet)?
+ * @param {Object} session - Session document data
+ * @returns {boolean}
+ */
+function isLotteryOpen(session) {
+    return session.registrationMode === 'lottery' && !session.lotteryDrawnAt;
+}
+
+/**
+ * Draw time of a lottery session: lotteryDrawAt, otherwise the lock time
+ * @param {Object} session - Session document data
+ * @returns {Date|null}
+ */
+function getLotteryDrawAt(session) {
+    if (session.lotteryDrawAt) {
+        return session.lotteryDrawAt.toDate();
+    }
+    return session.lockAt ? session.lockAt.toDate() : getDefaultLockTime(session);
+}
+
+/**
+ * Sessions played per member in the last archived sessions
+ * Counts spots on the list; when check-in was used only players who checked in
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {number} sessionCount - Archived sessions to look at
+ * @returns {Promise<{sessions: number, counts: Object}>} counts: userId → sessions played
+ */
+async function getRecentAttendance(db, sessionCount) {
+    if (!sessionCount) {
+        return { sessions: 0, counts: {} };
+    }
+
+    // Archive IDs start with YYYY-MM-DD, so the newest sort last
+    const closedSnapshot = await db.collection('sessions').where('closed', '==', true).get();
+    const archived = closedSnapshot.docs
+        .filter(doc => doc.data().archivedFrom)
+        .sort((a, b) => b.id.localeCompare(a.id))
+        .slice(0, sessionCount);
+    const playerSnapshots = await Promise.all(archived.map(doc => doc.ref.collection('players').get()));
+
+    const counts = {};
+    playerSnapshots.forEach((snapshot, index) => {
+        const session = archived[index].data();
+        const maxPlayers = session.maxPlayers !== undefined ? session.maxPlayers : 12;
+        const userIds = new Set(snapshot.docs
+            .map(doc => doc.data())
+            .filter(p => p.userId && !isGuestPlayer(p) && p.position <= maxPlayers &&
+                (!session.checkInUsed || p.attended))
+            .map(p => p.userId));
+        userIds.forEach(userId => {
+            counts[userId] = (counts[userId] || 0) + 1;
+        });
+    });
+
+    return { sessions: archived.length, counts };
+}
+
+/**
+ * Draw a lottery session: allocate the free spots, debit the entrants, store the draw
+ * Idempotent - a session is only drawn once (lotteryDrawnAt)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} sessionId - Session to draw
+ * @param {string} drawnBy - 'schedule' or the admin's name
+ * @returns {Promise<Object>} { alreadyDrawn, seed, slots, winners, waitingList, skipped }
+ */
+async function drawLottery(db, sessionId, drawnBy) {
+    const sessionRef = db.collection('sessions').doc(sessionId);
+    const drawRef = db.collection('lotteryDraws').doc(sessionId);
+
+    const policyDoc = await db.collection('config').doc('lottery').get();
+    const policy = resolveLotteryPolicy(policyDoc.exists ? policyDoc.data() : null);
+    const attendance = await getRecentAttendance(db, policy.attendanceSessions);
+    // Fixed before the transaction, so a retry draws with the same seed
+    const seed = crypto.randomBytes(4).readUInt32BE(0);
+
+    const result = await db.runTransaction(async (transaction) => {
+        const ledger = createWalletLedger(db, transaction);
+        const [sessionDoc, entriesSnapshot, playersSnapshot] = await Promise.all([
+            transaction.get(sessionRef),
+            transaction.get(sessionRef.collection('lotteryEntries')),
+            transaction.get(sessionRef.collection('players'))
+        ]);
+
+        if (!sessionDoc.exists) {
+            throw new HttpsError('not-found', `Session ${sessionId} not found`);
+        }
+        const session = sessionDoc.data();
+        if (session.lotteryDrawnAt) {
+            return { alreadyDrawn: true, seed: session.lotterySeed };
+        }
+        if (session.registrationMode !== 'lottery') {
+            throw new HttpsError('failed-precondition', 'Session does not use lottery registration');
+        }
+        if (session.closed) {
+            throw new HttpsError('failed-precondition', 'Session is closed');
+        }
+        if (session.published === false) {
+            throw new HttpsError('failed-precondition', 'Session is not published yet');
+        }
+
+        // Entrants the admin put on the list in the meantime already have a spot
+        const players = playersSnapshot.docs.map(doc => doc.data());
+        const registered = players.filter(p => !isGuestPlayer(p)).map(p => p.userId);
+        const entryData = entriesSnapshot.docs.map(doc => doc.data()).filter(e => !registered.includes(e.userId));
+
+        // Read all wallets before any write (transaction rule)
+        const userDocs = await Promise.all(entryData.map(entry => ledger.read(entry.userId)));
+        const skipped = [];
+        const entries = [];
+        entryData.forEach((entry, index) => {
+            if (!userDocs[index].exists) {
+                skipped.push({ userId: entry.userId, name: entry.name, reason: 'unknown-user' });
+                return;
+            }
+            const user = userDocs[index].data();
+            const candidate = {
+                userId: entry.userId,
+                name: user.name,
+                losses: user.lotteryLosses || 0,
+                recentSessions: attendance.counts[entry.userId] || 0
+            };
+            candidate.weight = lottery.getEntryWeight(candidate, policy, attendance.sessions);
+            entries.push(candidate);
+        });
+
+        const maxPlayers = session.maxPlayers !== undefined ? session.maxPlayers : 12;
+        const paymentAmount = session.paymentAmount !== undefined ? session.paymentAmount : 0;
+        const order = lottery.drawOrder(entries, seed);
+        let position = players.reduce((max, p) => Math.max(max, p.position || 0), 0);
+        const slots = Math.max(0, maxPlayers - position);
+        const now = admin.firestore.FieldValue.serverTimestamp();
+
+        const winners = [];
+        const waitingList = [];
+        order.forEach(userId => {
+            const entry = entries.find(e => e.userId === userId);
+            // Same rule as registerPlayer - checked at the draw, not at entry
+            if (ledger.balance(userId) < MINIMUM_BALANCE) {
+                skipped.push({ userId, name: entry.name, reason: 'insufficient-balance' });
+                return;
+            }
+
+            position++;
+            const isWaitingList = position > maxPlayers;
+            transaction.set(sessionRef.collection('players').doc(), {
+                name: entry.name,
+                userId: userId,
+                paid: true,
+                amountPaid: paymentAmount,
+                timestamp: now,
+                position: position,
+                lottery: true
+            });
+            ledger.post({
+                userId: userId,
+                userName: entry.name,
+                type: 'registration',
+                amount: -paymentAmount,
+                description: isWaitingList
+                    ? `Payment for joining waiting list ${session.date} (lottery)`
+                    : `Payment for session ${session.date} (lottery)`,
+                sessionId: sessionId,
+                sessionDate: session.date,
+                createdBy: drawnBy
+            });
+            transaction.update(db.collection('authorizedUsers').doc(userId), {
+                lotteryLosses: isWaitingList ? entry.losses + 1 : 0
+            });
+            (isWaitingList ? waitingList : winners).push({ userId, name: entry.name, position });
+        });
+
+        transaction.set(drawRef, {
+            sessionId: sessionId,
+            sessionDate: session.date,
+            sessionDay: session.day,
+            seed: seed,
+            policy: policy,
+            attendanceSessions: attendance.sessions,
+            maxPlayers: maxPlayers,
+            slots: slots,
+            paymentAmount: paymentAmount,
+            // Input of lottery.drawOrder(entries, seed) - re-running it gives `order`
+            entries: entries.slice().sort((a, b) => (a.userId < b.userId ? -1 : 1)),
+            order: order,
+            winners: winners,
+            waitingList: waitingList,
+            skipped: skipped,
+            drawnBy: drawnBy,
+            drawnAt: now
+        });
+
+        transaction.update(sessionRef, {
+            lotteryDrawnAt: now,
+            lotterySeed: seed,
+            lotteryEntryCount: entriesSnapshot.size,
+            lastRegistrationAt: now
+        });
+
+        return { alreadyDrawn: false, seed, slots, winners, waitingList, skipped, session };
+    });
+
+    if (result.alreadyDrawn) {
+        return result;
+    }
+
+    const { session, ...summary } = result;
+    console.log(`🎲 Lottery ${sessionId} drawn (seed ${summary.seed}): ${summary.winners.length} in, ` +
+        `${summary.waitingList.length} waiting, ${summary.skipped.length} skipped`);
+
+    // The draw is stored at this point - a failed notification must not report it as failed
+    const outcomes = [
+        ...summary.winners.map(p => ({ ...p, result: 'won' })),
+        ...summary.waitingList.map(p => ({ ...p, result: 'waiting' })),
+        ...summary.skipped.filter(p => p.reason === 'insufficient-balance').map(p => ({ ...p, result: 'skipped' }))
+    ];
+    const maxPlayers = session.maxPlayers !== undefined ? session.maxPlayers : 12;
+    for (const outcome of outcomes) {
+        try {
+            await notify('lottery-result', {
+                sessionId: sessionId,
+                name: outcome.name,
+                result: outcome.result,
+                position: outcome.position || null,
+                waitingPosition: outcome.result === 'waiting' ? outcome.position - maxPlayers : null,
+                date: session.date,
+                day: session.day,
+                time: session.time
+            }, { userId: outcome.userId, dedupeKey: `${sessionId}-${outcome.userId}` });
+        } catch (error) {
+            console.error(`❌ Lottery notification for ${outcome.name} failed:`, error.message);
+        }
+    }
+
+    return { alreadyDrawn: false, ...summary };
+}
+
+/**
+ * Callable: Enter (or withdraw from) a session's lottery
+ * @param {string} request.data.sessionId - Session ID
+ * @param {string} request.data.userId - authorizedUsers document ID (signed-in user)
+ * @param {boolean} [request.data.withdraw] - Leave the draw instead
+ * @returns {{entered: boolean, drawAt: string|null}}
+ */
+exports.enterLottery = onCall({}, async (request) => {
+    const { sessionId, userId, withdraw } = request.data || {};
+
+    if (!sessionId || !userId) {
+        throw new HttpsError('invalid-argument', 'sessionId and userId are required');
+    }
+    if (!request.auth || request.auth.uid !== userId) {
+        throw registrationError('unauthenticated', 'auth', 'Login expired - please log in again');
+    }
+
+    const db = admin.firestore();
+    const sessionRef = db.collection('sessions').doc(sessionId);
+    const entryRef = sessionRef.collection('lotteryEntries').doc(userId);
+
+    try {
+        return await db.runTransaction(async (transaction) => {
+            const ledger = createWalletLedger(db, transaction);
+            const [sessionDoc, userDoc, entryDoc, playersSnapshot] = await Promise.all([
+                transaction.get(sessionRef),
+                ledger.read(userId),
+                transaction.get(entryRef),
+                transaction.get(sessionRef.collection('players'))
+            ]);
+
+            if (!sessionDoc.exists) {
+                throw new HttpsError('not-found', `Session ${sessionId} not found`);
+            }
+            if (!userDoc.exists) {
+                throw registrationError('unauthenticated', 'auth', 'Login expired - please log in again');
+            }
+
+            const session = sessionDoc.data();
+            assertRegistrationOpen(session);
+            const drawAt = getLotteryDrawAt(session);
+            if (!isLotteryOpen(session) || (drawAt && drawAt <= new Date())) {
+                throw registrationError('failed-precondition', 'lottery-closed', 'The lottery for this session is closed');
+            }
+            const response = { drawAt: drawAt ? drawAt.toISOString() : null };
+
+            if (withdraw) {
+                if (entryDoc.exists) {
+                    transaction.delete(entryRef);
+                }
+                return { entered: false, ...response };
+            }
+
+            if (playersSnapshot.docs.some(doc => !isGuestPlayer(doc.data()) && doc.data().userId === userId)) {
+                throw registrationError('already-exists', 'already-registered', `${userDoc.data().name} is already registered`);
+            }
+            assertRegistrationBalance(ledger.balance(userId));
+
+            if (!entryDoc.exists) {
+                transaction.set(entryRef, {
+                    userId: userId,
+                    name: userDoc.data().name,
+                    enteredAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+            return { entered: true, ...response };
+        });
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            console.log(`⚠️ Lottery entry rejected (${sessionId}, ${userId}): ${error.message}`);
+            throw error;
+        }
+        console.error('❌ Error entering lottery:', error.message);
+        throw new HttpsError('internal', 'Failed to enter the lottery: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Draw a lottery session now instead of at lotteryDrawAt (admin "Draw now")
+ * @param {string} request.data.sessionId - Session to draw
+ */
+exports.drawLotteryNow = onCall({}, async (request) => {
+    const caller = await requireCapability(request, CAPABILITIES.SESSION_PUBLISH);
+    const { sessionId } = request.data || {};
+
+    if (!sessionId) {
+        throw new HttpsError('invalid-argument', 'sessionId is required');
+    }
+
+    try {
+        const result = await drawLottery(admin.firestore(), sessionId, caller.name || 'admin');
+        return { success: true, ...result };
+    } catch (error) {
+        console.error('❌ Error drawing lottery:', error.message);
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        throw new HttpsError('internal', 'Failed to draw the lottery: ' + error.message);
+    }
+});
+
+// ============================================
+// CHECK-IN & NO-SHOWS
+// ============================================
+// Players scan the session's QR code at the venue (checkIn) or staff tick
+// names on the admin check-in screen: the player document gets attended: true.
+// Once check-in has started for a session (checkInStartedAt), closing it
+// counts registered players who never checked in as no-shows
+// (authorizedUsers noShowCount). Consequences in config/noShows:
+//   { warnAfter, losePriorityAfter } - number of no-shows, 0 = off
+// ============================================
+
+// Check-in opens this long before the session starts
+const CHECK_IN_OPENS_HOURS_BEFORE = 1;
+
+const DEFAULT_NO_SHOW_POLICY = {
+    warnAfter: 2,
+    losePriorityAfter: 0
+};
+
+/**
+ * No-show consequences from config/noShows (missing/invalid values → default)
+ * @param {Object} [config] - config/noShows data
+ * @returns {{warnAfter: number, losePriorityAfter: number}}
+ */
+function resolveNoShowPolicy(config) {
+    const policy = { ...DEFAULT_NO_SHOW_POLICY };
+    Object.keys(policy).forEach(key => {
+        const value = Number(config && config[key]);
+        if (Number.isInteger(value) && value >= 0) {
+            policy[key] = value;
+        }
+    });
+    return policy;
+}
+
+/**
+ * Callable: Start check-in for a session (admin check-in screen)
+ * Returns the session's check-in code for the QR code - the code is kept in
+ * checkInCodes/{sessionId}, which clients cannot read
+ * @param {string} request.data.sessionId - Session ID
+ * @returns {{code: string}}
+ */
+exports.openCheckIn = onCall({}, async (request) => {
+    await requireCapability(request, CAPABILITIES.PLAYERS_MANAGE);
+    const { sessionId } = request.data || {};
+
+    if (!sessionId) {
+        throw new HttpsError('invalid-argument', 'sessionId is required');
+    }
+
+    const db = admin.firestore();
+    const sessionRef = db.collection('sessions').doc(sessionId);
+    const codeRef = db.collection('checkInCodes').doc(sessionId);
+
+    try {
+        return await db.runTransaction(async (transaction) => {
+            const [sessionDoc, codeDoc] = await Promise.all([
+                transaction.get(sessionRef),
+                transaction.get(codeRef)
+            ]);
+
+            if (!sessionDoc.exists) {
+                throw new HttpsError('not-found', `Session ${sessionId} not found`);
+            }
+            if (sessionDoc.data().closed) {
+                throw new HttpsError('failed-precondition', 'Session is closed');
+            }
+
+            if (!sessionDoc.data().checkInStartedAt) {
+                transaction.update(sessionRef, {
+                    checkInStartedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+
+            if (codeDoc.exists) {
+                return { code: codeDoc.data().code };
+            }
+
+            const code = crypto.randomBytes(12).toString('hex');
+            transaction.set(codeRef, {
+                code: code,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { code };
+        });
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error opening check-in:', error.message);
+        throw new HttpsError('internal', 'Failed to open check-in: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Check in at the venue by scanning the session QR code
+ * Marks the player's own registration and guests on the player list as attended
+ * @param {string} request.data.sessionId - Session ID (from the QR code)
+ * @param {string} request.data.userId - authorizedUsers document ID (signed-in user)
+ * @param {string} request.data.code - Check-in code (from the QR code)
+ * @returns {{checkedIn: string[], alreadyCheckedIn: boolean}}
+ */
+exports.checkIn = onCall({}, async (request) => {
+    const { sessionId, userId, code } = request.data || {};
+
+    if (!sessionId || !userId || !code) {
+        throw new HttpsError('invalid-argument', 'sessionId, userId and code are required');
+    }
+    requireSignedIn(request, userId);
+
+    const db = admin.firestore();
+    const sessionRef = db.collection('sessions').doc(sessionId);
+
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            const [sessionDoc, codeDoc, playersSnapshot] = await Promise.all([
+                transaction.get(sessionRef),
+                transaction.get(db.collection('checkInCodes').doc(sessionId)),
+                transaction.get(sessionRef.collection('players').where('userId', '==', userId))
+            ]);
+
+            if (!sessionDoc.exists) {
+                throw new HttpsError('not-found', `Session ${sessionId} not found`);
+            }
+            if (!codeDoc.exists || codeDoc.data().code !== code) {
+                throw new HttpsError('permission-denied', 'Invalid check-in code');
+            }
+
+            const session = sessionDoc.data();
+            if (session.closed) {
+                throw new HttpsError('failed-precondition', 'Session is closed');
+            }
+
+            // From CHECK_IN_OPENS_HOURS_BEFORE before the start until the end
+            const start = getSessionStart(session);
+            const end = getSessionEnd(session);
+            const now = Date.now();
+            if ((start && now < start.getTime() - CHECK_IN_OPENS_HOURS_BEFORE * 60 * 60 * 1000) ||
+                (end && now > end.getTime())) {
+                throw new HttpsError('failed-precondition', 'Check-in is not open for this session');
+            }
+
+            // Waiting list players did not get a spot, nothing to check in
+            const maxPlayers = session.maxPlayers !== undefined ? session.maxPlayers : 12;
+            const spots = playersSnapshot.docs.filter(doc => doc.data().position <= maxPlayers);
+            if (spots.length === 0) {
+                throw new HttpsError('not-found', 'You are not on the player list');
+            }
+
+            const toCheckIn = spots.filter(doc => !doc.data().attended);
+            toCheckIn.forEach(doc => {
+                transaction.update(doc.ref, {
+                    attended: true,
+                    checkedInAt: admin.firestore.FieldValue.serverTimestamp(),
+                    checkInMethod: 'qr'
+                });
+            });
+
+            if (!session.checkInStartedAt) {
+                transaction.update(sessionRef, {
+                    checkInStartedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+
+            return {
+                checkedIn: spots.map(doc => doc.data().name),
+                alreadyCheckedIn: toCheckIn.length === 0
+            };
+        });
+
+        console.log(`📍 ${userId} checked in to ${sessionId}: ${result.checkedIn.join(', ')}`);
+        return result;
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error checking in:', error.message);
+        throw new HttpsError('internal', 'Failed to check in: ' + error.message);
+    }
+});
+
+/**
+ * Tell players who reached the warning threshold about their no-shows
+ * @param {Object[]} noShows - closeSessionWithAccounting result noShows
+ * @param {string} archivedSessionId - Archive ID (dedupe key, re-running never notifies twice)
+ * @param {Object} session - Closed session data
+ */
+async function notifyNoShows(noShows, archivedSessionId, session) {
+    for (const noShow of noShows.filter(n => n.warned)) {
+        await notify('no-show', {
+            name: noShow.name,
+            noShowCount: noShow.noShowCount,
+            priorityLost: noShow.priorityLost,
+            day: session.day,
+            date: session.date,
+            time: session.time
+        }, {
+            userId: noShow.userId,
+            dedupeKey: `${archivedSessionId}-${noShow.userId}`
+        });
+    }
+}
+
+// ============================================
+// SESSION CLOSE & ACCOUNTING (Server-side)
+// ============================================
+// Archive + players/results copy + waiting list refunds + income/expenses +
+// no-show counters + closed flag are written in ONE Firestore transaction.
+// Ledger document IDs are derived from the archive ID, so the
+// operation is idempotent: a closed session is never booked twice.
+// ============================================
+
+// Close automatically this long after the session end time
+const AUTO_CLOSE_DELAY_HOURS = 1;
+
+// Registered players get a reminder this many hours before the session starts
+const REMINDER_HOURS_BEFORE_SESSION = 3;
+
+/**
+ * Get session end time from session date/time fields (club time zone)
+ * @param {Object} sessionData - Session document data
+ * @returns {Date|null} Session end, or null if unable to parse
+ */
+function getSessionEnd(sessionData) {
+    const [day, month, year] = (sessionData.date || '').split('/').map(Number);
+    const [hours, minutes] = ((sessionData.time || '').split(' - ')[1] || '').trim().split(':').map(Number);
+
+    if (!day || !month || !year || isNaN(hours) || isNaN(minutes)) {
+        return null;
+    }
+
+    return new Date(Date.UTC(year, month - 1, day, hours - CLUB_UTC_OFFSET_HOURS, minutes));
+}
+
+/**
+ * Courts paid for a session: the courts booked by its template, otherwise one per PLAYERS_PER_COURT players
+ * Same as getSessionCourts() in app.js
+ * @param {Object} sessionData - Session document data
+ * @param {number} playerCount - Players with a spot
+ * @returns {number}
+ */
+function getSessionCourts(sessionData, playerCount) {
+    return sessionData.courts > 0 ? sessionData.courts : Math.ceil(playerCount / PLAYERS_PER_COURT);
+}
+
+/**
+ * Close a session and record its accounting in a single transaction
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} sessionId - Session document ID
+ * @param {string} closedBy - 'admin' or 'schedule'
+ * @returns {Promise<Object>} Close summary ({ alreadyClosed, archivedSessionId, ... })
+ */
+async function closeSessionWithAccounting(db, sessionId, closedBy) {
+    const sessionRef = db.collection('sessions').doc(sessionId);
+
+    const result = await db.runTransaction(async (transaction) => {
+        const sessionDoc = await transaction.get(sessionRef);
+        if (!sessionDoc.exists) {
+            throw new HttpsError('not-found', `Session ${sessionId} not found`);
+        }
+
+        const session = sessionDoc.data();
+
+        // Idempotent: already closed → return the existing result
+        if (session.closed) {
+            return {
+                alreadyClosed: true,
+                archivedSessionId: session.archivedTo || null,
+                finalPlayerCount: session.finalPlayerCount || 0,
+                finalIncome: session.finalIncome || 0,
+                finalExpense: session.finalExpense || 0
+            };
+        }
+
+        // Same rule as the admin app: shuttlecock count must be set before closing
+        const shuttlecocksUsed = session.shuttlecocksUsed || 0;
+        if (shuttlecocksUsed === 0) {
+            throw new HttpsError('failed-precondition', 'Shuttlecocks count required before closing the session');
+        }
+
+        const maxPlayers = session.maxPlayers !== undefined ? session.maxPlayers : 12;
+        const paymentAmount = session.paymentAmount !== undefined ? session.paymentAmount : 0;
+
+        const playersSnapshot = await transaction.get(sessionRef.collection('players'));
+        const players = playersSnapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => a.position - b.position);
+        const activePlayers = players.slice(0, maxPlayers);
+        const waitingList = players.slice(maxPlayers);
+
+        // Match results go to the archive like the players (see recordMatchResult)
+        const matchesSnapshot = await transaction.get(sessionRef.collection('matches'));
+
+        // Archive ID: YYYY-MM-DD (suffixed with the session ID when another session
+        // on the same date was archived already)
+        const [day, month, year] = (session.date || '').split('/');
+        let archivedSessionId = `${year}-${month}-${day}`;
+        let archivedSessionRef = db.collection('sessions').doc(archivedSessionId);
+        const existingArchive = await transaction.get(archivedSessionRef);
+        if (existingArchive.exists && existingArchive.data().archivedFrom !== sessionId) {
+            archivedSessionId = `${archivedSessionId}_${sessionId}`;
+            archivedSessionRef = db.collection('sessions').doc(archivedSessionId);
+        }
+
+        // Waiting list refunds: read all wallets before any write (transaction rule)
+        const ledger = createWalletLedger(db, transaction);
+        const refundUserIds = [...new Set(waitingList.filter(p => p.userId && p.paid).map(p => p.userId))];
+        const userDocs = await Promise.all(refundUserIds.map(userId => ledger.read(userId)));
+        const refundableUserIds = userDocs.filter(doc => doc.exists).map(doc => doc.id);
+
+        // Attendance: only once check-in was used for this session. Guests count
+        // for the session but not against the host's no-show record
+        const checkInUsed = Boolean(session.checkInStartedAt);
+        const attendedPlayers = checkInUsed ? activePlayers.filter(p => p.attended) : activePlayers;
+        const noShowPlayers = checkInUsed ? activePlayers.filter(p => !p.attended) : [];
+        const noShowUserIds = [...new Set(noShowPlayers.filter(p => p.userId && !isGuestPlayer(p)).map(p => p.userId))];
+        const [noShowConfigDoc, ...noShowUserDocs] = await Promise.all([
+            transaction.get(db.collection('config').doc('noShows')),
+            ...noShowUserIds.map(userId => transaction.get(db.collection('authorizedUsers').doc(userId)))
+        ]);
+        const noShowPolicy = resolveNoShowPolicy(noShowConfigDoc.exists ? noShowConfigDoc.data() : null);
+
+        // Finances
+        const income = activePlayers.reduce((sum, p) => sum + getPlayerPrice(p, paymentAmount), 0);
+        const courts = getSessionCourts(session, activePlayers.length);
+        const courtCost = courts * COURT_COST;
+        const shuttlecockCost = shuttlecocksUsed * SHUTTLECOCK_COST;
+        const totalExpense = courtCost + shuttlecockCost;
+        const notes = `${session.day} ${session.time}`;
+        const now = admin.firestore.FieldValue.serverTimestamp();
+
+        // ==========================================
+        // WRITES
+        // ==========================================
+        transaction.set(archivedSessionRef, {
+            date: session.date,
+            day: session.day,
+            time: session.time,
+            maxPlayers: maxPlayers,
+            paymentAmount: paymentAmount,
+            shuttlecocksUsed: shuttlecocksUsed,
+            published: session.published !== false,
+            closed: true,
+            closedAt: now,
+            closedBy: closedBy,
+            finalPlayerCount: activePlayers.length,
+            finalIncome: income,
+            finalExpense: totalExpense,
+            courts: courts,
+            checkInUsed: checkInUsed,
+            attendedCount: attendedPlayers.length,
+            noShowCount: noShowPlayers.length,
+            noShows: noShowPlayers.map(p => p.name),
+            matchCount: matchesSnapshot.size,
+            archivedFrom: sessionId,
+            createdAt: now
+        });
+
+        players.forEach(player => {
+            const { id, ...playerData } = player;
+            // Same player ID as in the open session, so re-running never duplicates
+            const archived = { ...playerData, archivedAt: now };
+            if (checkInUsed && player.position <= maxPlayers) {
+                archived.attended = !!player.attended;
+            }
+            transaction.set(archivedSessionRef.collection('players').doc(id), archived);
+        });
+
+        // Same result ID as well - the leaderboard counts each game once
+        matchesSnapshot.docs.forEach(doc => {
+            transaction.set(archivedSessionRef.collection('matches').doc(doc.id), {
+                ...doc.data(),
+                archivedSessionId: archivedSessionId,
+                archivedAt: now
+            });
+        });
+
+        const noShows = [];
+        noShowUserDocs.filter(doc => doc.exists).forEach(userDoc => {
+            const noShowCount = (userDoc.data().noShowCount || 0) + 1;
+            const priorityLost = noShowPolicy.losePriorityAfter > 0 && noShowCount >= noShowPolicy.losePriorityAfter;
+            const update = {
+                noShowCount: noShowCount,
+                lastNoShowAt: now,
+                lastNoShowSession: session.date
+            };
+            if (priorityLost) {
+                update.priorityLost = true;
+            }
+            transaction.update(userDoc.ref, update);
+            noShows.push({
+                userId: userDoc.id,
+                name: userDoc.data().name,
+                noShowCount,
+                priorityLost,
+                warned: noShowPolicy.warnAfter > 0 && noShowCount >= noShowPolicy.warnAfter
+            });
+        });
+
+        const refunded = [];
+        waitingList.forEach(player => {
+            if (!player.paid || !player.userId || !refundableUserIds.includes(player.userId)) {
+                return;
+            }
+            ledger.post({
+                userId: player.userId,
+                userName: isGuestPlayer(player) ? player.guestOfName : player.name,
+                type: 'refund',
+                amount: getPlayerPrice(player, paymentAmount),
+                description: `Auto-refund - Waiting list ${session.date}`,
+                sessionId: sessionId,
+                sessionDate: session.date,
+                createdBy: closedBy
+            });
+            refunded.push(player.name);
+        });
+
+        transaction.set(db.collection('income').doc(archivedSessionId), {
+            date: archivedSessionId.substring(0, 10),
+            sessionId: archivedSessionId,
+            amount: income,
+            paymentPerPlayer: paymentAmount,
+            playerCount: activePlayers.length,
+            attendedCount: attendedPlayers.length,
+            noShowCount: noShowPlayers.length,
+            timestamp: now,
+            notes: notes
+        });
+
+        transaction.set(db.collection('expenses').doc(`${archivedSessionId}_court_rental`), {
+            date: archivedSessionId.substring(0, 10),
+            type: 'court_rental',
+            sessionId: archivedSessionId,
+            amount: courtCost,
+            courts: courts,
+            costPerCourt: COURT_COST,
+            timestamp: now,
+            notes: notes
+        });
+
+        transaction.set(db.collection('expenses').doc(`${archivedSessionId}_shuttlecocks`), {
+            date: archivedSessionId.substring(0, 10),
+            type: 'shuttlecocks',
+            sessionId: archivedSessionId,
+            amount: shuttlecockCost,
+            quantity: shuttlecocksUsed,
+            costPerItem: SHUTTLECOCK_COST,
+            timestamp: now,
+            notes: notes
+        });
+
+        transaction.update(sessionRef, {
+            closed: true,
+            closedAt: now,
+            closedBy: closedBy,
+            finalPlayerCount: activePlayers.length,
+            finalIncome: income,
+            finalExpense: totalExpense,
+            archivedTo: archivedSessionId
+        });
+
+        return {
+            alreadyClosed: false,
+            archivedSessionId,
+            finalPlayerCount: activePlayers.length,
+            playersArchived: players.length,
+            matchesArchived: matchesSnapshot.size,
+            finalIncome: income,
+            finalExpense: totalExpense,
+            courts,
+            courtCost,
+            shuttlecocksUsed,
+            shuttlecockCost,
+            waitingListRefunded: refunded,
+            checkInUsed,
+            attendedCount: attendedPlayers.length,
+            noShows,
+            session
+        };
+    });
+
+    if (result.alreadyClosed) {
+        return result;
+    }
+
+    // The session is closed at this point - a failed notification must not report the close as failed
+    const { session, ...summary } = result;
+    try {
+        await notifyNoShows(summary.noShows, summary.archivedSessionId, session);
+    } catch (error) {
+        console.error('❌ Error notifying no-shows:', error.message);
+    }
+    return summary;
+}
+
+/**
+ * Callable: Close a session (admin "Close" button)
+ * @param {string} request.data.sessionId - Session to close
+ */
+exports.closeSession = onCall({}, async (request) => {
+    await requireCapability(request, CAPABILITIES.SESSION_CLOSE);
+    const { sessionId } = request.data || {};
+
+    if (!sessionId) {
+        throw new HttpsError('invalid-argument', 'sessionId is required');
+    }
+
+    try {
+        const result = await closeSessionWithAccounting(admin.firestore(), sessionId, 'admin');
+        console.log(`📦 Session ${sessionId} closed:`, JSON.stringify(result));
+        return { success: true, ...result };
+    } catch (error) {
+        console.error('❌ Error closing session:', error.message);
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        throw new HttpsError('internal', 'Failed to close session: ' + error.message);
+    }
+});
+
+/**
+ * SCHEDULED: Close sessions automatically after they end
+ * Sessions without shuttlecock count are left open and the admin is reminded once
+ */
+exports.closeFinishedSessions = onSchedule({
+    schedule: 'every 30 minutes',
+    timeZone: CLUB_TIME_ZONE,
+    secrets: [emailUser, emailPass, emailTo, telegramBotToken, telegramChatId]
+}, async () => {
+    const db = admin.firestore();
+    const now = new Date();
+
+    try {
+        const openSessionDocs = await getOpenSessionDocs(db);
+
+        for (const doc of openSessionDocs) {
+            const data = doc.data();
+            const end = getSessionEnd(data);
+
+            // Only published sessions that ended at least AUTO_CLOSE_DELAY_HOURS ago
+            if (data.published === false || !end) {
+                continue;
+            }
+            if (now.getTime() < end.getTime() + AUTO_CLOSE_DELAY_HOURS * 60 * 60 * 1000) {
+                continue;
+            }
+
+            if (!data.shuttlecocksUsed) {
+                if (!data.closeReminderSentAt) {
+                    await sendTelegramNotification(
+                        `🏸 <b>Shuttlecocks count missing</b>\n${data.day} ${data.date} ${data.time}\n\n` +
+                        'Session will be closed automatically once the count is registered.'
+                    );
+                    await doc.ref.update({ closeReminderSentAt: admin.firestore.FieldValue.serverTimestamp() });
+                }
+                continue;
+            }
+
+            try {
+                const result = await closeSessionWithAccounting(db, doc.id, 'schedule');
+                if (!result.alreadyClosed) {
+                    console.log(`📦 Session ${doc.id} auto-closed → sessions/${result.archivedSessionId}`);
+                    await sendTelegramNotification(
+                        `📦 <b>Session closed</b>\n${data.day} ${data.date}\n` +
+                        `Players: ${result.finalPlayerCount}` +
+                        (result.checkInUsed ? ` (checked in: ${result.attendedCount})\n` : '\n') +
+                        `Income: ${result.finalIncome} THB\nExpenses: ${result.finalExpense} THB`
+                    );
+                }
+            } catch (error) {
+                console.error(`❌ Error auto-closing session ${doc.id}:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error in closeFinishedSessions:', error.message);
+    }
+});
+
+/**
+ * SCHEDULED: Remind registered players (not the waiting list) a few hours before the session
+ * Each session is reminded once (reminderSentAt)
+ */
+exports.sendSessionReminders = onSchedule({
+    schedule: 'every 30 minutes',
+    timeZone: CLUB_TIME_ZONE
+}, async () => {
+    const db = admin.firestore();
+    const now = Date.now();
+
+    try {
+        const openSessionDocs = await getOpenSessionDocs(db);
+
+        for (const doc of openSessionDocs) {
+            const data = doc.data();
+            const start = getSessionStart(data);
+
+            if (data.published === false || data.reminderSentAt || !start) {
+                continue;
+            }
+            const untilStart = start.getTime() - now;
+            if (untilStart <= 0 || untilStart > REMINDER_HOURS_BEFORE_SESSION * 60 * 60 * 1000) {
+                continue;
+            }
+
+            const maxPlayers = data.maxPlayers || 12;
+            const playersSnapshot = await doc.ref.collection('players').get();
+            const userIds = [...new Set(playersSnapshot.docs
+                .map(playerDoc => playerDoc.data())
+                .filter(player => player.userId && player.position <= maxPlayers)
+                .map(player => player.userId))];
+
+            await notify('session-reminder', {
+                sessionId: doc.id,
+                date: data.date,
+                day: data.day,
+                time: data.time
+            }, { userIds, dedupeKey: `reminder-${doc.id}` });
+
+            await doc.ref.update({ reminderSentAt: admin.firestore.FieldValue.serverTimestamp() });
+            console.log(`⏰ Session ${doc.id} reminder queued for ${userIds.length} players`);
+        }
+    } catch (error) {
+        console.error('❌ Error in sendSessionReminders:', error.message);
+    }
+});
+
+// ============================================
+// WEEKLY REPORTS
+// ============================================
+// weeklyBalance/{weekId} (e.g. 2025-W46): one week's income, expenses and profit,
+// built here from the income/expenses ledger. weeklyBalance/summary holds the
+// club's running balance (currentBalance). Report and summary are written in ONE
+// transaction and only by saveWeeklyReport - staff can't edit past reports.
+// Regenerating a week reverses its old profit first; the old report is kept
+// in weeklyBalance/{weekId}/revisions.
+// ============================================
+
+// Next week's recommended price: cost of a normal week, minus the running balance
+// spread over distributionWeeks
+const WEEKLY_PRICING = {
+    courts: 12,
+    courtPrice: 220,
+    shuttlecocks: 18,
+    shuttlecockPrice: 90,
+    playersPerWeek: 36, // 3 sessions × 12 players
+    distributionWeeks: 2
+};
+
+/**
+ * ISO 8601 week of a date - the ID uses the date's own year, as the admin app always did
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{weekId: string, weekNumber: number, year: number}} weekId e.g. 2025-W46
+ */
+function getWeekId(date) {
+    const d = new Date(`${date}T00:00:00Z`);
+    const year = d.getUTCFullYear();
+    d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    const weekNumber = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+    return { weekId: `${year}-W${String(weekNumber).padStart(2, '0')}`, weekNumber, year };
+}
+
+/**
+ * Build a weekly report from income and expense documents
+ * @param {Object[]} incomeDocs - income documents in the date range
+ * @param {Object[]} expenseDocs - expenses documents in the date range
+ * @param {number} balanceBefore - Running balance before this week
+ * @returns {Object} Report fields (without dates and metadata)
+ */
+function buildWeeklyReport(incomeDocs, expenseDocs, balanceBefore) {
+    const incomeSessions = incomeDocs.map(data => ({
+        date: data.date,
+        amount: data.amount,
+        playerCount: data.playerCount,
+        sessionId: data.sessionId
+    }));
+    const totalIncome = incomeDocs.reduce((sum, data) => sum + (data.amount || 0), 0);
+    const totalPlayers = incomeDocs.reduce((sum, data) => sum + (data.playerCount || 0), 0);
+
+    const expenseBreakdown = { court_rental: [], shuttlecocks: [], other: [] };
+    let courtCost = 0;
+    let shuttlecockCost = 0;
+    let otherExpenses = 0;
+    expenseDocs.forEach(data => {
+        const amount = data.amount || 0;
+        if (data.type === 'court_rental') {
+            courtCost += amount;
+            expenseBreakdown.court_rental.push({
+                date: data.date,
+                amount,
+                courts: data.courts || 0,
+                costPerCourt: data.costPerCourt || 440
+            });
+        } else if (data.type === 'shuttlecocks') {
+            shuttlecockCost += amount;
+            expenseBreakdown.shuttlecocks.push({
+                date: data.date,
+                amount,
+                quantity: data.quantity || 0,
+                costPerItem: data.costPerItem || 90
+            });
+        } else {
+            otherExpenses += amount;
+            expenseBreakdown.other.push({
+                date: data.date,
+                amount,
+                category: data.category || 'Other',
+                notes: data.notes || ''
+            });
+        }
+    });
+    const totalExpenses = courtCost + shuttlecockCost + otherExpenses;
+
+    const grossProfit = totalIncome - totalExpenses;
+    const sessionCount = incomeSessions.length;
+    const balanceAfter = balanceBefore + grossProfit;
+
+    const weeklyCost = (WEEKLY_PRICING.courts * WEEKLY_PRICING.courtPrice) +
+        (WEEKLY_PRICING.shuttlecocks * WEEKLY_PRICING.shuttlecockPrice);
+    const basePrice = Math.round(weeklyCost / WEEKLY_PRICING.playersPerWeek);
+    const balanceToDistribute = balanceAfter / WEEKLY_PRICING.distributionWeeks;
+    const priceAdjustment = Math.round(balanceToDistribute / WEEKLY_PRICING.playersPerWeek);
+    const recommendedPrice = basePrice - priceAdjustment;
+
+    return {
+        totalIncome,
+        totalPlayers,
+        sessionCount,
+        incomeSessions,
+        totalExpenses,
+        courtCost,
+        shuttlecockCost,
+        otherExpenses,
+        expenseBreakdown,
+        grossProfit,
+        profitPerSession: sessionCount > 0 ? (grossProfit / sessionCount) : 0,
+        profitPerPlayer: totalPlayers > 0 ? (grossProfit / totalPlayers) : 0,
+        balanceBefore,
+        balanceAfter,
+        nextWeekRecommendedPrice: recommendedPrice,
+        priceCalculation: {
+            weeklyCost,
+            basePrice,
+            currentBalance: balanceAfter,
+            balanceToDistribute,
+            weeksToDistribute: WEEKLY_PRICING.distributionWeeks,
+            playersPerWeek: WEEKLY_PRICING.playersPerWeek,
+            priceAdjustment,
+            recommendedPrice
+        }
+    };
+}
+
+/**
+ * CALLABLE: Build and save the weekly report for a date range (reports.view)
+ * @param {Object} request.data
+ *   startDate, endDate: YYYY-MM-DD (the week ID comes from startDate)
+ *   preview: true = only build the report, nothing is saved
+ *   replace: true = overwrite an existing report for the week (old profit is
+ *            reversed from the running balance, old report kept in revisions)
+ * @returns {{success: boolean, saved: boolean, weekId: string, existing: Object|null, report: Object}}
+ *   existing: { grossProfit } of the saved report for this week, if there is one
+ */
+exports.saveWeeklyReport = onCall({}, async (request) => {
+    const caller = await requireCapability(request, CAPABILITIES.REPORTS_VIEW);
+    const { startDate, endDate, preview, replace } = request.data || {};
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!datePattern.test(startDate || '') || !datePattern.test(endDate || '') || startDate > endDate) {
+        throw new HttpsError('invalid-argument', 'startDate and endDate (YYYY-MM-DD) are required');
+    }
+
+    const db = admin.firestore();
+    const { weekId, weekNumber, year } = getWeekId(startDate);
+    const reportRef = db.collection('weeklyBalance').doc(weekId);
+    const summaryRef = db.collection('weeklyBalance').doc('summary');
+
+    try {
+        // income and expenses are append-only (closeSession, expenses rules) - read outside the transaction
+        const [incomeSnapshot, expensesSnapshot] = await Promise.all(['income', 'expenses'].map(name =>
+            db.collection(name)
+                .where('date', '>=', startDate)
+                .where('date', '<=', endDate)
+                .orderBy('date', 'asc')
+                .get()
+        ));
+        const incomeDocs = incomeSnapshot.docs.map(doc => doc.data());
+        const expenseDocs = expensesSnapshot.docs.map(doc => doc.data());
+
+        return await db.runTransaction(async (transaction) => {
+            const [existingDoc, summaryDoc] = await Promise.all([
+                transaction.get(reportRef),
+                transaction.get(summaryRef)
+            ]);
+            const existing = existingDoc.exists ? existingDoc.data() : null;
+            const currentBalance = summaryDoc.exists ? (summaryDoc.data().currentBalance || 0) : 0;
+
+            // Regenerating a week starts from the balance before its old profit
+            const balanceBefore = existing ? currentBalance - (existing.grossProfit || 0) : currentBalance;
+            const report = {
+                weekNumber,
+                year,
+                startDate,
+                endDate,
+                ...buildWeeklyReport(incomeDocs, expenseDocs, balanceBefore)
+            };
+            const result = {
+                success: true,
+                saved: false,
+                weekId,
+                existing: existing ? { grossProfit: existing.grossProfit || 0 } : null,
+                report
+            };
+
+            if (preview) {
+                return result;
+            }
+            if (existing && !replace) {
+                throw new HttpsError('already-exists', `A report for ${weekId} already exists`, {
+                    reason: 'report-exists',
+                    grossProfit: existing.grossProfit || 0
+                });
+            }
+
+            const now = admin.firestore.FieldValue.serverTimestamp();
+            if (existing) {
+                transaction.set(reportRef.collection('revisions').doc(), {
+                    ...existing,
+                    replacedAt: now,
+                    replacedBy: caller.name
+                });
+            }
+            transaction.set(reportRef, { ...report, createdAt: now, createdBy: caller.name });
+            transaction.set(summaryRef, {
+                currentBalance: report.balanceAfter,
+                lastProcessedDate: endDate,
+                lastUpdated: now
+            }, { merge: true });
+
+            console.log(`📊 Weekly report ${weekId} saved: profit ${report.grossProfit}, balance ${report.balanceAfter}`);
+            return { ...result, saved: true };
+        });
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error saving weekly report:', error.message);
+        throw new HttpsError('internal', 'Failed to save weekly report: ' + error.message);
+    }
+});
+
+// ============================================
+// REGISTRATION (Transactional)
+// ============================================
+// Duplicate check, capacity/position and wallet debit in ONE transaction
+// so two players tapping "Join" at the same time can't get the same slot
+// ============================================
+
+/**
+ * Throw a registration error the apps can translate (details.reason)
+ * @param {string} code - HttpsError code
+ * @param {string} reason - Machine-readable reason for the client
+ * @param {string} message - English message
+ * @param {Object} extra - Extra details (e.g. balance)
+ */
+function registrationError(code, reason, message, extra = {}) {
+    return new HttpsError(code, message, { reason, ...extra });
+}
+
+/**
+ * Balance rule for taking a spot (registerPlayer, enterLottery, acceptSpotTransfer):
+ * at least MINIMUM_BALANCE before paying (throws registrationError otherwise)
+ * @param {number} balance - Wallet balance before the payment
+ */
+function assertRegistrationBalance(balance) {
+    if (balance < MINIMUM_BALANCE) {
+        throw registrationError('failed-precondition', 'insufficient-balance', 'Insufficient balance', { balance });
+    }
+}
+
+/**
+ * Check that registration is open for a session (throws registrationError otherwise)
+ * @param {Object} session - Session document data
+ */
+function assertRegistrationOpen(session) {
+    if (session.closed) {
+        throw registrationError('failed-precondition', 'closed', 'Session is closed');
+    }
+    if (session.published === false) {
+        throw registrationError('failed-precondition', 'not-published', 'Session is not published yet');
+    }
+    if (session.maintenanceMode) {
+        throw registrationError('failed-precondition', 'maintenance', 'System is under maintenance');
+    }
+
+    if (isSessionLocked(session)) {
+        throw registrationError('failed-precondition', 'locked', 'Session is locked');
+    }
+}
+
+/**
+ * Is the session locked? Server lock flag; legacy sessions without it use the default lock time
+ * @param {Object} session - Session document data
+ * @returns {boolean}
+ */
+function isSessionLocked(session) {
+    if (typeof session.locked === 'boolean') {
+        return session.locked;
+    }
+    const lockAt = session.lockAt ? session.lockAt.toDate() : getDefaultLockTime(session);
+    return Boolean(lockAt && lockAt <= new Date());
+}
+
+// ============================================
+// GUESTS
+// ============================================
+// Guest player documents: isGuest, guestName, guestOf (host userId), guestOfName,
+// guestProfileId and amountPaid. name stays "Host friend: Guest" for older app
+// versions and text exports - never parse it, read the fields.
+// Reusable guest profiles: guestProfiles/{hostUserId}_{key}
+//   { name, hostUserId, hostName, timesPlayed, lastPlayedAt }
+// Limits and price in config/guests: { maxPerHost, maxPerSession, guestPrice }
+//   0 = no limit, guestPrice null = same as the member price
+// ============================================
+
+const DEFAULT_GUEST_POLICY = {
+    maxPerHost: 0,
+    maxPerSession: 0,
+    guestPrice: null
+};
+
+/**
+ * Effective guest policy (config/guests → default)
+ * @param {Object} [config] - config/guests data
+ * @returns {{maxPerHost: number, maxPerSession: number, guestPrice: number|null}}
+ */
+function resolveGuestPolicy(config) {
+    const merged = { ...DEFAULT_GUEST_POLICY, ...(config || {}) };
+    const limit = (value) => {
+        const number = Number(value);
+        return Number.isInteger(number) && number > 0 ? number : 0;
+    };
+    const guestPrice = merged.guestPrice === null || merged.guestPrice === '' ? NaN : Number(merged.guestPrice);
+
+    return {
+        maxPerHost: limit(merged.maxPerHost),
+        maxPerSession: limit(merged.maxPerSession),
+        guestPrice: Number.isFinite(guestPrice) && guestPrice >= 0 ? guestPrice : null
+    };
+}
+
+/**
+ * Is this player document a guest? (legacy guests may lack guestOf or isGuest)
+ * @param {Object} player - Player document data
+ * @returns {boolean}
+ */
+function isGuestPlayer(player) {
+    return Boolean(player.isGuest || player.guestOf);
+}
+
+/**
+ * What a spot cost: amountPaid when recorded, otherwise the session price
+ * (spots registered before amountPaid existed)
+ * @param {Object} player - Player document data
+ * @param {number} paymentAmount - Session price
+ * @returns {number}
+ */
+function getPlayerPrice(player, paymentAmount) {
+    return typeof player.amountPaid === 'number' ? player.amountPaid : paymentAmount;
+}
+
+/**
+ * Guest profile document ID - one profile per host and guest name (case-insensitive)
+ * @param {string} hostUserId - Host authorizedUsers document ID
+ * @param {string} guestName - Guest display name
+ * @returns {string}
+ */
+function getGuestProfileId(hostUserId, guestName) {
+    const key = crypto.createHash('sha256').update(guestName.trim().toLowerCase()).digest('hex').substring(0, 16);
+    return `${hostUserId}_${key}`;
+}
+
+/**
+ * Split a legacy guest name ("Host friend: Guest", "Host venn: Guest", "Host + Guest")
+ * Only used by migrateGuestRecords
+ * @param {string} name - Player name
+ * @param {boolean} isGuest - The document is flagged as a guest ("+" alone is not enough)
+ * @returns {{hostName: string, guestName: string}|null}
+ */
+function parseLegacyGuestName(name, isGuest) {
+    const separators = isGuest ? [' friend: ', ' venn: ', ' + '] : [' friend: ', ' venn: '];
+    for (const separator of separators) {
+        const parts = (name || '').split(separator);
+        if (parts.length === 2 && parts[0].trim() && parts[1].trim()) {
+            return { hostName: parts[0].trim(), guestName: parts[1].trim() };
+        }
+    }
+    return null;
+}
+
+/**
+ * Callable: Fill the structured guest fields on old guest registrations
+ * Goes through every session (open and archived); safe to run more than once
+ * @returns {{sessions: number, migrated: number, profiles: number, skipped: string[]}}
+ */
+exports.migrateGuestRecords = onCall({ timeoutSeconds: 300 }, async (request) => {
+    await requireCapability(request, CAPABILITIES.SETTINGS_MANAGE);
+
+    const db = admin.firestore();
+
+    try {
+        const [sessionsSnapshot, usersSnapshot] = await Promise.all([
+            db.collection('sessions').get(),
+            db.collection('authorizedUsers').get()
+        ]);
+        const userIdByName = new Map(usersSnapshot.docs.map(doc => [doc.data().name, doc.id]));
+
+        const updates = [];
+        const profiles = new Map();
+        const skipped = [];
+
+        for (const sessionDoc of sessionsSnapshot.docs) {
+            const playersSnapshot = await sessionDoc.ref.collection('players').get();
+            playersSnapshot.docs.forEach(playerDoc => {
+                const player = playerDoc.data();
+                if (player.guestName) {
+                    return;
+                }
+                const parsed = parseLegacyGuestName(player.name, isGuestPlayer(player));
+                if (!parsed) {
+                    if (isGuestPlayer(player)) {
+                        skipped.push(`${sessionDoc.id}/${playerDoc.id} (${player.name})`);
+                    }
+                    return;
+                }
+
+                const hostUserId = player.guestOf || player.userId || userIdByName.get(parsed.hostName) || null;
+                const hostName = player.guestOfName || parsed.hostName;
+                const update = {
+                    isGuest: true,
+                    guestName: parsed.guestName,
+                    guestOf: hostUserId,
+                    guestOfName: hostName
+                };
+                if (hostUserId) {
+                    const profileId = getGuestProfileId(hostUserId, parsed.guestName);
+                    update.guestProfileId = profileId;
+                    const profile = profiles.get(profileId) || {
+                        name: parsed.guestName,
+                        hostUserId: hostUserId,
+                        hostName: hostName,
+                        timesPlayed: 0
+                    };
+                    profile.timesPlayed++;
+                    profiles.set(profileId, profile);
+                }
+                updates.push({ ref: playerDoc.ref, data: update });
+            });
+        }
+
+        // Batches of 400 (Firestore limit is 500 writes)
+        const writes = [
+            ...updates,
+            ...[...profiles].map(([profileId, profile]) => ({
+                ref: db.collection('guestProfiles').doc(profileId),
+                data: { ...profile, migratedAt: admin.firestore.FieldValue.serverTimestamp() },
+                set: true
+            }))
+        ];
+        for (let i = 0; i < writes.length; i += 400) {
+            const batch = db.batch();
+            writes.slice(i, i + 400).forEach(write => {
+                if (write.set) {
+                    batch.set(write.ref, write.data, { merge: true });
+                } else {
+                    batch.update(write.ref, write.data);
+                }
+            });
+            await batch.commit();
+        }
+
+        console.log(`👤 Guest migration: ${updates.length} guest spot(s) in ${sessionsSnapshot.size} session(s), ` +
+            `${profiles.size} profile(s), ${skipped.length} skipped`);
+        return {
+            sessions: sessionsSnapshot.size,
+            migrated: updates.length,
+            profiles: profiles.size,
+            skipped
+        };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error migrating guest records:', error.message);
+        throw new HttpsError('internal', 'Failed to migrate guest records: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Register the calling user (or a guest paid by them) for a session
+ * Guests are limited and priced by config/guests (resolveGuestPolicy)
+ * @param {string} request.data.sessionId - Session to join
+ * @param {string} request.data.userId - authorizedUsers document ID (signed-in user)
+ * @param {string} [request.data.guestName] - Register a guest instead of the user
+ * @param {string} [request.data.guestProfileId] - Register a guest from one of the user's guest profiles
+ * @returns {{playerId, name, position, isWaitingList, balance, amountPaid}}
+ */
+exports.registerPlayer = onCall({}, async (request) => {
+    const { sessionId, userId } = request.data || {};
+    const guestProfileId = request.data && request.data.guestProfileId
+        ? String(request.data.guestProfileId)
+        : '';
+    let guestName = request.data && request.data.guestName
+        ? String(request.data.guestName).trim()
+        : '';
+
+    if (!sessionId || !userId) {
+        throw new HttpsError('invalid-argument', 'sessionId and userId are required');
+    }
+    if (!request.auth || request.auth.uid !== userId) {
+        throw registrationError('unauthenticated', 'auth', 'Login expired - please log in again');
+    }
+    if (guestName.length > 40) {
+        throw new HttpsError('invalid-argument', 'Guest name is too long');
+    }
+
+    const db = admin.firestore();
+    const sessionRef = db.collection('sessions').doc(sessionId);
+
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            const ledger = createWalletLedger(db, transaction);
+            const isGuest = Boolean(guestName || guestProfileId);
+            const [sessionDoc, userDoc, playersSnapshot, priorityConfigDoc, guestConfigDoc, chosenProfileDoc] = await Promise.all([
+                transaction.get(sessionRef),
+                ledger.read(userId),
+                transaction.get(sessionRef.collection('players')),
+                transaction.get(db.collection('config').doc('priorityWindow')),
+                isGuest ? transaction.get(db.collection('config').doc('guests')) : null,
+                guestProfileId ? transaction.get(db.collection('guestProfiles').doc(guestProfileId)) : null
+            ]);
+
+            if (!sessionDoc.exists) {
+                throw new HttpsError('not-found', `Session ${sessionId} not found`);
+            }
+            if (!userDoc.exists) {
+                throw registrationError('unauthenticated', 'auth', 'Login expired - please log in again');
+            }
+            if (chosenProfileDoc && (!chosenProfileDoc.exists || chosenProfileDoc.data().hostUserId !== userId)) {
+                throw new HttpsError('not-found', 'Guest profile not found');
+            }
+
+            const session = sessionDoc.data();
+            const user = userDoc.data();
+            assertRegistrationOpen(session);
+
+            // Lottery sessions take entries until the draw (see LOTTERY REGISTRATION)
+            if (isLotteryOpen(session)) {
+                const drawAt = getLotteryDrawAt(session);
+                throw registrationError('failed-precondition', 'lottery',
+                    'Registration is by lottery - enter the draw instead',
+                    { drawAt: drawAt ? drawAt.toISOString() : null });
+            }
+
+            // Regular players first (see PRIORITY WINDOW) - guests wait for everyone else
+            const priorityUntil = getPriorityUntil(session,
+                resolvePriorityWindow(priorityConfigDoc.exists ? priorityConfigDoc.data() : null));
+            if (priorityUntil && priorityUntil > new Date()) {
+                let priorityUserIds = session.priorityUserIds;
+                if (!priorityUserIds) {
+                    // Published moments ago - onSessionPublished hasn't fixed the window yet
+                    const regularsDoc = await transaction.get(db.collection('config').doc('regularPlayers'));
+                    const regularNames = getRegularNames(regularsDoc.exists ? regularsDoc.data() : null, session);
+                    priorityUserIds = regularNames.length === 0
+                        ? null
+                        : (regularNames.includes(user.name) && !user.priorityLost ? [userId] : []);
+                }
+                if (priorityUserIds && (isGuest || !priorityUserIds.includes(userId))) {
+                    throw registrationError('failed-precondition', 'priority-window',
+                        `Only regular players can register until ${formatClubTime(priorityUntil)}`,
+                        { until: priorityUntil.toISOString() });
+                }
+            }
+
+            if (chosenProfileDoc) {
+                guestName = chosenProfileDoc.data().name;
+            }
+            const name = isGuest ? `${user.name} friend: ${guestName}` : user.name;
+            const players = playersSnapshot.docs.map(doc => doc.data());
+
+            const alreadyRegistered = isGuest
+                ? players.some(p => p.name === name ||
+                    (p.guestOf === userId && (p.guestName || '').toLowerCase() === guestName.toLowerCase()))
+                : players.some(p => !isGuestPlayer(p) && (p.userId === userId || p.name === name));
+            if (alreadyRegistered) {
+                throw registrationError('already-exists', 'already-registered', `${name} is already registered`);
+            }
+
+            const guestPolicy = resolveGuestPolicy(guestConfigDoc && guestConfigDoc.exists ? guestConfigDoc.data() : null);
+            if (isGuest) {
+                const guests = players.filter(isGuestPlayer);
+                if (guestPolicy.maxPerHost && guests.filter(p => p.guestOf === userId).length >= guestPolicy.maxPerHost) {
+                    throw registrationError('failed-precondition', 'guest-limit-host',
+                        `Only ${guestPolicy.maxPerHost} guest(s) per member`, { limit: guestPolicy.maxPerHost });
+                }
+                if (guestPolicy.maxPerSession && guests.length >= guestPolicy.maxPerSession) {
+                    throw registrationError('failed-precondition', 'guest-limit-session',
+                        `Only ${guestPolicy.maxPerSession} guest(s) per session`, { limit: guestPolicy.maxPerSession });
+                }
+            }
+
+            // Read before any write (transaction rule)
+            const profileRef = isGuest
+                ? db.collection('guestProfiles').doc(guestProfileId || getGuestProfileId(userId, guestName))
+                : null;
+            const profileDoc = chosenProfileDoc || (profileRef ? await transaction.get(profileRef) : null);
+
+            assertRegistrationBalance(ledger.balance(userId));
+
+            const maxPlayers = session.maxPlayers !== undefined ? session.maxPlayers : 12;
+            const paymentAmount = session.paymentAmount !== undefined ? session.paymentAmount : 0;
+            const price = isGuest && guestPolicy.guestPrice !== null ? guestPolicy.guestPrice : paymentAmount;
+            const position = players.reduce((max, p) => Math.max(max, p.position || 0), 0) + 1;
+            const isWaitingList = position > maxPlayers;
+            const now = admin.firestore.FieldValue.serverTimestamp();
+
+            let description;
+            if (isGuest) {
+                description = isWaitingList
+                    ? `Payment for guest (${guestName}) on waiting list ${session.date}`
+                    : `Payment for guest (${guestName}) ${session.date}`;
+            } else {
+                description = isWaitingList
+                    ? `Payment for joining waiting list ${session.date}`
+                    : `Payment for session ${session.date}`;
+            }
+
+            const playerRef = sessionRef.collection('players').doc();
+            const playerData = {
+                name: name,
+                userId: userId,
+                paid: true, // Paid at registration
+                amountPaid: price,
+                timestamp: now,
+                position: position
+            };
+            if (isGuest) {
+                playerData.isGuest = true;
+                playerData.guestName = guestName;
+                playerData.guestOf = userId;
+                playerData.guestOfName = user.name;
+                playerData.guestProfileId = profileRef.id;
+
+                const profile = {
+                    name: guestName,
+                    hostUserId: userId,
+                    hostName: user.name,
+                    timesPlayed: admin.firestore.FieldValue.increment(1),
+                    lastPlayedAt: now
+                };
+                if (!profileDoc.exists) {
+                    profile.createdAt = now;
+                }
+                transaction.set(profileRef, profile, { merge: true });
+            }
+
+            transaction.set(playerRef, playerData);
+            const newBalance = ledger.post({
+                userId: userId,
+                userName: user.name,
+                type: 'registration',
+                amount: -price,
+                description: description,
+                sessionId: sessionId,
+                sessionDate: session.date,
+                createdBy: user.name
+            });
+
+            // Touch the session so concurrent registrations conflict and retry
+            // (new player documents alone don't conflict with each other)
+            transaction.update(sessionRef, { lastRegistrationAt: now });
+
+            return {
+                playerId: playerRef.id,
+                name,
+                position,
+                isWaitingList,
+                balance: newBalance,
+                amountPaid: price,
+                paymentAmount
+            };
+        });
+
+        console.log(`✅ Registered ${result.name} in ${sessionId} at position ${result.position}`);
+
+        // Not enough left for the next session
+        if (result.balance < result.paymentAmount) {
+            try {
+                await notify('low-balance', {
+                    name: result.name,
+                    balance: result.balance,
+                    paymentAmount: result.paymentAmount
+                }, { userId, dedupeKey: result.playerId });
+            } catch (error) {
+                console.error('❌ Low balance notification failed:', error.message);
+            }
+        }
+
+        const { paymentAmount, ...response } = result;
+        return response;
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            console.log(`⚠️ Registration rejected (${sessionId}, ${userId}): ${error.message}`);
+            throw error;
+        }
+        console.error('❌ Error registering player:', error.message);
+        throw new HttpsError('internal', 'Failed to register: ' + error.message);
+    }
+});
+
+// ============================================
+// CANCELLATION (Transactional, cancellation policy)
+// ============================================
+// Club policy in config/cancellationPolicy, a session can override it with its own
+// cancellationPolicy field: { fullRefundHours, partialRefundPercent }
+//   more than fullRefundHours before start → full refund
+//   later, until the lock                  → partialRefundPercent
+//   after the lock                         → no refund
+// Waiting list spots, spots a waiting list player takes over and declined
+// promotions are always refunded in full
+// ============================================
+
+// Same as before the policy existed: full refund until the lock
+const DEFAULT_CANCELLATION_POLICY = {
+    fullRefundHours: LOCK_HOURS_BEFORE_SESSION,
+    partialRefundPercent: 50
+};
+
+/**
+ * Effective policy: session override → club policy → default
+ * @param {Object} [clubPolicy] - config/cancellationPolicy data
+ * @param {Object} [sessionPolicy] - Session cancellationPolicy field
+ * @returns {{fullRefundHours: number, partialRefundPercent: number}}
+ */
+function resolveCancellationPolicy(clubPolicy, sessionPolicy) {
+    const merged = { ...DEFAULT_CANCELLATION_POLICY, ...(clubPolicy || {}), ...(sessionPolicy || {}) };
+    const fullRefundHours = Number(merged.fullRefundHours);
+    const partialRefundPercent = Number(merged.partialRefundPercent);
+
+    return {
+        fullRefundHours: Number.isFinite(fullRefundHours) && fullRefundHours >= 0
+            ? fullRefundHours
+            : DEFAULT_CANCELLATION_POLICY.fullRefundHours,
+        partialRefundPercent: Number.isFinite(partialRefundPercent)
+            ? Math.min(100, Math.max(0, partialRefundPercent))
+            : DEFAULT_CANCELLATION_POLICY.partialRefundPercent
+    };
+}
+
+/**
+ * Which rule applies to cancelling one spot
+ * @param {Object} session - Session document data
+ * @param {Object} policy - resolveCancellationPolicy() result
+ * @param {Object} player - Player document data
+ * @param {boolean} takenOver - A waiting list player moves into this spot
+ * @returns {{rule: string, percent: number, label: string}}
+ */
+function evaluateCancellation(session, policy, player, takenOver) {
+    const maxPlayers = session.maxPlayers !== undefined ? session.maxPlayers : 12;
+
+    if (!player.paid) {
+        return { rule: 'unpaid', percent: 0, label: 'not paid - nothing to refund' };
+    }
+    if (player.position > maxPlayers) {
+        return { rule: 'waiting-list', percent: 100, label: 'full refund (waiting list)' };
+    }
+    if (player.pendingConfirmation) {
+        return { rule: 'declined-promotion', percent: 100, label: 'full refund (promotion declined)' };
+    }
+    if (takenOver) {
+        return { rule: 'taken-over', percent: 100, label: 'full refund (spot taken over from waiting list)' };
+    }
+    if (isSessionLocked(session)) {
+        return { rule: 'after-lock', percent: 0, label: 'no refund (session locked)' };
+    }
+
+    const start = getSessionStart(session);
+    if (!start || Date.now() <= start.getTime() - policy.fullRefundHours * 60 * 60 * 1000) {
+        return { rule: 'full', percent: 100, label: `full refund (more than ${policy.fullRefundHours}h before start)` };
+    }
+    return {
+        rule: 'partial',
+        percent: policy.partialRefundPercent,
+        label: `${policy.partialRefundPercent}% refund (less than ${policy.fullRefundHours}h before start)`
+    };
+}
+
+/**
+ * Callable: Cancel the calling user's registration and guests, refunded by the cancellation policy
+ * Player removal and refunds happen in one transaction
+ * @param {string} request.data.sessionId - Session ID
+ * @param {string} request.data.userId - authorizedUsers document ID (signed-in user)
+ * @param {string} [request.data.playerId] - Cancel only this spot (own registration or guest), default all
+ * @param {boolean} [request.data.preview] - Only work out the refunds (confirmation dialog)
+ * @returns {{spots: Object[], totalRefund: number, policy: Object, balance?: number}}
+ *   spots: { playerId, name, isGuest, guestName, rule, label, amount }
+ */
+exports.cancelRegistration = onCall({}, async (request) => {
+    const { sessionId, userId, playerId, preview } = request.data || {};
+
+    if (!sessionId || !userId) {
+        throw new HttpsError('invalid-argument', 'sessionId and userId are required');
+    }
+    requireSignedIn(request, userId);
+
+    const db = admin.firestore();
+    const sessionRef = db.collection('sessions').doc(sessionId);
+
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            const ledger = createWalletLedger(db, transaction);
+            const [sessionDoc, policyDoc, playersSnapshot, userDoc] = await Promise.all([
+                transaction.get(sessionRef),
+                transaction.get(db.collection('config').doc('cancellationPolicy')),
+                transaction.get(sessionRef.collection('players')),
+                ledger.read(userId)
+            ]);
+
+            if (!sessionDoc.exists) {
+                throw new HttpsError('not-found', `Session ${sessionId} not found`);
+            }
+            if (!userDoc.exists) {
+                throw new HttpsError('not-found', 'User not found');
+            }
+
+            const session = sessionDoc.data();
+            if (session.closed) {
+                throw new HttpsError('failed-precondition', 'Session is closed');
+            }
+            if (session.maintenanceMode) {
+                throw new HttpsError('failed-precondition', 'System is under maintenance');
+            }
+
+            const policy = resolveCancellationPolicy(
+                policyDoc.exists ? policyDoc.data() : null,
+                session.cancellationPolicy
+            );
+            const maxPlayers = session.maxPlayers !== undefined ? session.maxPlayers : 12;
+            const paymentAmount = session.paymentAmount !== undefined ? session.paymentAmount : 0;
+
+            const players = playersSnapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => a.position - b.position);
+
+            // Own registration + guests (guests carry the host's userId), or the one spot asked for
+            const ownSpots = players.filter(p => p.userId === userId && (!playerId || p.id === playerId));
+            if (ownSpots.length === 0) {
+                throw new HttpsError('not-found', playerId ? 'Spot not found' : 'You are not registered');
+            }
+
+            // Each spot given up goes to the next player on the waiting list, while there is one
+            // (own spots that stay count too)
+            const cancelledIds = new Set(ownSpots.map(p => p.id));
+            let waiting = players.filter(p => p.position > maxPlayers && !cancelledIds.has(p.id)).length;
+
+            const spots = ownSpots.map(player => {
+                const takenOver = player.position <= maxPlayers && waiting > 0;
+                if (takenOver) {
+                    waiting--;
+                }
+                const decision = evaluateCancellation(session, policy, player, takenOver);
+                return {
+                    playerId: player.id,
+                    name: player.name,
+                    isGuest: isGuestPlayer(player),
+                    guestName: player.guestName || null,
+                    rule: decision.rule,
+                    label: decision.label,
+                    amount: Math.round(getPlayerPrice(player, paymentAmount) * decision.percent / 100)
+                };
+            });
+            const totalRefund = spots.reduce((sum, spot) => sum + spot.amount, 0);
+
+            if (preview) {
+                return { spots, totalRefund, policy };
+            }
+
+            spots.forEach(spot => {
+                transaction.delete(sessionRef.collection('players').doc(spot.playerId));
+
+                if (spot.amount > 0) {
+                    const what = spot.isGuest
+                        ? `guest (${spot.guestName || spot.name})`
+                        : 'registration';
+                    ledger.post({
+                        userId: userId,
+                        type: 'refund',
+                        amount: spot.amount,
+                        description: `Refund for cancelled ${what} ${session.date} - ${spot.label}`,
+                        sessionId: sessionId,
+                        sessionDate: session.date,
+                        createdBy: userDoc.data().name
+                    });
+                }
+            });
+
+            return { spots, totalRefund, policy, balance: ledger.balance(userId) };
+        });
+
+        if (!preview) {
+            console.log(`🚫 ${userId} cancelled ${result.spots.length} spot(s) in ${sessionId}: ` +
+                result.spots.map(spot => `${spot.name} ${spot.rule} ${spot.amount} THB`).join(', '));
+        }
+        return result;
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error cancelling registration:', error.message);
+        throw new HttpsError('internal', 'Failed to cancel registration: ' + error.message);
+    }
+});
+
+// ============================================
+// SPOT TRANSFER (Transactional)
+// ============================================
+// A registered player offers their spot (player document transferOffer) to a
+// named member or to anyone on the waiting list - also inside the lock window.
+// Accepting moves the spot, its position and the payment in ONE transaction:
+// the new player is debited, the original player refunded, and a waiting list
+// entry of the new player is removed (and refunded)
+// ============================================
+
+/**
+ * Callable: Offer a spot to a member or the waiting list, or withdraw the offer
+ * @param {string} request.data.sessionId - Session ID
+ * @param {string} request.data.userId - authorizedUsers document ID (signed-in user)
+ * @param {string} request.data.playerId - Own registration or guest to give away
+ * @param {string|null} [request.data.toUserId] - Member to offer to, null = waiting list
+ * @param {boolean} [request.data.withdraw] - Withdraw the current offer
+ * @returns {{success: boolean, toName: string|null}}
+ */
+exports.offerSpot = onCall({}, async (request) => {
+    const { sessionId, userId, playerId, toUserId = null, withdraw } = request.data || {};
+
+    if (!sessionId || !userId || !playerId) {
+        throw new HttpsError('invalid-argument', 'sessionId, userId and playerId are required');
+    }
+    requireSignedIn(request, userId);
+    if (toUserId === userId) {
+        throw new HttpsError('invalid-argument', 'You cannot offer a spot to yourself');
+    }
+
+    const db = admin.firestore();
+    const sessionRef = db.collection('sessions').doc(sessionId);
+    const playerRef = sessionRef.collection('players').doc(playerId);
+
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            const [sessionDoc, playerDoc, userDoc, toUserDoc] = await Promise.all([
+                transaction.get(sessionRef),
+                transaction.get(playerRef),
+                transaction.get(db.collection('authorizedUsers').doc(userId)),
+                toUserId ? transaction.get(db.collection('authorizedUsers').doc(toUserId)) : Promise.resolve(null)
+            ]);
+
+            if (!sessionDoc.exists || !playerDoc.exists || playerDoc.data().userId !== userId) {
+                throw new HttpsError('not-found', 'Spot not found');
+            }
+
+            if (withdraw) {
+                transaction.update(playerRef, { transferOffer: admin.firestore.FieldValue.delete() });
+                return { session: sessionDoc.data(), player: playerDoc.data(), toName: null, withdrawn: true };
+            }
+
+            const session = sessionDoc.data();
+            const player = playerDoc.data();
+            const maxPlayers = session.maxPlayers !== undefined ? session.maxPlayers : 12;
+            if (session.closed) {
+                throw new HttpsError('failed-precondition', 'Session is closed');
+            }
+            if (player.position > maxPlayers || player.pendingConfirmation) {
+                throw new HttpsError('failed-precondition', 'Only a confirmed spot on the player list can be transferred');
+            }
+            if (toUserDoc && !toUserDoc.exists) {
+                throw new HttpsError('not-found', 'Member not found');
+            }
+
+            const toName = toUserDoc ? toUserDoc.data().name : null;
+            transaction.update(playerRef, {
+                transferOffer: {
+                    toUserId: toUserId,
+                    toName: toName,
+                    fromName: userDoc.exists ? userDoc.data().name : player.name,
+                    offeredAt: admin.firestore.FieldValue.serverTimestamp()
+                }
+            });
+            return { session, player, toName, withdrawn: false };
+        });
+
+        if (result.withdrawn) {
+            console.log(`🔁 Spot offer withdrawn: ${result.player.name} in ${sessionId}`);
+            return { success: true, toName: null };
+        }
+
+        // Named member, or everyone (not guests) on the waiting list
+        const { session, player } = result;
+        const maxPlayers = session.maxPlayers !== undefined ? session.maxPlayers : 12;
+        let recipients = toUserId ? [toUserId] : [];
+        if (!toUserId) {
+            const playersSnapshot = await sessionRef.collection('players').get();
+            recipients = [...new Set(playersSnapshot.docs
+                .map(doc => doc.data())
+                .filter(p => p.position > maxPlayers && p.userId && !isGuestPlayer(p) && p.userId !== userId)
+                .map(p => p.userId))];
+        }
+        if (recipients.length > 0) {
+            try {
+                await notify('spot-offered', {
+                    fromName: player.name,
+                    toName: result.toName,
+                    day: session.day,
+                    date: session.date,
+                    time: session.time,
+                    paymentAmount: player.paid ? getPlayerPrice(player, session.paymentAmount || 0) : 0
+                }, {
+                    userIds: recipients,
+                    dedupeKey: `${playerId}-${Date.now()}`
+                });
+            } catch (error) {
+                console.error('❌ Spot offer notification failed:', error.message);
+            }
+        }
+
+        console.log(`🔁 ${player.name} offered a spot in ${sessionId} to ${result.toName || 'the waiting list'}`);
+        return { success: true, toName: result.toName };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error offering spot:', error.message);
+        throw new HttpsError('internal', 'Failed to offer spot: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Accept a spot offered to you (or to the waiting list you are on)
+ * A spot offered to the waiting list goes to the first to accept, not by waiting list
+ * position - the offer says so ('spot-offered'), and nobody waits on a player who never answers
+ * @param {string} request.data.sessionId - Session ID
+ * @param {string} request.data.userId - authorizedUsers document ID (signed-in user)
+ * @param {string} request.data.playerId - Offered player document
+ * @returns {{success: boolean, position: number, amount: number, balance: number}}
+ */
+exports.acceptSpotTransfer = onCall({}, async (request) => {
+    const { sessionId, userId, playerId } = request.data || {};
+
+    if (!sessionId || !userId || !playerId) {
+        throw new HttpsError('invalid-argument', 'sessionId, userId and playerId are required');
+    }
+    requireSignedIn(request, userId);
+
+    const db = admin.firestore();
+    const sessionRef = db.collection('sessions').doc(sessionId);
+    const playerRef = sessionRef.collection('players').doc(playerId);
+
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            const ledger = createWalletLedger(db, transaction);
+            const [sessionDoc, playerDoc, playersSnapshot, userDoc] = await Promise.all([
+                transaction.get(sessionRef),
+                transaction.get(playerRef),
+                transaction.get(sessionRef.collection('players')),
+                ledger.read(userId)
+            ]);
+
+            if (!sessionDoc.exists) {
+                throw new HttpsError('not-found', `Session ${sessionId} not found`);
+            }
+            if (!userDoc.exists) {
+                throw new HttpsError('not-found', 'User not found');
+            }
+
+            const offer = playerDoc.exists ? playerDoc.data().transferOffer : null;
+            if (!offer) {
+                throw new HttpsError('not-found', 'This spot is no longer offered');
+            }
+
+            const session = sessionDoc.data();
+            const spot = playerDoc.data();
+            const maxPlayers = session.maxPlayers !== undefined ? session.maxPlayers : 12;
+            const paymentAmount = session.paymentAmount !== undefined ? session.paymentAmount : 0;
+            if (session.closed) {
+                throw new HttpsError('failed-precondition', 'Session is closed');
+            }
+            if (spot.userId === userId) {
+                throw new HttpsError('failed-precondition', 'This is your own spot');
+            }
+
+            // Own entry on the list (not guests): on the player list → nothing to take over,
+            // on the waiting list → replaced by the transferred spot
+            const ownEntry = playersSnapshot.docs.find(doc => doc.data().userId === userId && !isGuestPlayer(doc.data()));
+            if (ownEntry && ownEntry.data().position <= maxPlayers) {
+                throw registrationError('already-exists', 'already-registered', 'You are already registered');
+            }
+            if (offer.toUserId ? offer.toUserId !== userId : !ownEntry) {
+                throw new HttpsError('permission-denied', 'This spot is not offered to you');
+            }
+
+            await ledger.read(spot.userId);
+            const userName = userDoc.data().name;
+            const amount = spot.paid ? getPlayerPrice(spot, paymentAmount) : 0;
+            const ownEntryRefund = ownEntry && ownEntry.data().paid ? getPlayerPrice(ownEntry.data(), paymentAmount) : 0;
+            // Same balance rule as registerPlayer - the own waiting list payment comes back first
+            assertRegistrationBalance(ledger.balance(userId) + ownEntryRefund);
+
+            if (ownEntry) {
+                transaction.delete(ownEntry.ref);
+                if (ownEntryRefund > 0) {
+                    ledger.post({
+                        userId: userId,
+                        type: 'refund',
+                        amount: ownEntryRefund,
+                        description: `Refund for waiting list spot ${session.date} - took over ${spot.name}'s spot`,
+                        sessionId: sessionId,
+                        sessionDate: session.date,
+                        createdBy: userName
+                    });
+                }
+            }
+
+            if (amount > 0) {
+                ledger.post({
+                    userId: userId,
+                    type: 'registration',
+                    amount: -amount,
+                    description: `Spot transfer from ${spot.name} ${session.date}`,
+                    sessionId: sessionId,
+                    sessionDate: session.date,
+                    relatedUserId: spot.userId,
+                    createdBy: userName,
+                    metadata: { transferPlayerId: playerId }
+                });
+                ledger.post({
+                    userId: spot.userId,
+                    type: 'refund',
+                    amount: amount,
+                    description: `Spot transfer to ${userName} ${session.date}`,
+                    sessionId: sessionId,
+                    sessionDate: session.date,
+                    relatedUserId: userId,
+                    createdBy: userName,
+                    metadata: { transferPlayerId: playerId }
+                });
+            }
+
+            // Same document and position, new owner
+            transaction.set(playerRef, {
+                name: userName,
+                userId: userId,
+                paid: spot.paid,
+                amountPaid: amount,
+                position: spot.position,
+                timestamp: spot.timestamp || admin.firestore.FieldValue.serverTimestamp(),
+                transferredFrom: { userId: spot.userId, name: spot.name },
+                transferredAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return {
+                session,
+                from: { userId: spot.userId, name: spot.name },
+                userName,
+                position: spot.position,
+                amount,
+                balance: ledger.balance(userId)
+            };
+        });
+
+        try {
+            await notify('spot-transferred', {
+                fromName: result.from.name,
+                toName: result.userName,
+                amount: result.amount,
+                day: result.session.day,
+                date: result.session.date,
+                time: result.session.time
+            }, {
+                userId: result.from.userId,
+                dedupeKey: `${playerId}-${userId}`
+            });
+        } catch (error) {
+            console.error('❌ Spot transfer notification failed:', error.message);
+        }
+
+        console.log(`🔁 Spot ${playerId} in ${sessionId}: ${result.from.name} → ${result.userName} (${result.amount} THB)`);
+        return { success: true, position: result.position, amount: result.amount, balance: result.balance };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error accepting spot transfer:', error.message);
+        throw new HttpsError('internal', 'Failed to accept spot: ' + error.message);
+    }
+});
+
+// ============================================
+// MATCH RESULTS & LEADERBOARD
+// ============================================
+// Doubles results are stored under the session (sessions/{id}/matches) and
+// copied to the archive (sessions/{YYYY-MM-DD}/matches, same document IDs) by
+// closeSessionWithAccounting, like the players. Each result carries its season:
+// config/season.name when set, otherwise the year of the session date.
+// Recorded results adjust skill ratings (see ratings.js) when
+// config/ratings.learnFromResults is on (off by default). Ratings (ratings/{userId}) and the
+// changes of each result (ratingChanges/{matchId}, so deleteMatchResult can
+// reverse them) are kept off the result - players only see them while
+// config/ratings.showToPlayers is on (firestore.rules)
+// ============================================
+
+const MAX_GAME_SCORE = 99;
+
+/**
+ * Whether a user may see skill ratings
+ * @param {Object} [user] - authorizedUsers data
+ * @param {Object} [ratingsConfig] - config/ratings data
+ * @returns {boolean} players.manage, or the club shows ratings to players
+ */
+function canSeeRatings(user, ratingsConfig) {
+    return Boolean(ratingsConfig && ratingsConfig.showToPlayers === true) ||
+        Boolean(user && permissions.hasCapability(user.role, CAPABILITIES.PLAYERS_MANAGE));
+}
+
+/**
+ * Season name for a session date
+ * @param {Object} [config] - config/season data ({ name })
+ * @param {string} sessionDate - DD/MM/YYYY
+ * @returns {string}
+ */
+function getSeason(config, sessionDate) {
+    const name = config && typeof config.name === 'string' ? config.name.trim() : '';
+    return name || (sessionDate || '').split('/')[2] || getClubToday().substring(0, 4);
+}
+
+/**
+ * Player entry stored on a result (snapshot, survives later name changes)
+ * @param {FirebaseFirestore.DocumentSnapshot} playerDoc - Session player document
+ * @returns {{playerId: string, userId: string|null, name: string, isGuest: boolean}}
+ */
+function toMatchPlayer(playerDoc) {
+    const player = playerDoc.data();
+    const isGuest = isGuestPlayer(player);
+    return {
+        playerId: playerDoc.id,
+        userId: isGuest ? null : (player.userId || null),
+        name: isGuest ? (player.guestName || player.name) : player.name,
+        isGuest: isGuest
+    };
+}
+
+/**
+ * Callable: Record a doubles result for a session
+ * Players in the game record their own result, players.manage records any
+ * @param {string} request.data.sessionId - Session ID
+ * @param {string} request.data.userId - authorizedUsers document ID (signed-in user)
+ * @param {string[]} request.data.teamA - Two player document IDs
+ * @param {string[]} request.data.teamB - Two player document IDs
+ * @param {number} request.data.scoreA - Points of team A
+ * @param {number} request.data.scoreB - Points of team B
+ * @param {number} [request.data.round] - Round of the session rotation
+ * @param {number} [request.data.court] - Court of the session rotation
+ * @returns {{success: boolean, matchId: string, ratingChanges: Object|null}}
+ *   ratingChanges: null while ratings are hidden from the caller (canSeeRatings)
+ */
+exports.recordMatchResult = onCall({}, async (request) => {
+    const { sessionId, userId, teamA, teamB, round = null, court = null } = request.data || {};
+    const scoreA = Number(request.data && request.data.scoreA);
+    const scoreB = Number(request.data && request.data.scoreB);
+
+    if (!sessionId || !userId || !Array.isArray(teamA) || !Array.isArray(teamB)) {
+        throw new HttpsError('invalid-argument', 'sessionId, userId, teamA and teamB are required');
+    }
+    requireSignedIn(request, userId);
+
+    const playerIds = [...teamA, ...teamB];
+    if (teamA.length !== 2 || teamB.length !== 2 || new Set(playerIds).size !== 4 ||
+        !playerIds.every(id => typeof id === 'string' && id)) {
+        throw new HttpsError('invalid-argument', 'A doubles game needs four different players');
+    }
+    if (![scoreA, scoreB].every(score => Number.isInteger(score) && score >= 0 && score <= MAX_GAME_SCORE)) {
+        throw new HttpsError('invalid-argument', `Scores must be whole numbers from 0 to ${MAX_GAME_SCORE}`);
+    }
+    if (scoreA === scoreB) {
+        throw new HttpsError('invalid-argument', 'A game cannot end in a draw');
+    }
+
+    const db = admin.firestore();
+    const sessionRef = db.collection('sessions').doc(sessionId);
+    const matchRef = sessionRef.collection('matches').doc();
+
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            const [sessionDoc, userDoc, seasonDoc, ratingsDoc, ...playerDocs] = await Promise.all([
+                transaction.get(sessionRef),
+                transaction.get(db.collection('authorizedUsers').doc(userId)),
+                transaction.get(db.collection('config').doc('season')),
+                transaction.get(db.collection('config').doc('ratings')),
+                ...playerIds.map(id => transaction.get(sessionRef.collection('players').doc(id)))
+            ]);
+
+            if (!sessionDoc.exists) {
+                throw new HttpsError('not-found', `Session ${sessionId} not found`);
+            }
+            if (!userDoc.exists) {
+                throw new HttpsError('not-found', 'User not found');
+            }
+
+            const session = sessionDoc.data();
+            if (session.closed) {
+                throw new HttpsError('failed-precondition', 'Session is closed');
+            }
+
+            // Only players with a spot (not the waiting list)
+            const maxPlayers = session.maxPlayers !== undefined ? session.maxPlayers : 12;
+            if (playerDocs.some(doc => !doc.exists || doc.data().position > maxPlayers)) {
+                throw new HttpsError('not-found', 'Player not on the player list');
+            }
+
+            // Own registration or own guest in the game, or players.manage
+            const inGame = playerDocs.some(doc => doc.data().userId === userId);
+            if (!inGame && !permissions.hasCapability(userDoc.data().role, CAPABILITIES.PLAYERS_MANAGE)) {
+                throw new HttpsError('permission-denied', 'Only players in the game can record its result');
+            }
+
+            const players = playerDocs.map(toMatchPlayer);
+            const memberIds = [...new Set(players.filter(p => p.userId).map(p => p.userId))];
+
+            // Ratings: members move (unrated ones from the default), guests play at the default rating
+            let ratingChanges = null;
+            const learn = ratingsDoc.exists && ratingsDoc.data().learnFromResults === true;
+            const memberRatingDocs = learn
+                ? await Promise.all(memberIds.map(id => transaction.get(db.collection('ratings').doc(id))))
+                : [];
+            if (learn) {
+                const members = {};
+                memberRatingDocs.forEach(doc => {
+                    members[doc.id] = doc.exists ? doc.data() : {};
+                });
+                const team = (entries) => entries.map(p => (p.userId && members[p.userId]) || null);
+                const changes = ratings.rateDoublesGame(team(players.slice(0, 2)), team(players.slice(2)), scoreA, scoreB);
+                ratingChanges = {};
+                [...changes.teamA, ...changes.teamB].forEach((change, i) => {
+                    if (change !== null) {
+                        ratingChanges[players[i].userId] = change;
+                    }
+                });
+            }
+
+            // ==========================================
+            // WRITES
+            // ==========================================
+            const now = admin.firestore.FieldValue.serverTimestamp();
+            transaction.set(matchRef, {
+                teamA: players.slice(0, 2),
+                teamB: players.slice(2),
+                playerIds: playerIds,
+                userIds: memberIds,
+                scoreA: scoreA,
+                scoreB: scoreB,
+                winner: scoreA > scoreB ? 'A' : 'B',
+                round: Number.isInteger(round) ? round : null,
+                court: Number.isInteger(court) ? court : null,
+                season: getSeason(seasonDoc.exists ? seasonDoc.data() : null, session.date),
+                sessionId: sessionId,
+                sessionDate: session.date,
+                recordedBy: userId,
+                recordedByName: userDoc.data().name,
+                recordedAt: now
+            });
+
+            if (ratingChanges) {
+                memberRatingDocs.filter(doc => ratingChanges[doc.id] !== undefined).forEach(doc => {
+                    const current = doc.exists ? doc.data() : null;
+                    transaction.set(doc.ref, {
+                        rating: ratings.getRating(current) + ratingChanges[doc.id],
+                        ratingGames: ((current && current.ratingGames) || 0) + 1,
+                        ratingSource: 'results',
+                        ratingUpdatedAt: now
+                    }, { merge: true });
+                });
+                transaction.set(db.collection('ratingChanges').doc(matchRef.id), {
+                    sessionId: sessionId,
+                    changes: ratingChanges,
+                    recordedAt: now
+                });
+            }
+
+            const visible = canSeeRatings(userDoc.data(), ratingsDoc.exists ? ratingsDoc.data() : null);
+            return { names: players.map(p => p.name), ratingChanges: visible ? ratingChanges : null };
+        });
+
+        console.log(`🏆 Result in ${sessionId}: ${result.names.slice(0, 2).join(' & ')} ${scoreA}-${scoreB} ${result.names.slice(2).join(' & ')} (by ${userId})`);
+        return { success: true, matchId: matchRef.id, ratingChanges: result.ratingChanges };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error recording result:', error.message);
+        throw new HttpsError('internal', 'Failed to record result: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Delete a wrongly entered result (before the session is closed)
+ * The player who recorded it or players.manage; rating changes are reversed
+ * @param {string} request.data.sessionId - Session ID
+ * @param {string} request.data.userId - authorizedUsers document ID (signed-in user)
+ * @param {string} request.data.matchId - Result document ID
+ * @returns {{success: boolean}}
+ */
+exports.deleteMatchResult = onCall({}, async (request) => {
+    const { sessionId, userId, matchId } = request.data || {};
+
+    if (!sessionId || !userId || !matchId) {
+        throw new HttpsError('invalid-argument', 'sessionId, userId and matchId are required');
+    }
+    requireSignedIn(request, userId);
+
+    const db = admin.firestore();
+    const sessionRef = db.collection('sessions').doc(sessionId);
+    const matchRef = sessionRef.collection('matches').doc(matchId);
+    const changesRef = db.collection('ratingChanges').doc(matchId);
+
+    try {
+        await db.runTransaction(async (transaction) => {
+            const [sessionDoc, matchDoc, userDoc, changesDoc] = await Promise.all([
+                transaction.get(sessionRef),
+                transaction.get(matchRef),
+                transaction.get(db.collection('authorizedUsers').doc(userId)),
+                transaction.get(changesRef)
+            ]);
+
+            if (!sessionDoc.exists || !matchDoc.exists) {
+                throw new HttpsError('not-found', 'Result not found');
+            }
+            if (sessionDoc.data().closed) {
+                throw new HttpsError('failed-precondition', 'Session is closed');
+            }
+
+            const match = matchDoc.data();
+            const canManage = userDoc.exists && permissions.hasCapability(userDoc.data().role, CAPABILITIES.PLAYERS_MANAGE);
+            if (match.recordedBy !== userId && !canManage) {
+                throw new HttpsError('permission-denied', 'Only the player who recorded the result can delete it');
+            }
+
+            const ratingChanges = changesDoc.exists ? changesDoc.data().changes : {};
+            const memberRatingDocs = await Promise.all(Object.keys(ratingChanges).map(id =>
+                transaction.get(db.collection('ratings').doc(id))
+            ));
+
+            memberRatingDocs.filter(doc => doc.exists).forEach(doc => {
+                transaction.update(doc.ref, {
+                    rating: ratings.getRating(doc.data()) - ratingChanges[doc.id],
+                    ratingGames: Math.max(0, (doc.data().ratingGames || 0) - 1),
+                    ratingUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            });
+            if (changesDoc.exists) {
+                transaction.delete(changesRef);
+            }
+            transaction.delete(matchRef);
+        });
+
+        console.log(`🗑️ Result ${matchId} in ${sessionId} deleted by ${userId}`);
+        return { success: true };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error deleting result:', error.message);
+        throw new HttpsError('internal', 'Failed to delete result: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Move skill ratings out of authorizedUsers (into ratings/{userId}) and
+ * rating changes off stored results (into ratingChanges/{matchId})
+ * Safe to run more than once - moved fields are removed, newer ratings are kept
+ * @returns {{success: boolean, ratings: number, results: number}}
+ */
+exports.migrateRatings = onCall({ timeoutSeconds: 300 }, async (request) => {
+    await requireCapability(request, CAPABILITIES.SETTINGS_MANAGE);
+
+    const db = admin.firestore();
+    const remove = admin.firestore.FieldValue.delete();
+    const ratingFields = ['rating', 'ratingGames', 'ratingSource', 'ratingUpdatedAt'];
+
+    try {
+        const [usersSnapshot, ratingsSnapshot, matchesSnapshot] = await Promise.all([
+            db.collection('authorizedUsers').get(),
+            db.collection('ratings').get(),
+            db.collectionGroup('matches').get()
+        ]);
+        const rated = new Set(ratingsSnapshot.docs.map(doc => doc.id));
+
+        const writes = [];
+        let movedRatings = 0;
+        usersSnapshot.docs.forEach(doc => {
+            const user = doc.data();
+            const fields = ratingFields.filter(field => user[field] !== undefined);
+            if (fields.length === 0) {
+                return;
+            }
+            // A rating written since the move (recordMatchResult, admin) is newer
+            if (!rated.has(doc.id)) {
+                writes.push({
+                    ref: db.collection('ratings').doc(doc.id),
+                    data: Object.fromEntries(fields.map(field => [field, user[field]])),
+                    set: true
+                });
+                movedRatings++;
+            }
+            writes.push({ ref: doc.ref, data: Object.fromEntries(fields.map(field => [field, remove])) });
+        });
+
+        // Only open results can be deleted (and reversed) - archive copies just lose the field
+        let movedResults = 0;
+        matchesSnapshot.docs.forEach(doc => {
+            const match = doc.data();
+            if (match.ratingChanges === undefined) {
+                return;
+            }
+            if (match.ratingChanges && !match.archivedSessionId) {
+                writes.push({
+                    ref: db.collection('ratingChanges').doc(doc.id),
+                    data: {
+                        sessionId: doc.ref.parent.parent.id,
+                        changes: match.ratingChanges,
+                        recordedAt: match.recordedAt || admin.firestore.FieldValue.serverTimestamp()
+                    },
+                    set: true
+                });
+            }
+            writes.push({ ref: doc.ref, data: { ratingChanges: remove } });
+            movedResults++;
+        });
+
+        // Batches of 400 (Firestore limit is 500 writes)
+        for (let i = 0; i < writes.length; i += 400) {
+            const batch = db.batch();
+            writes.slice(i, i + 400).forEach(write => {
+                if (write.set) {
+                    batch.set(write.ref, write.data, { merge: true });
+                } else {
+                    batch.update(write.ref, write.data);
+                }
+            });
+            await batch.commit();
+        }
+
+        console.log(`⭐ Rating migration: ${movedRatings} rating(s), ${movedResults} result(s)`);
+        return { success: true, ratings: movedRatings, results: movedResults };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error migrating ratings:', error.message);
+        throw new HttpsError('internal', 'Failed to migrate ratings: ' + error.message);
+    }
+});
+
+/**
+ * Callable: Season leaderboard for members (guests count as partners/opponents only)
+ * Open sessions and their archive copy share result IDs, so each game counts once
+ * @param {string} [request.data.season] - Season name (default: current season)
+ * @returns {{season: string, games: number, players: Object[]}}
+ *   players: { userId, name, games, wins, losses, winRate, pointsFor, pointsAgainst, bestPartner }
+ *   sorted by wins, then win rate
+ */
+exports.getLeaderboard = onCall({}, async (request) => {
+    requireSignedIn(request);
+
+    const db = admin.firestore();
+
+    try {
+        let season = request.data && typeof request.data.season === 'string' ? request.data.season.trim() : '';
+        if (!season) {
+            const seasonDoc = await db.collection('config').doc('season').get();
+            season = getSeason(seasonDoc.exists ? seasonDoc.data() : null, isoToSessionDate(getClubToday()));
+        }
+
+        const snapshot = await db.collectionGroup('matches').where('season', '==', season).get();
+        const matches = new Map();
+        snapshot.docs.forEach(doc => matches.set(doc.id, doc.data()));
+
+        const stats = {};
+        const entry = (player) => {
+            if (!stats[player.userId]) {
+                stats[player.userId] = {
+                    userId: player.userId, name: player.name, games: 0, wins: 0,
+                    pointsFor: 0, pointsAgainst: 0, partners: {}
+                };
+            }
+            return stats[player.userId];
+        };
+
+        matches.forEach(match => {
+            [[match.teamA, match.scoreA, match.scoreB, 'A'], [match.teamB, match.scoreB, match.scoreA, 'B']]
+                .forEach(([team, scored, conceded, side]) => {
+                    const won = match.winner === side;
+                    team.forEach((player, i) => {
+                        if (!player.userId) {
+                            return;
+                        }
+                        const stat = entry(player);
+                        stat.games++;
+                        stat.wins += won ? 1 : 0;
+                        stat.pointsFor += scored;
+                        stat.pointsAgainst += conceded;
+
+                        const partner = team[1 - i];
+                        const key = partner.userId || `guest:${partner.name}`;
+                        const together = stat.partners[key] || (stat.partners[key] = { name: partner.name, games: 0, wins: 0 });
+                        together.games++;
+                        together.wins += won ? 1 : 0;
+                    });
+                });
+        });
+
+        // Best partner: most wins together, then the better win rate together
+        const players = Object.values(stats).map(({ partners, ...stat }) => {
+            const best = Object.values(partners)
+                .filter(p => p.wins > 0)
+                .sort((a, b) => b.wins - a.wins || (b.wins / b.games) - (a.wins / a.games))[0];
+            return {
+                ...stat,
+                losses: stat.games - stat.wins,
+                winRate: Math.round(stat.wins / stat.games * 100),
+                bestPartner: best || null
+            };
+        }).sort((a, b) => b.wins - a.wins || b.winRate - a.winRate || a.name.localeCompare(b.name));
+
+        return { season, games: matches.size, players };
+    } catch (error) {
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        console.error('❌ Error building leaderboard:', error.message);
+        throw new HttpsError('internal', 'Failed to build leaderboard: ' + error.message);
+    }
+});
@@ -0,0 +1,80 @@
+/**
+ * Lottery (ballot) registration for oversubscribed sessions
+ * Players enter during the entry window; at the draw every entry gets a random
+ * draw key and the highest keys get the spots, the rest form the waiting list in
+ * key order. Weighted draw (Efraimidis-Spirakis): key = u^(1/weight), so an entry
+ * with weight 2 is twice as likely as weight 1 to come before another entry.
+ * Pure functions - the same seed and entries always give the same order, so a
+ * stored draw (lotteryDraws/{sessionId}) can be re-run to check it.
+ */
+
+// Weight = 1 + lossBonus per lost draw in a row (up to maxLosses)
+//            + attendanceBonus × share of the last attendanceSessions sessions missed
+const DEFAULT_LOTTERY_POLICY = {
+    lossBonus: 0.5,
+    maxLosses: 4,
+    attendanceBonus: 1,
+    attendanceSessions: 8
+};
+
+/**
+ * Seeded random numbers (mulberry32, same generator as rotation.js)
+ * @param {number} seed - 32-bit seed
+ * @returns {function(): number} Random number in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw weight of one entry
+ * @param {Object} entry - { losses, recentSessions }
+ *   losses: draws lost in a row (authorizedUsers lotteryLosses)
+ *   recentSessions: sessions played out of the last `sessionCount`
+ * @param {Object} policy - DEFAULT_LOTTERY_POLICY fields
+ * @param {number} sessionCount - Sessions looked at for attendance (0 = no attendance bonus)
+ * @returns {number} 1 or more
+ */
+function getEntryWeight(entry, policy, sessionCount) {
+    const losses = Math.min(entry.losses || 0, policy.maxLosses);
+    const missed = sessionCount > 0
+        ? (sessionCount - Math.min(entry.recentSessions || 0, sessionCount)) / sessionCount
+        : 0;
+    return Math.round((1 + policy.lossBonus * losses + policy.attendanceBonus * missed) * 1000) / 1000;
+}
+
+/**
+ * Weighted random order of the entries
+ * Entries are sorted by userId first, so the order only depends on the seed and
+ * the entries - not on the order they were read in
+ * @param {Array<{userId: string, weight: number}>} entries
+ * @param {number} seed - 32-bit seed (stored with the draw)
+ * @returns {string[]} userIds, first = first spot
+ */
+function drawOrder(entries, seed) {
+    const random = createRandom(seed);
+    return entries
+        .slice()
+        .sort((a, b) => (a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0))
+        .map(entry => ({
+            userId: entry.userId,
+            // log(u^(1/w)) = log(u)/w - same order, no underflow; 1 - random() is never 0
+            key: Math.log(1 - random()) / entry.weight
+        }))
+        .sort((a, b) => b.key - a.key)
+        .map(entry => entry.userId);
+}
+
+module.exports = {
+    DEFAULT_LOTTERY_POLICY,
+    createRandom,
+    getEntryWeight,
+    drawOrder
+};
@@ -0,0 +1,719 @@
+/**
+ * Notification service - one entry point for every player/staff notification
+ * dispatch(event, data) resolves the recipients, reads their channel preferences
+ * (notificationPreferences/{userId}, notificationPreferences/club for the club's
+ * Telegram chat, email inbox and Line group), renders the message and writes one
+ * notificationOutbox document per recipient and channel.
+ * deliver() hands an outbox entry to the channel adapters (FCM, email, Telegram, Line -
+ * defined in index.js, they need secrets) with retries, backoff and per-channel rate limits.
+ */
+const crypto = require('crypto');
+const { Timestamp, FieldValue } = require('firebase-admin/firestore');
+const permissions = require('./permissions');
+
+const EVENTS = [
+    'registration',
+    'cancellation',
+    'slot-available',
+    'low-balance',
+    'session-published',
+    'priority-window',
+    'lottery-result',
+    'session-reminder',
+    'waitlist-promoted',
+    'topup-reviewed',
+    'wallet-topped-up',
+    'no-show',
+    'spot-offered',
+    'spot-transferred',
+    'password-reset',
+    'test'
+];
+
+const CHANNELS = ['push', 'email', 'telegram', 'line'];
+
+// Pseudo-recipient for the club's shared channels (Telegram group chat, club inbox, Line group)
+const CLUB_RECIPIENT_ID = 'club';
+
+// Who hears about an event: staff (players.manage), admins (users.manage),
+// the player(s) it is about, or all players
+const EVENT_AUDIENCE = {
+    'registration': 'staff',
+    'cancellation': 'staff',
+    'slot-available': 'players',
+    'low-balance': 'player',
+    'session-published': 'players',
+    'priority-window': 'player',
+    'lottery-result': 'player',
+    'session-reminder': 'player',
+    'waitlist-promoted': 'player',
+    'topup-reviewed': 'player',
+    'wallet-topped-up': 'player',
+    'no-show': 'player',
+    'spot-offered': 'player',
+    'spot-transferred': 'player',
+    'password-reset': 'admins',
+    'test': 'player'
+};
+
+// Channels each kind of recipient can choose
+const USER_CHANNELS = ['push', 'email', 'telegram'];
+const CLUB_CHANNELS = ['email', 'telegram', 'line'];
+
+// Used until a recipient saves preferences (same behaviour as before the dispatcher:
+// admins got pushes, the club got email + Telegram, Line stays off because of quota issues)
+const DEFAULT_USER_EVENTS = {
+    'registration': ['push'],
+    'cancellation': ['push'],
+    'slot-available': [],
+    'low-balance': ['push'],
+    'session-published': ['push'],
+    'priority-window': ['push'],
+    'lottery-result': ['push'],
+    'session-reminder': ['push'],
+    'waitlist-promoted': ['push'],
+    'topup-reviewed': ['push'],
+    'wallet-topped-up': ['push'],
+    'no-show': ['push'],
+    'spot-offered': ['push'],
+    'spot-transferred': ['push'],
+    'password-reset': ['push'],
+    'test': ['push']
+};
+
+const DEFAULT_CLUB_EVENTS = {
+    'registration': ['email', 'telegram'],
+    'cancellation': ['email', 'telegram'],
+    'slot-available': [],
+    'low-balance': [],
+    'session-published': [],
+    'priority-window': [],
+    'lottery-result': [],
+    'session-reminder': [],
+    'waitlist-promoted': [],
+    'topup-reviewed': [],
+    'wallet-topped-up': [],
+    'no-show': [],
+    'spot-offered': [],
+    'spot-transferred': [],
+    'password-reset': ['email', 'telegram'],
+    'test': []
+};
+
+const APP_URL = 'https://lapstuen.github.io/badminton-signup/';
+
+// ============================================
+// OUTBOX
+// ============================================
+// notificationOutbox/{idempotencyKey}:
+//   { event, channel, recipientId, recipient, message, dedupeKey, notifyPath,
+//     status, attempts, lastError, createdAt, nextAttemptAt, completedAt }
+// status: pending → sending → sent | skipped (no address) | retry → ... | failed
+// nextAttemptAt is only set while an entry still has to be delivered (the worker's query)
+
+const OUTBOX_COLLECTION = 'notificationOutbox';
+const RATE_LIMITS_COLLECTION = 'notificationRateLimits';
+
+// Statuses the worker still has to deliver
+const ACTIVE_STATUSES = ['pending', 'sending', 'retry'];
+
+// Failed sends are retried with exponential backoff (1, 2, 4, 8 min), then marked failed
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// An entry left in 'sending' by a crashed worker is picked up again after this
+const SENDING_LEASE_MS = 5 * 60 * 1000;
+
+// Entries older than this are removed by the worker
+const OUTBOX_RETENTION_DAYS = 30;
+
+// Per-channel limits (fixed window) - over the limit an entry waits for the next window.
+// Line's free plan has a small monthly message quota, so the club group gets a few messages a day
+const RATE_LIMITS = {
+    push: { max: 500, windowMs: 60 * 1000 },
+    email: { max: 20, windowMs: 60 * 1000 },
+    telegram: { max: 20, windowMs: 60 * 1000 },
+    line: { max: 8, windowMs: 24 * 60 * 60 * 1000 }
+};
+
+/**
+ * Merge stored preferences with the defaults, dropping unknown events and channels
+ * @param {Object|undefined} stored - notificationPreferences document data
+ * @param {boolean} isClub - Club preferences (different channels and defaults)
+ * @returns {{events: Object<string, string[]>, email: string, telegramChatId: string}}
+ */
+function normalizePreferences(stored, isClub = false) {
+    const defaults = isClub ? DEFAULT_CLUB_EVENTS : DEFAULT_USER_EVENTS;
+    const allowed = isClub ? CLUB_CHANNELS : USER_CHANNELS;
+    const storedEvents = (stored && stored.events) || {};
+
+    const events = {};
+    EVENTS.forEach(event => {
+        const channels = Array.isArray(storedEvents[event]) ? storedEvents[event] : defaults[event];
+        events[event] = channels.filter((channel, index) =>
+            allowed.includes(channel) && channels.indexOf(channel) === index);
+    });
+
+    return {
+        events,
+        email: (stored && stored.email) || '',
+        telegramChatId: (stored && stored.telegramChatId) || ''
+    };
+}
+
+/**
+ * Render an event for every channel
+ * @param {string} event - One of EVENTS
+ * @param {Object} data - Event data (see dispatch callers in index.js)
+ * @returns {{title: string, body: string, emailSubject: string, emailBody: string, telegram: string, data: Object}}
+ */
+function renderNotification(event, data) {
+    const sessionLine = [data.day, data.date, data.time].filter(Boolean).join(' ');
+    let message;
+
+    switch (event) {
+        case 'registration': {
+            const spot = data.isWaitingList
+                ? `Posisjon ${data.position} (venteliste)`
+                : `Posisjon ${data.position}/${data.maxPlayers}`;
+            message = {
+                title: data.isWaitingList ? `📋 ${data.playerName} på venteliste` : `✅ ${data.playerName} påmeldt!`,
+                body: spot,
+                emailSubject: data.isWaitingList
+                    ? `📋 ${data.playerName} på venteliste (${data.position})`
+                    : `✅ ${data.playerName} påmeldt! (${data.position}/${data.maxPlayers})`,
+                emailBody: `${data.playerName} har meldt seg på badminton!\n\n${spot}\n\nSe alle påmeldte: ${APP_URL}`,
+                telegram: data.isWaitingList
+                    ? `📋 <b>${data.playerName}</b> på venteliste (${data.position})`
+                    : `✅ <b>${data.playerName}</b> påmeldt! (${data.position}/${data.maxPlayers})`
+            };
+            break;
+        }
+        case 'cancellation': {
+            const count = `${data.currentPlayers}/${data.maxPlayers}`;
+            message = {
+                title: data.hasWaitingList ? `${data.playerName} cancelled` : '🏸 SLOT AVAILABLE!',
+                body: data.hasWaitingList
+                    ? `Now ${count} players`
+                    : `${data.playerName} cancelled. Now ${count} players`,
+                emailSubject: data.hasWaitingList
+                    ? `🏸 ${data.playerName} avmeldt`
+                    : `🏸 LEDIG PLASS! ${data.playerName} avmeldt`,
+                emailBody: `${data.playerName} har meldt seg av badminton.\n\n` +
+                    `Spillere nå: ${count}\n` +
+                    `${data.hasWaitingList ? '(Venteliste vil rykke opp)' : 'Det er ledig plass!'}\n\n` +
+                    `Dato: ${data.date}\nDag: ${data.day}\nTid: ${data.time}\n\nSe: ${APP_URL}`,
+                telegram: data.hasWaitingList
+                    ? `🏸 <b>${data.playerName}</b> avmeldt\n\nSpillere: ${count}\n(Venteliste rykker opp)`
+                    : `🏸 <b>LEDIG PLASS!</b>\n\n${data.playerName} avmeldt\nSpillere: ${count}`
+            };
+            break;
+        }
+        case 'slot-available':
+            message = {
+                title: '🏸 Spot available / มีที่ว่าง',
+                body: `${sessionLine}: ${data.currentPlayers}/${data.maxPlayers} players. Register now!`,
+                emailSubject: `🏸 Spot available ${data.date}`,
+                emailBody: `A spot opened up for ${sessionLine}.\n` +
+                    `Players: ${data.currentPlayers}/${data.maxPlayers}\n\nRegister: ${APP_URL}`,
+                telegram: `🏸 <b>Spot available</b>\n${sessionLine}\nPlayers: ${data.currentPlayers}/${data.maxPlayers}`
+            };
+            break;
+        case 'low-balance':
+            message = {
+                title: '💰 Low balance / ยอดเงินต่ำ',
+                body: `Your balance is ${data.balance} THB. Please top up before the next session.`,
+                emailSubject: `💰 Low balance: ${data.balance} THB`,
+                emailBody: `Hi ${data.name},\n\nYour wallet balance is ${data.balance} THB, ` +
+                    `less than one session (${data.paymentAmount} THB).\nTop up in the app: ${APP_URL}`,
+                telegram: `💰 <b>Low balance</b>\nYour balance is ${data.balance} THB`
+            };
+            break;
+        case 'session-published':
+            message = {
+                title: '📢 New session / เซสชันใหม่',
+                body: `${sessionLine} - ${data.maxPlayers} spots, ${data.paymentAmount} THB`,
+                emailSubject: `📢 New session ${data.day} ${data.date}`,
+                emailBody: `Registration is open for ${sessionLine}.\n` +
+                    `Spots: ${data.maxPlayers}\nPrice: ${data.paymentAmount} THB\n\nRegister: ${APP_URL}`,
+                telegram: `📢 <b>New session</b>\n${sessionLine}\nSpots: ${data.maxPlayers}\nPrice: ${data.paymentAmount} THB`
+            };
+            break;
+        case 'priority-window':
+            // Regular players first: registration opens to everyone at data.until
+            message = {
+                title: '⭐ Regulars first / ผู้เล่นประจำลงก่อน',
+                body: `${sessionLine} is open for regular players until ${data.until}. Register now to keep your spot!`,
+                emailSubject: `⭐ Priority registration ${data.day} ${data.date}`,
+                emailBody: `Hi ${data.name},\n\nAs a regular player you can register for ${sessionLine} ` +
+                    `before everyone else, until ${data.until}.\nAfter that, open spots go to all players.\n\nRegister: ${APP_URL}`,
+                telegram: `⭐ <b>Regulars first</b>\n${sessionLine}\nRegister before ${data.until}`
+            };
+            break;
+        case 'lottery-result': {
+            // result: 'won' | 'waiting' (paid, refunded when not moving up) | 'skipped' (low balance)
+            const outcome = {
+                won: `You got a spot (position ${data.position})!`,
+                waiting: `No spot this time - you are number ${data.waitingPosition} on the waiting list ` +
+                    '(refunded if you don\'t move up). Better chances next draw.',
+                skipped: 'Your entry was skipped - your balance was too low at the draw. Please top up.'
+            }[data.result];
+            message = {
+                title: data.result === 'won' ? '🎲 You\'re in! / ได้ที่แล้ว!' : '🎲 Lottery result / ผลจับฉลาก',
+                body: `${sessionLine}: ${outcome}`,
+                emailSubject: `🎲 Lottery result ${data.day} ${data.date}`,
+                emailBody: `Hi ${data.name},\n\nThe lottery for ${sessionLine} has been drawn.\n${outcome}\n\n${APP_URL}`,
+                telegram: `🎲 <b>Lottery result</b>\n${sessionLine}\n${outcome}`
+            };
+            break;
+        }
+        case 'session-reminder':
+            message = {
+                title: '🏸 Badminton today / แบดมินตันวันนี้',
+                body: `${sessionLine} - see you on court!`,
+                emailSubject: `🏸 Reminder: badminton ${data.day} ${data.time}`,
+                emailBody: `Reminder: you are registered for ${sessionLine}.\n` +
+                    `Can't make it? Cancel in the app: ${APP_URL}`,
+                telegram: `🏸 <b>Reminder</b>\n${sessionLine} - see you on court!`
+            };
+            break;
+        case 'waitlist-promoted': {
+            // confirmBy is set when the club requires promoted players to confirm
+            const confirm = data.confirmBy
+                ? ` Confirm in the app by ${data.confirmBy} or the spot goes to the next player (refunded).`
+                : '';
+            message = {
+                title: data.confirmBy ? '🎉 Spot available - please confirm / กรุณายืนยัน' : "🎉 You're in! / ได้ที่แล้ว!",
+                body: `${data.playerName}: moved from the waiting list to position ` +
+                    `${data.position}/${data.maxPlayers} for ${sessionLine}.${confirm}`,
+                emailSubject: `🎉 You're in: ${data.day} ${data.date}`,
+                emailBody: `${data.playerName} moved from the waiting list to position ` +
+                    `${data.position}/${data.maxPlayers} for ${sessionLine}.${confirm}\n\n${APP_URL}`,
+                telegram: `🎉 <b>${data.playerName}</b> is in!\n${sessionLine}\n` +
+                    `Position ${data.position}/${data.maxPlayers}${confirm ? `\n${confirm.trim()}` : ''}`
+            };
+            break;
+        }
+        case 'wallet-topped-up':
+            message = {
+                title: '💰 Balance topped up / เติมเงินแล้ว',
+                body: `+${data.amount} THB. New balance: ${data.balance} THB`,
+                emailSubject: `💰 +${data.amount} THB added to your wallet`,
+                emailBody: `Hi ${data.name},\n\n${data.amount} THB was added to your wallet.\n` +
+                    `New balance: ${data.balance} THB\n\n${APP_URL}`,
+                telegram: `💰 <b>+${data.amount} THB</b>\nNew balance: ${data.balance} THB`
+            };
+            break;
+        case 'no-show': {
+            // priorityLost: config/noShows losePriorityAfter reached
+            const consequence = data.priorityLost
+                ? ' You have lost priority registration - please contact admin.'
+                : ' Please cancel in the app if you cannot come.';
+            message = {
+                title: '📍 Missed session / ไม่ได้มาเล่น',
+                body: `You did not check in for ${sessionLine} (${data.noShowCount} no-shows).${consequence}`,
+                emailSubject: `📍 No-show: ${data.day} ${data.date}`,
+                emailBody: `Hi ${data.name},\n\nYou were registered for ${sessionLine} but did not check in.\n` +
+                    `No-shows so far: ${data.noShowCount}.${consequence}\n\n${APP_URL}`,
+                telegram: `📍 <b>No-show</b>\n${sessionLine}\nNo-shows so far: ${data.noShowCount}.${consequence}`
+            };
+            break;
+        }
+        case 'spot-offered': {
+            // toName is empty when the spot is offered to the whole waiting list
+            const price = data.paymentAmount > 0 ? ` (${data.paymentAmount} THB)` : '';
+            message = {
+                title: '🔁 Spot offered to you / มีคนโอนที่ให้คุณ',
+                body: `${data.fromName} offers their spot for ${sessionLine}${price}. Accept in the app!`,
+                emailSubject: `🔁 Spot offered: ${data.day} ${data.date}`,
+                emailBody: `${data.fromName} can't make it and offers their spot for ${sessionLine}${price}` +
+                    `${data.toName ? '' : ' to the waiting list - first to accept gets it'}.\n\nAccept: ${APP_URL}`,
+                telegram: `🔁 <b>${data.fromName}</b> offers their spot\n${sessionLine}${price}`
+            };
+            break;
+        }
+        case 'spot-transferred':
+            message = {
+                title: '🔁 Spot taken over / มีคนรับที่แล้ว',
+                body: `${data.toName} took your spot for ${sessionLine}.` +
+                    `${data.amount > 0 ? ` ${data.amount} THB refunded.` : ''}`,
+                emailSubject: `🔁 ${data.toName} took your spot ${data.date}`,
+                emailBody: `${data.toName} took over your spot for ${sessionLine}.` +
+                    `${data.amount > 0 ? `\n${data.amount} THB was refunded to your wallet.` : ''}\n\n${APP_URL}`,
+                telegram: `🔁 <b>${data.toName}</b> took your spot\n${sessionLine}`
+            };
+            break;
+        case 'topup-reviewed':
+            message = data.approved
+                ? {
+                    title: '✅ Top-up approved / เติมเงินสำเร็จ',
+                    body: `+${data.amount} THB. New balance: ${data.balance} THB`
+                }
+                : {
+                    title: '❌ Top-up rejected / การเติมเงินถูกปฏิเสธ',
+                    body: `${data.amount} THB${data.reason ? ` - ${data.reason}` : ''}. Please contact admin.`
+                };
+            message.emailSubject = message.title;
+            message.emailBody = message.body;
+            message.telegram = `<b>${message.title}</b>\n${message.body}`;
+            break;
+        case 'password-reset':
+            message = {
+                title: '🔐 Password reset request / ขอรีเซ็ตรหัสผ่าน',
+                body: `${data.userName} needs a new one-time code`,
+                emailSubject: `🔐 ${data.userName} needs a new one-time code`,
+                emailBody: `${data.userName} can no longer log in and asked for a new one-time code.\n\n` +
+                    `Set it in the admin panel (user management) and give it to them in person or by message.`,
+                telegram: `🔐 <b>${data.userName}</b> needs a new one-time code`
+            };
+            break;
+        case 'test':
+            // Admin panel check that notifications reach the caller's devices
+            message = {
+                title: '🧪 Test Notification',
+                body: 'Notifications are working! / การแจ้งเตือนใช้งานได้!',
+                emailSubject: '🧪 Test notification',
+                emailBody: `Hi ${data.name},\n\nNotifications are working.`,
+                telegram: '🧪 <b>Test notification</b>\nNotifications are working.'
+            };
+            break;
+        default:
+            throw new Error(`Unknown notification event: ${event}`);
+    }
+
+    // FCM data payload values must be strings
+    message.data = { type: event, url: APP_URL };
+    ['sessionId', 'playerName', 'position'].forEach(key => {
+        if (data[key] !== undefined) {
+            message.data[key] = String(data[key]);
+        }
+    });
+
+    return message;
+}
+
+/**
+ * Outbox document ID - the same event, recipient and channel always map to the same entry,
+ * so a retried trigger or callable cannot queue (and send) a notification twice
+ * @param {string} event - One of EVENTS
+ * @param {string} dedupeKey - Identifies the occurrence (trigger event ID, top-up request ID, ...)
+ * @param {string} recipientId - authorizedUsers ID or CLUB_RECIPIENT_ID
+ * @param {string} channel - One of CHANNELS
+ * @returns {string}
+ */
+function idempotencyKey(event, dedupeKey, recipientId, channel) {
+    return crypto.createHash('sha256')
+        .update([event, dedupeKey, recipientId, channel].join('|'))
+        .digest('hex')
+        .slice(0, 40);
+}
+
+/**
+ * Delay before the next attempt after a failed send
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Create the notification service
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object<string, Function>} adapters - channel → async (recipient, message) => boolean
+ *   Adapters throw on failure and return false when the recipient has no address for the channel
+ * @returns {{dispatch: Function, deliver: Function, processDue: Function, resend: Function}}
+ */
+function createNotificationService(db, adapters) {
+    const outbox = db.collection(OUTBOX_COLLECTION);
+
+    /**
+     * Users an event goes to (the club is added separately)
+     * @param {string} event - One of EVENTS
+     * @param {Object} options - { userId, userIds, excludeUserIds }
+     * @returns {Promise<Object[]>} authorizedUsers data with id
+     */
+    async function resolveUsers(event, options) {
+        const audience = EVENT_AUDIENCE[event];
+        const exclude = options.excludeUserIds || [];
+
+        if (audience === 'player') {
+            const userIds = options.userIds || [options.userId];
+            if (userIds.length === 0) {
+                return [];
+            }
+            const userDocs = await db.getAll(...userIds.map(id => db.collection('authorizedUsers').doc(id)));
+            return userDocs
+                .filter(doc => doc.exists)
+                .map(doc => ({ id: doc.id, ...doc.data() }));
+        }
+
+        const snapshot = await db.collection('authorizedUsers').get();
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(user => !exclude.includes(user.id))
+            .filter(user => {
+                if (audience === 'players') {
+                    return user.active !== false;
+                }
+                const capability = audience === 'admins'
+                    ? permissions.CAPABILITIES.USERS_MANAGE
+                    : permissions.CAPABILITIES.PLAYERS_MANAGE;
+                return permissions.hasCapability(user.role, capability);
+            });
+    }
+
+    /**
+     * Queue an event for everyone who wants it, on the channels they chose
+     * (the outbox trigger in index.js delivers each entry right away)
+     * @param {string} event - One of EVENTS
+     * @param {Object} data - Event data for renderNotification()
+     * @param {Object} [options]
+     * @param {string} [options.userId] - The player a 'player' event is about
+     * @param {string[]} [options.userIds] - Several players (e.g. everyone registered for a session)
+     * @param {string[]} [options.excludeUserIds] - Skip these users (e.g. already registered)
+     * @param {string} [options.dedupeKey] - Same key = same notification (e.g. the trigger's event.id)
+     * @param {string} [options.notifyPath] - Document that gets playerNotified: true once delivered
+     * @returns {Promise<Object[]>} One result per recipient/channel: { id, recipientId, channel, status }
+     *   status: 'queued', or 'duplicate' when this notification was queued before
+     */
+    async function dispatch(event, data, options = {}) {
+        if (!EVENTS.includes(event)) {
+            throw new Error(`Unknown notification event: ${event}`);
+        }
+
+        const message = renderNotification(event, data);
+        const users = await resolveUsers(event, options);
+        const dedupeKey = options.dedupeKey || crypto.randomUUID();
+
+        const recipients = [{ id: CLUB_RECIPIENT_ID, name: 'Club', isClub: true }, ...users];
+        const preferenceDocs = await db.getAll(
+            ...recipients.map(r => db.collection('notificationPreferences').doc(r.id))
+        );
+
+        const results = [];
+        for (let i = 0; i < recipients.length; i++) {
+            const user = recipients[i];
+            const preferences = normalizePreferences(
+                preferenceDocs[i].exists ? preferenceDocs[i].data() : undefined,
+                user.isClub
+            );
+
+            // Address snapshot - what the adapters need, nothing else from the user document
+            const recipient = {
+                id: user.id,
+                name: user.name || '',
+                isClub: user.isClub === true,
+                // One token per device (+ the single fcmToken field older app versions wrote)
+                fcmTokens: [...new Set([...(user.fcmTokens || []), user.fcmToken].filter(Boolean))],
+                email: preferences.email,
+                telegramChatId: preferences.telegramChatId
+            };
+
+            for (const channel of preferences.events[event]) {
+                const id = idempotencyKey(event, dedupeKey, recipient.id, channel);
+                try {
+                    await outbox.doc(id).create({
+                        event,
+                        channel,
+                        recipientId: recipient.id,
+                        recipient,
+                        message,
+                        dedupeKey,
+                        notifyPath: options.notifyPath || null,
+                        status: 'pending',
+                        attempts: 0,
+                        lastError: null,
+                        createdAt: FieldValue.serverTimestamp(),
+                        nextAttemptAt: Timestamp.now()
+                    });
+                    results.push({ id, recipientId: recipient.id, channel, status: 'queued' });
+                } catch (error) {
+                    // gRPC ALREADY_EXISTS - queued by an earlier run of the same trigger
+                    if (error.code !== 6) {
+                        throw error;
+                    }
+                    results.push({ id, recipientId: recipient.id, channel, status: 'duplicate' });
+                }
+            }
+        }
+
+        const queued = results.filter(r => r.status === 'queued').length;
+        console.log(`🔔 ${event}: ${queued}/${results.length} deliveries queued`);
+        return results;
+    }
+
+    /**
+     * Claim a due outbox entry for sending (one worker per entry)
+     * @param {FirebaseFirestore.DocumentReference} ref - Outbox entry
+     * @returns {Promise<Object|null>} Entry data, or null when it is not due / already handled
+     */
+    function claim(ref) {
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            if (!doc.exists) {
+                return null;
+            }
+
+            const entry = doc.data();
+            const due = entry.nextAttemptAt && entry.nextAttemptAt.toMillis() <= Date.now();
+            if (!ACTIVE_STATUSES.includes(entry.status) || !due) {
+                return null;
+            }
+
+            transaction.update(ref, {
+                status: 'sending',
+                nextAttemptAt: Timestamp.fromMillis(Date.now() + SENDING_LEASE_MS)
+            });
+            return entry;
+        });
+    }
+
+    /**
+     * Take one send from the channel's rate limit window
+     * @param {string} channel - One of CHANNELS
+     * @returns {Promise<number>} 0 when the send may go out, otherwise the time (ms) the window reopens
+     */
+    function takeRateLimitSlot(channel) {
+        const limit = RATE_LIMITS[channel];
+        const ref = db.collection(RATE_LIMITS_COLLECTION).doc(channel);
+
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const now = Date.now();
+            const window = doc.exists ? doc.data() : { windowStart: 0, count: 0 };
+
+            if (now - window.windowStart >= limit.windowMs) {
+                transaction.set(ref, { windowStart: now, count: 1 });
+                return 0;
+            }
+            if (window.count >= limit.max) {
+                return window.windowStart + limit.windowMs;
+            }
+            transaction.update(ref, { count: window.count + 1 });
+            return 0;
+        });
+    }
+
+    /**
+     * Send one outbox entry
+     * A failed send is scheduled for a retry with backoff, after MAX_ATTEMPTS it is marked failed
+     * @param {string} id - notificationOutbox document ID
+     * @returns {Promise<string|null>} New status, or null when the entry was not due
+     */
+    async function deliver(id) {
+        const ref = outbox.doc(id);
+        const entry = await claim(ref);
+        if (!entry) {
+            return null;
+        }
+
+        // Over the channel's limit - wait for the next window (not counted as an attempt)
+        const reopensAt = await takeRateLimitSlot(entry.channel);
+        if (reopensAt) {
+            console.log(`⏳ ${entry.channel} rate limit reached - ${entry.event} to ${entry.recipient.name} deferred`);
+            await ref.update({ status: 'retry', nextAttemptAt: Timestamp.fromMillis(reopensAt) });
+            return 'retry';
+        }
+
+        const attempts = (entry.attempts || 0) + 1;
+        try {
+            const sent = await adapters[entry.channel](entry.recipient, entry.message);
+            const status = sent === false ? 'skipped' : 'sent';
+
+            await ref.update({
+                status,
+                attempts,
+                lastError: null,
+                nextAttemptAt: FieldValue.delete(),
+                completedAt: FieldValue.serverTimestamp()
+            });
+
+            if (status === 'sent' && entry.notifyPath) {
+                await db.doc(entry.notifyPath).update({ playerNotified: true });
+            }
+            return status;
+        } catch (error) {
+            const failed = attempts >= MAX_ATTEMPTS;
+            console.error(`❌ ${entry.event} via ${entry.channel} to ${entry.recipient.name} failed ` +
+                `(attempt ${attempts}/${MAX_ATTEMPTS}):`, error.message);
+
+            await ref.update({
+                status: failed ? 'failed' : 'retry',
+                attempts,
+                lastError: error.message,
+                nextAttemptAt: failed
+                    ? FieldValue.delete()
+                    : Timestamp.fromMillis(Date.now() + retryDelay(attempts)),
+                completedAt: failed ? FieldValue.serverTimestamp() : null
+            });
+            return failed ? 'failed' : 'retry';
+        }
+    }
+
+    /**
+     * Deliver every due entry (retries, deferred and stuck sends) and remove old entries
+     * @param {number} [limit=100] - Entries per run
+     * @returns {Promise<Object<string, number>>} Count per resulting status
+     */
+    async function processDue(limit = 100) {
+        const snapshot = await outbox
+            .where('nextAttemptAt', '<=', Timestamp.now())
+            .orderBy('nextAttemptAt')
+            .limit(limit)
+            .get();
+
+        const counts = {};
+        for (const doc of snapshot.docs) {
+            const status = await deliver(doc.id);
+            if (status) {
+                counts[status] = (counts[status] || 0) + 1;
+            }
+        }
+
+        const cutoff = Timestamp.fromMillis(Date.now() - OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const old = await outbox.where('createdAt', '<', cutoff).limit(400).get();
+        if (!old.empty) {
+            const batch = db.batch();
+            old.docs.forEach(doc => batch.delete(doc.ref));
+            await batch.commit();
+            console.log(`🧹 Removed ${old.size} old notification outbox entries`);
+        }
+
+        return counts;
+    }
+
+    /**
+     * Send a finished entry again (admin delivery log) - starts over with a fresh attempt count
+     * @param {string} id - notificationOutbox document ID
+     * @returns {Promise<string|null>} New status
+     */
+    async function resend(id) {
+        await outbox.doc(id).update({
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            nextAttemptAt: Timestamp.now(),
+            completedAt: null,
+            resentAt: FieldValue.serverTimestamp()
+        });
+        return deliver(id);
+    }
+
+    return { dispatch, deliver, processDue, resend };
+}
+
+module.exports = {
+    EVENTS,
+    CHANNELS,
+    USER_CHANNELS,
+    CLUB_CHANNELS,
+    CLUB_RECIPIENT_ID,
+    OUTBOX_COLLECTION,
+    ACTIVE_STATUSES,
+    RATE_LIMITS,
+    normalizePreferences,
+    renderNotification,
+    createNotificationService
+};
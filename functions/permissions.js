@@ -0,0 +1,70 @@
+/**
+ * Roles and capabilities - who may do what in the admin panel
+ * Roles are stored server-side in authorizedUsers/{id}.role and only changed by setUserRole.
+ * Cloud Functions check capabilities with requireCapability(), the admin panel
+ * shows the buttons for the capabilities returned by signIn / getMyPermissions.
+ */
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const CAPABILITIES = {
+    SESSION_PUBLISH: 'session.publish',   // Publish, preview, today's players, announcements
+    SESSION_MANAGE: 'session.manage',     // Create, clear, edit, schedule, templates, regular players
+    SESSION_CLOSE: 'session.close',       // Refund waiting list, shuttlecocks, close session
+    PLAYERS_MANAGE: 'players.manage',     // Mark as paid, remove players, check-in
+    WALLET_ADJUST: 'wallet.adjust',       // Manual balance changes, top-up approvals, expenses
+    WALLET_RECONCILE: 'wallet.reconcile', // Reconciliation, corrections, balance reset
+    USERS_MANAGE: 'users.manage',         // Add/remove users, passwords, roles
+    SETTINGS_MANAGE: 'settings.manage',   // Maintenance, PromptPay, Line/push tests
+    REPORTS_VIEW: 'reports.view'          // Transactions, accounting and weekly reports
+};
+
+const MODERATOR_CAPABILITIES = [
+    CAPABILITIES.SESSION_PUBLISH,
+    CAPABILITIES.SESSION_CLOSE,
+    CAPABILITIES.PLAYERS_MANAGE,
+    CAPABILITIES.WALLET_ADJUST,
+    CAPABILITIES.REPORTS_VIEW
+];
+
+const ROLE_CAPABILITIES = {
+    user: [],
+    moderator: MODERATOR_CAPABILITIES,
+    admin: Object.values(CAPABILITIES)
+};
+
+/**
+ * Normalize a stored role (missing or unknown → 'user')
+ * @param {string} role - authorizedUsers role field
+ * @returns {string}
+ */
+function normalizeRole(role) {
+    return ROLES.includes(role) ? role : 'user';
+}
+
+/**
+ * Capabilities granted to a role
+ * @param {string} role - 'user', 'moderator' or 'admin'
+ * @returns {string[]}
+ */
+function getCapabilities(role) {
+    return [...ROLE_CAPABILITIES[normalizeRole(role)]];
+}
+
+/**
+ * Check whether a role has a capability
+ * @param {string} role - 'user', 'moderator' or 'admin'
+ * @param {string} capability - One of CAPABILITIES
+ * @returns {boolean}
+ */
+function hasCapability(role, capability) {
+    return ROLE_CAPABILITIES[normalizeRole(role)].includes(capability);
+}
+
+module.exports = {
+    ROLES,
+    CAPABILITIES,
+    normalizeRole,
+    getCapabilities,
+    hasCapability
+};
@@ -0,0 +1,71 @@
+/**
+ * Skill ratings (Elo) for doubles
+ * Stored in ratings/{userId}: rating, ratingGames, ratingSource ('admin' | 'results'), apart
+ * from authorizedUsers so players only read them while config/ratings.showToPlayers is on.
+ * Admins set a starting rating in the user management screen; recorded results move it
+ * when config/ratings.learnFromResults is on. A team plays at the average of its two
+ * ratings and each player moves by their own K factor (48 for the first 10 games, 24
+ * after), so the points are not zero-sum: when new and established players meet, the
+ * winners' gain and the losers' loss differ. Guests are not rated.
+ */
+
+const DEFAULT_RATING = 1500;       // Unrated players and guests (same as rotation.js)
+const K_FACTOR = 24;
+const PROVISIONAL_K_FACTOR = 48;   // A new player's first games move the rating faster
+const PROVISIONAL_GAMES = 10;
+
+/**
+ * Rating of a ratings document (default when never rated)
+ * @param {Object} [user] - ratings/{userId} data
+ * @returns {number}
+ */
+function getRating(user) {
+    return user && typeof user.rating === 'number' ? user.rating : DEFAULT_RATING;
+}
+
+/**
+ * Chance that a side rated `rating` beats a side rated `opponentRating`
+ * @param {number} rating
+ * @param {number} opponentRating
+ * @returns {number} Between 0 and 1
+ */
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * K factor - bigger steps while a player has few rated games
+ * @param {Object} [user] - ratings/{userId} data
+ * @returns {number}
+ */
+function getKFactor(user) {
+    return (user && user.ratingGames >= PROVISIONAL_GAMES) ? K_FACTOR : PROVISIONAL_K_FACTOR;
+}
+
+/**
+ * Rating changes for one doubles game
+ * Guests take part with the default rating but are not rated themselves (null in the teams)
+ * @param {Array<Object|null>} teamA - ratings data of team A ({} = unrated member, null = guest)
+ * @param {Array<Object|null>} teamB - ratings data of team B ({} = unrated member, null = guest)
+ * @param {number} scoreA - Points of team A
+ * @param {number} scoreB - Points of team B
+ * @returns {{teamA: Array<number|null>, teamB: Array<number|null>}} Change per player (null = guest)
+ */
+function rateDoublesGame(teamA, teamB, scoreA, scoreB) {
+    const average = (team) => team.reduce((sum, user) => sum + getRating(user), 0) / team.length;
+    const resultA = scoreA > scoreB ? 1 : scoreA < scoreB ? 0 : 0.5;
+    const expectedA = expectedScore(average(teamA), average(teamB));
+    const change = (user, actual, expected) => user ? Math.round(getKFactor(user) * (actual - expected)) : null;
+
+    return {
+        teamA: teamA.map(user => change(user, resultA, expectedA)),
+        teamB: teamB.map(user => change(user, 1 - resultA, 1 - expectedA))
+    };
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    getRating,
+    expectedScore,
+    rateDoublesGame
+};
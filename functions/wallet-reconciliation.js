@@ -0,0 +1,192 @@
+/**
+ * Wallet reconciliation - compare each balance in authorizedUsers with its ledger
+ * Used by the getWalletReconciliation Cloud Function (admin panel)
+ * and by check-wallet-balances.js (Node script)
+ */
+
+/**
+ * Balance before a transaction, if the record has a snapshot
+ * (ledger entries: balanceBefore, legacy publish/markAsPaid entries: balance after)
+ * @param {Object} tx - Transaction data
+ * @returns {number|undefined}
+ */
+function getBalanceBefore(tx) {
+    if (typeof tx.balanceBefore === 'number') {
+        return tx.balanceBefore;
+    }
+    if (typeof tx.balance === 'number') {
+        return tx.balance - (tx.amount || 0);
+    }
+    return undefined;
+}
+
+/**
+ * Format a Firestore Timestamp as "DD/MM/YYYY HH:MM" (Bangkok time)
+ * @param {FirebaseFirestore.Timestamp} timestamp - Transaction timestamp
+ * @returns {string}
+ */
+function formatTimestamp(timestamp) {
+    if (!timestamp || typeof timestamp.toDate !== 'function') {
+        return 'no date';
+    }
+    return timestamp.toDate().toLocaleString('en-GB', {
+        timeZone: 'Asia/Bangkok',
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Reconcile one wallet against its transactions
+ * @param {Object} user - { id, name, balance }
+ * @param {Object[]} transactions - Transaction data with id, any order
+ * @returns {Object} { userId, name, balance, ledgerSum, difference, transactionCount, explanations }
+ */
+function reconcileWallet(user, transactions) {
+    const sorted = [...transactions].sort((a, b) => {
+        const aTime = a.timestamp ? a.timestamp.toMillis() : 0;
+        const bTime = b.timestamp ? b.timestamp.toMillis() : 0;
+        return aTime - bTime;
+    });
+
+    const balance = user.balance || 0;
+    const ledgerSum = sorted.reduce((sum, tx) => sum + (tx.amount || 0), 0);
+    const explanations = [];
+
+    // Walk the history: every snapshot that disagrees with the running balance is a
+    // change without a record (manual edit, lost concurrent update, failed write).
+    // The gaps add up to exactly balance - ledgerSum.
+    let expectedBalance = 0;
+    sorted.forEach(tx => {
+        const amount = tx.amount || 0;
+        const balanceBefore = getBalanceBefore(tx);
+
+        if (balanceBefore !== undefined && balanceBefore !== expectedBalance) {
+            explanations.push({
+                id: tx.id,
+                date: formatTimestamp(tx.timestamp),
+                type: tx.type || 'untyped',
+                amount: amount,
+                description: tx.description || tx.reason || '',
+                gap: balanceBefore - expectedBalance
+            });
+            expectedBalance = balanceBefore;
+        }
+        expectedBalance += amount;
+    });
+
+    // Balance changed after the newest entry (or there are no snapshots at all)
+    if (expectedBalance !== balance) {
+        explanations.push({
+            id: null,
+            date: 'after last entry',
+            type: 'none',
+            amount: 0,
+            description: `Recorded balance ${expectedBalance} THB, current ${balance} THB`,
+            gap: balance - expectedBalance
+        });
+    }
+
+    return {
+        userId: user.id,
+        name: user.name,
+        balance: balance,
+        ledgerSum: ledgerSum,
+        difference: balance - ledgerSum,
+        transactionCount: sorted.length,
+        explanations: explanations
+    };
+}
+
+/**
+ * Build the reconciliation report for all wallets
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<Object>} { generatedAt, userCount, mismatches, orphanTransactions }
+ */
+async function buildReconciliationReport(db) {
+    const [usersSnapshot, transactionsSnapshot] = await Promise.all([
+        db.collection('authorizedUsers').get(),
+        db.collection('transactions').get()
+    ]);
+
+    const transactionsByUser = {};
+    transactionsSnapshot.forEach(doc => {
+        const tx = { id: doc.id, ...doc.data() };
+        if (!transactionsByUser[tx.userId]) {
+            transactionsByUser[tx.userId] = [];
+        }
+        transactionsByUser[tx.userId].push(tx);
+    });
+
+    const mismatches = [];
+    usersSnapshot.forEach(doc => {
+        const user = { id: doc.id, ...doc.data() };
+        const result = reconcileWallet(user, transactionsByUser[doc.id] || []);
+        delete transactionsByUser[doc.id];
+
+        if (result.difference !== 0) {
+            // Only mismatched wallets need the (long) explanation list
+            mismatches.push(result);
+        }
+    });
+
+    // Transactions whose user no longer exists
+    const orphanTransactions = Object.values(transactionsByUser)
+        .reduce((count, list) => count + list.length, 0);
+
+    mismatches.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+
+    return {
+        generatedAt: new Date().toISOString(),
+        userCount: usersSnapshot.size,
+        mismatches: mismatches,
+        orphanTransactions: orphanTransactions
+    };
+}
+
+/**
+ * Format a reconciliation report as plain text (console / copyable modal)
+ * @param {Object} report - Result of buildReconciliationReport()
+ * @returns {string}
+ */
+function formatReconciliationReport(report) {
+    let text = `🧾 WALLET RECONCILIATION\n`;
+    text += `Generated: ${report.generatedAt}\n`;
+    text += `${'='.repeat(50)}\n\n`;
+    text += `Wallets checked: ${report.userCount}\n`;
+    text += `Mismatches: ${report.mismatches.length}\n`;
+    if (report.orphanTransactions > 0) {
+        text += `Transactions for deleted users: ${report.orphanTransactions}\n`;
+    }
+    text += `\n`;
+
+    if (report.mismatches.length === 0) {
+        text += `✅ All balances match their transaction history\n`;
+        return text;
+    }
+
+    report.mismatches.forEach((m, index) => {
+        const sign = m.difference > 0 ? '+' : '';
+        text += `${index + 1}. ${m.name} (${m.userId})\n`;
+        text += `   Balance: ${m.balance} THB | Ledger: ${m.ledgerSum} THB | Gap: ${sign}${m.difference} THB\n`;
+        text += `   Transactions: ${m.transactionCount}\n`;
+
+        m.explanations.forEach(e => {
+            const gapText = `${e.gap > 0 ? '+' : ''}${e.gap} THB`;
+            const before = e.id ? `before ${e.date} ${e.amount} THB "${e.description}"` : e.description;
+            text += `   - Unrecorded ${gapText} ${before}\n`;
+        });
+        text += `\n`;
+    });
+
+    return text;
+}
+
+module.exports = {
+    reconcileWallet,
+    buildReconciliationReport,
+    formatReconciliationReport
+};
@@ -0,0 +1,154 @@
+/**
+ * PromptPay QR payloads (EMVCo Merchant Presented Mode / Thai QR Payment)
+ * Pure functions - no DOM or Firebase, so payloads can be checked against known values
+ * Browser: window.PromptPay  |  Node: require('./promptpay')
+ */
+(function (root) {
+    'use strict';
+
+    const PROMPTPAY_AID = 'A000000677010111';
+    const CURRENCY_THB = '764';
+    const COUNTRY_CODE = 'TH';
+    const MAX_REFERENCE_LENGTH = 25;
+
+    // EMVCo tags used by PromptPay
+    const TAG = {
+        PAYLOAD_FORMAT: '00',
+        POINT_OF_INITIATION: '01',
+        MERCHANT_PROMPTPAY: '29',
+        CURRENCY: '53',
+        AMOUNT: '54',
+        COUNTRY: '58',
+        ADDITIONAL_DATA: '62',
+        CRC: '63'
+    };
+
+    // Sub-tags in the PromptPay merchant account field
+    const TARGET = {
+        AID: '00',
+        PHONE: '01',
+        NATIONAL_ID: '02',
+        EWALLET: '03'
+    };
+
+    // Sub-tag in additional data (62)
+    const REFERENCE_LABEL = '05';
+
+    /**
+     * Format one TLV field: ID + 2-digit length + value
+     * @param {string} id - Two-digit tag
+     * @param {string} value - Field value
+     * @returns {string}
+     */
+    function formatField(id, value) {
+        return id + String(value.length).padStart(2, '0') + value;
+    }
+
+    /**
+     * CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF) as 4 uppercase hex digits
+     * @param {string} data - Payload including "6304"
+     * @returns {string}
+     */
+    function crc16(data) {
+        let crc = 0xFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc ^= data.charCodeAt(i) << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+                crc &= 0xFFFF;
+            }
+        }
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+
+    /**
+     * Convert a PromptPay ID to its merchant account sub-field
+     * Phone "081-234-5678" → 01 "0066812345678", 13 digits → national/tax ID, 15 digits → e-wallet
+     * @param {string} promptPayId - Phone number, national/tax ID or e-wallet ID
+     * @returns {string} Formatted sub-field
+     */
+    function formatTarget(promptPayId) {
+        const digits = String(promptPayId || '').replace(/[^0-9]/g, '');
+
+        if (digits.length === 13) {
+            return formatField(TARGET.NATIONAL_ID, digits);
+        }
+        if (digits.length === 15) {
+            return formatField(TARGET.EWALLET, digits);
+        }
+        if (digits.length === 10 && digits.startsWith('0')) {
+            const international = '66' + digits.substring(1);
+            return formatField(TARGET.PHONE, international.padStart(13, '0'));
+        }
+
+        throw new Error(`Invalid PromptPay ID: ${promptPayId}`);
+    }
+
+    /**
+     * Amount with two decimals ("500.00")
+     * @param {number} amount - THB
+     * @returns {string}
+     */
+    function formatAmount(amount) {
+        const value = Number(amount);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error(`Invalid amount: ${amount}`);
+        }
+        return value.toFixed(2);
+    }
+
+    /**
+     * Reference label: A-Z / 0-9 only, max 25 characters
+     * @param {string} reference - Free text reference
+     * @returns {string}
+     */
+    function formatReference(reference) {
+        return String(reference || '')
+            .toUpperCase()
+            .replace(/[^A-Z0-9]/g, '')
+            .substring(0, MAX_REFERENCE_LENGTH);
+    }
+
+    /**
+     * Build a PromptPay QR payload
+     * Without amount the QR is static (payer types the amount), with amount it is dynamic
+     * @param {Object} options
+     * @param {string} options.promptPayId - Club PromptPay ID
+     * @param {number} [options.amount] - THB
+     * @param {string} [options.reference] - Reference shown in banking apps that support it
+     * @returns {string} Payload to encode in the QR code
+     */
+    function buildPayload({ promptPayId, amount, reference } = {}) {
+        const hasAmount = amount !== undefined && amount !== null && amount !== '';
+        const referenceLabel = formatReference(reference);
+
+        let payload = formatField(TAG.PAYLOAD_FORMAT, '01') +
+            formatField(TAG.POINT_OF_INITIATION, hasAmount ? '12' : '11') +
+            formatField(TAG.MERCHANT_PROMPTPAY,
+                formatField(TARGET.AID, PROMPTPAY_AID) + formatTarget(promptPayId)) +
+            formatField(TAG.COUNTRY, COUNTRY_CODE) +
+            formatField(TAG.CURRENCY, CURRENCY_THB);
+
+        if (hasAmount) {
+            payload += formatField(TAG.AMOUNT, formatAmount(amount));
+        }
+        if (referenceLabel) {
+            payload += formatField(TAG.ADDITIONAL_DATA, formatField(REFERENCE_LABEL, referenceLabel));
+        }
+
+        payload += TAG.CRC + '04';
+        return payload + crc16(payload);
+    }
+
+    const PromptPay = {
+        buildPayload,
+        formatReference,
+        crc16
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PromptPay;
+    } else {
+        root.PromptPay = PromptPay;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,274 @@
+/**
+ * Doubles match rotation (who plays with whom on which court, round by round)
+ * Pure functions - no DOM or Firebase, so the same rounds come out for the same seed
+ * Browser: window.MatchRotation  |  Node: require('./rotation')
+ *
+ * Fairness, in this order:
+ *   1. everyone plays roughly the same number of games (fewest games play first)
+ *   2. sitting out rotates (who sat out more plays first on a tie)
+ *   3. partners repeat as little as possible, opponents a bit less strictly
+ *   4. with skill ratings: even teams, and players of a similar level on the same court
+ */
+(function (root) {
+    'use strict';
+
+    const PLAYERS_PER_COURT = 6;       // Same as the court count in finalizeSessionAccounting
+    const DEFAULT_MINUTES_PER_GAME = 15;
+    const MAX_ROUNDS = 40;
+    const ATTEMPTS_PER_ROUND = 80;     // Random groupings tried per round, the cheapest wins
+
+    // Cost of playing with the same partner / against the same opponent again
+    const PARTNER_WEIGHT = 4;
+    const OPPONENT_WEIGHT = 1;
+
+    // Skill ratings (Elo, see functions/ratings.js): cost per RATING_STEP points
+    // between the two teams, and between the best and weakest player on a court
+    const DEFAULT_RATING = 1500;
+    const RATING_STEP = 100;
+    const TEAM_BALANCE_WEIGHT = 1.5;
+    const COURT_LEVEL_WEIGHT = 0.5;
+
+    /**
+     * Seeded random numbers (mulberry32) - same seed, same rounds
+     * @param {number} seed - 32-bit seed
+     * @returns {function(): number} Random number in [0, 1)
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Shuffled copy (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @param {function(): number} random - createRandom() result
+     * @returns {Array}
+     */
+    function shuffle(items, random) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Session length from the session time ("18:00 - 20:00")
+     * @param {string} time - Session time
+     * @returns {number|null} Minutes, or null when the time can't be read
+     */
+    function getSessionMinutes(time) {
+        const match = /(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})/.exec(time || '');
+        if (!match) {
+            return null;
+        }
+        const start = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+        let end = parseInt(match[3], 10) * 60 + parseInt(match[4], 10);
+        if (end <= start) {
+            end += 24 * 60; // Past midnight
+        }
+        return end - start;
+    }
+
+    /**
+     * Courts for a number of players - one court per 6 players, but never more
+     * courts than full doubles games
+     * @param {number} playerCount - Players at the session
+     * @returns {number}
+     */
+    function getCourtCount(playerCount) {
+        return Math.min(Math.ceil(playerCount / PLAYERS_PER_COURT), Math.floor(playerCount / 4));
+    }
+
+    /**
+     * Rounds that fit in the session
+     * @param {number|null} sessionMinutes - getSessionMinutes() result
+     * @param {number} [minutesPerGame] - Length of one round
+     * @returns {number}
+     */
+    function getRoundCount(sessionMinutes, minutesPerGame = DEFAULT_MINUTES_PER_GAME) {
+        if (!sessionMinutes || !(minutesPerGame > 0)) {
+            return 0;
+        }
+        return Math.min(MAX_ROUNDS, Math.floor(sessionMinutes / minutesPerGame));
+    }
+
+    /**
+     * Unordered pair key for the partner/opponent counters
+     */
+    function pairKey(a, b) {
+        return a < b ? `${a}|${b}` : `${b}|${a}`;
+    }
+
+    /**
+     * Best split of four players into two teams, given who played together before
+     * @param {string[]} four - Player IDs
+     * @param {Map} partners - pairKey → games as partners
+     * @param {Map} opponents - pairKey → games as opponents
+     * @param {function(string): number|null} rating - Rating of a player, null without ratings
+     * @returns {{teamA: string[], teamB: string[], cost: number}}
+     */
+    function bestPairing(four, partners, opponents, rating) {
+        const [a, b, c, d] = four;
+        const options = [[[a, b], [c, d]], [[a, c], [b, d]], [[a, d], [b, c]]];
+        let best = null;
+
+        let courtCost = 0;
+        if (rating) {
+            const levels = four.map(rating);
+            courtCost = COURT_LEVEL_WEIGHT * (Math.max(...levels) - Math.min(...levels)) / RATING_STEP;
+        }
+
+        options.forEach(([teamA, teamB]) => {
+            let cost = courtCost + PARTNER_WEIGHT * ((partners.get(pairKey(...teamA)) || 0) + (partners.get(pairKey(...teamB)) || 0));
+            teamA.forEach(x => teamB.forEach(y => {
+                cost += OPPONENT_WEIGHT * (opponents.get(pairKey(x, y)) || 0);
+            }));
+            if (rating) {
+                const strength = (team) => team.reduce((sum, id) => sum + rating(id), 0);
+                cost += TEAM_BALANCE_WEIGHT * Math.abs(strength(teamA) - strength(teamB)) / RATING_STEP;
+            }
+            if (!best || cost < best.cost) {
+                best = { teamA, teamB, cost };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Generate doubles rounds
+     * @param {string[]} playerIds - Players taking part (checked-in players)
+     * @param {Object} options
+     * @param {number} options.courts - Courts available (capped at full games)
+     * @param {number} options.rounds - Number of rounds
+     * @param {number} [options.seed] - Random seed (stored, so the rounds can be reproduced)
+     * @param {Object} [options.ratings] - Player ID → skill rating; balances teams and courts
+     *   (players missing from it count as DEFAULT_RATING)
+     * @returns {{courts: number, seed: number, rounds: Object[], gamesPlayed: Object}}
+     *   rounds: { round, matches: [{ court, teamA: [id, id], teamB: [id, id] }], sittingOut: [id] }
+     */
+    function generate(playerIds, options) {
+        const seed = options.seed !== undefined ? options.seed >>> 0 : Math.floor(Math.random() * 4294967296);
+        const random = createRandom(seed);
+        const courts = Math.max(0, Math.min(options.courts || 0, Math.floor(playerIds.length / 4)));
+        const roundCount = courts > 0 ? Math.max(0, Math.min(options.rounds || 0, MAX_ROUNDS)) : 0;
+
+        const games = {};
+        const sitOuts = {};
+        playerIds.forEach(id => {
+            games[id] = 0;
+            sitOuts[id] = 0;
+        });
+        const partners = new Map();
+        const opponents = new Map();
+        const rounds = [];
+        const ratings = options.ratings;
+        const rating = ratings && Object.keys(ratings).length > 0
+            ? (id) => (typeof ratings[id] === 'number' ? ratings[id] : DEFAULT_RATING)
+            : null;
+
+        for (let round = 1; round <= roundCount; round++) {
+            // Fewest games first, then whoever sat out most; shuffle first so ties are random
+            const order = shuffle(playerIds, random)
+                .sort((a, b) => games[a] - games[b] || sitOuts[b] - sitOuts[a]);
+            const playing = order.slice(0, courts * 4);
+            const sittingOut = order.slice(courts * 4);
+
+            let best = null;
+            for (let attempt = 0; attempt < ATTEMPTS_PER_ROUND; attempt++) {
+                const candidate = shuffle(playing, random);
+                const matches = [];
+                let cost = 0;
+                for (let court = 0; court < courts; court++) {
+                    const pairing = bestPairing(candidate.slice(court * 4, court * 4 + 4), partners, opponents, rating);
+                    matches.push({ court: court + 1, teamA: pairing.teamA, teamB: pairing.teamB });
+                    cost += pairing.cost;
+                }
+                if (!best || cost < best.cost) {
+                    best = { matches, cost };
+                }
+                if (cost === 0) {
+                    break;
+                }
+            }
+
+            best.matches.forEach(({ teamA, teamB }) => {
+                [teamA, teamB].forEach(team => {
+                    partners.set(pairKey(...team), (partners.get(pairKey(...team)) || 0) + 1);
+                    team.forEach(id => games[id]++);
+                });
+                teamA.forEach(x => teamB.forEach(y => {
+                    opponents.set(pairKey(x, y), (opponents.get(pairKey(x, y)) || 0) + 1);
+                }));
+            });
+            sittingOut.forEach(id => sitOuts[id]++);
+
+            rounds.push({ round, matches: best.matches, sittingOut });
+        }
+
+        return { courts, seed, rounds, gamesPlayed: games };
+    }
+
+    /**
+     * Start time of a round ("18:30") from the session start and round length
+     * @param {string} startTime - Session start ("18:00")
+     * @param {number} minutesPerGame - Length of one round
+     * @param {number} round - Round number (1-based)
+     * @returns {string|null}
+     */
+    function getRoundTime(startTime, minutesPerGame, round) {
+        const match = /(\d{1,2}):(\d{2})/.exec(startTime || '');
+        if (!match || !(minutesPerGame > 0)) {
+            return null;
+        }
+        const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10) + (round - 1) * minutesPerGame;
+        return `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Plain text for Line / clipboard
+     * @param {Object} rotation - Stored rotation { rounds, names, minutesPerGame, startTime }
+     * @param {string} [title] - First line (session day/date/time)
+     * @returns {string}
+     */
+    function formatText(rotation, title) {
+        const name = (id) => (rotation.names && rotation.names[id]) || '?';
+        let text = `🏸 Rounds / ตารางแข่ง${title ? ` - ${title}` : ''}\n`;
+
+        rotation.rounds.forEach(round => {
+            const time = getRoundTime(rotation.startTime, rotation.minutesPerGame, round.round);
+            text += `\nRound ${round.round}${time ? ` (${time})` : ''}\n`;
+            round.matches.forEach(match => {
+                text += `  Court ${match.court}: ${match.teamA.map(name).join(' & ')} vs ${match.teamB.map(name).join(' & ')}\n`;
+            });
+            if (round.sittingOut.length > 0) {
+                text += `  Sitting out / พัก: ${round.sittingOut.map(name).join(', ')}\n`;
+            }
+        });
+        return text;
+    }
+
+    const MatchRotation = {
+        DEFAULT_MINUTES_PER_GAME,
+        DEFAULT_RATING,
+        generate,
+        getSessionMinutes,
+        getCourtCount,
+        getRoundCount,
+        getRoundTime,
+        formatText
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MatchRotation;
+    } else {
+        root.MatchRotation = MatchRotation;
+    }
+})(typeof window !== 'undefined' ? window : this);
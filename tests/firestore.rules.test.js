@@ -0,0 +1,436 @@
+/**
+ * Firestore security rules tests (firestore.rules)
+ * Runs against the local Firestore emulator: npm test
+ * (firebase emulators:exec starts the emulator and sets FIRESTORE_EMULATOR_HOST)
+ */
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const {
+    initializeTestEnvironment,
+    assertSucceeds,
+    assertFails
+} = require('@firebase/rules-unit-testing');
+
+const PROJECT_ID = 'demo-badminton';
+const SESSION_ID = 'session-1';
+
+// authorizedUsers document ID = Auth uid (see signIn in functions/index.js)
+const USERS = {
+    anna: { name: 'Anna', balance: 300, role: 'user' },
+    ben: { name: 'Ben', balance: 200, role: 'user' },
+    mod: { name: 'Mona', balance: 100, role: 'moderator' },
+    boss: { name: 'Boss', balance: 100, role: 'admin' }
+};
+
+let testEnv;
+
+/**
+ * Firestore client for a signed-in user (or unauthenticated when uid is null)
+ * @param {string|null} uid - authorizedUsers document ID
+ * @returns {firebase.firestore.Firestore}
+ */
+function dbAs(uid) {
+    const context = uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext();
+    return context.firestore();
+}
+
+/**
+ * Players subcollection of the test session
+ * @param {firebase.firestore.Firestore} db - Client from dbAs()
+ */
+function playersOf(db) {
+    return db.collection('sessions').doc(SESSION_ID).collection('players');
+}
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        firestore: {
+            rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8')
+        }
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+
+    // Seed data as the Cloud Functions would have written it
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+
+        for (const [id, user] of Object.entries(USERS)) {
+            await db.collection('authorizedUsers').doc(id).set(user);
+        }
+
+        await db.collection('sessions').doc(SESSION_ID).set({
+            date: '01/06/2026',
+            maxPlayers: 12,
+            paymentAmount: 150,
+            published: true
+        });
+
+        const players = db.collection('sessions').doc(SESSION_ID).collection('players');
+        await players.doc('anna-reg').set({ name: 'Anna', userId: 'anna', paid: true, position: 1 });
+        await players.doc('anna-guest').set({
+            name: 'Anna friend: Carl', userId: 'anna', isGuest: true, guestName: 'Carl',
+            guestOf: 'anna', guestOfName: 'Anna', guestProfileId: 'anna_carl', paid: true, amountPaid: 150, position: 2
+        });
+        await db.collection('guestProfiles').doc('anna_carl').set({
+            name: 'Carl', hostUserId: 'anna', hostName: 'Anna', timesPlayed: 1
+        });
+        await players.doc('ben-reg').set({ name: 'Ben', userId: 'ben', paid: false, position: 3 });
+
+        await db.collection('transactions').doc('tx-anna').set({
+            userId: 'anna', type: 'registration', amount: -150, balanceBefore: 450, balanceAfter: 300
+        });
+        await db.collection('transactions').doc('tx-ben').set({
+            userId: 'ben', type: 'topup', amount: 200, balanceBefore: 0, balanceAfter: 200
+        });
+    });
+});
+
+after(async () => {
+    await testEnv.cleanup();
+});
+
+describe('public data', () => {
+    it('anyone can read sessions and player lists', async () => {
+        await assertSucceeds(dbAs(null).collection('sessions').doc(SESSION_ID).get());
+        await assertSucceeds(playersOf(dbAs(null)).get());
+    });
+
+    it('players cannot change session settings', async () => {
+        await assertFails(dbAs('anna').collection('sessions').doc(SESSION_ID).update({ maxPlayers: 20 }));
+        await assertFails(dbAs('anna').collection('sessions').doc('session-2').set({ date: '08/06/2026' }));
+    });
+
+    it('signed-in players can read users, anonymous visitors cannot', async () => {
+        await assertSucceeds(dbAs('anna').collection('authorizedUsers').get());
+        await assertFails(dbAs(null).collection('authorizedUsers').get());
+    });
+
+    it('nobody can read password hashes', async () => {
+        await assertFails(dbAs('boss').collection('userCredentials').doc('anna').get());
+    });
+
+    it('nobody can read or reset failed sign-in counts', async () => {
+        await assertFails(dbAs('boss').collection('signInAttempts').doc('anna').get());
+        await assertFails(dbAs('anna').collection('signInAttempts').doc('anna').delete());
+    });
+
+    it('notification preferences only go through the callables', async () => {
+        await assertFails(dbAs('anna').collection('notificationPreferences').doc('anna').get());
+        await assertFails(dbAs('anna').collection('notificationPreferences').doc('anna').set({ events: {} }));
+    });
+
+    it('only admins read the notification delivery log, nobody writes it', async () => {
+        await assertFails(dbAs('mod').collection('notificationOutbox').get());
+        await assertSucceeds(dbAs('boss').collection('notificationOutbox').get());
+        await assertFails(dbAs('boss').collection('notificationOutbox').doc('entry-1').set({ status: 'pending' }));
+    });
+});
+
+describe('registration', () => {
+    it('players cannot write a registration directly (registerPlayer only)', async () => {
+        await assertFails(playersOf(dbAs('ben')).add({ name: 'Ben', userId: 'ben', paid: true, position: 4 }));
+    });
+
+    it('players cannot register someone else', async () => {
+        await assertFails(playersOf(dbAs('ben')).add({ name: 'Anna', userId: 'anna', paid: true, position: 4 }));
+    });
+
+    it('players cannot mark their own registration as paid (payment is a server debit)', async () => {
+        await assertFails(playersOf(dbAs('ben')).doc('ben-reg').update({ paid: true }));
+        await assertFails(playersOf(dbAs('ben')).doc('ben-reg').update({ paid: true, paidAt: new Date() }));
+        await assertFails(playersOf(dbAs('anna')).doc('anna-reg').update({ paid: false }));
+    });
+
+    it('players cannot change their position', async () => {
+        await assertFails(playersOf(dbAs('ben')).doc('ben-reg').update({ position: 1 }));
+    });
+
+    it('players confirm a waiting list promotion through confirmPromotion only', async () => {
+        await assertFails(playersOf(dbAs('ben')).doc('ben-reg').update({ pendingConfirmation: false }));
+    });
+
+    it('players check in through the venue QR code only (checkIn)', async () => {
+        await assertFails(playersOf(dbAs('ben')).doc('ben-reg').update({ attended: true }));
+        await assertFails(dbAs('ben').collection('checkInCodes').doc(SESSION_ID).get());
+    });
+
+    it('staff tick attendance on the check-in screen', async () => {
+        await assertSucceeds(playersOf(dbAs('mod')).doc('ben-reg').update({ attended: true }));
+    });
+
+    it('staff cannot mark players paid - payment is the server-side debit', async () => {
+        await assertFails(playersOf(dbAs('mod')).doc('ben-reg').update({ paid: true }));
+        await assertFails(playersOf(dbAs('boss')).doc('ben-reg').update({ paid: true }));
+        await assertFails(playersOf(dbAs('boss')).doc('ben-reg').update({ attended: true, paid: true }));
+        await assertFails(playersOf(dbAs('boss')).doc('anna-guest').update({ amountPaid: 0 }));
+        await assertFails(playersOf(dbAs('boss')).doc('ben-reg').update({ userId: 'anna', name: 'Anna' }));
+    });
+
+    it('staff renumber the list', async () => {
+        await assertSucceeds(playersOf(dbAs('mod')).doc('ben-reg').update({ position: 2 }));
+    });
+
+    it('players cannot reset their own no-show count', async () => {
+        await assertFails(dbAs('ben').collection('authorizedUsers').doc('ben').update({ noShowCount: 0 }));
+    });
+
+    it('players transfer a spot through offerSpot / acceptSpotTransfer only', async () => {
+        await assertFails(playersOf(dbAs('anna')).doc('anna-reg').update({ transferOffer: { toUserId: 'ben' } }));
+        await assertFails(playersOf(dbAs('ben')).doc('anna-reg').update({ userId: 'ben', name: 'Ben' }));
+    });
+
+    it('players cannot mark someone else as paid', async () => {
+        await assertFails(playersOf(dbAs('anna')).doc('ben-reg').update({ paid: true }));
+    });
+
+    it('staff can add unpaid players to a session', async () => {
+        await assertSucceeds(playersOf(dbAs('mod')).add({ name: 'Ben', userId: 'ben', paid: false, position: 4 }));
+        await assertFails(playersOf(dbAs('mod')).add({ name: 'Ben', userId: 'ben', paid: true, position: 4 }));
+        await assertFails(playersOf(dbAs('boss')).add({ name: 'Ben', userId: 'ben', paid: false, amountPaid: 150, position: 4 }));
+    });
+});
+
+describe('cancellation', () => {
+    it('players cannot delete their own registration directly (cancelRegistration only)', async () => {
+        await assertFails(playersOf(dbAs('anna')).doc('anna-reg').delete());
+    });
+
+    it('players cannot cancel someone else', async () => {
+        await assertFails(playersOf(dbAs('ben')).doc('anna-reg').delete());
+    });
+
+    it('moderators can remove players', async () => {
+        await assertSucceeds(playersOf(dbAs('mod')).doc('ben-reg').delete());
+    });
+});
+
+describe('guest registration', () => {
+    it('hosts cannot delete their guests directly (cancelRegistration only)', async () => {
+        await assertFails(playersOf(dbAs('anna')).doc('anna-guest').delete());
+    });
+
+    it('other players cannot cancel a guest', async () => {
+        await assertFails(playersOf(dbAs('ben')).doc('anna-guest').delete());
+    });
+
+    it('players cannot add guests directly (registerPlayer only)', async () => {
+        await assertFails(playersOf(dbAs('ben')).add({
+            name: 'Ben friend: Dan', userId: 'ben', isGuest: true, guestOf: 'ben', paid: true, position: 4
+        }));
+    });
+
+    it('hosts cannot rename a guest or change what was paid', async () => {
+        await assertFails(playersOf(dbAs('anna')).doc('anna-guest').update({ guestName: 'Dan' }));
+        await assertFails(playersOf(dbAs('anna')).doc('anna-guest').update({ amountPaid: 0 }));
+    });
+
+    it('hosts only read their own guest profiles', async () => {
+        const profiles = (uid) => dbAs(uid).collection('guestProfiles');
+        await assertSucceeds(profiles('anna').where('hostUserId', '==', 'anna').get());
+        await assertFails(profiles('ben').doc('anna_carl').get());
+        await assertFails(profiles('anna').doc('anna_carl').update({ name: 'Dan' }));
+        await assertSucceeds(profiles('mod').doc('anna_carl').get());
+    });
+});
+
+describe('match results', () => {
+    it('anyone can read results, nobody writes them directly (recordMatchResult only)', async () => {
+        const matches = (uid) => dbAs(uid).collection('sessions').doc(SESSION_ID).collection('matches');
+        const result = {
+            teamA: [{ playerId: 'anna-reg', userId: 'anna' }, { playerId: 'anna-guest', userId: null }],
+            teamB: [{ playerId: 'ben-reg', userId: 'ben' }, { playerId: 'mod-reg', userId: 'mod' }],
+            scoreA: 21, scoreB: 3, winner: 'A', season: '2026'
+        };
+        await assertSucceeds(matches(null).get());
+        await assertFails(matches('anna').add(result));
+        await assertFails(matches('mod').add(result));
+    });
+});
+
+describe('skill ratings', () => {
+    beforeEach(async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await db.collection('ratings').doc('anna').set({ rating: 1520, ratingGames: 3 });
+            await db.collection('ratingChanges').doc('match-1').set({ sessionId: SESSION_ID, changes: { anna: 20 } });
+        });
+    });
+
+    const setShowToPlayers = (showToPlayers) => testEnv.withSecurityRulesDisabled(async (context) => {
+        await context.firestore().collection('config').doc('ratings').set({ showToPlayers });
+    });
+
+    it('players cannot read ratings while the club hides them', async () => {
+        await assertFails(dbAs('anna').collection('ratings').doc('anna').get());
+        await assertFails(dbAs('anna').collection('ratingChanges').doc('match-1').get());
+        await setShowToPlayers(false);
+        await assertFails(dbAs('ben').collection('ratings').get());
+        await assertFails(dbAs(null).collection('ratingChanges').doc('match-1').get());
+    });
+
+    it('players read ratings once the club shows them, staff always', async () => {
+        await assertSucceeds(dbAs('mod').collection('ratings').doc('anna').get());
+        await assertSucceeds(dbAs('mod').collection('ratingChanges').doc('match-1').get());
+        await setShowToPlayers(true);
+        await assertSucceeds(dbAs('ben').collection('ratings').get());
+        await assertSucceeds(dbAs('anna').collection('ratingChanges').doc('match-1').get());
+        await assertFails(dbAs(null).collection('ratings').doc('anna').get());
+    });
+
+    it('rating changes are only written by the result functions', async () => {
+        await assertFails(dbAs('boss').collection('ratingChanges').doc('match-1').set({ changes: {} }));
+        await assertFails(dbAs('anna').collection('ratingChanges').doc('match-1').delete());
+    });
+});
+
+describe('lottery', () => {
+    it('entries and draws are only written by the lottery functions', async () => {
+        const entries = (uid) => dbAs(uid).collection('sessions').doc(SESSION_ID).collection('lotteryEntries');
+        await assertSucceeds(entries(null).get());
+        await assertFails(entries('anna').doc('anna').set({ userId: 'anna', name: 'Anna' }));
+        await assertFails(entries('mod').doc('ben').set({ userId: 'ben', name: 'Ben' }));
+
+        const draw = (uid) => dbAs(uid).collection('lotteryDraws').doc(SESSION_ID);
+        await assertFails(draw(null).get());
+        await assertSucceeds(draw('anna').get());
+        await assertFails(draw('mod').set({ seed: 1, winners: [] }));
+    });
+});
+
+describe('gifts and wallets', () => {
+    it('players cannot change their own balance', async () => {
+        await assertFails(dbAs('ben').collection('authorizedUsers').doc('ben').update({ balance: 1000 }));
+    });
+
+    it('players cannot move balance to someone else (giftBalance only)', async () => {
+        await assertFails(dbAs('anna').collection('authorizedUsers').doc('ben').update({ balance: 300 }));
+        await assertFails(dbAs('anna').collection('authorizedUsers').doc('anna').update({ balance: 200 }));
+    });
+
+    it('players cannot write gift transactions', async () => {
+        await assertFails(dbAs('anna').collection('transactions').add({
+            userId: 'ben', type: 'gift', amount: 100, relatedUserId: 'anna'
+        }));
+    });
+
+    it('players can save their own push token', async () => {
+        await assertSucceeds(dbAs('anna').collection('authorizedUsers').doc('anna').update({ fcmToken: 'token-1' }));
+        await assertFails(dbAs('anna').collection('authorizedUsers').doc('ben').update({ fcmToken: 'token-1' }));
+    });
+
+    it('players register up to 10 devices for push', async () => {
+        const anna = dbAs('anna').collection('authorizedUsers').doc('anna');
+        await assertSucceeds(anna.update({ fcmTokens: ['phone', 'laptop'] }));
+        await assertFails(anna.update({ fcmTokens: Array.from({ length: 11 }, (_, i) => `device-${i}`) }));
+        await assertFails(dbAs('anna').collection('authorizedUsers').doc('ben').update({ fcmTokens: ['phone'] }));
+    });
+
+    it('players only read their own transactions', async () => {
+        await assertSucceeds(dbAs('anna').collection('transactions').where('userId', '==', 'anna').get());
+        await assertFails(dbAs('anna').collection('transactions').doc('tx-ben').get());
+    });
+
+    it('the ledger is append-only - even admins cannot edit or delete entries', async () => {
+        await assertFails(dbAs('boss').collection('transactions').doc('tx-anna').update({ amount: 0 }));
+        await assertFails(dbAs('boss').collection('transactions').doc('tx-anna').delete());
+    });
+
+    it('even admins cannot set balances directly', async () => {
+        await assertFails(dbAs('boss').collection('authorizedUsers').doc('ben').update({ balance: 0 }));
+    });
+});
+
+describe('admin-only writes', () => {
+    it('only admins can create sessions', async () => {
+        await assertFails(dbAs('mod').collection('sessions').doc('session-2').set({ date: '08/06/2026', closed: false }));
+        await assertSucceeds(dbAs('boss').collection('sessions').doc('session-2').set({ date: '08/06/2026', closed: false }));
+        await assertFails(dbAs('boss').collection('sessions').doc('session-3').set({ date: '08/06/2026' }));
+    });
+
+    it('sessions are published, locked and closed by the server only', async () => {
+        const session = (uid) => dbAs(uid).collection('sessions').doc(SESSION_ID);
+        // Moderators publish through publishSession, which charges the players
+        await assertFails(session('mod').update({ published: false }));
+        for (const uid of ['mod', 'boss']) {
+            await assertFails(session(uid).update({ closed: true }));
+            await assertFails(session(uid).update({ locked: false }));
+            await assertFails(session(uid).update({ archivedTo: 'elsewhere', finalIncome: 0 }));
+        }
+        // Admins may withdraw a publication, but not publish or reprice a published session
+        await assertFails(session('boss').update({ paymentAmount: 1 }));
+        await assertSucceeds(session('boss').update({ published: false, time: '18:00 - 20:00' }));
+        await assertFails(session('boss').update({ published: true }));
+        await assertSucceeds(session('boss').update({ paymentAmount: 120 }));
+    });
+
+    it('each capability edits only its own session fields', async () => {
+        const session = (uid) => dbAs(uid).collection('sessions').doc(SESSION_ID);
+        await assertSucceeds(session('mod').update({ shuttlecocksUsed: 6 }));
+        await assertSucceeds(session('mod').update({ rotation: { rounds: [] } }));
+        await assertFails(session('mod').update({ maxPlayers: 40 }));
+        await assertFails(session('mod').update({ shuttlecocksUsed: 8, maxPlayers: 40 }));
+        await assertFails(session('mod').update({ maintenanceMode: true }));
+        await assertSucceeds(session('boss').update({ maintenanceMode: true }));
+        await assertFails(session('anna').update({ shuttlecocksUsed: 0 }));
+    });
+
+    it('only admins manage users', async () => {
+        await assertFails(dbAs('mod').collection('authorizedUsers').add({ name: 'Eve', balance: 0 }));
+        await assertSucceeds(dbAs('boss').collection('authorizedUsers').add({ name: 'Eve', balance: 0 }));
+        await assertFails(dbAs('boss').collection('authorizedUsers').add({ name: 'Rich', balance: 5000 }));
+        await assertFails(dbAs('boss').collection('authorizedUsers').add({ name: 'Pw', balance: 0, password: '123' }));
+    });
+
+    it('only admins set skill ratings', async () => {
+        await assertFails(dbAs('anna').collection('ratings').doc('anna').set({ rating: 2000 }));
+        await assertFails(dbAs('mod').collection('ratings').doc('ben').set({ rating: 1200 }));
+        await assertSucceeds(dbAs('boss').collection('ratings').doc('ben').set({
+            rating: 1650, ratingSource: 'admin'
+        }));
+    });
+
+    it('roles cannot be changed from the client (setUserRole only)', async () => {
+        await assertFails(dbAs('anna').collection('authorizedUsers').doc('anna').update({ role: 'admin' }));
+        await assertFails(dbAs('boss').collection('authorizedUsers').doc('anna').update({ role: 'moderator' }));
+    });
+
+    it('only admins change the PromptPay ID', async () => {
+        await assertFails(dbAs('mod').collection('config').doc('payment').set({ promptPayId: '0812345678' }));
+        await assertSucceeds(dbAs('boss').collection('config').doc('payment').set({ promptPayId: '0812345678' }));
+    });
+
+    it('only admins manage session templates', async () => {
+        await assertFails(dbAs('mod').collection('sessionTemplates').add({ active: true }));
+        await assertSucceeds(dbAs('boss').collection('sessionTemplates').add({ active: true }));
+    });
+
+    it('staff log expenses, nobody edits them', async () => {
+        await assertFails(dbAs('anna').collection('expenses').add({ amount: 500 }));
+        await assertSucceeds(dbAs('mod').collection('expenses').doc('court').set({ amount: 500 }));
+        await assertFails(dbAs('boss').collection('expenses').doc('court').update({ amount: 0 }));
+    });
+
+    it('players cannot read reports', async () => {
+        await assertFails(dbAs('anna').collection('income').get());
+        await assertFails(dbAs('anna').collection('weeklyBalance').doc('summary').get());
+    });
+
+    it('weekly reports are written only by saveWeeklyReport', async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await context.firestore().collection('weeklyBalance').doc('2026-W23').set({ grossProfit: 800 });
+        });
+        const reports = (uid) => dbAs(uid).collection('weeklyBalance');
+
+        await assertSucceeds(reports('mod').doc('2026-W23').get());
+        await assertFails(reports('mod').doc('2026-W23').update({ grossProfit: 0 }));
+        await assertFails(reports('boss').doc('2026-W23').set({ grossProfit: 0 }));
+        await assertFails(reports('mod').doc('2026-W24').set({ grossProfit: 5000 }));
+        await assertFails(reports('boss').doc('summary').set({ currentBalance: 0 }));
+        await assertFails(reports('boss').doc('2026-W23').delete());
+    });
+});
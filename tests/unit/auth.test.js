@@ -0,0 +1,111 @@
+/**
+ * signIn / requestPasswordReset / setUserPassword (functions/index.js) - login lockout and code resets
+ * Runs without the emulator: npm run test:unit
+ * Firestore is replaced by the in-memory database in fake-firestore.js
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Timestamp, store, loadFunctions, callAs, documentsIn } = require('./fake-firestore');
+
+const functions = loadFunctions();
+const signIn = (data) => callAs(functions.signIn, null, data);
+
+beforeEach(() => {
+    store.clear();
+    // Plaintext password from before the migration - moved to userCredentials at first sign-in
+    store.set('authorizedUsers/anna', { name: 'Anna', balance: 300, role: 'user', password: 'secret' });
+    store.set('authorizedUsers/boss', { name: 'Boss', balance: 0, role: 'admin' });
+    store.set('authorizedUsers/mod', { name: 'Mona', balance: 0, role: 'moderator' });
+});
+
+describe('signIn', () => {
+    it('locks the account after five wrong passwords', async () => {
+        for (let i = 0; i < 5; i++) {
+            await assert.rejects(signIn({ name: 'Anna', password: `guess${i}` }), { code: 'unauthenticated' });
+        }
+
+        // Even the right password waits for the lockout
+        await assert.rejects(signIn({ name: 'Anna', password: 'secret' }), (error) => {
+            assert.strictEqual(error.code, 'resource-exhausted');
+            assert.strictEqual(error.details.reason, 'too-many-attempts');
+            assert.strictEqual(error.details.minutes, 15);
+            return true;
+        });
+        assert.strictEqual(store.get('authorizedUsers/anna').password, 'secret');
+    });
+
+    it('the right password clears earlier failures', async () => {
+        await assert.rejects(signIn({ name: 'Anna', password: 'guess' }), { code: 'unauthenticated' });
+        assert.strictEqual(store.get('signInAttempts/anna').failures, 1);
+
+        const result = await signIn({ name: 'Anna', password: 'secret' });
+        assert.strictEqual(result.userId, 'anna');
+        assert.strictEqual(store.has('signInAttempts/anna'), false);
+        assert.strictEqual(store.get('authorizedUsers/anna').password, undefined);
+    });
+
+    it('signs in again once the lockout is over', async () => {
+        store.set('signInAttempts/anna', { failures: 0, lockedUntil: Timestamp.fromMillis(Date.now() - 1000) });
+        const result = await signIn({ name: 'Anna', password: 'secret' });
+        assert.strictEqual(result.userId, 'anna');
+    });
+
+    it('tells a user whose one-time code was used that they need a new one', async () => {
+        store.set('authorizedUsers/anna', { name: 'Anna', balance: 300, role: 'user', needsPasswordReset: true });
+        await assert.rejects(signIn({ name: 'Anna', password: '123' }), (error) => {
+            assert.strictEqual(error.code, 'unauthenticated');
+            assert.strictEqual(error.details.reason, 'password-reset-needed');
+            return true;
+        });
+    });
+});
+
+describe('requestPasswordReset', () => {
+    beforeEach(() => {
+        store.set('authorizedUsers/anna', { name: 'Anna', balance: 300, role: 'user', needsPasswordReset: true });
+    });
+
+    it('only records the request - no code, no credentials', async () => {
+        const result = await callAs(functions.requestPasswordReset, null, { name: 'Anna' });
+        assert.deepStrictEqual(result, { success: true });
+        assert.deepStrictEqual(documentsIn('userCredentials'), []);
+        await assert.rejects(signIn({ name: 'Anna', password: '123' }), { code: 'unauthenticated' });
+
+        const requests = documentsIn('passwordResets').map(path => store.get(path));
+        assert.deepStrictEqual(requests.map(r => [r.userId, r.type]), [['anna', 'request']]);
+    });
+
+    it('notifies admins only, once per cooldown', async () => {
+        await callAs(functions.requestPasswordReset, null, { name: 'Anna' });
+        await callAs(functions.requestPasswordReset, null, { name: 'Anna' });
+
+        const recipients = documentsIn('notificationOutbox').map(path => store.get(path).recipientId);
+        assert.deepStrictEqual(recipients.filter(id => id !== 'club'), ['boss']);
+        assert.strictEqual(documentsIn('passwordResets').length, 1);
+    });
+
+    it('refuses users who can still sign in', async () => {
+        store.set('authorizedUsers/anna', { name: 'Anna', balance: 300, role: 'user', password: 'secret' });
+        await assert.rejects(callAs(functions.requestPasswordReset, null, { name: 'Anna' }), { code: 'failed-precondition' });
+    });
+});
+
+describe('setUserPassword', () => {
+    it('is staff work (users.manage)', async () => {
+        for (const uid of [null, 'anna', 'mod']) {
+            await assert.rejects(callAs(functions.setUserPassword, uid, { userId: 'anna', password: '456' }));
+        }
+        assert.strictEqual(store.get('authorizedUsers/anna').password, 'secret');
+    });
+
+    it('a new code lifts the lockout and works once', async () => {
+        store.set('signInAttempts/anna', { failures: 0, lockedUntil: Timestamp.fromMillis(Date.now() + 60000) });
+
+        const result = await callAs(functions.setUserPassword, 'boss', { userId: 'anna', password: '456' });
+        assert.deepStrictEqual(result, { success: true, temporary: true });
+
+        await signIn({ name: 'Anna', password: '456' });
+        assert.strictEqual(store.get('authorizedUsers/anna').needsPasswordReset, true);
+        await assert.rejects(signIn({ name: 'Anna', password: '456' }), { code: 'unauthenticated' });
+    });
+});
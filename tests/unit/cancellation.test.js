@@ -0,0 +1,65 @@
+/**
+ * cancelRegistration (functions/index.js) - cancelling one spot or all of them
+ * Runs without the emulator: npm run test:unit
+ * Firestore is replaced by the in-memory database in fake-firestore.js
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { store, loadFunctions, callAs, documentsIn } = require('./fake-firestore');
+
+const functions = loadFunctions();
+const cancel = (data) => callAs(functions.cancelRegistration, 'anna', { sessionId: 's1', userId: 'anna', ...data });
+
+const players = () => documentsIn('sessions/s1/players').map(path => path.split('/').pop()).sort();
+
+beforeEach(() => {
+    store.clear();
+    // Locked - spots given up only come back when the waiting list takes them over
+    store.set('sessions/s1', {
+        date: '01/06/2030', time: '10:00 - 12:00', maxPlayers: 2, paymentAmount: 150,
+        published: true, closed: false, locked: true
+    });
+    store.set('authorizedUsers/anna', { name: 'Anna', role: 'user', balance: 0 });
+    store.set('authorizedUsers/ben', { name: 'Ben', role: 'user', balance: 0 });
+    store.set('sessions/s1/players/anna-reg', { name: 'Anna', userId: 'anna', position: 1, paid: true });
+    store.set('sessions/s1/players/anna-guest', {
+        name: 'Anna friend: Carl', userId: 'anna', isGuest: true, guestName: 'Carl', guestOf: 'anna',
+        position: 2, paid: true, amountPaid: 100
+    });
+});
+
+describe('cancelRegistration', () => {
+    it('cancels only the spot asked for', async () => {
+        const preview = await cancel({ playerId: 'anna-guest', preview: true });
+        assert.deepStrictEqual(preview.spots.map(spot => spot.playerId), ['anna-guest']);
+        assert.deepStrictEqual(players(), ['anna-guest', 'anna-reg']);
+
+        const result = await cancel({ playerId: 'anna-guest' });
+        assert.deepStrictEqual(result.spots.map(spot => [spot.playerId, spot.rule]), [['anna-guest', 'after-lock']]);
+        assert.deepStrictEqual(players(), ['anna-reg']);
+        assert.strictEqual(store.get('authorizedUsers/anna').balance, 0);
+    });
+
+    it('an own spot left on the waiting list takes over the cancelled one', async () => {
+        store.set('sessions/s1', { ...store.get('sessions/s1'), maxPlayers: 1 });
+
+        const result = await cancel({ playerId: 'anna-reg' });
+        assert.deepStrictEqual(result.spots.map(spot => [spot.playerId, spot.rule]), [['anna-reg', 'taken-over']]);
+        assert.deepStrictEqual(players(), ['anna-guest']);
+        assert.strictEqual(store.get('authorizedUsers/anna').balance, 150);
+    });
+
+    it('without a playerId cancels the registration and the guests', async () => {
+        store.set('sessions/s1/players/ben-reg', { name: 'Ben', userId: 'ben', position: 3, paid: true });
+
+        const result = await cancel({});
+        assert.deepStrictEqual(result.spots.map(spot => spot.rule).sort(), ['after-lock', 'taken-over']);
+        assert.deepStrictEqual(players(), ['ben-reg']);
+    });
+
+    it('only cancels own spots', async () => {
+        store.set('sessions/s1/players/ben-reg', { name: 'Ben', userId: 'ben', position: 3, paid: true });
+        await assert.rejects(cancel({ playerId: 'ben-reg' }), { code: 'not-found' });
+        assert.deepStrictEqual(players(), ['anna-guest', 'anna-reg', 'ben-reg']);
+    });
+});
@@ -0,0 +1,232 @@
+/**
+ * In-memory Firestore for the Cloud Functions unit tests (no emulator)
+ * Documents, queries, transactions, batches and the FieldValue sentinels the functions write.
+ * loadFunctions() returns functions/index.js wired to this database (and a stub Auth)
+ */
+const { createRequire } = require('node:module');
+
+// firebase-admin as the functions package resolves it
+const requireFunctions = createRequire(require.resolve('../../functions/package.json'));
+const admin = requireFunctions('firebase-admin');
+const { Timestamp } = requireFunctions('firebase-admin/firestore');
+
+const store = new Map();
+let nextId = 0;
+
+// ============================================
+// WRITES
+// ============================================
+
+/**
+ * Document data after a write, with FieldValue sentinels resolved
+ * @param {Object|undefined} current - Stored data
+ * @param {Object} data - Written data (may contain sentinels)
+ * @returns {Object}
+ */
+function applyWrite(current, data) {
+    const result = { ...current };
+    Object.entries(data).forEach(([key, value]) => {
+        switch (value && value.methodName) {
+            case 'FieldValue.delete':
+                delete result[key];
+                break;
+            case 'FieldValue.serverTimestamp':
+                result[key] = Timestamp.now();
+                break;
+            case 'FieldValue.increment':
+                result[key] = (result[key] || 0) + value.operand;
+                break;
+            case 'FieldValue.arrayUnion':
+                result[key] = [...new Set([...(result[key] || []), ...value.elements])];
+                break;
+            case 'FieldValue.arrayRemove':
+                result[key] = (result[key] || []).filter(item => !value.elements.includes(item));
+                break;
+            default:
+                result[key] = value;
+        }
+    });
+    return result;
+}
+
+const writeOps = {
+    create(path, data) {
+        if (store.has(path)) {
+            // gRPC ALREADY_EXISTS, like the Admin SDK
+            throw Object.assign(new Error(`Document already exists: ${path}`), { code: 6 });
+        }
+        store.set(path, applyWrite(undefined, data));
+    },
+    set(path, data, options = {}) {
+        store.set(path, applyWrite(options.merge ? store.get(path) : undefined, data));
+    },
+    update(path, data) {
+        if (!store.has(path)) {
+            throw Object.assign(new Error(`No document to update: ${path}`), { code: 5 });
+        }
+        store.set(path, applyWrite(store.get(path), data));
+    },
+    delete(path) {
+        store.delete(path);
+    }
+};
+
+/**
+ * Writer that queues writes until commit (transactions and batches)
+ * @returns {{writer: Object, commit: Function}}
+ */
+function deferredWriter() {
+    const writes = [];
+    const writer = {};
+    Object.keys(writeOps).forEach(op => {
+        writer[op] = (ref, ...args) => {
+            writes.push(() => writeOps[op](ref.path, ...args));
+            return writer;
+        };
+    });
+    return { writer, commit: () => writes.forEach(write => write()) };
+}
+
+// ============================================
+// DOCUMENTS & QUERIES
+// ============================================
+
+function snapshotOf(path) {
+    const data = store.get(path);
+    return {
+        id: path.split('/').pop(),
+        ref: docRef(path),
+        exists: Boolean(data),
+        data: () => data && { ...data },
+        get: (field) => data && data[field]
+    };
+}
+
+function docRef(path) {
+    return {
+        id: path.split('/').pop(),
+        path,
+        collection: (name) => collectionRef(`${path}/${name}`),
+        get: async () => snapshotOf(path),
+        create: async (data) => writeOps.create(path, data),
+        set: async (data, options) => writeOps.set(path, data, options),
+        update: async (data) => writeOps.update(path, data),
+        delete: async () => writeOps.delete(path)
+    };
+}
+
+// Timestamps compare by time, everything else as stored
+const comparable = (value) => (value instanceof Timestamp ? value.toMillis() : value);
+
+const OPERATORS = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    'in': (a, b) => b.includes(a),
+    'array-contains': (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+function collectionRef(path, query = { filters: [], order: [], max: Infinity }) {
+    const refine = (change) => collectionRef(path, { ...query, ...change });
+    return {
+        id: path.split('/').pop(),
+        path,
+        doc: (id) => docRef(`${path}/${id || `auto${++nextId}`}`),
+        async add(data) {
+            const ref = docRef(`${path}/auto${++nextId}`);
+            writeOps.create(ref.path, data);
+            return ref;
+        },
+        where: (field, op, value) => refine({ filters: [...query.filters, { field, op, value }] }),
+        orderBy: (field, direction = 'asc') => refine({ order: [...query.order, { field, direction }] }),
+        limit: (max) => refine({ max }),
+        async get() {
+            const docs = [...store.keys()]
+                .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+                .map(snapshotOf)
+                .filter(doc => query.filters.every(({ field, op, value }) =>
+                    doc.data()[field] !== undefined &&
+                    OPERATORS[op](comparable(doc.data()[field]), comparable(value))))
+                .sort((a, b) => {
+                    for (const { field, direction } of query.order) {
+                        const x = comparable(a.data()[field]);
+                        const y = comparable(b.data()[field]);
+                        if (x !== y) {
+                            return (x < y ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+                        }
+                    }
+                    return 0;
+                })
+                .slice(0, query.max);
+            return { docs, size: docs.length, empty: docs.length === 0, forEach: (fn) => docs.forEach(fn) };
+        }
+    };
+}
+
+// Transaction and batch writes are applied at commit, like Firestore
+const db = {
+    collection: (path) => collectionRef(path),
+    doc: docRef,
+    getAll: (...refs) => Promise.all(refs.map(ref => ref.get())),
+    batch() {
+        const { writer, commit } = deferredWriter();
+        return Object.assign(writer, { commit: async () => commit() });
+    },
+    async runTransaction(fn) {
+        const { writer, commit } = deferredWriter();
+        const result = await fn(Object.assign(writer, { get: (ref) => ref.get() }));
+        commit();
+        return result;
+    }
+};
+
+// ============================================
+// FUNCTIONS
+// ============================================
+
+// Custom tokens the stub Auth handed out (signIn)
+const issuedTokens = [];
+
+/**
+ * Load functions/index.js against the in-memory database
+ * @returns {Object} The Cloud Functions exports (call a callable with .run({ auth, data }))
+ */
+function loadFunctions() {
+    const realFirestore = admin.firestore;
+    Object.defineProperty(admin, 'firestore', { value: Object.assign(() => db, realFirestore), configurable: true });
+    Object.defineProperty(admin, 'auth', {
+        value: () => ({
+            createCustomToken: async (uid, claims) => {
+                issuedTokens.push({ uid, claims });
+                return `token-${uid}`;
+            },
+            setCustomUserClaims: async () => {}
+        }),
+        configurable: true
+    });
+    return require('../../functions/index.js');
+}
+
+/**
+ * Call a callable as a user
+ * @param {Object} callable - Exported onCall function
+ * @param {string|null} uid - Caller (authorizedUsers document ID), null = signed out
+ * @param {Object} data - Callable data
+ */
+function callAs(callable, uid, data) {
+    return callable.run({ auth: uid ? { uid } : undefined, data });
+}
+
+/**
+ * Paths of the stored documents in a collection
+ * @param {string} path - Collection path
+ * @returns {string[]}
+ */
+function documentsIn(path) {
+    return [...store.keys()].filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'));
+}
+
+module.exports = { admin, Timestamp, store, db, issuedTokens, loadFunctions, callAs, documentsIn };
@@ -0,0 +1,70 @@
+/**
+ * functions/lottery.js - weights and the seeded, weighted draw
+ * Runs without the emulator: npm run test:unit
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const lottery = require('../../functions/lottery');
+
+const policy = lottery.DEFAULT_LOTTERY_POLICY;
+
+describe('lottery getEntryWeight', () => {
+    it('regular player without lost draws weighs 1', () => {
+        assert.strictEqual(lottery.getEntryWeight({ losses: 0, recentSessions: 8 }, policy, 8), 1);
+    });
+
+    it('lost draws in a row add weight, up to maxLosses', () => {
+        assert.strictEqual(lottery.getEntryWeight({ losses: 2, recentSessions: 8 }, policy, 8), 2);
+        assert.strictEqual(lottery.getEntryWeight({ losses: 10, recentSessions: 8 }, policy, 8), 3);
+    });
+
+    it('missed sessions add weight, none without attendance history', () => {
+        assert.strictEqual(lottery.getEntryWeight({ losses: 0, recentSessions: 0 }, policy, 8), 2);
+        assert.strictEqual(lottery.getEntryWeight({ losses: 0, recentSessions: 6 }, policy, 8), 1.25);
+        assert.strictEqual(lottery.getEntryWeight({ losses: 1, recentSessions: 0 }, policy, 0), 1.5);
+    });
+});
+
+describe('lottery drawOrder', () => {
+    const entries = [
+        { userId: 'anna', weight: 1 },
+        { userId: 'ben', weight: 2 },
+        { userId: 'carl', weight: 1.5 },
+        { userId: 'dora', weight: 1 }
+    ];
+
+    it('same seed and entries give the same order, whatever order they were read in', () => {
+        const order = lottery.drawOrder(entries, 123456);
+        assert.deepStrictEqual(lottery.drawOrder(entries.slice().reverse(), 123456), order);
+        assert.deepStrictEqual(order.slice().sort(), ['anna', 'ben', 'carl', 'dora']);
+    });
+
+    it('the seed decides the order', () => {
+        const orders = new Set();
+        for (let seed = 1; seed <= 20; seed++) {
+            orders.add(lottery.drawOrder(entries, seed).join());
+        }
+        assert.ok(orders.size > 1);
+    });
+
+    it('weight 2 comes first about twice as often as weight 1', () => {
+        const draws = 3000;
+        let heavyFirst = 0;
+        for (let seed = 1; seed <= draws; seed++) {
+            const order = lottery.drawOrder([{ userId: 'heavy', weight: 2 }, { userId: 'light', weight: 1 }], seed);
+            heavyFirst += order[0] === 'heavy' ? 1 : 0;
+        }
+        const share = heavyFirst / draws;
+        assert.ok(share > 0.62 && share < 0.72, `heavy first in ${share} of the draws`);
+    });
+
+    it('createRandom is seeded and stays in [0, 1)', () => {
+        const a = lottery.createRandom(99);
+        const b = lottery.createRandom(99);
+        for (let i = 0; i < 100; i++) {
+            const value = a();
+            assert.strictEqual(value, b());
+            assert.ok(value >= 0 && value < 1);
+        }
+    });
+});
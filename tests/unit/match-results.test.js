@@ -0,0 +1,43 @@
+/**
+ * recordMatchResult (functions/index.js) - results only move ratings when the club turns it on
+ * Runs without the emulator: npm run test:unit
+ * Firestore is replaced by the in-memory database in fake-firestore.js
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { store, loadFunctions, callAs, documentsIn } = require('./fake-firestore');
+
+const functions = loadFunctions();
+const record = () => callAs(functions.recordMatchResult, 'anna', {
+    sessionId: 's1', userId: 'anna', teamA: ['p1', 'p2'], teamB: ['p3', 'p4'], scoreA: 21, scoreB: 15
+});
+
+beforeEach(() => {
+    store.clear();
+    store.set('sessions/s1', { date: '01/06/2026', maxPlayers: 4, published: true, closed: false });
+    ['anna', 'ben', 'carl', 'dana'].forEach((userId, i) => {
+        store.set(`authorizedUsers/${userId}`, { name: userId, role: 'user' });
+        store.set(`sessions/s1/players/p${i + 1}`, { name: userId, userId, position: i + 1 });
+    });
+});
+
+describe('recordMatchResult ratings', () => {
+    it('leaves ratings alone until learnFromResults is turned on', async () => {
+        await record();
+        assert.strictEqual(documentsIn('sessions/s1/matches').length, 1);
+        assert.deepStrictEqual(documentsIn('ratings'), []);
+        assert.deepStrictEqual(documentsIn('ratingChanges'), []);
+
+        store.set('config/ratings', { showToPlayers: true });
+        await record();
+        assert.deepStrictEqual(documentsIn('ratings'), []);
+    });
+
+    it('moves the players\' ratings when learnFromResults is on', async () => {
+        store.set('config/ratings', { learnFromResults: true });
+        await record();
+        assert.strictEqual(documentsIn('ratings').length, 4);
+        assert.ok(store.get('ratings/anna').rating > store.get('ratings/carl').rating);
+        assert.strictEqual(documentsIn('ratingChanges').length, 1);
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Staff notification callables (functions/index.js) - who may send them, and that they only
+ * queue outbox entries through notify() instead of calling Line / FCM
+ * Runs without the emulator: npm run test:unit
+ * Firestore is replaced by the in-memory database in fake-firestore.js
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { store, loadFunctions, callAs, documentsIn } = require('./fake-firestore');
+
+const functions = loadFunctions();
+
+// Outbox entries as "event → recipient"
+const queued = () => documentsIn('notificationOutbox')
+    .map(path => store.get(path))
+    .map(entry => `${entry.event} → ${entry.recipientId}`)
+    .sort();
+
+beforeEach(() => {
+    store.clear();
+    store.set('authorizedUsers/anna', { name: 'Anna', role: 'user', fcmTokens: ['anna-phone'] });
+    store.set('authorizedUsers/ben', { name: 'Ben', role: 'user', fcmTokens: ['ben-phone'] });
+    store.set('authorizedUsers/mod', { name: 'Mona', role: 'moderator', fcmTokens: ['mod-phone'] });
+    store.set('authorizedUsers/boss', { name: 'Boss', role: 'admin', fcmTokens: ['boss-phone'] });
+    store.set('sessions/s1', { date: '01/06/2026', day: 'Monday', time: '18:00 - 20:00', maxPlayers: 2, published: true });
+    store.set('sessions/s1/players/p1', { name: 'Anna', userId: 'anna', position: 1 });
+    // Open spots are opt-in
+    ['anna', 'ben'].forEach(userId => {
+        store.set(`notificationPreferences/${userId}`, { events: { 'slot-available': ['push'] } });
+    });
+});
+
+describe('notification callables', () => {
+    const calls = {
+        sendCancellationNotification: { sessionId: 's1', playerName: 'Carl' },
+        sendNudgeNotification: { sessionId: 's1' },
+        sendPasswordResetNotification: { userName: 'Anna' },
+        testFCMNotification: {}
+    };
+
+    it('signed-out callers and players cannot send them', async () => {
+        for (const [name, data] of Object.entries(calls)) {
+            await assert.rejects(callAs(functions[name], null, data), { code: 'unauthenticated' }, name);
+            await assert.rejects(callAs(functions[name], 'anna', data), { code: 'permission-denied' }, name);
+        }
+        assert.deepStrictEqual(queued(), []);
+    });
+
+    it('moderators announce cancellations and nudge, admins reset and test', async () => {
+        await callAs(functions.sendCancellationNotification, 'mod', calls.sendCancellationNotification);
+        await callAs(functions.sendNudgeNotification, 'mod', calls.sendNudgeNotification);
+        await assert.rejects(callAs(functions.sendPasswordResetNotification, 'mod', calls.sendPasswordResetNotification), { code: 'permission-denied' });
+        await assert.rejects(callAs(functions.testFCMNotification, 'mod', {}), { code: 'permission-denied' });
+
+        await callAs(functions.sendPasswordResetNotification, 'boss', calls.sendPasswordResetNotification);
+        await callAs(functions.testFCMNotification, 'boss', {});
+    });
+
+    it('session numbers come from the session, open spots go to players who are not registered', async () => {
+        const result = await callAs(functions.sendNudgeNotification, 'mod', { sessionId: 's1' });
+        assert.strictEqual(result.availableSpots, 1);
+        assert.deepStrictEqual(queued(), ['slot-available → ben']);
+    });
+
+    it('cancellations reach staff and the club channels', async () => {
+        await callAs(functions.sendCancellationNotification, 'mod', calls.sendCancellationNotification);
+        assert.deepStrictEqual(queued(), [
+            'cancellation → boss',
+            'cancellation → club',
+            'cancellation → club',
+            'cancellation → mod',
+            'slot-available → ben'
+        ]);
+    });
+
+    it('the test notification only goes to the caller', async () => {
+        await callAs(functions.testFCMNotification, 'boss', {});
+        assert.deepStrictEqual(queued(), ['test → boss']);
+    });
+
+    it('a full session is not nudged', async () => {
+        store.set('sessions/s1/players/p2', { name: 'Ben', userId: 'ben', position: 2 });
+        await assert.rejects(callAs(functions.sendNudgeNotification, 'mod', { sessionId: 's1' }), { code: 'failed-precondition' });
+        assert.deepStrictEqual(queued(), []);
+    });
+});
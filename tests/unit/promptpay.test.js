@@ -0,0 +1,52 @@
+/**
+ * promptpay.js - QR payloads against known reference payloads
+ * Runs without the emulator: npm run test:unit
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const PromptPay = require('../../promptpay');
+
+describe('PromptPay crc16', () => {
+    it('matches the CRC-16/CCITT-FALSE check value', () => {
+        assert.strictEqual(PromptPay.crc16('123456789'), '29B1');
+    });
+});
+
+describe('PromptPay buildPayload', () => {
+    it('phone number with amount', () => {
+        assert.strictEqual(
+            PromptPay.buildPayload({ promptPayId: '0801234567', amount: 4.22 }),
+            '00020101021229370016A000000677010111011300668012345675802TH530376454044.22630444FE'
+        );
+    });
+
+    it('no amount gives a static QR (payer types the amount)', () => {
+        assert.strictEqual(
+            PromptPay.buildPayload({ promptPayId: '0801234567' }),
+            '00020101021129370016A000000677010111011300668012345675802TH530376463046197'
+        );
+    });
+
+    it('reference goes into additional data, cleaned to A-Z / 0-9', () => {
+        assert.strictEqual(
+            PromptPay.buildPayload({ promptPayId: '081-234-5678', amount: 1000, reference: 'TOPUP anna' }),
+            '00020101021229370016A000000677010111011300668123456785802TH530376454071000.0062130509TOPUPANNA6304607B'
+        );
+    });
+
+    it('13 digits are a national / tax ID', () => {
+        assert.strictEqual(
+            PromptPay.buildPayload({ promptPayId: '1234567890123', amount: 500, reference: 'bad-ANNA 0612' }),
+            '00020101021229370016A000000677010111021312345678901235802TH53037645406500.0062150511BADANNA06126304DF7B'
+        );
+    });
+
+    it('rejects IDs and amounts it cannot encode', () => {
+        assert.throws(() => PromptPay.buildPayload({ promptPayId: '12345' }), /Invalid PromptPay ID/);
+        assert.throws(() => PromptPay.buildPayload({ promptPayId: '0801234567', amount: -5 }), /Invalid amount/);
+    });
+
+    it('references are cut to 25 characters', () => {
+        assert.strictEqual(PromptPay.formatReference('abcdefghijklmnopqrstuvwxyz0123'), 'ABCDEFGHIJKLMNOPQRSTUVWXY');
+    });
+});
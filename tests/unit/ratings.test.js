@@ -0,0 +1,59 @@
+/**
+ * functions/ratings.js - Elo for doubles
+ * Runs without the emulator: npm run test:unit
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ratings = require('../../functions/ratings');
+
+const established = (rating) => ({ rating, ratingGames: 30 });
+
+describe('ratings expectedScore', () => {
+    it('even sides are 50/50, 400 points up is 10 to 1', () => {
+        assert.strictEqual(ratings.expectedScore(1500, 1500), 0.5);
+        assert.ok(Math.abs(ratings.expectedScore(1900, 1500) - 10 / 11) < 1e-9);
+        assert.ok(Math.abs(ratings.expectedScore(1600, 1450) + ratings.expectedScore(1450, 1600) - 1) < 1e-9);
+    });
+
+    it('unrated players count as the default rating', () => {
+        assert.strictEqual(ratings.getRating(null), ratings.DEFAULT_RATING);
+        assert.strictEqual(ratings.getRating({}), ratings.DEFAULT_RATING);
+        assert.strictEqual(ratings.getRating({ rating: 1720 }), 1720);
+    });
+});
+
+describe('ratings rateDoublesGame', () => {
+    it('established players move by K=24', () => {
+        const changes = ratings.rateDoublesGame(
+            [established(1500), established(1500)],
+            [established(1500), established(1500)],
+            21, 15
+        );
+        assert.deepStrictEqual(changes, { teamA: [12, 12], teamB: [-12, -12] });
+    });
+
+    it('players in their first 10 games move by K=48', () => {
+        const changes = ratings.rateDoublesGame([{}, {}], [{}, {}], 10, 21);
+        assert.deepStrictEqual(changes, { teamA: [-24, -24], teamB: [24, 24] });
+    });
+
+    it('new and established players together are not zero-sum', () => {
+        const changes = ratings.rateDoublesGame([{}, {}], [established(1500), established(1500)], 21, 19);
+        assert.deepStrictEqual(changes, { teamA: [24, 24], teamB: [-12, -12] });
+    });
+
+    it('an upset moves more than an expected win', () => {
+        const favourite = [established(1800), established(1800)];
+        const underdog = [established(1400), established(1400)];
+        const expected = ratings.rateDoublesGame(favourite, underdog, 21, 10);
+        const upset = ratings.rateDoublesGame(favourite, underdog, 10, 21);
+        assert.ok(upset.teamB[0] > expected.teamA[0]);
+        assert.strictEqual(expected.teamA[0], 2);
+        assert.strictEqual(upset.teamB[0], 22);
+    });
+
+    it('guests play at the default rating but are not rated', () => {
+        const changes = ratings.rateDoublesGame([established(1500), null], [established(1500), established(1500)], 21, 12);
+        assert.deepStrictEqual(changes, { teamA: [12, null], teamB: [-12, -12] });
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * rotation.js - doubles rounds (seeded, fair, rating-balanced)
+ * Runs without the emulator: npm run test:unit
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const MatchRotation = require('../../rotation');
+
+const PLAYERS = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'];
+
+describe('MatchRotation session helpers', () => {
+    it('reads the session length, also past midnight', () => {
+        assert.strictEqual(MatchRotation.getSessionMinutes('18:00 - 20:00'), 120);
+        assert.strictEqual(MatchRotation.getSessionMinutes('23:00 - 01:00'), 120);
+        assert.strictEqual(MatchRotation.getSessionMinutes('evening'), null);
+    });
+
+    it('one court per 6 players, never more than full games', () => {
+        assert.strictEqual(MatchRotation.getCourtCount(12), 2);
+        assert.strictEqual(MatchRotation.getCourtCount(5), 1);
+        assert.strictEqual(MatchRotation.getCourtCount(3), 0);
+    });
+
+    it('rounds that fit in the session, capped', () => {
+        assert.strictEqual(MatchRotation.getRoundCount(120, 15), 8);
+        assert.strictEqual(MatchRotation.getRoundCount(null, 15), 0);
+        assert.strictEqual(MatchRotation.getRoundCount(1000, 15), 40);
+        assert.strictEqual(MatchRotation.getRoundTime('18:00', 15, 3), '18:30');
+    });
+});
+
+describe('MatchRotation generate', () => {
+    it('the same seed gives the same rounds', () => {
+        const first = MatchRotation.generate(PLAYERS, { courts: 2, rounds: 8, seed: 42 });
+        const second = MatchRotation.generate(PLAYERS, { courts: 2, rounds: 8, seed: 42 });
+        assert.deepStrictEqual(first, second);
+        assert.strictEqual(first.seed, 42);
+    });
+
+    it('every player plays or sits out each round, games stay even', () => {
+        const rotation = MatchRotation.generate(PLAYERS, { courts: 2, rounds: 8, seed: 3 });
+        assert.strictEqual(rotation.rounds.length, 8);
+
+        rotation.rounds.forEach(round => {
+            const playing = round.matches.flatMap(match => [...match.teamA, ...match.teamB]);
+            assert.strictEqual(playing.length, 8);
+            assert.deepStrictEqual([...playing, ...round.sittingOut].sort(), PLAYERS);
+        });
+
+        const games = Object.values(rotation.gamesPlayed);
+        assert.ok(Math.max(...games) - Math.min(...games) <= 1);
+    });
+
+    it('partners do not repeat while there are new ones', () => {
+        const rotation = MatchRotation.generate(PLAYERS.slice(0, 8), { courts: 2, rounds: 3, seed: 7 });
+        const partners = rotation.rounds.flatMap(round =>
+            round.matches.flatMap(match => [match.teamA, match.teamB].map(team => [...team].sort().join('|')))
+        );
+        assert.strictEqual(new Set(partners).size, partners.length);
+    });
+
+    it('ratings split the strong players across the teams', () => {
+        const rotation = MatchRotation.generate(['s1', 's2', 'w1', 'w2'], {
+            courts: 1,
+            rounds: 1,
+            seed: 1,
+            ratings: { s1: 2000, s2: 2000, w1: 1000, w2: 1000 }
+        });
+        const { teamA, teamB } = rotation.rounds[0].matches[0];
+        [teamA, teamB].forEach(team => {
+            assert.deepStrictEqual(team.map(id => id[0]).sort(), ['s', 'w']);
+        });
+    });
+
+    it('no courts without four players', () => {
+        const rotation = MatchRotation.generate(['a', 'b', 'c'], { courts: 1, rounds: 4, seed: 1 });
+        assert.deepStrictEqual(rotation.rounds, []);
+    });
+});
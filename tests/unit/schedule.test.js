@@ -0,0 +1,48 @@
+/**
+ * publishAndLockSessions (functions/index.js) - the server-side lock flag on open sessions
+ * Runs without the emulator: npm run test:unit
+ * Firestore is replaced by the in-memory database in fake-firestore.js
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Timestamp, store, loadFunctions } = require('./fake-firestore');
+
+const functions = loadFunctions();
+const runSchedule = () => functions.publishAndLockSessions.run({});
+
+const HOUR = 60 * 60 * 1000;
+
+beforeEach(() => {
+    store.clear();
+});
+
+describe('publishAndLockSessions', () => {
+    it('locks a published session at its lock time', async () => {
+        store.set('sessions/s1', {
+            date: '01/06/2026', published: true, closed: false, locked: false,
+            lockAt: Timestamp.fromMillis(Date.now() - HOUR)
+        });
+        await runSchedule();
+        assert.strictEqual(store.get('sessions/s1').locked, true);
+        assert.ok(store.get('sessions/s1').lockedAt);
+    });
+
+    it('reopens a locked session whose lock time moved later', async () => {
+        store.set('sessions/s1', {
+            date: '01/06/2026', published: true, closed: false, locked: true, lockedAt: Timestamp.now(),
+            lockAt: Timestamp.fromMillis(Date.now() + HOUR)
+        });
+        await runSchedule();
+        assert.strictEqual(store.get('sessions/s1').locked, false);
+        assert.strictEqual(store.get('sessions/s1').lockedAt, undefined);
+    });
+
+    it('handles the legacy session document without a closed field', async () => {
+        store.set('sessions/current', {
+            date: '01/06/2026', published: true, lockAt: Timestamp.fromMillis(Date.now() - HOUR)
+        });
+        await runSchedule();
+        assert.strictEqual(store.get('sessions/current').closed, false);
+        assert.strictEqual(store.get('sessions/current').locked, true);
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * acceptSpotTransfer (functions/index.js) - who can take an offered spot
+ * Runs without the emulator: npm run test:unit
+ * Firestore is replaced by the in-memory database in fake-firestore.js
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { store, loadFunctions, callAs } = require('./fake-firestore');
+
+const functions = loadFunctions();
+const accept = (userId) => callAs(functions.acceptSpotTransfer, userId, { sessionId: 's1', userId, playerId: 'p1' });
+
+beforeEach(() => {
+    store.clear();
+    store.set('sessions/s1', { date: '01/06/2026', maxPlayers: 2, paymentAmount: 150, published: true, closed: false });
+    [['anna', 0], ['ben', 0], ['carl', 200], ['dana', 200], ['eve', 5]].forEach(([userId, balance]) => {
+        store.set(`authorizedUsers/${userId}`, { name: userId, role: 'user', balance });
+    });
+    // Anna offers her spot to the waiting list (carl is first in line, dana second)
+    store.set('sessions/s1/players/p1', {
+        name: 'anna', userId: 'anna', position: 1, paid: true, transferOffer: { toUserId: null, fromName: 'anna' }
+    });
+    store.set('sessions/s1/players/p2', { name: 'ben', userId: 'ben', position: 2, paid: true });
+    store.set('sessions/s1/players/p3', { name: 'carl', userId: 'carl', position: 3, paid: true });
+    store.set('sessions/s1/players/p4', { name: 'dana', userId: 'dana', position: 4, paid: true });
+});
+
+describe('acceptSpotTransfer', () => {
+    it('a spot offered to the waiting list goes to the first to accept, not the first in line', async () => {
+        const result = await accept('dana');
+        assert.strictEqual(result.position, 1);
+        assert.strictEqual(store.get('sessions/s1/players/p1').userId, 'dana');
+        assert.strictEqual(store.has('sessions/s1/players/p4'), false);
+
+        await assert.rejects(accept('carl'), { code: 'not-found' });
+        assert.strictEqual(store.get('sessions/s1/players/p3').userId, 'carl');
+    });
+
+    it('only the waiting list can accept an open offer', async () => {
+        await assert.rejects(accept('eve'), { code: 'permission-denied' });
+        await assert.rejects(accept('ben'), { code: 'already-exists' });
+    });
+
+    it('needs the registration minimum balance, like registerPlayer', async () => {
+        store.set('sessions/s1/players/p1', {
+            ...store.get('sessions/s1/players/p1'), transferOffer: { toUserId: 'eve', toName: 'eve', fromName: 'anna' }
+        });
+        await assert.rejects(accept('eve'), (error) => {
+            assert.strictEqual(error.code, 'failed-precondition');
+            assert.strictEqual(error.details.reason, 'insufficient-balance');
+            return true;
+        });
+
+        store.set('authorizedUsers/eve', { name: 'eve', role: 'user', balance: 10 });
+        await accept('eve');
+        assert.strictEqual(store.get('sessions/s1/players/p1').userId, 'eve');
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Session templates (functions/index.js) - when drafts are created and what the booked courts cost
+ * Runs without the emulator: npm run test:unit
+ * Firestore is replaced by the in-memory database in fake-firestore.js
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { store, loadFunctions, callAs, documentsIn } = require('./fake-firestore');
+
+const functions = loadFunctions();
+
+// Template dayNumber (1=Mon..7=Sun) of tomorrow in the club time zone
+const clubToday = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Bangkok' }).format(new Date());
+const tomorrowDayNumber = ((new Date(`${clubToday}T00:00:00Z`).getUTCDay() + 1) % 7) || 7;
+
+beforeEach(() => {
+    store.clear();
+    store.set('authorizedUsers/boss', { name: 'Boss', role: 'admin' });
+});
+
+describe('session templates', () => {
+    const template = { dayNumber: tomorrowDayNumber, time: '18:00 - 20:00', maxPlayers: 12, courts: 3, paymentAmount: 150, active: true };
+
+    it('creates the draft within createDaysAhead and copies the booked courts', async () => {
+        store.set('sessionTemplates/t1', { ...template, createDaysAhead: 1 });
+        const result = await callAs(functions.runSessionTemplatesNow, 'boss', {});
+        assert.strictEqual(result.created.length, 1);
+        const session = store.get(`sessions/${result.created[0].sessionId}`);
+        assert.strictEqual(session.courts, 3);
+        assert.strictEqual(session.closed, false);
+    });
+
+    it('createDaysAhead 0 is kept, not replaced by the default', async () => {
+        store.set('sessionTemplates/t1', { ...template, createDaysAhead: 0 });
+        const result = await callAs(functions.runSessionTemplatesNow, 'boss', {});
+        assert.deepStrictEqual(result.created, []);
+        assert.deepStrictEqual(documentsIn('sessions'), []);
+    });
+});
+
+describe('closing a session', () => {
+    beforeEach(() => {
+        store.set('sessions/s1', {
+            date: '01/06/2026', day: 'Monday', time: '18:00 - 20:00', maxPlayers: 12,
+            paymentAmount: 150, published: true, closed: false, shuttlecocksUsed: 4
+        });
+        ['anna', 'ben', 'carl', 'dana'].forEach((userId, i) => {
+            store.set(`sessions/s1/players/p${i + 1}`, { name: userId, userId, position: i + 1, paid: true });
+        });
+    });
+
+    it('books one court per 6 players without a template', async () => {
+        const result = await callAs(functions.closeSession, 'boss', { sessionId: 's1' });
+        assert.strictEqual(result.courts, 1);
+    });
+
+    it('books the template courts', async () => {
+        store.set('sessions/s1', { ...store.get('sessions/s1'), courts: 3 });
+        const result = await callAs(functions.closeSession, 'boss', { sessionId: 's1' });
+        assert.strictEqual(result.courts, 3);
+        assert.strictEqual(store.get('expenses/2026-06-01_court_rental').courts, 3);
+    });
+});
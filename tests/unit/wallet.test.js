@@ -0,0 +1,93 @@
+/**
+ * postWalletEntry (functions/index.js) - which entries may be posted
+ * Runs without the emulator: npm run test:unit
+ * Firestore is replaced by the in-memory database in fake-firestore.js
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { store, loadFunctions, callAs, documentsIn } = require('./fake-firestore');
+
+const functions = loadFunctions();
+const postAs = (uid, data) => callAs(functions.postWalletEntry, uid, data);
+
+const balanceOf = (userId) => store.get(`authorizedUsers/${userId}`).balance;
+const ledgerEntries = () => documentsIn('transactions');
+
+describe('postWalletEntry', () => {
+    beforeEach(() => {
+        store.clear();
+        store.set('authorizedUsers/anna', { name: 'Anna', balance: 300, role: 'user' });
+        store.set('authorizedUsers/mod', { name: 'Mona', balance: 100, role: 'moderator' });
+        // Anna's registration for session-1, as registerPlayer books it
+        store.set('transactions/paid', {
+            userId: 'anna', type: 'registration', amount: -150, sessionId: 'session-1'
+        });
+    });
+
+    it('registration entries are always debits', async () => {
+        await assert.rejects(
+            postAs('mod', { userId: 'anna', type: 'registration', amount: 10000, sessionId: 'session-1' }),
+            { code: 'invalid-argument' }
+        );
+        assert.strictEqual(balanceOf('anna'), 300);
+        assert.deepStrictEqual(ledgerEntries(), ['transactions/paid']);
+    });
+
+    it('refunds are credits and need the session they refund', async () => {
+        await assert.rejects(
+            postAs('mod', { userId: 'anna', type: 'refund', amount: -150, sessionId: 'session-1' }),
+            { code: 'invalid-argument' }
+        );
+        await assert.rejects(
+            postAs('mod', { userId: 'anna', type: 'refund', amount: 150 }),
+            { code: 'invalid-argument' }
+        );
+        assert.strictEqual(balanceOf('anna'), 300);
+    });
+
+    it('refunds never return more than was paid for the session', async () => {
+        await assert.rejects(
+            postAs('mod', { userId: 'anna', type: 'refund', amount: 150, sessionId: 'session-2' }),
+            { code: 'failed-precondition' }
+        );
+        await assert.rejects(
+            postAs('mod', { userId: 'anna', type: 'refund', amount: 10000, sessionId: 'session-1' }),
+            { code: 'failed-precondition' }
+        );
+
+        const result = await postAs('mod', { userId: 'anna', type: 'refund', amount: 150, sessionId: 'session-1' });
+        assert.strictEqual(result.balance, 450);
+
+        // Refunded once - nothing left to refund
+        await assert.rejects(
+            postAs('mod', { userId: 'anna', type: 'refund', amount: 150, sessionId: 'session-1' }),
+            { code: 'failed-precondition' }
+        );
+        assert.strictEqual(balanceOf('anna'), 450);
+        assert.strictEqual(ledgerEntries().length, 2);
+    });
+
+    it('players cannot post entries to their own wallet', async () => {
+        for (const type of ['topup', 'correction', 'registration', 'refund']) {
+            await assert.rejects(
+                postAs('anna', { userId: 'anna', type, amount: 10000, sessionId: 'session-1', description: 'Free money' }),
+                { code: 'permission-denied' }
+            );
+        }
+        // Not even a debit - registerPlayer books session payments
+        await assert.rejects(
+            postAs('anna', { userId: 'anna', type: 'registration', amount: -150, sessionId: 'session-1' }),
+            { code: 'permission-denied' }
+        );
+        assert.strictEqual(balanceOf('anna'), 300);
+        assert.deepStrictEqual(ledgerEntries(), ['transactions/paid']);
+    });
+
+    it('signed-out callers cannot post entries', async () => {
+        await assert.rejects(
+            postAs(null, { userId: 'anna', type: 'topup', amount: 500 }),
+            { code: 'unauthenticated' }
+        );
+        assert.strictEqual(balanceOf('anna'), 300);
+    });
+});